@@ -0,0 +1,99 @@
+/**
+ * AIPlayer.js
+ * Computer opponent for the Hexaequo game, with selectable difficulty levels
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(require('./AlphaBetaEngine.js'), require('./MCTSEngine.js'));
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ AlphaBetaEngine }, { MCTSEngine }) {
+    // Available search engines, selected with the engine option
+    const ENGINES = {
+        alphabeta: AlphaBetaEngine,
+        mcts: MCTSEngine
+    };
+
+    // Search settings of each difficulty level
+    const DIFFICULTY_LEVELS = {
+        easy: {
+            label: 'Easy',
+            maxDepth: 1,
+            timeLimit: 500,
+            randomness: 150
+        },
+        medium: {
+            label: 'Medium',
+            maxDepth: 2,
+            timeLimit: 1500,
+            randomness: 15
+        },
+        hard: {
+            label: 'Hard',
+            maxDepth: 8,
+            timeLimit: 3000,
+            randomness: 0
+        }
+    };
+
+    /**
+     * Create a search engine
+     * @param {Object} [options] - Engine options; options.engine picks the engine ('alphabeta' or
+     *     'mcts', default 'alphabeta') and the rest is passed to its constructor
+     * @returns {AlphaBetaEngine|MCTSEngine} The engine
+     */
+    function createEngine(options = {}) {
+        const { engine = 'alphabeta', ...engineOptions } = options;
+        if (!ENGINES[engine]) {
+            throw new Error(`Unknown engine: ${engine}`);
+        }
+        return new ENGINES[engine](engineOptions);
+    }
+
+    class AIPlayer {
+        /**
+         * Create a new computer player
+         * @param {string} color - Color the computer plays ('black' or 'white')
+         * @param {string} [difficulty='medium'] - One of the keys of DIFFICULTY_LEVELS
+         * @param {Object} [options] - Extra engine options, overriding the difficulty presets;
+         *     e.g. { engine: 'mcts', playouts: 2000 } plays with the Monte Carlo engine
+         */
+        constructor(color, difficulty = 'medium', options = {}) {
+            if (!DIFFICULTY_LEVELS[difficulty]) {
+                throw new Error(`Unknown difficulty: ${difficulty}`);
+            }
+
+            this.color = color;
+            this.difficulty = difficulty;
+
+            // Search settings, also sent to engine workers (see EngineHost.js); the label is for display
+            const { label, ...settings } = DIFFICULTY_LEVELS[difficulty];
+            this.options = { ...settings, ...options };
+            this.engine = createEngine(this.options);
+        }
+
+        /**
+         * Check if it is the computer's turn to move
+         * @param {GameState} state - The game state
+         * @returns {boolean} True if the computer should move now
+         */
+        isToMove(state) {
+            return !state.gameOver && state.currentPlayer === this.color;
+        }
+
+        /**
+         * Choose a move for the side to move
+         * @param {GameState} state - The game state, at the start of a turn
+         * @returns {Object|null} Move object, or null if there is no legal move
+         */
+        chooseMove(state) {
+            return this.engine.search(state).move;
+        }
+    }
+
+    return { AIPlayer, DIFFICULTY_LEVELS, createEngine };
+});
@@ -0,0 +1,252 @@
+/**
+ * AlphaBetaEngine.js
+ * Game tree search for the computer opponent: negamax with alpha-beta pruning,
+ * iterative deepening and a transposition table keyed by Zobrist hashes
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(require('../core/Moves.js'), require('./Evaluation.js'));
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function (
+    { getLegalMoves, applyMove, movesEqual },
+    { evaluate, WIN_SCORE }
+) {
+    // Transposition table entry bounds
+    const EXACT = 0;
+    const LOWER_BOUND = 1;
+    const UPPER_BOUND = 2;
+
+    // How many nodes to search between two checks of the clock
+    const NODES_PER_TIME_CHECK = 64;
+
+    // Thrown to unwind the search when time runs out or the search is stopped
+    const SEARCH_ABORTED = { aborted: true };
+
+    class AlphaBetaEngine {
+        /**
+         * Create a new search engine
+         * @param {Object} [options] - Engine options
+         * @param {number} [options.maxDepth=3] - Maximum search depth in plies
+         * @param {number} [options.timeLimit=Infinity] - Time budget per search in milliseconds;
+         *     the deepest fully searched depth is used when it runs out
+         * @param {number} [options.randomness=0] - Moves scoring within this margin of the best
+         *     move are picked at random, which makes weaker levels play less predictably
+         * @param {Function} [options.random=Math.random] - Random number generator
+         */
+        constructor(options = {}) {
+            this.maxDepth = options.maxDepth || 3;
+            this.timeLimit = options.timeLimit || Infinity;
+            this.randomness = options.randomness || 0;
+            this.random = options.random || Math.random;
+
+            // Transposition table: Zobrist hash -> { depth, score, bound, move }
+            this.table = new Map();
+        }
+
+        /**
+         * Search for the best move of the side to move
+         * @param {GameState} state - The game state, at the start of a turn
+         * @param {Object} [callbacks] - Search callbacks
+         * @param {Function} [callbacks.onProgress] - Called after each completed depth with
+         *     { move, score, depth, nodes, time }
+         * @param {Function} [callbacks.shouldStop] - Polled during the search; returning true
+         *     stops it and the best move found so far is returned
+         * @returns {Object} { move, score, depth, nodes, time }; move is null when there is no legal move
+         */
+        search(state, { onProgress, shouldStop } = {}) {
+            const startTime = Date.now();
+            const rootMoves = getLegalMoves(state);
+            this.nodes = 0;
+            this.deadline = startTime + this.timeLimit;
+            this.shouldStop = shouldStop || null;
+            this.table.clear();
+
+            let result = { move: rootMoves[0] || null, score: 0, depth: 0, nodes: 0, time: 0 };
+            if (rootMoves.length <= 1) {
+                return result;
+            }
+
+            const opponent = state.currentPlayer === 'black' ? 'white' : 'black';
+            const children = rootMoves.map(move => ({ move, state: applyMove(state, move), score: 0 }));
+
+            for (let depth = 1; depth <= this.maxDepth; depth++) {
+                try {
+                    this.searchRoot(children, opponent, depth);
+                } catch (error) {
+                    if (error !== SEARCH_ABORTED) {
+                        throw error;
+                    }
+                    break;
+                }
+
+                // Search the best moves first on the next iteration
+                children.sort((a, b) => b.score - a.score);
+                result = {
+                    move: this.pickMove(children),
+                    score: children[0].score,
+                    depth,
+                    nodes: this.nodes,
+                    time: Date.now() - startTime
+                };
+                if (onProgress) {
+                    onProgress(result);
+                }
+
+                // No point searching deeper once the outcome is decided
+                if (Math.abs(children[0].score) >= WIN_SCORE - this.maxDepth) {
+                    break;
+                }
+            }
+
+            return result;
+        }
+
+        /**
+         * Score every root move at the given depth
+         * @param {Array} children - Root moves with their resulting states, scores are updated in place
+         * @param {string} opponent - Opponent of the side to move at the root
+         * @param {number} depth - Search depth in plies
+         */
+        searchRoot(children, opponent, depth) {
+            // A full window keeps every root score exact, which the random move choice relies on
+            // when randomness is set; otherwise only the best move needs an exact score
+            let alpha = -Infinity;
+            const scores = children.map(child => {
+                const window = this.randomness > 0 ? -Infinity : alpha;
+                const score = -this.negamax(child.state, opponent, depth - 1, -Infinity, -window, 1);
+                alpha = Math.max(alpha, score);
+                return score;
+            });
+
+            // Only commit the scores once the whole depth has been searched
+            children.forEach((child, i) => {
+                child.score = scores[i];
+            });
+        }
+
+        /**
+         * Negamax search with alpha-beta pruning
+         * @param {GameState} state - Position to search
+         * @param {string} color - Side to move in the search. This is not always state.currentPlayer:
+         *     the turn does not pass once a move has won the game.
+         * @param {number} depth - Remaining depth in plies
+         * @param {number} alpha - Lower bound of the search window
+         * @param {number} beta - Upper bound of the search window
+         * @param {number} ply - Distance from the root, used to prefer faster wins
+         * @returns {number} Score from the point of view of the side to move
+         */
+        negamax(state, color, depth, alpha, beta, ply) {
+            this.checkTime();
+
+            if (state.gameOver) {
+                const score = evaluate(state, color);
+                return score > 0 ? score - ply : score < 0 ? score + ply : score;
+            }
+            if (depth <= 0) {
+                return evaluate(state, color);
+            }
+
+            const key = state.getZobristHash();
+            const entry = this.table.get(key);
+            if (entry && entry.depth >= depth) {
+                if (entry.bound === EXACT ||
+                    (entry.bound === LOWER_BOUND && entry.score >= beta) ||
+                    (entry.bound === UPPER_BOUND && entry.score <= alpha)) {
+                    return entry.score;
+                }
+            }
+
+            const moves = this.orderMoves(state, getLegalMoves(state), entry && entry.move);
+            if (moves.length === 0) {
+                return evaluate(state, color);
+            }
+
+            const opponent = color === 'black' ? 'white' : 'black';
+            const originalAlpha = alpha;
+            let bestScore = -Infinity;
+            let bestMove = null;
+
+            for (const move of moves) {
+                const score = -this.negamax(applyMove(state, move), opponent, depth - 1, -beta, -alpha, ply + 1);
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestMove = move;
+                }
+                alpha = Math.max(alpha, score);
+                if (alpha >= beta) {
+                    break;
+                }
+            }
+
+            let bound = EXACT;
+            if (bestScore <= originalAlpha) {
+                bound = UPPER_BOUND;
+            } else if (bestScore >= beta) {
+                bound = LOWER_BOUND;
+            }
+            this.table.set(key, { depth, score: bestScore, bound, move: bestMove });
+
+            return bestScore;
+        }
+
+        /**
+         * Sort moves so that the most promising ones are searched first
+         * @param {GameState} state - Position the moves are played in
+         * @param {Array} moves - Legal moves
+         * @param {Object|null} bestMove - Best move from the transposition table, searched first
+         * @returns {Array} Sorted moves
+         */
+        orderMoves(state, moves, bestMove) {
+            const priority = move => {
+                if (bestMove && movesEqual(move, bestMove)) {
+                    return 1000;
+                }
+                if (move.type !== 'movePiece') {
+                    return move.type === 'placeTile' ? 0 : 1;
+                }
+                // Ring captures and long jump chains are the moves most likely to win material
+                if (state.grid.getCell(move.from).piece.type === 'ring') {
+                    return state.grid.getCell(move.path[0]).piece ? 10 : 2;
+                }
+                const isJump = move.from.distance(move.path[0]) > 1;
+                return isJump ? 5 * move.path.length : 2;
+            };
+
+            return moves
+                .map(move => ({ move, priority: priority(move) }))
+                .sort((a, b) => b.priority - a.priority)
+                .map(({ move }) => move);
+        }
+
+        /**
+         * Choose the move to play among the scored root moves
+         * @param {Array} children - Root moves sorted by score, best first
+         * @returns {Object} Chosen move
+         */
+        pickMove(children) {
+            const best = children[0].score;
+            const candidates = children.filter(child => child.score >= best - this.randomness);
+            return candidates[Math.floor(this.random() * candidates.length)].move;
+        }
+
+        /**
+         * Abort the search when the time budget is spent or a stop was requested
+         */
+        checkTime() {
+            this.nodes++;
+            if (this.nodes % NODES_PER_TIME_CHECK !== 0) {
+                return;
+            }
+            if (Date.now() >= this.deadline || (this.shouldStop && this.shouldStop())) {
+                throw SEARCH_ABORTED;
+            }
+        }
+    }
+
+    return { AlphaBetaEngine };
+});
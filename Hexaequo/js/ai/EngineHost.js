@@ -0,0 +1,176 @@
+/**
+ * EngineHost.js
+ * Runs engine searches in a Web Worker (see engine-worker.js) so the main thread,
+ * and with it the Three.js render loop, stays responsive while the computer thinks
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(require('../core/Moves.js'));
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ normalizeMove }) {
+    class EngineHost {
+        /**
+         * Create a new engine host. The worker is started on the first search.
+         * @param {Object} [options] - Host options
+         * @param {string} [options.workerUrl='js/ai/engine-worker.js'] - URL of the worker script
+         * @param {Function} [options.createWorker] - Factory returning an object with the Worker
+         *     interface (postMessage, terminate, onmessage, onerror); defaults to new Worker(workerUrl)
+         */
+        constructor(options = {}) {
+            this.workerUrl = options.workerUrl || 'js/ai/engine-worker.js';
+            this.createWorker = options.createWorker || (() => new Worker(this.workerUrl));
+            this.worker = null;
+
+            // Search in progress: { id, resolve, reject, onProgress, best }
+            this.pending = null;
+            this.nextId = 1;
+        }
+
+        /**
+         * Check if the environment can run engine workers
+         * @returns {boolean} True if Web Workers are available
+         */
+        static isSupported() {
+            return typeof Worker !== 'undefined';
+        }
+
+        /**
+         * Search for the best move in the worker. A search that is still running is cancelled.
+         * @param {GameState} state - The game state, at the start of a turn
+         * @param {Object} [options] - Engine options, see createEngine() in AIPlayer.js
+         * @param {Object} [callbacks] - Search callbacks
+         * @param {Function} [callbacks.onProgress] - Called with { move, score, depth, nodes, time }
+         *     each time the engine reports progress
+         * @returns {Promise<Object|null>} Resolves with { move, score, depth, nodes, time }, or with
+         *     null if the search was cancelled
+         */
+        search(state, options = {}, { onProgress } = {}) {
+            this.cancel();
+
+            return new Promise((resolve, reject) => {
+                const id = this.nextId++;
+                this.pending = { id, resolve, reject, onProgress, best: null };
+
+                try {
+                    this.getWorker().postMessage({ type: 'search', id, state: state.serialize(), options });
+                } catch (error) {
+                    this.pending = null;
+                    reject(error);
+                }
+            });
+        }
+
+        /**
+         * Stop the search early. It resolves with the best move of the deepest completed
+         * depth, or with null if no depth was completed.
+         */
+        stop() {
+            if (!this.pending) {
+                return;
+            }
+
+            const { resolve, best } = this.pending;
+            this.pending = null;
+            this.terminateWorker();
+            resolve(best);
+        }
+
+        /**
+         * Cancel the search; it resolves with null
+         */
+        cancel() {
+            if (!this.pending) {
+                return;
+            }
+
+            const { resolve } = this.pending;
+            this.pending = null;
+            this.terminateWorker();
+            resolve(null);
+        }
+
+        /**
+         * Check if a search is running
+         * @returns {boolean} True while a search is running
+         */
+        isSearching() {
+            return this.pending !== null;
+        }
+
+        /**
+         * Get the worker, starting it if needed
+         * @returns {Worker} The worker
+         */
+        getWorker() {
+            if (!this.worker) {
+                this.worker = this.createWorker();
+                this.worker.onmessage = (event) => this.handleMessage(event.data);
+                this.worker.onerror = (event) => this.handleError(event);
+            }
+            return this.worker;
+        }
+
+        /**
+         * Stop the worker. A search cannot be interrupted from inside the worker,
+         * so cancelling means starting a fresh worker for the next search.
+         */
+        terminateWorker() {
+            if (this.worker) {
+                this.worker.terminate();
+                this.worker = null;
+            }
+        }
+
+        /**
+         * Handle a message from the worker
+         * @param {Object} data - Message data
+         */
+        handleMessage(data) {
+            // Ignore messages from searches that were cancelled in the meantime
+            if (!this.pending || data.id !== this.pending.id) {
+                return;
+            }
+
+            const pending = this.pending;
+            if (data.type === 'error') {
+                this.pending = null;
+                pending.reject(new Error(data.message));
+                return;
+            }
+
+            // Moves lose their Hex prototype when they are copied out of the worker
+            const { type, id, ...result } = data;
+            result.move = result.move ? normalizeMove(result.move) : null;
+
+            if (type === 'progress') {
+                pending.best = result;
+                if (pending.onProgress) {
+                    pending.onProgress(result);
+                }
+            } else if (type === 'bestmove') {
+                this.pending = null;
+                pending.resolve(result);
+            }
+        }
+
+        /**
+         * Handle a worker failure, e.g. a script that could not be loaded
+         * @param {ErrorEvent} event - The error event
+         */
+        handleError(event) {
+            const pending = this.pending;
+            this.pending = null;
+            this.terminateWorker();
+            if (pending) {
+                pending.reject(new Error(event.message || 'Engine worker failed'));
+            }
+        }
+    }
+
+    return { EngineHost };
+});
@@ -0,0 +1,290 @@
+/**
+ * EngineProtocol.js
+ * Text protocol between Hexaequo clients and engine processes, modelled on UCI. Clients
+ * write commands to the engine's standard input one per line, engines answer on standard
+ * output. Moves use the notation of Notation.js, positions the position strings.
+ *
+ * Client to engine:
+ *   hexaequo                        Start of the session; the engine answers with its id
+ *                                   and options followed by "hexaequook"
+ *   isready                         The engine answers "readyok" once it is idle
+ *   setoption name NAME value VALUE Change an engine option
+ *   newgame                         The next position belongs to a new game
+ *   position startpos [moves M...]  The standard setup, followed by the moves played
+ *   position pos POSITION [moves M...]
+ *                                   A position string (4 fields) and the moves played since
+ *   position rules RULES startpos|pos ...
+ *                                   The same in a game with other rules than the standard
+ *                                   ones: RULES is a preset name (e.g. "short") or the rules
+ *                                   as JSON without spaces; startpos is then their setup
+ *   go movetime MS | depth N | infinite
+ *                                   Search the last position; always answered by "bestmove"
+ *   stop                            End the search now
+ *   quit                            Exit
+ *
+ * Engine to client:
+ *   id name NAME / id author AUTHOR
+ *   option name NAME type spin|string|combo|check default VALUE [min N max N] [var V...]
+ *   hexaequook
+ *   readyok
+ *   info depth N score CP nodes N time MS [playouts N] pv MOVE
+ *                                   Search progress; score in hundredths of a disc from the
+ *                                   side to move's point of view
+ *   info string TEXT                Free text, e.g. why a position was rejected
+ *   bestmove MOVE | bestmove none   The move to play, "none" without legal moves or after
+ *                                   a rejected position
+ *
+ * Unknown commands are ignored, so both sides can be extended.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(
+            require('../core/GameState.js'),
+            require('../core/Storage.js'),
+            require('../core/RuleSet.js'),
+            require('../core/Moves.js'),
+            require('../core/Notation.js')
+        );
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root, root, root, root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function (
+    { GameState },
+    { MemoryStorage },
+    { RuleSet, RULE_SETS },
+    { isLegalMove },
+    { moveToNotation, parseMove }
+) {
+    // Numeric fields of info lines
+    const INFO_NUMBERS = ['depth', 'score', 'nodes', 'time', 'playouts'];
+
+    /**
+     * Split a command line into its name and arguments
+     * @param {string} line - Command line
+     * @returns {Object} { name, args } with args as an array of words; name is '' for empty lines
+     */
+    function parseCommand(line) {
+        const [name = '', ...args] = line.trim().split(/\s+/).filter(Boolean);
+        return { name, args };
+    }
+
+    /**
+     * Write rules as a single word of the position command
+     * @param {RuleSet} ruleSet - The rules
+     * @returns {string} The name of the preset they match, otherwise their JSON, leaving out
+     *     the name and label as those may contain spaces
+     */
+    function formatRules(ruleSet) {
+        const preset = Object.keys(RULE_SETS).find(name => ruleSet.equals(RuleSet.preset(name)));
+        if (preset) {
+            return preset;
+        }
+        const { pieces, setup, winConditions, repetitions, noMoves } = ruleSet.toJSON();
+        return JSON.stringify({ pieces, setup, winConditions, repetitions, noMoves });
+    }
+
+    /**
+     * Build the position command describing a game: its rules unless they are the standard
+     * ones, its first position and the moves since
+     * @param {GameState} state - The game state, at the start of a turn
+     * @returns {string} E.g. "position startpos moves D@0,0 T+2,-1"
+     */
+    function formatPositionCommand(state) {
+        const storage = new MemoryStorage();
+        const { ruleSet } = state;
+        const first = state.history[0];
+        const replay = GameState.deserialize({ state: first, history: [first], historyIndex: 0 }, { storage, ruleSet });
+
+        const start = replay.toPositionString();
+        const words = ['position'];
+        if (!ruleSet.isStandard()) {
+            words.push('rules', formatRules(ruleSet));
+        }
+        if (start === new GameState({ storage, ruleSet }).toPositionString()) {
+            words.push('startpos');
+        } else {
+            words.push('pos', start);
+        }
+
+        // Replaying the moves keeps the notation canonical, e.g. ring captures marked with "x"
+        const moves = state.history.slice(1, state.historyIndex + 1).map(snapshot => {
+            const notation = moveToNotation(snapshot.move, replay);
+            replay.makeMove(parseMove(notation));
+            return notation;
+        });
+        if (moves.length > 0) {
+            words.push('moves', ...moves);
+        }
+
+        return words.join(' ');
+    }
+
+    /**
+     * Build the game state described by the arguments of a position command
+     * @param {Array} args - Arguments following "position"
+     * @param {Object} [options] - GameState options, e.g. { storage }
+     * @returns {GameState} The game state
+     * @throws {Error} If the rules, the position or one of the moves is invalid
+     */
+    function parsePositionCommand(args, options = {}) {
+        let index = 0;
+        let ruleSet = RuleSet.standard();
+        if (args[0] === 'rules') {
+            try {
+                ruleSet = RuleSet.parse(args[1] || '');
+            } catch (error) {
+                throw new Error(`Invalid rules: ${error.message}`);
+            }
+            index = 2;
+        }
+        const state = new GameState({ storage: options.storage || new MemoryStorage(), ruleSet });
+
+        if (args[index] === 'startpos') {
+            index += 1;
+        } else if (args[index] === 'pos') {
+            // Checked first for the reason it is invalid; loadPosition() would only log it
+            const position = args.slice(index + 1, index + 5).join(' ');
+            try {
+                state.checkPosition(position);
+            } catch (error) {
+                throw new Error(`Invalid position: ${error.message}`);
+            }
+            state.loadPosition(position);
+            index += 5;
+        } else {
+            throw new Error('Expected "startpos" or "pos" after "position".');
+        }
+
+        if (index < args.length) {
+            if (args[index] !== 'moves') {
+                throw new Error(`Expected "moves", got "${args[index]}".`);
+            }
+            args.slice(index + 1).forEach(notation => {
+                const move = parseMove(notation);
+                if (state.gameOver || !isLegalMove(state, move)) {
+                    throw new Error(`Illegal move: ${notation}`);
+                }
+                state.makeMove(move);
+            });
+        }
+
+        return state;
+    }
+
+    /**
+     * Build the go command for search options
+     * @param {Object} [options] - Search options
+     * @param {number} [options.movetime] - Time per move in milliseconds
+     * @param {number} [options.depth] - Search depth; ignored when movetime is set
+     * @returns {string} E.g. "go movetime 1000"; "go infinite" without a limit
+     */
+    function formatGoCommand({ movetime, depth } = {}) {
+        if (movetime) {
+            return `go movetime ${Math.round(movetime)}`;
+        }
+        if (depth) {
+            return `go depth ${depth}`;
+        }
+        return 'go infinite';
+    }
+
+    /**
+     * Parse the arguments of a go command
+     * @param {Array} args - Arguments following "go"
+     * @returns {Object} { movetime, depth, infinite }; missing limits are undefined
+     */
+    function parseGoCommand(args) {
+        const limits = {};
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === 'infinite') {
+                limits.infinite = true;
+            } else if ((args[i] === 'movetime' || args[i] === 'depth') && i + 1 < args.length) {
+                limits[args[i]] = Number(args[++i]);
+            }
+        }
+        return limits;
+    }
+
+    /**
+     * Format search progress as an info line
+     * @param {Object} progress - { move, score, depth, nodes, time, playouts } as reported by
+     *     the engines' onProgress
+     * @param {GameState} state - Position searched, used to write the move
+     * @returns {string} Info line
+     */
+    function formatInfo(progress, state) {
+        const words = ['info'];
+        INFO_NUMBERS.forEach(field => {
+            if (Number.isFinite(progress[field])) {
+                words.push(field, String(Math.round(progress[field])));
+            }
+        });
+        if (progress.move) {
+            words.push('pv', moveToNotation(progress.move, state));
+        }
+        return words.join(' ');
+    }
+
+    /**
+     * Parse the arguments of an info line
+     * @param {Array} args - Arguments following "info"
+     * @returns {Object} { depth, score, nodes, time, playouts, move }, with the fields present
+     *     in the line; move is parsed from the first pv move
+     */
+    function parseInfo(args) {
+        const info = {};
+        for (let i = 0; i < args.length; i++) {
+            if (INFO_NUMBERS.includes(args[i]) && i + 1 < args.length) {
+                info[args[i]] = Number(args[++i]);
+            } else if (args[i] === 'pv' && i + 1 < args.length) {
+                try {
+                    info.move = parseMove(args[i + 1]);
+                } catch (error) {
+                    // A move the client cannot read only loses the progress report
+                }
+                break;
+            }
+        }
+        return info;
+    }
+
+    /**
+     * Parse an option declaration
+     * @param {Array} args - Arguments following "option"
+     * @returns {Object} { name, type, default, min, max, vars }
+     */
+    function parseOption(args) {
+        const option = { vars: [] };
+        const keys = ['name', 'type', 'default', 'min', 'max', 'var'];
+        let key = null;
+        args.forEach(word => {
+            if (keys.includes(word)) {
+                key = word;
+                if (key === 'var') {
+                    option.vars.push('');
+                }
+                return;
+            }
+            if (key === 'var') {
+                option.vars[option.vars.length - 1] = `${option.vars[option.vars.length - 1]} ${word}`.trim();
+            } else if (key) {
+                option[key] = option[key] === undefined ? word : `${option[key]} ${word}`;
+            }
+        });
+        return option;
+    }
+
+    return {
+        parseCommand,
+        formatPositionCommand,
+        parsePositionCommand,
+        formatGoCommand,
+        parseGoCommand,
+        formatInfo,
+        parseInfo,
+        parseOption
+    };
+});
@@ -0,0 +1,143 @@
+/**
+ * Evaluation.js
+ * Static evaluation of Hexaequo positions for the computer opponent
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(require('../core/HexGrid.js'));
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ Hex, HEX_DIRECTIONS }) {
+    // Score of a won position; wins found sooner score slightly higher
+    const WIN_SCORE = 100000;
+
+    // Evaluation weights, in hundredths of a disc
+    const WEIGHTS = {
+        disc: 100,            // Disc still in play (on the board or in reserve)
+        ring: 180,            // Ring still in play; rings are scarcer than discs
+        lastPieces: 120,      // Extra value of each of the last two discs or rings: losing them all loses the game
+        boardPiece: 15,       // Piece on the board rather than in reserve
+        emptyTile: 4,         // Own empty tile, room to place and manoeuvre
+        attacked: 0.5         // Share of a piece's value that is lost when the opponent can capture it next turn
+    };
+
+    /**
+     * Evaluate a position from the point of view of one player
+     * @param {GameState} state - The game state
+     * @param {string} color - Player to evaluate for ('black' or 'white')
+     * @returns {number} Score, positive when the position is good for color
+     */
+    function evaluate(state, color) {
+        const opponent = color === 'black' ? 'white' : 'black';
+
+        if (state.gameOver) {
+            if (!state.winner) {
+                return 0;
+            }
+            return state.winner === color ? WIN_SCORE : -WIN_SCORE;
+        }
+
+        let score = materialScore(state.players[color]) - materialScore(state.players[opponent]);
+
+        // Board presence and pieces the side to move can capture right away
+        const board = scanBoard(state.grid);
+        score += WEIGHTS.boardPiece * (board.pieces[color] - board.pieces[opponent]);
+        score += WEIGHTS.emptyTile * (board.emptyTiles[color] - board.emptyTiles[opponent]);
+
+        // Only the side to move can cash in its attacks; the other side still has a turn to defend
+        const waiting = state.currentPlayer === 'black' ? 'white' : 'black';
+        const loss = WEIGHTS.attacked * board.attacked[waiting];
+        score += waiting === color ? -loss : loss;
+
+        return score;
+    }
+
+    /**
+     * Value of one player's remaining material
+     * @param {Object} player - Player counters from GameState.players
+     * @returns {number} Material score
+     */
+    function materialScore(player) {
+        const discs = player.discs.total;
+        const rings = player.rings.total;
+
+        return WEIGHTS.disc * discs +
+            WEIGHTS.ring * rings +
+            WEIGHTS.lastPieces * (Math.min(discs, 2) + Math.min(rings, 2));
+    }
+
+    /**
+     * Count pieces, empty tiles and the value of attacked pieces of both players
+     * @param {HexGrid} grid - The hex grid
+     * @returns {Object} Per-color counts: { pieces, emptyTiles, attacked }
+     */
+    function scanBoard(grid) {
+        const result = {
+            pieces: { black: 0, white: 0 },
+            emptyTiles: { black: 0, white: 0 },
+            attacked: { black: 0, white: 0 }
+        };
+        const attackedHashes = new Set();
+
+        grid.cells.forEach((data, hash) => {
+            if (!data.piece) {
+                result.emptyTiles[data.color]++;
+                return;
+            }
+
+            const piece = data.piece;
+            result.pieces[piece.color]++;
+
+            const hex = Hex.fromHash(hash);
+            const targets = piece.type === 'disc' ? discTargets(grid, hex) : ringTargets(grid, hex);
+            targets.forEach(target => {
+                const targetHash = target.hash();
+                const targetPiece = grid.getCell(target).piece;
+                if (targetPiece.color !== piece.color && !attackedHashes.has(targetHash)) {
+                    attackedHashes.add(targetHash);
+                    result.attacked[targetPiece.color] += WEIGHTS[targetPiece.type];
+                }
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Pieces a disc can capture with a single jump
+     * @param {HexGrid} grid - The hex grid
+     * @param {Hex} hex - Position of the disc
+     * @returns {Array} Hexes of the pieces that can be jumped
+     */
+    function discTargets(grid, hex) {
+        const targets = [];
+        HEX_DIRECTIONS.forEach(dir => {
+            const over = hex.add(dir);
+            const overCell = grid.getCell(over);
+            if (!overCell || !overCell.piece) {
+                return;
+            }
+            const landingCell = grid.getCell(over.add(dir));
+            if (landingCell && !landingCell.piece) {
+                targets.push(over);
+            }
+        });
+        return targets;
+    }
+
+    /**
+     * Pieces a ring can capture by landing on them
+     * @param {HexGrid} grid - The hex grid
+     * @param {Hex} hex - Position of the ring
+     * @returns {Array} Hexes of the pieces the ring can land on
+     */
+    function ringTargets(grid, hex) {
+        return grid.getValidRingMoves(hex).filter(target => grid.getCell(target).piece);
+    }
+
+    return { evaluate, WIN_SCORE, EVALUATION_WEIGHTS: WEIGHTS };
+});
@@ -0,0 +1,329 @@
+/**
+ * ExternalEngine.js
+ * Client side of the engine protocol (see EngineProtocol.js): drives an engine running in
+ * another process, possibly written in another language. The engine is reached through a
+ * transport, a WebSocket relay in the browser (see server.js --engine) or the process's
+ * standard input and output in Node (see tools/external-engine.js).
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(require('../core/Moves.js'), require('../core/Notation.js'), require('./EngineProtocol.js'));
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root, root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function (
+    { isLegalMove },
+    { parseMove },
+    { parseCommand, formatPositionCommand, formatGoCommand, parseInfo, parseOption }
+) {
+    // Time per move when the search options set no limit
+    const DEFAULT_MOVETIME = 1000;
+
+    class ExternalEngine {
+        /**
+         * Create a client for an engine
+         * @param {Object} transport - Connection to the engine: send(line) writes a line to it,
+         *     close() ends it; the client sets transport.onLine and transport.onClose
+         */
+        constructor(transport) {
+            this.transport = transport;
+            this.transport.onLine = (line) => this.handleLine(line);
+            this.transport.onClose = () => this.handleClose();
+
+            // Engine identity and options, known once init() resolves
+            this.name = 'External engine';
+            this.author = null;
+            this.options = [];
+
+            // Handshake awaited by init(): { resolve, reject }
+            this.handshake = null;
+
+            // One entry per "isready" sent, in order: { resolve, reject } for isReady() calls,
+            // { discard: true } after a cancelled search, whose output comes before the reply
+            this.readyQueue = [];
+
+            // Search in progress: { state, resolve, reject, onProgress, best }
+            this.pending = null;
+            this.closed = false;
+        }
+
+        /**
+         * Connect to an engine relayed over a WebSocket and start the session
+         * @param {string} url - WebSocket URL, e.g. "ws://localhost:8080/engine"
+         * @returns {Promise<ExternalEngine>} Resolves once the engine is ready
+         */
+        static connect(url) {
+            return new Promise((resolve, reject) => {
+                const socket = new WebSocket(url);
+                const transport = {
+                    send: (line) => socket.send(line),
+                    close: () => socket.close()
+                };
+                socket.onmessage = (event) => String(event.data).split('\n').forEach(line => transport.onLine(line));
+                socket.onerror = () => reject(new Error(`Could not connect to the engine at ${url}`));
+                socket.onclose = () => {
+                    reject(new Error('Engine connection closed'));
+                    if (transport.onClose) {
+                        transport.onClose();
+                    }
+                };
+                socket.onopen = () => {
+                    const engine = new ExternalEngine(transport);
+                    engine.init().then(() => resolve(engine), reject);
+                };
+            });
+        }
+
+        /**
+         * Start the session: read the engine's id and options and wait until it is ready
+         * @returns {Promise<ExternalEngine>} Resolves with this client
+         */
+        async init() {
+            const reply = new Promise((resolve, reject) => {
+                this.handshake = { resolve, reject };
+            });
+            this.send('hexaequo');
+            await reply;
+            await this.isReady();
+            return this;
+        }
+
+        /**
+         * Wait until the engine has processed all commands sent so far
+         * @returns {Promise} Resolves when the engine answers "readyok"
+         */
+        isReady() {
+            return new Promise((resolve, reject) => {
+                this.readyQueue.push({ resolve, reject });
+                this.send('isready');
+            });
+        }
+
+        /**
+         * Change an engine option
+         * @param {string} name - Option name, as declared by the engine
+         * @param {string|number|boolean} value - New value
+         */
+        setOption(name, value) {
+            this.send(`setoption name ${name} value ${value}`);
+        }
+
+        /**
+         * Tell the engine that the next position belongs to a new game
+         */
+        newGame() {
+            this.send('newgame');
+        }
+
+        /**
+         * Search for the best move. A search that is still running is cancelled.
+         * @param {GameState} state - The game state, at the start of a turn
+         * @param {Object} [options] - Search options
+         * @param {number} [options.movetime] - Time per move in milliseconds; defaults to
+         *     options.timeLimit, as used by the built-in engines, or 1 second
+         * @param {number} [options.depth] - Search depth instead of a time limit
+         * @param {Object} [callbacks] - Search callbacks
+         * @param {Function} [callbacks.onProgress] - Called with { move, score, depth, nodes, time }
+         *     for each info line
+         * @returns {Promise<Object|null>} Resolves with { move, score, depth, nodes, time }, or with
+         *     null if the search was cancelled; rejects if the engine plays an illegal move
+         */
+        search(state, options = {}, { onProgress } = {}) {
+            this.cancel();
+
+            return new Promise((resolve, reject) => {
+                if (this.closed) {
+                    reject(new Error('Engine connection closed'));
+                    return;
+                }
+
+                this.pending = { state, resolve, reject, onProgress, best: {} };
+                const movetime = options.movetime || (options.depth ? 0 : options.timeLimit || DEFAULT_MOVETIME);
+                this.send(formatPositionCommand(state));
+                this.send(formatGoCommand({ movetime, depth: options.depth }));
+            });
+        }
+
+        /**
+         * Stop the search early; it resolves with the engine's best move so far
+         */
+        stop() {
+            if (this.pending) {
+                this.send('stop');
+            }
+        }
+
+        /**
+         * Cancel the search; it resolves with null and the engine's answer is ignored
+         */
+        cancel() {
+            if (!this.pending) {
+                return;
+            }
+
+            const { resolve } = this.pending;
+            this.pending = null;
+            resolve(null);
+
+            // The engine still answers with bestmove; everything it writes before the
+            // following readyok belongs to the cancelled search
+            this.readyQueue.push({ discard: true });
+            this.send('stop');
+            this.send('isready');
+        }
+
+        /**
+         * Check if a search is running
+         * @returns {boolean} True while a search is running
+         */
+        isSearching() {
+            return this.pending !== null;
+        }
+
+        /**
+         * End the session and the connection
+         */
+        close() {
+            if (!this.closed) {
+                this.send('quit');
+                this.transport.close();
+                this.handleClose();
+            }
+        }
+
+        /**
+         * Send a command line to the engine
+         * @param {string} line - Command line
+         */
+        send(line) {
+            if (!this.closed) {
+                this.transport.send(line);
+            }
+        }
+
+        /**
+         * Check if the engine output belongs to a cancelled search
+         * @returns {boolean} True until the engine has caught up with the last cancel()
+         */
+        isDiscarding() {
+            return this.readyQueue.some(entry => entry.discard);
+        }
+
+        /**
+         * Handle a line written by the engine
+         * @param {string} line - Output line
+         */
+        handleLine(line) {
+            const { name, args } = parseCommand(line);
+            switch (name) {
+                case 'id':
+                    if (args[0] === 'name') {
+                        this.name = args.slice(1).join(' ');
+                    } else if (args[0] === 'author') {
+                        this.author = args.slice(1).join(' ');
+                    }
+                    break;
+
+                case 'option':
+                    this.options.push(parseOption(args));
+                    break;
+
+                case 'info':
+                    this.handleInfo(parseInfo(args));
+                    break;
+
+                case 'bestmove':
+                    this.handleBestMove(args[0]);
+                    break;
+
+                case 'hexaequook':
+                    if (this.handshake) {
+                        this.handshake.resolve();
+                        this.handshake = null;
+                    }
+                    break;
+
+                case 'readyok': {
+                    const entry = this.readyQueue.shift();
+                    if (entry && entry.resolve) {
+                        entry.resolve();
+                    }
+                    break;
+                }
+            }
+        }
+
+        /**
+         * Handle search progress
+         * @param {Object} info - Parsed info line
+         */
+        handleInfo(info) {
+            if (!this.pending || this.isDiscarding()) {
+                return;
+            }
+
+            const best = { ...this.pending.best, ...info };
+            this.pending.best = best;
+            if (this.pending.onProgress && best.move) {
+                this.pending.onProgress(best);
+            }
+        }
+
+        /**
+         * Handle the end of a search
+         * @param {string} notation - Move notation, or "none"
+         */
+        handleBestMove(notation) {
+            const pending = this.pending;
+            if (!pending || this.isDiscarding()) {
+                return;
+            }
+            this.pending = null;
+
+            // The last info line supplies the score, depth, nodes and time
+            const result = { score: 0, depth: 0, nodes: 0, time: 0, ...pending.best, move: null };
+            if (notation && notation !== 'none') {
+                let move;
+                try {
+                    move = parseMove(notation);
+                } catch (error) {
+                    pending.reject(error);
+                    return;
+                }
+                if (!isLegalMove(pending.state, move)) {
+                    pending.reject(new Error(`Engine played an illegal move: ${notation}`));
+                    return;
+                }
+                result.move = move;
+            }
+            pending.resolve(result);
+        }
+
+        /**
+         * Handle the end of the connection: everything still awaited fails
+         */
+        handleClose() {
+            if (this.closed) {
+                return;
+            }
+            this.closed = true;
+
+            const error = new Error('Engine connection closed');
+            if (this.handshake) {
+                this.handshake.reject(error);
+                this.handshake = null;
+            }
+            this.readyQueue.forEach(entry => entry.reject && entry.reject(error));
+            this.readyQueue = [];
+            if (this.pending) {
+                this.pending.reject(error);
+                this.pending = null;
+            }
+        }
+    }
+
+    return { ExternalEngine };
+});
@@ -0,0 +1,189 @@
+/**
+ * GameAnalysis.js
+ * Post-game analysis: an engine evaluates every position of a finished game and the moves
+ * where the evaluation swings sharply are flagged as blunders, missed captures or allowed
+ * ring captures
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(
+            require('../core/GameState.js'),
+            require('../core/Moves.js'),
+            require('../core/Notation.js'),
+            require('./Evaluation.js'),
+            require('./AIPlayer.js')
+        );
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root, root, root, root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function (
+    { GameState },
+    { applyMove },
+    { moveToNotation },
+    { evaluate, WIN_SCORE },
+    { createEngine }
+) {
+    // Evaluation losses, in hundredths of a disc, that make a move a mistake or a blunder
+    const MISTAKE_THRESHOLD = 80;
+    const BLUNDER_THRESHOLD = 180;
+
+    // Missed and allowed captures only count when they cost at least this much
+    const MISSED_CAPTURE_THRESHOLD = 50;
+
+    // Evaluations are clamped to this range for the graph and for comparing moves
+    const EVALUATION_LIMIT = 1000;
+
+    // Default engine options: a short search per position keeps the analysis quick
+    const DEFAULT_ANALYSIS_OPTIONS = { maxDepth: 4, timeLimit: 500 };
+
+    /**
+     * Rebuild every position of the game, from the start to the current position
+     * @param {GameState} gameState - The game state
+     * @returns {Array} Array of GameState, one per ply; each keeps the history leading to it
+     */
+    function getGamePositions(gameState) {
+        const history = gameState.history.slice(0, gameState.historyIndex + 1);
+        return history.map((snapshot, index) => GameState.deserialize(
+            { state: snapshot, history: history.slice(0, index + 1), historyIndex: index },
+            { storage: gameState.storage }
+        ));
+    }
+
+    /**
+     * Analyse the moves played so far
+     * @param {GameState} gameState - The game state; usually a finished game
+     * @param {Object} [options] - Analysis options
+     * @param {Function} [options.search] - Search function (state) => result or Promise of result,
+     *     with { move, score } as returned by the engines' search(); defaults to an alpha-beta
+     *     search with options.engineOptions
+     * @param {Object} [options.engineOptions] - Engine options for the default search
+     * @param {Function} [options.onProgress] - Called with (analysedPositions, totalPositions)
+     * @param {Function} [options.shouldStop] - Polled between positions; returning true stops the
+     *     analysis, which then resolves with null
+     * @returns {Promise<Object|null>} Resolves with { evaluations, moves }:
+     *     evaluations - evaluation of each position from Black's point of view, clamped to ±1000
+     *     moves - per move { ply, color, move, notation, before, after, loss, bestMove,
+     *             bestNotation, flags } where before/after/loss are from the mover's point of
+     *             view and flags lists 'blunder', 'mistake', 'missed capture', 'allowed ring capture'
+     */
+    async function analyseGame(gameState, options = {}) {
+        const engineOptions = options.engineOptions || DEFAULT_ANALYSIS_OPTIONS;
+        const search = options.search || (state => createEngine(engineOptions).search(state));
+        const positions = getGamePositions(gameState);
+
+        // Search every position the side to move still had to play in
+        const results = [];
+        for (let i = 0; i < positions.length; i++) {
+            if (options.shouldStop && options.shouldStop()) {
+                return null;
+            }
+            results.push(positions[i].gameOver ? null : await search(positions[i]));
+            if (options.onProgress) {
+                options.onProgress(i + 1, positions.length);
+            }
+        }
+
+        const evaluations = positions.map((state, i) => positionValue(state, results[i]));
+        const moves = positions.slice(1).map((state, index) => analyseMove(
+            positions[index],
+            state,
+            results[index],
+            results[index + 1],
+            evaluations[index],
+            evaluations[index + 1]
+        ));
+
+        return { evaluations, moves };
+    }
+
+    /**
+     * Analyse a single move
+     * @param {GameState} before - Position the move was played in
+     * @param {GameState} after - Position after the move
+     * @param {Object} bestResult - Search result of the position before the move
+     * @param {Object|null} replyResult - Search result of the position after the move
+     * @param {number} valueBefore - Evaluation before the move, from Black's point of view
+     * @param {number} valueAfter - Evaluation after the move, from Black's point of view
+     * @returns {Object} Move analysis, see analyseGame()
+     */
+    function analyseMove(before, after, bestResult, replyResult, valueBefore, valueAfter) {
+        const color = before.currentPlayer;
+        const sign = color === 'black' ? 1 : -1;
+        const move = after.history[after.historyIndex].move;
+        const bestMove = bestResult ? bestResult.move : null;
+        const loss = Math.max(0, sign * (valueBefore - valueAfter));
+        const flags = [];
+
+        if (loss >= BLUNDER_THRESHOLD) {
+            flags.push('blunder');
+        } else if (loss >= MISTAKE_THRESHOLD) {
+            flags.push('mistake');
+        }
+
+        // The engine's move would have won material the played move left on the board
+        if (bestMove && loss >= MISSED_CAPTURE_THRESHOLD) {
+            const bestCapture = capturedValue(before, applyMove(before, bestMove));
+            if (bestCapture > capturedValue(before, after)) {
+                flags.push('missed capture');
+            }
+        }
+
+        // The opponent's best reply takes a ring that could have been kept
+        if (replyResult && replyResult.move && loss >= MISSED_CAPTURE_THRESHOLD) {
+            const reply = applyMove(after, replyResult.move);
+            if (reply.players[color].rings.total < after.players[color].rings.total) {
+                flags.push('allowed ring capture');
+            }
+        }
+
+        return {
+            ply: after.historyIndex,
+            color,
+            move,
+            notation: moveToNotation(move, before),
+            before: sign * valueBefore,
+            after: sign * valueAfter,
+            loss,
+            bestMove,
+            bestNotation: bestMove ? moveToNotation(bestMove, before) : null,
+            flags
+        };
+    }
+
+    /**
+     * Value of the opponent's material removed by a move
+     * @param {GameState} before - Position before the move
+     * @param {GameState} after - Position after the move
+     * @returns {number} Captured discs count 1, captured rings 2
+     */
+    function capturedValue(before, after) {
+        const opponent = before.currentPlayer === 'black' ? 'white' : 'black';
+        const discs = before.players[opponent].discs.total - after.players[opponent].discs.total;
+        const rings = before.players[opponent].rings.total - after.players[opponent].rings.total;
+        return discs + 2 * rings;
+    }
+
+    /**
+     * Evaluation of a position from Black's point of view, clamped for display
+     * @param {GameState} state - The position
+     * @param {Object|null} result - Search result for the position, null for finished games
+     * @returns {number} Evaluation in hundredths of a disc
+     */
+    function positionValue(state, result) {
+        let value;
+        if (state.gameOver || !result) {
+            value = evaluate(state, 'black');
+        } else {
+            value = state.currentPlayer === 'black' ? result.score : -result.score;
+        }
+        if (Math.abs(value) >= WIN_SCORE / 2) {
+            return Math.sign(value) * EVALUATION_LIMIT;
+        }
+        return Math.max(-EVALUATION_LIMIT, Math.min(EVALUATION_LIMIT, value));
+    }
+
+    return { analyseGame, getGamePositions, EVALUATION_LIMIT };
+});
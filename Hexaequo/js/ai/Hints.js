@@ -0,0 +1,166 @@
+/**
+ * Hints.js
+ * Short explanations of suggested moves, e.g. "captures a ring" or "threatens double jump",
+ * for players who are still learning to read jump chains
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(require('../core/Moves.js'));
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ applyMove }) {
+    /**
+     * Explain what a move achieves
+     * @param {GameState} state - Position the move is played in
+     * @param {Object} move - Move object
+     * @returns {string} Short reason, e.g. "captures a ring and threatens double jump"
+     */
+    function explainMove(state, move) {
+        const color = state.currentPlayer;
+        const opponent = color === 'black' ? 'white' : 'black';
+        const next = applyMove(state, move);
+
+        if (next.gameOver) {
+            if (next.winner === color) {
+                return 'wins the game';
+            }
+            return next.winner ? 'loses the game' : 'draws the game';
+        }
+
+        const reasons = [];
+
+        // Material won by the move itself
+        const captured = describePieces(
+            state.players[opponent].discs.total - next.players[opponent].discs.total,
+            state.players[opponent].rings.total - next.players[opponent].rings.total
+        );
+        if (captured) {
+            reasons.push(`captures ${captured}`);
+        }
+
+        // Captures the move sets up for the next turn, not counting threats that already existed
+        const threat = findBestCapture(next.grid, color);
+        const existingThreat = findBestCapture(state.grid, color);
+        const isNewThreat = captured || threat.value > existingThreat.value || threat.jumps > existingThreat.jumps;
+        if (isNewThreat) {
+            if (threat.jumps >= 2) {
+                reasons.push('threatens double jump');
+            } else if (threat.rings > 0) {
+                reasons.push('threatens to capture a ring');
+            } else if (threat.discs > 0 && !captured) {
+                reasons.push('threatens to capture a disc');
+            }
+        }
+
+        // Captures the opponent could make before and after the move
+        const danger = findBestCapture(state.grid, opponent);
+        const remaining = findBestCapture(next.grid, opponent);
+        if (danger.value > 0 && remaining.value < danger.value) {
+            reasons.push(`saves ${danger.rings > 0 ? 'a ring' : 'a disc'} from capture`);
+        }
+
+        if (reasons.length === 0) {
+            reasons.push(describeQuietMove(state, move));
+        }
+
+        return reasons.slice(0, 2).join(' and ');
+    }
+
+    /**
+     * Describe a number of pieces, e.g. "a ring" or "2 discs and a ring"
+     * @param {number} discs - Number of discs
+     * @param {number} rings - Number of rings
+     * @returns {string} Description, empty when there are no pieces
+     */
+    function describePieces(discs, rings) {
+        const parts = [];
+        if (discs > 0) {
+            parts.push(discs === 1 ? 'a disc' : `${discs} discs`);
+        }
+        if (rings > 0) {
+            parts.push(rings === 1 ? 'a ring' : `${rings} rings`);
+        }
+        return parts.join(' and ');
+    }
+
+    /**
+     * Describe a move that neither captures nor threatens anything
+     * @param {GameState} state - Position the move is played in
+     * @param {Object} move - Move object
+     * @returns {string} Reason
+     */
+    function describeQuietMove(state, move) {
+        switch (move.type) {
+            case 'placeTile':
+                return 'opens new space on the board';
+            case 'placeDisc':
+                return 'brings a new disc into play';
+            case 'placeRing':
+                return 'brings a new ring into play';
+            default:
+                return state.grid.getCell(move.from).piece.type === 'ring' ?
+                    'repositions a ring' :
+                    'improves the position of a disc';
+        }
+    }
+
+    /**
+     * Find the most valuable capture one player could make if it were their turn
+     * @param {HexGrid} grid - The hex grid
+     * @param {string} color - Player to look at
+     * @returns {Object} { discs, rings, jumps, value } of the best capture; all 0 if there is none
+     */
+    function findBestCapture(grid, color) {
+        let best = { discs: 0, rings: 0, jumps: 0, value: 0 };
+        const consider = (discs, rings, jumps) => {
+            const value = discs + 2 * rings;
+            if (value > best.value || (value === best.value && jumps > best.jumps)) {
+                best = { discs, rings, jumps, value };
+            }
+        };
+
+        grid.getAllCells().forEach(([hex, data]) => {
+            if (!data.piece || data.piece.color !== color) {
+                return;
+            }
+
+            if (data.piece.type === 'ring') {
+                grid.getValidRingMoves(hex).forEach(to => {
+                    const target = grid.getCell(to).piece;
+                    if (target) {
+                        consider(target.type === 'disc' ? 1 : 0, target.type === 'ring' ? 1 : 0, 0);
+                    }
+                });
+                return;
+            }
+
+            grid.getDiscJumpPaths(hex).forEach(path => {
+                let discs = 0;
+                let rings = 0;
+                let from = hex;
+                path.forEach(to => {
+                    const over = grid.getCell(grid.getJumpedHexes(from, to)[0]).piece;
+                    if (over.color !== color) {
+                        if (over.type === 'disc') {
+                            discs++;
+                        } else {
+                            rings++;
+                        }
+                    }
+                    from = to;
+                });
+                if (discs + rings > 0) {
+                    consider(discs, rings, discs + rings);
+                }
+            });
+        });
+
+        return best;
+    }
+
+    return { explainMove, findBestCapture };
+});
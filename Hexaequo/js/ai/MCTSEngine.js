@@ -0,0 +1,245 @@
+/**
+ * MCTSEngine.js
+ * Monte Carlo Tree Search for the computer opponent: UCT selection, random playouts
+ * cut off after a number of moves and scored with the static evaluation
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(require('../core/Moves.js'), require('./Evaluation.js'));
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function (
+    { getLegalMoves, applyMove },
+    { evaluate }
+) {
+    // Evaluation difference that turns into a 73% (1 / (1 + e^-1)) win chance at a playout cutoff
+    const EVALUATION_SCALE = 300;
+
+    // How many playouts to run between two progress reports
+    const PLAYOUTS_PER_PROGRESS = 100;
+
+    /**
+     * A node of the search tree
+     */
+    class SearchNode {
+        /**
+         * @param {GameState} state - Position of the node
+         * @param {Object|null} move - Move that led to the position
+         * @param {SearchNode|null} parent - Parent node
+         */
+        constructor(state, move, parent) {
+            this.state = state;
+            this.move = move;
+            this.parent = parent;
+            this.children = [];
+            this.untriedMoves = getLegalMoves(state);
+
+            // Player who chose this node's move; rewards are counted from their point of view
+            this.mover = parent ? parent.state.currentPlayer : null;
+            this.visits = 0;
+            this.reward = 0;
+        }
+
+        /**
+         * Pick the child with the best upper confidence bound (UCT)
+         * @param {number} exploration - Exploration constant
+         * @returns {SearchNode} Selected child
+         */
+        selectChild(exploration) {
+            const logVisits = Math.log(this.visits);
+            let best = null;
+            let bestValue = -Infinity;
+
+            this.children.forEach(child => {
+                const value = child.reward / child.visits +
+                    exploration * Math.sqrt(logVisits / child.visits);
+                if (value > bestValue) {
+                    bestValue = value;
+                    best = child;
+                }
+            });
+            return best;
+        }
+    }
+
+    class MCTSEngine {
+        /**
+         * Create a new search engine
+         * @param {Object} [options] - Engine options
+         * @param {number} [options.playouts=1000] - Number of playouts per search
+         * @param {number} [options.exploration=Math.SQRT2] - UCT exploration constant; higher values
+         *     spread playouts over more moves, lower values focus on the best ones
+         * @param {number} [options.playoutDepth=20] - Moves played at random before a playout is cut
+         *     off and scored with the static evaluation
+         * @param {number} [options.timeLimit=Infinity] - Time budget per search in milliseconds
+         * @param {Function} [options.random=Math.random] - Random number generator
+         */
+        constructor(options = {}) {
+            this.playouts = options.playouts || 1000;
+            this.exploration = options.exploration !== undefined ? options.exploration : Math.SQRT2;
+            this.playoutDepth = options.playoutDepth !== undefined ? options.playoutDepth : 20;
+            this.timeLimit = options.timeLimit || Infinity;
+            this.random = options.random || Math.random;
+        }
+
+        /**
+         * Search for the best move of the side to move
+         * @param {GameState} state - The game state, at the start of a turn
+         * @param {Object} [callbacks] - Search callbacks
+         * @param {Function} [callbacks.onProgress] - Called every few playouts with the current result
+         * @param {Function} [callbacks.shouldStop] - Polled between playouts; returning true stops the search
+         * @returns {Object} { move, score, depth, nodes, time, playouts, policy }. The score is the
+         *     expected result for the side to move (0 to 1) and policy lists every root move with its
+         *     share of the playouts, which can be used as self-play training data; moves the search
+         *     did not reach have 0 visits and a null score.
+         */
+        search(state, { onProgress, shouldStop } = {}) {
+            const startTime = Date.now();
+            const deadline = startTime + this.timeLimit;
+            const root = new SearchNode(state, null, null);
+            this.nodes = 1;
+
+            if (root.untriedMoves.length <= 1) {
+                return this.getResult(root, startTime, 0);
+            }
+
+            let playouts = 0;
+            while (playouts < this.playouts) {
+                if (Date.now() >= deadline || (shouldStop && shouldStop())) {
+                    break;
+                }
+
+                this.runPlayout(root);
+                playouts++;
+
+                if (onProgress && playouts % PLAYOUTS_PER_PROGRESS === 0) {
+                    onProgress(this.getResult(root, startTime, playouts));
+                }
+            }
+
+            return this.getResult(root, startTime, playouts);
+        }
+
+        /**
+         * Run one iteration: select a leaf, expand it, play out a game and back up the result
+         * @param {SearchNode} root - Root of the search tree
+         */
+        runPlayout(root) {
+            // Selection
+            let node = root;
+            while (node.untriedMoves.length === 0 && node.children.length > 0) {
+                node = node.selectChild(this.exploration);
+            }
+
+            // Expansion
+            if (node.untriedMoves.length > 0) {
+                const index = Math.floor(this.random() * node.untriedMoves.length);
+                const move = node.untriedMoves.splice(index, 1)[0];
+                const child = new SearchNode(applyMove(node.state, move), move, node);
+                node.children.push(child);
+                this.nodes++;
+                node = child;
+            }
+
+            // Simulation
+            const outcome = this.simulate(node.state);
+
+            // Backpropagation
+            for (; node; node = node.parent) {
+                node.visits++;
+                if (node.mover) {
+                    node.reward += outcome[node.mover];
+                }
+            }
+        }
+
+        /**
+         * Play random moves from a position and score the outcome
+         * @param {GameState} state - Starting position
+         * @returns {Object} Expected result for each player: { black, white }, summing to 1
+         */
+        simulate(state) {
+            let current = state;
+            for (let i = 0; i < this.playoutDepth && !current.gameOver; i++) {
+                const moves = getLegalMoves(current);
+                if (moves.length === 0) {
+                    break;
+                }
+                current = applyMove(current, moves[Math.floor(this.random() * moves.length)]);
+            }
+
+            let black;
+            if (current.gameOver) {
+                black = current.winner === 'black' ? 1 : current.winner === 'white' ? 0 : 0.5;
+            } else {
+                black = 1 / (1 + Math.exp(-evaluate(current, 'black') / EVALUATION_SCALE));
+            }
+            return { black, white: 1 - black };
+        }
+
+        /**
+         * Summarize the search tree
+         * @param {SearchNode} root - Root of the search tree
+         * @param {number} startTime - Time the search started
+         * @param {number} playouts - Playouts run so far
+         * @returns {Object} Search result, see search()
+         */
+        getResult(root, startTime, playouts) {
+            const time = Date.now() - startTime;
+            const untried = root.untriedMoves.map(move => ({ move, visits: 0, share: 0, score: null }));
+
+            // Without playouts there is nothing to choose from: play the only (or first) move
+            if (root.children.length === 0) {
+                const move = root.untriedMoves[0] || null;
+                return {
+                    move,
+                    score: 0.5,
+                    depth: 0,
+                    nodes: this.nodes,
+                    time,
+                    playouts,
+                    policy: move ? [{ move, visits: 0, share: 1, score: 0.5 }, ...untried.slice(1)] : []
+                };
+            }
+
+            // The most visited move is the most robust choice
+            const best = root.children.reduce((a, b) => (b.visits > a.visits ? b : a));
+            const policy = root.children.map(child => ({
+                move: child.move,
+                visits: child.visits,
+                share: child.visits / root.visits,
+                score: child.reward / child.visits
+            })).concat(untried);
+
+            return {
+                move: best.move,
+                score: best.reward / best.visits,
+                depth: this.getTreeDepth(best) + 1,
+                nodes: this.nodes,
+                time,
+                playouts,
+                policy
+            };
+        }
+
+        /**
+         * Length of the principal variation below a node, following the most visited children
+         * @param {SearchNode} node - Starting node
+         * @returns {number} Depth in plies
+         */
+        getTreeDepth(node) {
+            let depth = 0;
+            while (node.children.length > 0) {
+                node = node.children.reduce((a, b) => (b.visits > a.visits ? b : a));
+                depth++;
+            }
+            return depth;
+        }
+    }
+
+    return { MCTSEngine };
+});
@@ -0,0 +1,52 @@
+/**
+ * engine-worker.js
+ * Web Worker running engine searches off the main thread, so the board keeps rendering
+ * while the computer thinks. Driven by EngineHost.
+ *
+ * Messages received:
+ *   { type: 'search', id, state, options }
+ *     state   - output of GameState.serialize()
+ *     options - engine options for createEngine(), e.g. { maxDepth, timeLimit, randomness }
+ *               or { engine: 'mcts', playouts, exploration }
+ *
+ * Messages sent:
+ *   { type: 'progress', id, move, score, depth, nodes, time }  after each completed depth
+ *                                                              (alpha-beta) or every 100 playouts (MCTS)
+ *   { type: 'bestmove', id, move, score, depth, nodes, time }  when the search is over
+ *   { type: 'error', id, message }                             if the search failed
+ *
+ * A search cannot be interrupted from inside the worker; EngineHost cancels it by
+ * terminating the worker.
+ */
+
+importScripts(
+    '../core/HexGrid.js',
+    '../core/Storage.js',
+    '../core/RuleSet.js',
+    '../core/GameClock.js',
+    '../core/Moves.js',
+    '../core/Notation.js',
+    '../core/GameState.js',
+    './Evaluation.js',
+    './AlphaBetaEngine.js',
+    './MCTSEngine.js',
+    './AIPlayer.js'
+);
+
+self.onmessage = (event) => {
+    const { type, id, state, options } = event.data;
+    if (type !== 'search') {
+        return;
+    }
+
+    try {
+        const gameState = GameState.deserialize(state, { storage: new MemoryStorage() });
+        const engine = createEngine(options);
+        const result = engine.search(gameState, {
+            onProgress: (progress) => self.postMessage({ type: 'progress', id, ...progress })
+        });
+        self.postMessage({ type: 'bestmove', id, ...result });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+};
@@ -0,0 +1,20 @@
+/**
+ * index.js
+ * Entry point of the Hexaequo computer opponent for Node.
+ * The same files are loaded with <script> tags in the browser.
+ *
+ * Usage:
+ *   const { AIPlayer } = require('./js/ai');
+ */
+
+module.exports = {
+    ...require('./Evaluation.js'),
+    ...require('./AlphaBetaEngine.js'),
+    ...require('./MCTSEngine.js'),
+    ...require('./AIPlayer.js'),
+    ...require('./Hints.js'),
+    ...require('./GameAnalysis.js'),
+    ...require('./EngineHost.js'),
+    ...require('./EngineProtocol.js'),
+    ...require('./ExternalEngine.js')
+};
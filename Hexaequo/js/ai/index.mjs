@@ -0,0 +1,37 @@
+/**
+ * index.mjs
+ * ES module entry point of the Hexaequo computer opponent.
+ *
+ * Usage:
+ *   import { AIPlayer } from './js/ai/index.mjs';
+ */
+
+import ai from './index.js';
+
+export const {
+    evaluate,
+    WIN_SCORE,
+    EVALUATION_WEIGHTS,
+    AlphaBetaEngine,
+    MCTSEngine,
+    AIPlayer,
+    DIFFICULTY_LEVELS,
+    createEngine,
+    explainMove,
+    findBestCapture,
+    analyseGame,
+    getGamePositions,
+    EVALUATION_LIMIT,
+    EngineHost,
+    parseCommand,
+    formatPositionCommand,
+    parsePositionCommand,
+    formatGoCommand,
+    parseGoCommand,
+    formatInfo,
+    parseInfo,
+    parseOption,
+    ExternalEngine
+} = ai;
+
+export default ai;
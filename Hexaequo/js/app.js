@@ -74,10 +74,17 @@ function initGame(modelLoader) {
     // Create the input handler
     const inputHandler = new InputHandler(gameState, renderer, ui);
     inputHandler.enable();
+    ui.setInputHandler(inputHandler);
     
     // Update the UI
     ui.update();
     
+    // A link such as /?room=ABCD opens the online game of that room
+    const roomCode = new URLSearchParams(window.location.search).get('room');
+    if (roomCode && window.location.protocol.startsWith('http')) {
+        ui.joinOnlineGame(roomCode);
+    }
+    
     // Add the game to the window for use with browser dev tools
     window.hexaequoGame = {
         gameState,
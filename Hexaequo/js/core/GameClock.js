@@ -0,0 +1,271 @@
+/**
+ * GameClock.js
+ * Chess-style clocks for timed games. Each player has a time budget that runs down during
+ * their turns; a player whose time runs out loses. Time controls:
+ *   sudden-death  The budget is all there is
+ *   fischer       The increment is added after every move
+ *   bronstein     After every move the time used is given back, up to the delay
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Kinds of time control, by type
+     */
+    const TIME_CONTROL_TYPES = {
+        'sudden-death': 'Sudden death',
+        fischer: 'Fischer increment',
+        bronstein: 'Bronstein delay'
+    };
+
+    /**
+     * Time controls offered when starting a new game; times in milliseconds
+     */
+    const TIME_CONTROLS = {
+        'blitz-3-2': { label: 'Blitz 3 min + 2 s', type: 'fischer', initial: 180000, increment: 2000 },
+        'blitz-5': { label: 'Blitz 5 min', type: 'sudden-death', initial: 300000 },
+        'blitz-5-d3': { label: 'Blitz 5 min, 3 s delay', type: 'bronstein', initial: 300000, delay: 3000 },
+        'rapid-10-5': { label: 'Rapid 10 min + 5 s', type: 'fischer', initial: 600000, increment: 5000 },
+        'rapid-15-d10': { label: 'Rapid 15 min, 10 s delay', type: 'bronstein', initial: 900000, delay: 10000 }
+    };
+
+    // Remaining time below which a clock warns, as a share of the starting time, within bounds
+    const LOW_TIME_SHARE = 0.1;
+    const LOW_TIME_MIN = 10000;
+    const LOW_TIME_MAX = 60000;
+
+    /**
+     * Check a time control and fill in its defaults
+     * @param {Object} timeControl - { type, initial, increment, delay }, times in milliseconds
+     * @returns {Object} Time control with all fields
+     * @throws {Error} If the time control is invalid
+     */
+    function normalizeTimeControl({ type, initial, increment = 0, delay = 0, label }) {
+        if (!TIME_CONTROL_TYPES[type]) {
+            throw new Error(`Unknown time control: ${type}`);
+        }
+        [initial, increment, delay].forEach(time => {
+            if (!Number.isFinite(time) || time < 0) {
+                throw new Error('Times must be positive numbers of milliseconds');
+            }
+        });
+        if (initial <= 0) {
+            throw new Error('The starting time must be more than zero');
+        }
+
+        return {
+            type,
+            initial,
+            increment: type === 'fischer' ? increment : 0,
+            delay: type === 'bronstein' ? delay : 0,
+            label: label || describeTimeControl({ type, initial, increment, delay })
+        };
+    }
+
+    /**
+     * Describe a time control, e.g. "3 min + 2 s" or "5 min, 3 s delay"
+     * @param {Object} timeControl - Time control
+     * @returns {string} Description
+     */
+    function describeTimeControl({ type, initial, increment = 0, delay = 0 }) {
+        const minutes = initial / 60000;
+        const base = Number.isInteger(minutes) ? `${minutes} min` : `${initial / 1000} s`;
+        if (type === 'fischer') {
+            return `${base} + ${increment / 1000} s`;
+        }
+        if (type === 'bronstein') {
+            return `${base}, ${delay / 1000} s delay`;
+        }
+        return base;
+    }
+
+    /**
+     * Format a remaining time for display: minutes and seconds, with tenths under ten seconds
+     * @param {number} time - Time in milliseconds
+     * @returns {string} E.g. "4:05" or "0:07.3"
+     */
+    function formatClockTime(time) {
+        const clamped = Math.max(0, time);
+        if (clamped < 10000) {
+            return `0:0${(Math.floor(clamped / 100) / 10).toFixed(1)}`;
+        }
+        const seconds = Math.ceil(clamped / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    class GameClock {
+        /**
+         * Create the clocks of a game; neither runs until start() is called
+         * @param {Object|string} timeControl - Time control, or a key of TIME_CONTROLS
+         * @param {Object} [options] - Clock options
+         * @param {Function} [options.now=Date.now] - Current time in milliseconds
+         */
+        constructor(timeControl, options = {}) {
+            const control = typeof timeControl === 'string' ? TIME_CONTROLS[timeControl] : timeControl;
+            if (!control) {
+                throw new Error(`Unknown time control: ${timeControl}`);
+            }
+            this.timeControl = normalizeTimeControl(control);
+            this.now = options.now || Date.now;
+
+            // Time left on each clock, not counting the turn in progress
+            this.remaining = { black: this.timeControl.initial, white: this.timeControl.initial };
+
+            this.running = null; // Color whose turn is being timed, also while paused
+            this.paused = false;
+            this.turnStart = 0; // When the running clock was last started or resumed
+            this.turnUsed = 0; // Time used in the current turn before the last pause
+        }
+
+        /**
+         * Time used since the running clock was last started or resumed
+         * @returns {number} Milliseconds
+         */
+        getElapsed() {
+            return this.running && !this.paused ? Math.max(0, this.now() - this.turnStart) : 0;
+        }
+
+        /**
+         * Start timing a turn
+         * @param {string} color - Player to move
+         */
+        start(color) {
+            this.stop();
+            this.running = color;
+            this.paused = false;
+            this.turnStart = this.now();
+            this.turnUsed = 0;
+        }
+
+        /**
+         * Stop the running clock without ending the turn, e.g. when the game ends
+         */
+        stop() {
+            if (this.running) {
+                this.remaining[this.running] -= this.getElapsed();
+            }
+            this.running = null;
+            this.paused = false;
+        }
+
+        /**
+         * Pause the running clock; the turn goes on after resume()
+         */
+        pause() {
+            if (!this.running || this.paused) {
+                return;
+            }
+            const elapsed = this.getElapsed();
+            this.remaining[this.running] -= elapsed;
+            this.turnUsed += elapsed;
+            this.paused = true;
+        }
+
+        /**
+         * Resume a paused clock
+         */
+        resume() {
+            if (!this.running || !this.paused) {
+                return;
+            }
+            this.paused = false;
+            this.turnStart = this.now();
+        }
+
+        /**
+         * End the timed turn: charge the time used and add the increment or delay of the time
+         * control. A player who ran out of time gets nothing back.
+         * @returns {boolean} False if the player ran out of time during the turn
+         */
+        completeTurn() {
+            const color = this.running;
+            if (!color) {
+                return true;
+            }
+
+            const used = this.turnUsed + this.getElapsed();
+            this.stop();
+            if (this.remaining[color] <= 0) {
+                return false;
+            }
+
+            const { type, increment, delay } = this.timeControl;
+            if (type === 'fischer') {
+                this.remaining[color] += increment;
+            } else if (type === 'bronstein') {
+                this.remaining[color] += Math.min(delay, used);
+            }
+            return true;
+        }
+
+        /**
+         * Get the time a player has left, including the turn in progress
+         * @param {string} color - Player color
+         * @returns {number} Milliseconds; zero or less once the time has run out
+         */
+        getRemaining(color) {
+            return this.remaining[color] - (color === this.running ? this.getElapsed() : 0);
+        }
+
+        /**
+         * Check whether a player has run out of time
+         * @param {string} color - Player color
+         * @returns {boolean} True if the clock shows no time left
+         */
+        isFlagged(color) {
+            return this.getRemaining(color) <= 0;
+        }
+
+        /**
+         * Check whether a player is short of time
+         * @param {string} color - Player color
+         * @returns {boolean} True if the remaining time is below the warning threshold
+         */
+        isLowTime(color) {
+            const threshold = Math.min(LOW_TIME_MAX, Math.max(LOW_TIME_MIN, this.timeControl.initial * LOW_TIME_SHARE));
+            return this.getRemaining(color) < threshold;
+        }
+
+        /**
+         * Convert to plain data for saves, with the time of the turn in progress charged
+         * @returns {Object} Data accepted by GameClock.fromJSON()
+         */
+        toJSON() {
+            return {
+                timeControl: { ...this.timeControl },
+                remaining: { black: this.getRemaining('black'), white: this.getRemaining('white') },
+                running: this.running,
+                paused: this.paused,
+                turnUsed: this.running ? this.turnUsed + this.getElapsed() : 0
+            };
+        }
+
+        /**
+         * Rebuild clocks from toJSON() data. The turn that was being timed is timed again from
+         * now on, so time spent while the game was stored does not count; the time it had used
+         * before still counts toward a delay.
+         * @param {Object} data - Clock data
+         * @param {Object} [options] - Clock options, as for the constructor
+         * @returns {GameClock} The clocks
+         */
+        static fromJSON(data, options = {}) {
+            const clock = new GameClock(data.timeControl, options);
+            clock.remaining = { ...data.remaining };
+            if (data.running) {
+                clock.start(data.running);
+                clock.turnUsed = data.turnUsed || 0;
+                if (data.paused) {
+                    clock.pause();
+                }
+            }
+            return clock;
+        }
+    }
+
+    return { GameClock, TIME_CONTROLS, TIME_CONTROL_TYPES, describeTimeControl, formatClockTime };
+});
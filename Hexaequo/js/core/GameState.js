@@ -3,765 +3,1379 @@
  * Manages the state of the Hexaequo game, including player turns, piece counts, and game actions
  */
 
-class GameState {
-    /**
-     * Create a new game state
-     */
-    constructor() {
-        // Initialize the hex grid
-        this.grid = new HexGrid();
-        
-        // Initialize player data
-        this.players = {
-            black: {
-                tiles: { total: 9, placed: 0 },
-                discs: { total: 6, placed: 0, captured: 0 },
-                rings: { total: 3, placed: 0, captured: 0 }
-            },
-            white: {
-                tiles: { total: 9, placed: 0 },
-                discs: { total: 6, placed: 0, captured: 0 },
-                rings: { total: 3, placed: 0, captured: 0 }
-            }
-        };
-        
-        // Game state
-        this.currentPlayer = 'black'; // Black starts
-        this.selectedAction = null;
-        this.selectedHex = null;
-        this.validMoves = [];
-        this.gameOver = false;
-        this.winner = null;
-        this.message = 'Game started. Black player\'s turn.';
-        this.canContinueJumping = false; // New flag for multi-jump handling
-        this.lastJumpedPiece = null; // Track the piece that just jumped
-        
-        // History for undo/redo and detecting repeated positions
-        this.history = [];
-        this.positionCounts = new Map();
-        
-        // Initialize the game
-        this.initializeGame();
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(
+            require('./HexGrid.js'),
+            require('./Storage.js'),
+            require('./Moves.js'),
+            require('./Notation.js'),
+            require('./RuleSet.js'),
+            require('./GameClock.js')
+        );
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root, root, root, root, root, root));
     }
+})(typeof self !== 'undefined' ? self : this, function (
+    { Hex, HexGrid, zobristKey, combineHash },
+    { getDefaultStorage },
+    { isLegalMove },
+    { moveToNotation, resultToken, serializeGameRecord, parseGameRecord, positionToString, parsePosition, RESULTS },
+    { RuleSet },
+    { GameClock, describeTimeControl }
+) {
+    // Rule sets are immutable, so every standard game can share one
+    const STANDARD_RULES = RuleSet.standard();
 
     /**
-     * Initialize a new game
+     * Deep copy grid cell entries. Cells are mutated in place during play, so snapshots
+     * and clones need their own copies; this is on the hot path of engine searches.
+     * @param {Iterable} entries - [hash, cellData] pairs
+     * @returns {Array} Copied [hash, cellData] pairs
      */
-    initializeGame() {
-        // Reset the grid
-        this.grid.initializeGame();
-        
-        // Reset player data
-        this.players = {
-            black: {
-                tiles: { total: 9, placed: 2 }, // 2 tiles are placed at start
-                discs: { total: 6, placed: 1, captured: 0 }, // 1 disc is placed at start
-                rings: { total: 3, placed: 0, captured: 0 }
-            },
-            white: {
-                tiles: { total: 9, placed: 2 }, // 2 tiles are placed at start
-                discs: { total: 6, placed: 1, captured: 0 }, // 1 disc is placed at start
-                rings: { total: 3, placed: 0, captured: 0 }
-            }
-        };
-        
-        // Reset game state
-        this.currentPlayer = 'black';
-        this.selectedAction = null;
-        this.selectedHex = null;
-        this.validMoves = [];
-        this.gameOver = false;
-        this.winner = null;
-        this.message = 'Game started. Black player\'s turn.';
-        
-        // Reset history
-        this.history = [];
-        this.positionCounts = new Map();
-        
-        // Save initial state to history
-        this.saveToHistory();
+    function copyCells(entries) {
+        return Array.from(entries, ([hash, data]) => [
+            hash,
+            data.piece ? { ...data, piece: { ...data.piece } } : { ...data }
+        ]);
     }
 
     /**
-     * Save the current state to history
+     * Deep copy the per-player piece counters
+     * @param {Object} players - Players object of a game state
+     * @returns {Object} Copied players object
      */
-    saveToHistory() {
-        // Create a serializable representation of the current state
-        const state = {
-            grid: Array.from(this.grid.cells.entries()),
-            currentPlayer: this.currentPlayer,
-            players: JSON.parse(JSON.stringify(this.players))
-        };
-        
-        // Add to history
-        this.history.push(state);
-        
-        // Update position counts for detecting repetition
-        const positionKey = this.getPositionKey();
-        const count = this.positionCounts.get(positionKey) || 0;
-        this.positionCounts.set(positionKey, count + 1);
-        
-        // Check for threefold repetition
-        if (count + 1 >= 3) {
-            this.endGame(null, 'Game ended in a draw due to threefold repetition.');
-        }
+    function copyPlayers(players) {
+        const copy = {};
+        Object.keys(players).forEach(color => {
+            const { tiles, discs, rings } = players[color];
+            copy[color] = { tiles: { ...tiles }, discs: { ...discs }, rings: { ...rings } };
+        });
+        return copy;
     }
 
     /**
-     * Get a unique key representing the current board position
-     * @returns {string} Position key
+     * Check that the piece counts of a position add up: the pieces on the board are those
+     * placed and not captured, and the pieces of each player, in reserve, on the board and
+     * captured, come to the totals of the rule set
+     * @param {Object} position - Position from parsePosition()
+     * @param {RuleSet} ruleSet - Rules of the game
+     * @throws {Error} Naming the first count that does not add up
      */
-    getPositionKey() {
-        // Sort cells by coordinates for consistent ordering
-        const sortedCells = Array.from(this.grid.cells.entries())
-            .sort(([a], [b]) => a.localeCompare(b));
-        
-        // Create a string representation
-        return JSON.stringify({
-            cells: sortedCells,
-            currentPlayer: this.currentPlayer
+    function checkPositionCounts({ grid, players }, ruleSet) {
+        const board = {
+            black: { tiles: 0, discs: 0, rings: 0 },
+            white: { tiles: 0, discs: 0, rings: 0 }
+        };
+        grid.forEach(([, data]) => {
+            board[data.color].tiles++;
+            if (data.piece) {
+                board[data.piece.color][`${data.piece.type}s`]++;
+            }
         });
-    }
 
-    /**
-     * Switch to the next player's turn
-     */
-    switchPlayer() {
-        this.currentPlayer = this.currentPlayer === 'black' ? 'white' : 'black';
-        this.message = `${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)} player's turn.`;
-        
-        // Clear selections
-        this.selectedAction = null;
-        this.selectedHex = null;
-        this.validMoves = [];
-        
-        // Check if the current player has any valid moves
-        if (!this.hasValidMoves()) {
-            this.endGame(
-                this.getOpponent(), 
-                `Game over! ${this.getOpponent().charAt(0).toUpperCase() + this.getOpponent().slice(1)} wins because ${this.currentPlayer} has no valid moves.`
-            );
-        }
-    }
+        ['black', 'white'].forEach(color => {
+            const opponent = color === 'black' ? 'white' : 'black';
+            const { tiles, discs, rings } = players[color];
+            const captor = players[opponent];
 
-    /**
-     * Get the opponent of the current player
-     * @returns {string} Opponent color
-     */
-    getOpponent() {
-        return this.currentPlayer === 'black' ? 'white' : 'black';
-    }
+            // Each ring the opponent placed during the game returned one captured disc to this reserve
+            const discsLost = captor.discs.captured + captor.rings.placed - ruleSet.getSetupCounts(opponent).rings;
+            const expected = {
+                tiles: tiles.placed,
+                discs: discs.placed - discsLost,
+                rings: rings.placed - captor.rings.captured
+            };
+            Object.keys(expected).forEach(type => {
+                if (board[color][type] !== expected[type]) {
+                    throw new Error(`${color} has ${board[color][type]} ${type} on the board, the counts give ${expected[type]}.`);
+                }
+            });
 
-    /**
-     * Check if the current player has any valid moves
-     * @returns {boolean} True if the player has valid moves
-     */
-    hasValidMoves() {
-        // Check if player can place a tile
-        if (this.players[this.currentPlayer].tiles.placed < this.players[this.currentPlayer].tiles.total) {
-            const validTilePlacements = this.grid.getValidTilePlacements(this.currentPlayer);
-            if (validTilePlacements.length > 0) {
-                return true;
+            if (tiles.placed > tiles.total || tiles.total > ruleSet.pieces.tiles) {
+                throw new Error(`${color} has placed ${tiles.placed} of ${tiles.total} tiles, the rules give ${ruleSet.pieces.tiles}.`);
             }
-        }
-        
-        // Check if player can place a disc
-        if (this.players[this.currentPlayer].discs.placed < this.players[this.currentPlayer].discs.total) {
-            const validDiscPlacements = this.grid.getValidPiecePlacements(this.currentPlayer);
-            if (validDiscPlacements.length > 0) {
-                return true;
+            if (discs.total + captor.discs.captured !== ruleSet.pieces.discs) {
+                throw new Error(`${color} has ${discs.total} discs and lost ${captor.discs.captured}, the rules give ${ruleSet.pieces.discs}.`);
+            }
+            if (rings.total + captor.rings.captured !== ruleSet.pieces.rings) {
+                throw new Error(`${color} has ${rings.total} rings and lost ${captor.rings.captured}, the rules give ${ruleSet.pieces.rings}.`);
             }
+        });
+    }
+
+    class GameState {
+        /**
+         * Create a new game state
+         * @param {Object} [options] - Game state options
+         * @param {Storage} [options.storage] - Storage used for save slots; any object implementing
+         *     the Web Storage API (getItem, setItem, removeItem, key, length). Defaults to
+         *     localStorage when available, otherwise an in-memory store.
+         * @param {RuleSet|Object|string} [options.ruleSet] - Rules of the game (see RuleSet.from());
+         *     defaults to the standard rules
+         * @param {Object|string} [options.timeControl] - Time control for timed games (see
+         *     GameClock.js); untimed by default
+         * @param {Function} [options.now=Date.now] - Current time in milliseconds, for the clocks
+         */
+        constructor(options = {}) {
+            // Storage backend for saved games
+            this.storage = options.storage || getDefaultStorage();
+            
+            // Rules of the game: piece counts, setup, win and draw conditions
+            this.ruleSet = options.ruleSet ? RuleSet.from(options.ruleSet) : STANDARD_RULES;
+            
+            // Clocks of timed games; null when the game is untimed
+            this.timeControl = options.timeControl || null;
+            this.now = options.now || Date.now;
+            this.clock = null;
+            
+            // Initialize the hex grid
+            this.grid = new HexGrid();
+            
+            // Initialize player data
+            this.players = this.ruleSet.createPlayers();
+            
+            // Game state
+            this.currentPlayer = 'black'; // Black starts
+            this.selectedAction = null;
+            this.selectedHex = null;
+            this.validMoves = [];
+            this.gameOver = false;
+            this.winner = null;
+            this.message = 'Game started. Black player\'s turn.';
+            this.pathChoices = []; // Jump chains to choose from when several end on the selected destination
+            
+            // Game record information: headers and comments keyed by move number
+            this.recordHeaders = {};
+            this.moveComments = new Map();
+            
+            // History for undo/redo and detecting repeated positions
+            this.history = [];
+            this.historyIndex = -1; // Index of the snapshot matching the current position
+            this.positionCounts = new Map();
+            
+            // Initialize the game
+            this.initializeGame();
         }
-        
-        // Check if player can place a ring
-        if (this.players[this.currentPlayer].rings.placed < this.players[this.currentPlayer].rings.total &&
-            this.players[this.currentPlayer].discs.captured > 0) {
-            const validRingPlacements = this.grid.getValidPiecePlacements(this.currentPlayer);
-            if (validRingPlacements.length > 0) {
-                return true;
+
+        /**
+         * Initialize a new game
+         * @param {RuleSet|Object|string} [ruleSet] - Rules of the new game; defaults to the current rules
+         * @param {Object|string|null} [timeControl] - Time control of the new game, null for an
+         *     untimed game; defaults to the current time control
+         */
+        initializeGame(ruleSet = this.ruleSet, timeControl = this.timeControl) {
+            this.ruleSet = RuleSet.from(ruleSet);
+            this.timeControl = timeControl;
+            
+            // Reset the grid to the starting layout
+            this.grid.initializeGame(this.ruleSet.setup);
+            
+            // Reset player data; the pieces of the setup count as placed
+            this.players = this.ruleSet.createPlayers();
+            
+            // Reset game state
+            this.currentPlayer = 'black';
+            this.selectedAction = null;
+            this.selectedHex = null;
+            this.validMoves = [];
+            this.gameOver = false;
+            this.winner = null;
+            this.message = 'Game started. Black player\'s turn.';
+            this.pathChoices = [];
+            this.recordHeaders = {};
+            this.moveComments = new Map();
+            
+            // Reset history
+            this.history = [];
+            this.historyIndex = -1;
+            this.positionCounts = new Map();
+            
+            // Save initial state to history
+            this.saveToHistory();
+            
+            // Black's clock starts with the game
+            this.resetClock();
+        }
+
+        /**
+         * Give both players the full time of the time control, running for the player to move
+         */
+        resetClock() {
+            this.clock = this.timeControl ? new GameClock(this.timeControl, { now: this.now }) : null;
+            if (this.clock && !this.gameOver) {
+                this.clock.start(this.currentPlayer);
             }
         }
-        
-        // Check if player can move any pieces
-        const allCells = this.grid.getAllCells();
-        for (const [hex, data] of allCells) {
-            if (data.piece && data.piece.color === this.currentPlayer) {
-                let validMoves = [];
-                if (data.piece.type === 'disc') {
-                    validMoves = this.grid.getValidDiscMoves(hex);
-                } else if (data.piece.type === 'ring') {
-                    validMoves = this.grid.getValidRingMoves(hex);
-                }
-                
-                if (validMoves.length > 0) {
-                    return true;
-                }
+
+        /**
+         * Save the current state to history
+         * @param {Object|null} [move] - Move that led to the current position
+         */
+        saveToHistory(move = null) {
+            // A new move discards any positions that were undone
+            this.history.length = this.historyIndex + 1;
+            
+            // Update position counts for detecting repetition
+            const positionKey = this.getPositionKey();
+            const count = this.positionCounts.get(positionKey) || 0;
+            this.positionCounts.set(positionKey, count + 1);
+            
+            // Check for repetition; rule sets may disable it or require more occurrences. A game
+            // already decided by the move stays decided.
+            const repetitions = this.ruleSet.repetitions;
+            if (!this.gameOver && repetitions > 0 && count + 1 >= repetitions) {
+                this.endGame(null, `Game ended in a draw due to ${this.ruleSet.getRepetitionName()} repetition.`);
             }
+            
+            // Add to history once the outcome of the position is known
+            this.history.push(this.createSnapshot(positionKey, move));
+            this.historyIndex = this.history.length - 1;
         }
-        
-        return false;
-    }
 
-    /**
-     * End the game with a winner or draw
-     * @param {string|null} winner - Winner color or null for draw
-     * @param {string} message - End game message
-     */
-    endGame(winner, message) {
-        this.gameOver = true;
-        this.winner = winner;
-        this.message = message;
-    }
+        /**
+         * Create a serializable snapshot of the current state
+         * @param {number} positionKey - Position key of the current position
+         * @param {Object|null} [move] - Move that led to the current position
+         * @returns {Object} Snapshot that can be passed to restoreSnapshot()
+         */
+        createSnapshot(positionKey, move = null) {
+            return {
+                grid: copyCells(this.grid.cells.entries()),
+                players: copyPlayers(this.players),
+                currentPlayer: this.currentPlayer,
+                gameOver: this.gameOver,
+                winner: this.winner,
+                message: this.message,
+                positionKey,
+                move: move ? JSON.parse(JSON.stringify(move)) : null
+            };
+        }
 
-    /**
-     * Select an action to perform
-     * @param {string} action - Action type ('placeTile', 'placeDisc', 'placeRing', 'movePiece')
-     */
-    selectAction(action) {
-        if (this.gameOver) {
-            return;
-        }
-        
-        this.selectedAction = action;
-        this.selectedHex = null;
-        this.validMoves = [];
-        
-        // Show valid moves for the selected action
-        switch (action) {
-            case 'placeTile':
-                if (this.players[this.currentPlayer].tiles.placed >= this.players[this.currentPlayer].tiles.total) {
-                    this.message = 'No more tiles available to place.';
-                    this.selectedAction = null;
-                    return;
-                }
-                this.validMoves = this.grid.getValidTilePlacements(this.currentPlayer);
-                this.message = 'Select a position to place a tile.';
-                break;
-                
-            case 'placeDisc':
-                if (this.players[this.currentPlayer].discs.placed >= this.players[this.currentPlayer].discs.total) {
-                    this.message = 'No more discs available to place.';
-                    this.selectedAction = null;
-                    return;
-                }
-                this.validMoves = this.grid.getValidPiecePlacements(this.currentPlayer);
-                this.message = 'Select a tile to place a disc.';
-                break;
-                
-            case 'placeRing':
-                if (this.players[this.currentPlayer].rings.placed >= this.players[this.currentPlayer].rings.total) {
-                    this.message = 'No more rings available to place.';
-                    this.selectedAction = null;
-                    return;
-                }
-                if (this.players[this.currentPlayer].discs.captured <= 0) {
-                    this.message = 'You need captured discs to place a ring.';
-                    this.selectedAction = null;
-                    return;
-                }
-                this.validMoves = this.grid.getValidPiecePlacements(this.currentPlayer);
-                this.message = 'Select a tile to place a ring.';
-                break;
-                
-            case 'movePiece':
-                this.message = 'Select a piece to move.';
-                // Valid moves will be shown after selecting a piece
-                break;
-        }
-        
-        if (this.validMoves.length === 0 && this.selectedAction !== 'movePiece') {
-            this.message = `No valid positions for ${this.selectedAction}.`;
+        /**
+         * Restore the state from a history snapshot
+         * @param {Object} snapshot - Snapshot created by createSnapshot()
+         */
+        restoreSnapshot(snapshot) {
+            // Work on copies so the snapshot stays intact for redo
+            this.grid.loadCells(copyCells(snapshot.grid));
+            this.players = copyPlayers(snapshot.players);
+            this.currentPlayer = snapshot.currentPlayer;
+            this.gameOver = snapshot.gameOver;
+            this.winner = snapshot.winner;
+            this.message = snapshot.message;
+            
+            // Reset selections
             this.selectedAction = null;
+            this.selectedHex = null;
+            this.validMoves = [];
+            this.pathChoices = [];
         }
-    }
 
-    /**
-     * Select a hex on the grid
-     * @param {Hex} hex - Selected hex
-     */
-    selectHex(hex) {
-        if (this.gameOver) {
-            return;
-        }
-        
-        if (!this.selectedAction) {
-            this.message = 'Select an action first.';
-            return;
-        }
-        
-        // If we're moving a piece and haven't selected a piece yet
-        if (this.selectedAction === 'movePiece' && !this.selectedHex) {
-            const cell = this.grid.getCell(hex);
-            if (!cell || !cell.piece || cell.piece.color !== this.currentPlayer) {
-                this.message = 'Select one of your pieces to move.';
-                return;
+        /**
+         * Get the moves played from the start of the history up to the current position
+         * @returns {Array} Array of move objects
+         */
+        getMoveHistory() {
+            const toHex = ({ q, r }) => new Hex(q, r);
+            
+            return this.history.slice(1, this.historyIndex + 1).map(({ move }) => (
+                move.type === 'movePiece' ?
+                    { type: move.type, from: toHex(move.from), path: move.path.map(toHex) } :
+                    { type: move.type, to: toHex(move.to) }
+            ));
+        }
+
+        /**
+         * Check if there is a move that can be undone
+         * @returns {boolean} True if undo() would change the state
+         */
+        canUndo() {
+            // Timed games take no moves back while the clocks run
+            return this.historyIndex > 0 && !this.isClockRunning();
+        }
+
+        /**
+         * Check if there is an undone move that can be redone
+         * @returns {boolean} True if redo() would change the state
+         */
+        canRedo() {
+            return this.historyIndex < this.history.length - 1 && !this.isClockRunning();
+        }
+
+        /**
+         * Undo the last move
+         * @returns {boolean} True if a move was undone
+         */
+        undo() {
+            if (!this.canUndo()) {
+                return false;
             }
             
-            // If we can continue jumping, only allow selecting the same piece
-            if (this.canContinueJumping && !hex.equals(this.lastJumpedPiece)) {
-                // If they select a different piece, end their turn
-                this.canContinueJumping = false;
-                this.lastJumpedPiece = null;
-                this.saveToHistory();
-                this.checkWinConditions();
-                if (!this.gameOver) {
-                    this.switchPlayer();
-                }
-                return;
+            // The position we leave no longer counts towards repetition
+            const positionKey = this.history[this.historyIndex].positionKey;
+            const count = this.positionCounts.get(positionKey) || 0;
+            if (count <= 1) {
+                this.positionCounts.delete(positionKey);
+            } else {
+                this.positionCounts.set(positionKey, count - 1);
             }
             
-            this.selectedHex = hex;
+            this.historyIndex--;
+            this.restoreSnapshot(this.history[this.historyIndex]);
+            return true;
+        }
+
+        /**
+         * Redo the last undone move
+         * @returns {boolean} True if a move was redone
+         */
+        redo() {
+            if (!this.canRedo()) {
+                return false;
+            }
             
-            // Show valid moves for the selected piece
-            if (cell.piece.type === 'disc') {
-                this.validMoves = this.grid.getValidDiscMoves(hex);
-                // If we can continue jumping, only show jump moves
-                if (this.canContinueJumping) {
-                    this.validMoves = this.validMoves.filter(move => hex.distance(move) > 1);
-                }
-            } else if (cell.piece.type === 'ring') {
-                this.validMoves = this.grid.getValidRingMoves(hex);
+            this.historyIndex++;
+            const snapshot = this.history[this.historyIndex];
+            this.positionCounts.set(snapshot.positionKey, (this.positionCounts.get(snapshot.positionKey) || 0) + 1);
+            this.restoreSnapshot(snapshot);
+            return true;
+        }
+
+        /**
+         * Move through the history to a given position, as repeated undo() or redo() would
+         * @param {number} index - History index; 0 is the start of the game
+         * @returns {boolean} True if the position was reached
+         */
+        goTo(index) {
+            if (index < 0 || index >= this.history.length) {
+                return false;
             }
             
-            if (this.validMoves.length === 0) {
-                this.message = 'This piece has no valid moves.';
-                this.selectedHex = null;
-                return;
+            while (this.historyIndex > index) {
+                this.undo();
+            }
+            while (this.historyIndex < index) {
+                this.redo();
+            }
+            return true;
+        }
+
+        /**
+         * Get a unique key representing the current board position, used for repetition detection
+         * @returns {number} Position key (the Zobrist hash of the position)
+         */
+        getPositionKey() {
+            return this.getZobristHash();
+        }
+
+        /**
+         * Get the Zobrist hash of the current position: cells, side to move and piece counts.
+         * The cells are hashed incrementally by the grid; the few counters are folded in here.
+         * Suitable as a transposition table key.
+         * @returns {number} 53-bit position hash
+         */
+        getZobristHash() {
+            let low = this.grid.hashLow;
+            let high = this.grid.hashHigh;
+            
+            // Side to move
+            if (this.currentPlayer === 'white') {
+                const key = zobristKey(-1, -1, -1);
+                low ^= key[0];
+                high ^= key[1];
             }
             
-            this.message = 'Select a destination for the piece.';
-            return;
+            // Piece counts, in a key space of their own (negative third component)
+            ['black', 'white'].forEach((color, playerIndex) => {
+                const { tiles, discs, rings } = this.players[color];
+                [tiles.placed, tiles.total, discs.placed, discs.total, discs.captured,
+                    rings.placed, rings.total, rings.captured].forEach((value, counterIndex) => {
+                    const key = zobristKey(playerIndex, value, -2 - counterIndex);
+                    low ^= key[0];
+                    high ^= key[1];
+                });
+            });
+            
+            return combineHash(low, high);
         }
-        
-        // Check if the selected hex is a valid move
-        const isValidMove = this.validMoves.some(validHex => validHex.equals(hex));
-        if (!isValidMove) {
-            this.message = 'Invalid move. Try again.';
-            return;
+
+        /**
+         * Get the compact position string of the current position (see Notation.js)
+         * @returns {string} Position string
+         */
+        toPositionString() {
+            return positionToString(this);
         }
-        
-        // Perform the selected action
-        switch (this.selectedAction) {
-            case 'placeTile':
-                this.placeTile(hex);
-                this.saveToHistory();
-                this.checkWinConditions();
-                if (!this.gameOver) {
-                    this.switchPlayer();
-                }
-                break;
+
+        /**
+         * Read a position string and check that it is a position of this game's rules
+         * @param {string} text - Position string (see Notation.js)
+         * @returns {Object} Position from parsePosition()
+         * @throws {Error} If the string is malformed or its piece counts do not add up
+         */
+        checkPosition(text) {
+            const position = parsePosition(text);
+            checkPositionCounts(position, this.ruleSet);
+            return position;
+        }
+
+        /**
+         * Set up the game from a position string (see Notation.js). The history starts at this position,
+         * which ends the game at once if it is already decided.
+         * @param {string} text - Position string
+         * @returns {boolean} True if the position was loaded successfully; false, leaving the game
+         *     as it was, if the string is malformed or its piece counts do not add up
+         */
+        loadPosition(text) {
+            try {
+                const position = this.checkPosition(text);
+                
+                this.grid.loadCells(position.grid);
+                this.players = position.players;
+                this.currentPlayer = position.currentPlayer;
+                this.gameOver = false;
+                this.winner = null;
+                this.message = `Position loaded. ${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)} player's turn.`;
+                this.checkLoadedPosition();
+                
+                // Reset selections
+                this.selectedAction = null;
+                this.selectedHex = null;
+                this.validMoves = [];
+                this.pathChoices = [];
+                this.recordHeaders = {};
+                this.moveComments = new Map();
                 
-            case 'placeDisc':
-                this.placeDisc(hex);
+                // Reset history
+                this.history = [];
+                this.historyIndex = -1;
+                this.positionCounts = new Map();
                 this.saveToHistory();
-                this.checkWinConditions();
+                this.resetClock();
+                
+                return true;
+            } catch (e) {
+                console.error('Failed to load position:', e);
+                return false;
+            }
+        }
+
+        /**
+         * End the game if a loaded position is already decided: either player may have won, and
+         * the player to move may have no legal move
+         */
+        checkLoadedPosition() {
+            const toMove = this.currentPlayer;
+            
+            // checkWinConditions() asks whether the current player has won, so ask it for the
+            // player who moved last first, then for the player to move
+            [this.getOpponent(), toMove].forEach(color => {
                 if (!this.gameOver) {
-                    this.switchPlayer();
+                    this.currentPlayer = color;
+                    this.checkWinConditions();
                 }
-                break;
-                
-            case 'placeRing':
-                this.placeRing(hex);
-                this.saveToHistory();
+            });
+            this.currentPlayer = toMove;
+            
+            if (!this.gameOver && !this.hasValidMoves()) {
+                const outcome = this.ruleSet.getNoMovesOutcome(toMove);
+                this.endGame(outcome.winner, outcome.message);
+            }
+        }
+
+        /**
+         * Switch to the next player's turn
+         */
+        switchPlayer() {
+            this.currentPlayer = this.currentPlayer === 'black' ? 'white' : 'black';
+            this.message = `${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)} player's turn.`;
+            
+            // Clear selections
+            this.selectedAction = null;
+            this.selectedHex = null;
+            this.validMoves = [];
+            this.pathChoices = [];
+            
+            // Check if the current player has any valid moves; the rule set decides the outcome
+            if (!this.hasValidMoves()) {
+                const outcome = this.ruleSet.getNoMovesOutcome(this.currentPlayer);
+                this.endGame(outcome.winner, outcome.message);
+            }
+        }
+
+        /**
+         * End the current player's turn: check for a winner, pass the turn and record the position
+         * @param {Object} move - Move played during the turn
+         */
+        endTurn(move) {
+            // A move made after the player's time ran out loses on time
+            if (this.clock && !this.clock.completeTurn()) {
+                this.endGame(this.getOpponent(), this.getTimeLossMessage());
+            } else {
                 this.checkWinConditions();
                 if (!this.gameOver) {
                     this.switchPlayer();
                 }
-                break;
-                
-            case 'movePiece':
-                this.movePiece(this.selectedHex, hex);
-                break;
+            }
+            this.saveToHistory(move);
+            
+            // The next player's clock runs, or both stop for good at the end of the game
+            if (this.clock) {
+                if (this.gameOver) {
+                    this.clock.stop();
+                } else {
+                    this.clock.start(this.currentPlayer);
+                }
+            }
         }
-        
-        // Reset selection unless we can continue jumping
-        if (!this.canContinueJumping) {
-            this.selectedHex = null;
+
+        /**
+         * Check whether the clocks of a timed game are running
+         * @returns {boolean} True while a timed game is in progress
+         */
+        isClockRunning() {
+            return Boolean(this.clock && this.clock.running);
+        }
+
+        /**
+         * End the game if the player to move has run out of time. Moves check the time
+         * themselves; between moves the interface calls this regularly.
+         * @returns {boolean} True if the game just ended on time
+         */
+        checkTime() {
+            if (!this.clock || this.gameOver || !this.clock.isFlagged(this.currentPlayer)) {
+                return false;
+            }
+            
+            this.clock.stop();
             this.selectedAction = null;
+            this.selectedHex = null;
             this.validMoves = [];
-        } else {
-            // Keep the piece selected for additional jumps
-            this.selectedHex = hex;
-            this.validMoves = this.grid.getValidDiscMoves(hex)
-                .filter(move => hex.distance(move) > 1);
+            this.pathChoices = [];
+            this.endGame(this.getOpponent(), this.getTimeLossMessage());
+            
+            // The current position is now the end of the game
+            const current = this.history[this.historyIndex];
+            this.history[this.historyIndex] = this.createSnapshot(current.positionKey, current.move);
+            return true;
         }
-    }
-
-    /**
-     * Place a tile at the specified position
-     * @param {Hex} hex - Position to place the tile
-     */
-    placeTile(hex) {
-        this.grid.setCell(hex, { type: 'tile', color: this.currentPlayer });
-        this.players[this.currentPlayer].tiles.placed++;
-        this.message = `${this.currentPlayer} placed a tile.`;
-    }
 
-    /**
-     * Place a disc at the specified position
-     * @param {Hex} hex - Position to place the disc
-     */
-    placeDisc(hex) {
-        const cell = this.grid.getCell(hex);
-        cell.piece = { type: 'disc', color: this.currentPlayer };
-        this.grid.setCell(hex, cell);
-        this.players[this.currentPlayer].discs.placed++;
-        this.message = `${this.currentPlayer} placed a disc.`;
-    }
+        /**
+         * Message for the current player losing on time
+         * @returns {string} End game message
+         */
+        getTimeLossMessage() {
+            const winner = this.getOpponent();
+            return `Game over! ${winner.charAt(0).toUpperCase() + winner.slice(1)} wins on time.`;
+        }
 
-    /**
-     * Place a ring at the specified position
-     * @param {Hex} hex - Position to place the ring
-     */
-    placeRing(hex) {
-        const cell = this.grid.getCell(hex);
-        cell.piece = { type: 'ring', color: this.currentPlayer };
-        this.grid.setCell(hex, cell);
-        this.players[this.currentPlayer].rings.placed++;
-        this.players[this.currentPlayer].discs.captured--;
-        this.players[this.getOpponent()].discs.total++;
-        this.message = `${this.currentPlayer} placed a ring and returned a captured disc.`;
-    }
+        /**
+         * Get the opponent of the current player
+         * @returns {string} Opponent color
+         */
+        getOpponent() {
+            return this.currentPlayer === 'black' ? 'white' : 'black';
+        }
 
-    /**
-     * Move a piece from one position to another
-     * @param {Hex} fromHex - Starting position
-     * @param {Hex} toHex - Destination position
-     */
-    movePiece(fromHex, toHex) {
-        const fromCell = this.grid.getCell(fromHex);
-        const toCell = this.grid.getCell(toHex);
-        const piece = fromCell.piece;
-        let capturedPieces = false;
-        
-        // Handle disc jumps and captures
-        if (piece.type === 'disc' && fromHex.distance(toHex) > 1) {
-            // Get the path of hexes jumped over
-            const jumpedHexes = this.grid.getJumpedHexes(fromHex, toHex);
-            
-            // Capture any enemy pieces that were jumped over
-            jumpedHexes.forEach(jumpedHex => {
-                const jumpedCell = this.grid.getCell(jumpedHex);
-                if (jumpedCell && jumpedCell.piece && jumpedCell.piece.color !== piece.color) {
-                    // Capture the piece
-                    if (jumpedCell.piece.type === 'disc') {
-                        this.players[this.currentPlayer].discs.captured++;
-                        this.players[this.getOpponent()].discs.total--;
-                        capturedPieces = true;
-                    } else if (jumpedCell.piece.type === 'ring') {
-                        this.players[this.currentPlayer].rings.captured++;
-                        this.players[this.getOpponent()].rings.total--;
-                        capturedPieces = true;
+        /**
+         * Check if the current player has any valid moves
+         * @returns {boolean} True if the player has valid moves
+         */
+        hasValidMoves() {
+            // Check if player can place a tile
+            if (this.players[this.currentPlayer].tiles.placed < this.players[this.currentPlayer].tiles.total) {
+                const validTilePlacements = this.grid.getValidTilePlacements(this.currentPlayer);
+                if (validTilePlacements.length > 0) {
+                    return true;
+                }
+            }
+            
+            // Check if player can place a disc
+            if (this.players[this.currentPlayer].discs.placed < this.players[this.currentPlayer].discs.total) {
+                const validDiscPlacements = this.grid.getValidPiecePlacements(this.currentPlayer);
+                if (validDiscPlacements.length > 0) {
+                    return true;
+                }
+            }
+            
+            // Check if player can place a ring
+            if (this.players[this.currentPlayer].rings.placed < this.players[this.currentPlayer].rings.total &&
+                this.players[this.currentPlayer].discs.captured > 0) {
+                const validRingPlacements = this.grid.getValidPiecePlacements(this.currentPlayer);
+                if (validRingPlacements.length > 0) {
+                    return true;
+                }
+            }
+            
+            // Check if player can move any pieces
+            const allCells = this.grid.getAllCells();
+            for (const [hex, data] of allCells) {
+                if (data.piece && data.piece.color === this.currentPlayer) {
+                    let validMoves = [];
+                    if (data.piece.type === 'disc') {
+                        validMoves = this.grid.getValidDiscMoves(hex);
+                    } else if (data.piece.type === 'ring') {
+                        validMoves = this.grid.getValidRingMoves(hex);
+                    }
+                    
+                    if (validMoves.length > 0) {
+                        return true;
                     }
-                    // Remove the captured piece
-                    jumpedCell.piece = null;
-                    this.grid.setCell(jumpedHex, jumpedCell);
                 }
-            });
+            }
             
-            // Update message to reflect captures
-            this.message = capturedPieces ? 
-                `${this.currentPlayer} captured pieces by jumping.` : 
-                `${this.currentPlayer} jumped over pieces.`;
-        }
-        // Handle ring captures (landing on a piece)
-        else if (piece.type === 'ring' && toCell.piece) {
-            const capturedPiece = toCell.piece;
-            if (capturedPiece.type === 'disc') {
-                this.players[this.currentPlayer].discs.captured++;
-                this.players[this.getOpponent()].discs.total--;
-                this.message = `${this.currentPlayer} captured a disc with a ring.`;
-            } else if (capturedPiece.type === 'ring') {
-                this.players[this.currentPlayer].rings.captured++;
-                this.players[this.getOpponent()].rings.total--;
-                this.message = `${this.currentPlayer} captured a ring with a ring.`;
-            }
-        }
-        else {
-            this.message = `${this.currentPlayer} moved a ${piece.type}.`;
-        }
-        
-        // Move the piece
-        fromCell.piece = null;
-        toCell.piece = piece;
-        
-        // Update the grid
-        this.grid.setCell(fromHex, fromCell);
-        this.grid.setCell(toHex, toCell);
-
-        // Check for additional jumps if this was a disc move with captures
-        if (piece.type === 'disc' && capturedPieces) {
-            const additionalJumps = this.grid.getValidDiscMoves(toHex)
-                .filter(move => toHex.distance(move) > 1); // Only consider jumps, not simple moves
-            
-            if (additionalJumps.length > 0) {
-                this.canContinueJumping = true;
-                this.lastJumpedPiece = toHex;
-                this.message += ' Additional jumps available. Select the same piece to jump again, or any other piece/action to end your turn.';
-                return; // Don't switch turns yet
-            }
-        }
-
-        // If we get here, either there are no more jumps or it wasn't a capturing move
-        this.canContinueJumping = false;
-        this.lastJumpedPiece = null;
-        
-        // Save state and check win conditions only when the turn is actually ending
-        this.saveToHistory();
-        this.checkWinConditions();
-        
-        // Switch to the next player if the game isn't over
-        if (!this.gameOver) {
-            this.switchPlayer();
+            return false;
         }
-    }
 
-    /**
-     * Check for win conditions
-     */
-    checkWinConditions() {
-        const opponent = this.getOpponent();
-        
-        // Check if all opponent discs are captured
-        if (this.players[opponent].discs.total <= 0) {
-            this.endGame(
-                this.currentPlayer, 
-                `Game over! ${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)} wins by capturing all ${opponent} discs.`
-            );
-            return;
-        }
-        
-        // Check if all opponent rings are captured
-        if (this.players[opponent].rings.total <= 0) {
-            this.endGame(
-                this.currentPlayer, 
-                `Game over! ${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)} wins by capturing all ${opponent} rings.`
-            );
-            return;
-        }
-        
-        // Check if opponent has no pieces on the board
-        let opponentHasPieces = false;
-        const allCells = this.grid.getAllCells();
-        for (const [_, data] of allCells) {
-            if (data.piece && data.piece.color === opponent) {
-                opponentHasPieces = true;
-                break;
-            }
-        }
-        
-        if (!opponentHasPieces) {
-            this.endGame(
-                this.currentPlayer, 
-                `Game over! ${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)} wins by removing all ${opponent} pieces from the board.`
-            );
+        /**
+         * End the game with a winner or draw
+         * @param {string|null} winner - Winner color or null for draw
+         * @param {string} message - End game message
+         */
+        endGame(winner, message) {
+            this.gameOver = true;
+            this.winner = winner;
+            this.message = message;
         }
-    }
 
-    /**
-     * Save the game state to local storage
-     * @param {string} slotName - Name of the save slot
-     */
-    saveGame(slotName = 'default') {
-        const saveData = {
-            grid: Array.from(this.grid.cells.entries()),
-            players: this.players,
-            currentPlayer: this.currentPlayer,
-            gameOver: this.gameOver,
-            winner: this.winner,
-            message: this.message,
-            timestamp: Date.now()
-        };
-        
-        try {
-            localStorage.setItem(`hexaequo_save_${slotName}`, JSON.stringify(saveData));
-            return true;
-        } catch (e) {
-            console.error('Failed to save game:', e);
-            return false;
-        }
-    }
-
-    /**
-     * Load a game state from local storage
-     * @param {string} slotName - Name of the save slot
-     * @returns {boolean} True if the game was loaded successfully
-     */
-    loadGame(slotName = 'default') {
-        try {
-            const saveData = localStorage.getItem(`hexaequo_save_${slotName}`);
-            if (!saveData) {
-                return false;
+        /**
+         * Select an action to perform
+         * @param {string} action - Action type ('placeTile', 'placeDisc', 'placeRing', 'movePiece')
+         */
+        selectAction(action) {
+            if (this.gameOver) {
+                return;
             }
             
-            const data = JSON.parse(saveData);
+            this.selectedAction = action;
+            this.selectedHex = null;
+            this.validMoves = [];
+            this.pathChoices = [];
             
-            // Restore grid
-            this.grid = new HexGrid();
-            data.grid.forEach(([hash, cellData]) => {
-                this.grid.cells.set(hash, cellData);
-            });
+            // Show valid moves for the selected action
+            switch (action) {
+                case 'placeTile':
+                    if (this.players[this.currentPlayer].tiles.placed >= this.players[this.currentPlayer].tiles.total) {
+                        this.message = 'No more tiles available to place.';
+                        this.selectedAction = null;
+                        return;
+                    }
+                    this.validMoves = this.grid.getValidTilePlacements(this.currentPlayer);
+                    this.message = 'Select a position to place a tile.';
+                    break;
+                    
+                case 'placeDisc':
+                    if (this.players[this.currentPlayer].discs.placed >= this.players[this.currentPlayer].discs.total) {
+                        this.message = 'No more discs available to place.';
+                        this.selectedAction = null;
+                        return;
+                    }
+                    this.validMoves = this.grid.getValidPiecePlacements(this.currentPlayer);
+                    this.message = 'Select a tile to place a disc.';
+                    break;
+                    
+                case 'placeRing':
+                    if (this.players[this.currentPlayer].rings.placed >= this.players[this.currentPlayer].rings.total) {
+                        this.message = 'No more rings available to place.';
+                        this.selectedAction = null;
+                        return;
+                    }
+                    if (this.players[this.currentPlayer].discs.captured <= 0) {
+                        this.message = 'You need captured discs to place a ring.';
+                        this.selectedAction = null;
+                        return;
+                    }
+                    this.validMoves = this.grid.getValidPiecePlacements(this.currentPlayer);
+                    this.message = 'Select a tile to place a ring.';
+                    break;
+                    
+                case 'movePiece':
+                    this.message = 'Select a piece to move.';
+                    // Valid moves will be shown after selecting a piece
+                    break;
+            }
             
-            // Recalculate grid bounds
-            this.grid.minQ = Infinity;
-            this.grid.maxQ = -Infinity;
-            this.grid.minR = Infinity;
-            this.grid.maxR = -Infinity;
+            if (this.validMoves.length === 0 && this.selectedAction !== 'movePiece') {
+                this.message = `No valid positions for ${this.selectedAction}.`;
+                this.selectedAction = null;
+            }
+        }
+
+        /**
+         * Select a hex on the grid
+         * @param {Hex} hex - Selected hex
+         */
+        selectHex(hex) {
+            if (this.gameOver) {
+                return;
+            }
             
-            for (const [hash, _] of data.grid) {
-                const hex = Hex.fromHash(hash);
-                this.grid.minQ = Math.min(this.grid.minQ, hex.q);
-                this.grid.maxQ = Math.max(this.grid.maxQ, hex.q);
-                this.grid.minR = Math.min(this.grid.minR, hex.r);
-                this.grid.maxR = Math.max(this.grid.maxR, hex.r);
+            if (!this.selectedAction) {
+                this.message = 'Select an action first.';
+                return;
             }
             
-            // Restore player data
-            this.players = data.players;
+            // A new destination replaces a path choice that was left open
+            this.pathChoices = [];
             
-            // Restore game state
-            this.currentPlayer = data.currentPlayer;
-            this.gameOver = data.gameOver;
-            this.winner = data.winner;
-            this.message = data.message;
+            // If we're moving a piece and haven't selected a piece yet
+            if (this.selectedAction === 'movePiece' && !this.selectedHex) {
+                const cell = this.grid.getCell(hex);
+                if (!cell || !cell.piece || cell.piece.color !== this.currentPlayer) {
+                    this.message = 'Select one of your pieces to move.';
+                    return;
+                }
+                
+                this.selectedHex = hex;
+                
+                // Show valid moves for the selected piece
+                if (cell.piece.type === 'disc') {
+                    this.validMoves = this.grid.getValidDiscMoves(hex);
+                } else if (cell.piece.type === 'ring') {
+                    this.validMoves = this.grid.getValidRingMoves(hex);
+                }
+                
+                if (this.validMoves.length === 0) {
+                    this.message = 'This piece has no valid moves.';
+                    this.selectedHex = null;
+                    return;
+                }
+                
+                this.message = 'Select a destination for the piece.';
+                return;
+            }
             
-            // Reset selections
-            this.selectedAction = null;
-            this.selectedHex = null;
-            this.validMoves = [];
+            // Check if the selected hex is a valid move
+            const isValidMove = this.validMoves.some(validHex => validHex.equals(hex));
+            if (!isValidMove) {
+                this.message = 'Invalid move. Try again.';
+                return;
+            }
             
-            // Reset history
-            this.history = [];
-            this.positionCounts = new Map();
-            this.saveToHistory();
+            // Perform the selected action
+            switch (this.selectedAction) {
+                case 'placeTile':
+                case 'placeDisc':
+                case 'placeRing':
+                    this.makeMove({ type: this.selectedAction, to: hex });
+                    break;
+                    
+                case 'movePiece': {
+                    // Jump chains turning corners can end on the same hex over different pieces
+                    const paths = this.grid.getPieceMovePaths(this.selectedHex)
+                        .filter(path => path[path.length - 1].equals(hex));
+                    if (paths.length > 1) {
+                        this.pathChoices = paths;
+                        this.message = 'Several jump paths end there. Choose the path to take.';
+                        return;
+                    }
+                    this.makeMove({ type: 'movePiece', from: this.selectedHex, path: paths[0] });
+                    break;
+                }
+            }
+        }
+
+        /**
+         * Play one of the jump paths offered after selectHex() found several ending on the
+         * selected destination
+         * @param {number} index - Index in pathChoices
+         * @returns {boolean} True if the move was played
+         */
+        choosePath(index) {
+            const path = this.pathChoices[index];
+            if (this.gameOver || !path || !this.selectedHex) {
+                return false;
+            }
             
+            this.makeMove({ type: 'movePiece', from: this.selectedHex, path });
             return true;
-        } catch (e) {
-            console.error('Failed to load game:', e);
-            return false;
         }
-    }
 
-    /**
-     * Get a list of available save slots
-     * @returns {Array} Array of save slot objects with name and timestamp
-     */
-    getSaveSlots() {
-        const slots = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith('hexaequo_save_')) {
-                try {
-                    const data = JSON.parse(localStorage.getItem(key));
-                    slots.push({
-                        name: key.replace('hexaequo_save_', ''),
-                        timestamp: data.timestamp,
-                        date: new Date(data.timestamp).toLocaleString()
+        /**
+         * Get the pieces a disc jumps over along a path, in order
+         * @param {Hex} fromHex - Starting position of the disc
+         * @param {Array} path - Landing hexes in order
+         * @returns {Array} Array of { hex, piece } for each piece jumped over
+         */
+        getJumpedPieces(fromHex, path) {
+            const jumped = [];
+            let currentHex = fromHex;
+            path.forEach(toHex => {
+                if (currentHex.distance(toHex) > 1) {
+                    this.grid.getJumpedHexes(currentHex, toHex).forEach(jumpedHex => {
+                        const cell = this.grid.getCell(jumpedHex);
+                        if (cell && cell.piece) {
+                            jumped.push({ hex: jumpedHex, piece: cell.piece });
+                        }
                     });
-                } catch (e) {
-                    console.error('Error parsing save slot:', e);
                 }
-            }
+                currentHex = toHex;
+            });
+            return jumped;
         }
-        return slots.sort((a, b) => b.timestamp - a.timestamp);
-    }
 
-    /**
-     * Delete a save slot
-     * @param {string} slotName - Name of the save slot
-     * @returns {boolean} True if the slot was deleted
-     */
-    deleteSaveSlot(slotName) {
-        try {
-            localStorage.removeItem(`hexaequo_save_${slotName}`);
-            return true;
-        } catch (e) {
-            console.error('Failed to delete save slot:', e);
-            return false;
+        /**
+         * Place a tile at the specified position
+         * @param {Hex} hex - Position to place the tile
+         */
+        placeTile(hex) {
+            this.grid.setCell(hex, { type: 'tile', color: this.currentPlayer });
+            this.players[this.currentPlayer].tiles.placed++;
+            this.message = `${this.currentPlayer} placed a tile.`;
         }
-    }
 
-    /**
-     * Export the current game state as a JSON string
-     * @returns {string} JSON string of the game state
-     */
-    exportGame() {
-        const exportData = {
-            grid: Array.from(this.grid.cells.entries()),
-            players: this.players,
-            currentPlayer: this.currentPlayer,
-            gameOver: this.gameOver,
-            winner: this.winner,
-            message: this.message,
-            timestamp: Date.now(),
-            version: '1.0'
-        };
-        
-        return JSON.stringify(exportData);
-    }
+        /**
+         * Place a disc at the specified position
+         * @param {Hex} hex - Position to place the disc
+         */
+        placeDisc(hex) {
+            const cell = this.grid.getCell(hex);
+            cell.piece = { type: 'disc', color: this.currentPlayer };
+            this.grid.setCell(hex, cell);
+            this.players[this.currentPlayer].discs.placed++;
+            this.message = `${this.currentPlayer} placed a disc.`;
+        }
 
-    /**
-     * Import a game state from a JSON string
-     * @param {string} jsonString - JSON string of the game state
-     * @returns {boolean} True if the game was imported successfully
-     */
-    importGame(jsonString) {
-        try {
-            const data = JSON.parse(jsonString);
+        /**
+         * Place a ring at the specified position
+         * @param {Hex} hex - Position to place the ring
+         */
+        placeRing(hex) {
+            const cell = this.grid.getCell(hex);
+            cell.piece = { type: 'ring', color: this.currentPlayer };
+            this.grid.setCell(hex, cell);
+            this.players[this.currentPlayer].rings.placed++;
+            this.players[this.currentPlayer].discs.captured--;
+            this.players[this.getOpponent()].discs.total++;
+            this.message = `${this.currentPlayer} placed a ring and returned a captured disc.`;
+        }
+
+        /**
+         * Capture the opponent piece at the specified position and remove it from the board
+         * @param {Hex} hex - Position of the captured piece
+         * @returns {Object} The captured piece
+         */
+        capturePiece(hex) {
+            const cell = this.grid.getCell(hex);
+            const capturedPiece = cell.piece;
+            const pieceKey = capturedPiece.type === 'disc' ? 'discs' : 'rings';
+            
+            this.players[this.currentPlayer][pieceKey].captured++;
+            this.players[this.getOpponent()][pieceKey].total--;
+            
+            cell.piece = null;
+            this.grid.setCell(hex, cell);
+            return capturedPiece;
+        }
+
+        /**
+         * Move a piece along an explicit path of landings, capturing exactly the pieces
+         * jumped over (discs) or landed on (rings) along the way
+         * @param {Hex} fromHex - Starting position
+         * @param {Array} path - Landing hexes in order; a single hex for steps and ring moves
+         */
+        moveAlongPath(fromHex, path) {
+            const piece = this.grid.getCell(fromHex).piece;
+            let currentHex = fromHex;
+            let captures = 0;
+            
+            path.forEach(toHex => {
+                const toCell = this.grid.getCell(toHex);
+                
+                if (piece.type === 'disc' && currentHex.distance(toHex) > 1) {
+                    // A single jump captures the enemy piece it passes over
+                    this.grid.getJumpedHexes(currentHex, toHex).forEach(jumpedHex => {
+                        const jumpedCell = this.grid.getCell(jumpedHex);
+                        if (jumpedCell && jumpedCell.piece && jumpedCell.piece.color !== piece.color) {
+                            this.capturePiece(jumpedHex);
+                            captures++;
+                        }
+                    });
+                } else if (piece.type === 'ring' && toCell.piece) {
+                    // A ring captures the piece it lands on
+                    this.capturePiece(toHex);
+                    captures++;
+                }
+                
+                // Move the piece to the next landing
+                const fromCell = this.grid.getCell(currentHex);
+                fromCell.piece = null;
+                this.grid.setCell(currentHex, fromCell);
+                toCell.piece = piece;
+                this.grid.setCell(toHex, toCell);
+                currentHex = toHex;
+            });
             
-            // Validate the data
-            if (!data.grid || !data.players || !data.currentPlayer) {
+            this.message = captures > 0 ?
+                `${this.currentPlayer} captured ${captures} piece${captures > 1 ? 's' : ''} with a ${piece.type}.` :
+                `${this.currentPlayer} moved a ${piece.type}.`;
+        }
+
+        /**
+         * Play a complete move for the current player and end the turn
+         * @param {Object} move - Move object as returned by getLegalMoves()
+         * @returns {boolean} True if the move was played, false if the game is already over
+         */
+        makeMove(move) {
+            // Every caller goes through here, so a finished game is guarded once for all of them
+            if (this.gameOver) {
                 return false;
             }
             
-            // Restore grid
-            this.grid = new HexGrid();
-            data.grid.forEach(([hash, cellData]) => {
-                this.grid.cells.set(hash, cellData);
+            switch (move.type) {
+                case 'placeTile':
+                    this.placeTile(move.to);
+                    break;
+                    
+                case 'placeDisc':
+                    this.placeDisc(move.to);
+                    break;
+                    
+                case 'placeRing':
+                    this.placeRing(move.to);
+                    break;
+                    
+                case 'movePiece':
+                    this.moveAlongPath(move.from, move.path);
+                    break;
+                    
+                default:
+                    throw new Error(`Unknown move type: ${move.type}`);
+            }
+            
+            // A complete move always ends the turn
+            this.selectedAction = null;
+            this.selectedHex = null;
+            this.validMoves = [];
+            this.endTurn(move);
+            return true;
+        }
+
+        /**
+         * Create an independent copy of this game state, including its history
+         * @returns {GameState} The copy
+         */
+        clone() {
+            // Searches copy the state at every node: set the fields directly instead of letting
+            // the constructor set up a new game first. Copies are untimed.
+            const copy = Object.create(GameState.prototype);
+            copy.storage = this.storage;
+            copy.ruleSet = this.ruleSet;
+            copy.timeControl = null;
+            copy.now = this.now;
+            copy.clock = null;
+            
+            copy.grid = new HexGrid();
+            copy.grid.loadCells(copyCells(this.grid.cells.entries()));
+            copy.players = copyPlayers(this.players);
+            copy.currentPlayer = this.currentPlayer;
+            copy.selectedAction = null;
+            copy.selectedHex = null;
+            copy.validMoves = [];
+            copy.gameOver = this.gameOver;
+            copy.winner = this.winner;
+            copy.message = this.message;
+            copy.pathChoices = [];
+            copy.recordHeaders = {};
+            copy.moveComments = new Map();
+            
+            // Snapshots are never mutated, so the copy can share them
+            copy.history = this.history.slice();
+            copy.historyIndex = this.historyIndex;
+            copy.positionCounts = new Map(this.positionCounts);
+            return copy;
+        }
+
+        /**
+         * Convert the game state, including its history, into plain data that can be sent to a
+         * Web Worker with postMessage() or stored as JSON
+         * @returns {Object} Serialized state for GameState.deserialize()
+         */
+        serialize() {
+            const current = this.history[this.historyIndex];
+            return {
+                state: this.createSnapshot(current ? current.positionKey : this.getPositionKey()),
+                history: this.history,
+                historyIndex: this.historyIndex,
+                ruleSet: this.ruleSet.toJSON()
+            };
+        }
+
+        /**
+         * Rebuild a game state from the output of serialize()
+         * @param {Object} data - Serialized state
+         * @param {Object} [options] - Game state options, as for the constructor; the serialized
+         *     rule set is used unless options.ruleSet is given
+         * @returns {GameState} The game state
+         */
+        static deserialize(data, options = {}) {
+            const gameState = new GameState({ ruleSet: data.ruleSet, ...options });
+            gameState.restoreSnapshot(data.state);
+            gameState.history = data.history.slice();
+            gameState.historyIndex = data.historyIndex;
+            
+            // Repetition counts cover the positions up to the current one, as after undo()
+            gameState.positionCounts = new Map();
+            gameState.history.slice(0, data.historyIndex + 1).forEach(({ positionKey }) => {
+                gameState.positionCounts.set(positionKey, (gameState.positionCounts.get(positionKey) || 0) + 1);
             });
+            return gameState;
+        }
+
+        /**
+         * Check for win conditions
+         */
+        checkWinConditions() {
+            const opponent = this.getOpponent();
             
-            // Recalculate grid bounds
-            this.grid.minQ = Infinity;
-            this.grid.maxQ = -Infinity;
-            this.grid.minR = Infinity;
-            this.grid.maxR = -Infinity;
+            // Check if all opponent discs are captured
+            if (this.ruleSet.hasWinCondition('discs') && this.players[opponent].discs.total <= 0) {
+                this.endGame(
+                    this.currentPlayer, 
+                    `Game over! ${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)} wins by capturing all ${opponent} discs.`
+                );
+                return;
+            }
             
-            for (const [hash, _] of data.grid) {
-                const hex = Hex.fromHash(hash);
-                this.grid.minQ = Math.min(this.grid.minQ, hex.q);
-                this.grid.maxQ = Math.max(this.grid.maxQ, hex.q);
-                this.grid.minR = Math.min(this.grid.minR, hex.r);
-                this.grid.maxR = Math.max(this.grid.maxR, hex.r);
+            // Check if all opponent rings are captured
+            if (this.ruleSet.hasWinCondition('rings') && this.players[opponent].rings.total <= 0) {
+                this.endGame(
+                    this.currentPlayer, 
+                    `Game over! ${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)} wins by capturing all ${opponent} rings.`
+                );
+                return;
             }
             
-            // Restore player data
-            this.players = data.players;
+            if (!this.ruleSet.hasWinCondition('board')) {
+                return;
+            }
             
-            // Restore game state
-            this.currentPlayer = data.currentPlayer;
-            this.gameOver = data.gameOver || false;
-            this.winner = data.winner || null;
-            this.message = data.message || 'Game imported.';
+            // Check if opponent has no pieces on the board
+            let opponentHasPieces = false;
+            const allCells = this.grid.getAllCells();
+            for (const [_, data] of allCells) {
+                if (data.piece && data.piece.color === opponent) {
+                    opponentHasPieces = true;
+                    break;
+                }
+            }
             
-            // Reset selections
-            this.selectedAction = null;
-            this.selectedHex = null;
-            this.validMoves = [];
+            if (!opponentHasPieces) {
+                this.endGame(
+                    this.currentPlayer, 
+                    `Game over! ${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)} wins by removing all ${opponent} pieces from the board.`
+                );
+            }
+        }
+
+        /**
+         * Save the game state to storage
+         * @param {string} slotName - Name of the save slot
+         */
+        saveGame(slotName = 'default') {
+            const saveData = {
+                grid: Array.from(this.grid.cells.entries()),
+                players: this.players,
+                currentPlayer: this.currentPlayer,
+                gameOver: this.gameOver,
+                winner: this.winner,
+                message: this.message,
+                ruleSet: this.ruleSet.toJSON(),
+                clock: this.clock ? this.clock.toJSON() : null,
+                timestamp: Date.now()
+            };
             
-            // Reset history
-            this.history = [];
-            this.positionCounts = new Map();
-            this.saveToHistory();
+            try {
+                this.storage.setItem(`hexaequo_save_${slotName}`, JSON.stringify(saveData));
+                return true;
+            } catch (e) {
+                console.error('Failed to save game:', e);
+                return false;
+            }
+        }
+
+        /**
+         * Load a game state from storage
+         * @param {string} slotName - Name of the save slot
+         * @returns {boolean} True if the game was loaded successfully
+         */
+        loadGame(slotName = 'default') {
+            try {
+                const saveData = this.storage.getItem(`hexaequo_save_${slotName}`);
+                if (!saveData) {
+                    return false;
+                }
+                
+                const data = JSON.parse(saveData);
+                
+                // Saves from before rule sets were stored are standard games
+                const ruleSet = RuleSet.from(data.ruleSet);
+                
+                // Restore grid
+                this.grid.loadCells(data.grid);
+                
+                // Restore rules and player data
+                this.ruleSet = ruleSet;
+                this.players = data.players;
+                
+                // Restore game state
+                this.currentPlayer = data.currentPlayer;
+                this.gameOver = data.gameOver;
+                this.winner = data.winner;
+                this.message = data.message;
+                
+                // Reset selections
+                this.selectedAction = null;
+                this.selectedHex = null;
+                this.validMoves = [];
+                this.pathChoices = [];
+                
+                // Reset history
+                this.history = [];
+                this.historyIndex = -1;
+                this.positionCounts = new Map();
+                this.saveToHistory();
+                this.restoreClock(data.clock);
+                
+                return true;
+            } catch (e) {
+                console.error('Failed to load game:', e);
+                return false;
+            }
+        }
+
+        /**
+         * Restore the clocks of a saved game; the turn in progress is timed from now on
+         * @param {Object|null} [data] - Saved clock data, missing for untimed games
+         */
+        restoreClock(data) {
+            this.clock = data ? GameClock.fromJSON(data, { now: this.now }) : null;
+            this.timeControl = this.clock ? this.clock.timeControl : null;
+            if (this.clock && this.gameOver) {
+                this.clock.stop();
+            }
+        }
+
+        /**
+         * Get a list of available save slots
+         * @returns {Array} Array of save slot objects with name and timestamp
+         */
+        getSaveSlots() {
+            const slots = [];
+            for (let i = 0; i < this.storage.length; i++) {
+                const key = this.storage.key(i);
+                if (key.startsWith('hexaequo_save_')) {
+                    try {
+                        const data = JSON.parse(this.storage.getItem(key));
+                        slots.push({
+                            name: key.replace('hexaequo_save_', ''),
+                            timestamp: data.timestamp,
+                            date: new Date(data.timestamp).toLocaleString()
+                        });
+                    } catch (e) {
+                        console.error('Error parsing save slot:', e);
+                    }
+                }
+            }
+            return slots.sort((a, b) => b.timestamp - a.timestamp);
+        }
+
+        /**
+         * Delete a save slot
+         * @param {string} slotName - Name of the save slot
+         * @returns {boolean} True if the slot was deleted
+         */
+        deleteSaveSlot(slotName) {
+            try {
+                this.storage.removeItem(`hexaequo_save_${slotName}`);
+                return true;
+            } catch (e) {
+                console.error('Failed to delete save slot:', e);
+                return false;
+            }
+        }
+
+        /**
+         * Export the current game state as a JSON string
+         * @returns {string} JSON string of the game state
+         */
+        exportGame() {
+            const exportData = {
+                grid: Array.from(this.grid.cells.entries()),
+                players: this.players,
+                currentPlayer: this.currentPlayer,
+                gameOver: this.gameOver,
+                winner: this.winner,
+                message: this.message,
+                ruleSet: this.ruleSet.toJSON(),
+                clock: this.clock ? this.clock.toJSON() : null,
+                timestamp: Date.now(),
+                version: '1.0'
+            };
             
-            return true;
-        } catch (e) {
-            console.error('Failed to import game:', e);
-            return false;
+            return JSON.stringify(exportData);
+        }
+
+        /**
+         * Import a game state from a JSON string
+         * @param {string} jsonString - JSON string of the game state
+         * @returns {boolean} True if the game was imported successfully
+         */
+        importGame(jsonString) {
+            try {
+                const data = JSON.parse(jsonString);
+                
+                // Validate the data
+                if (!data.grid || !data.players || !data.currentPlayer) {
+                    return false;
+                }
+                const ruleSet = RuleSet.from(data.ruleSet);
+                
+                // Restore grid
+                this.grid.loadCells(data.grid);
+                
+                // Restore rules and player data
+                this.ruleSet = ruleSet;
+                this.players = data.players;
+                
+                // Restore game state
+                this.currentPlayer = data.currentPlayer;
+                this.gameOver = data.gameOver || false;
+                this.winner = data.winner || null;
+                this.message = data.message || 'Game imported.';
+                
+                // Reset selections
+                this.selectedAction = null;
+                this.selectedHex = null;
+                this.validMoves = [];
+                this.pathChoices = [];
+                
+                // Reset history
+                this.history = [];
+                this.historyIndex = -1;
+                this.positionCounts = new Map();
+                this.saveToHistory();
+                this.restoreClock(data.clock);
+                
+                return true;
+            } catch (e) {
+                console.error('Failed to import game:', e);
+                return false;
+            }
+        }
+
+        /**
+         * Export the moves played so far as a game record
+         * @param {Object} [headers] - Extra headers (e.g. Black, White, Event) overriding the stored ones
+         * @returns {string} Game record text (see Notation.js)
+         */
+        exportRecord(headers = {}) {
+            const now = new Date();
+            const date = [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+                .map(part => String(part).padStart(2, '0'))
+                .join('.');
+            
+            // Records of other rule sets name them, and records that don't start from the
+            // setup of their rules carry their first position
+            const startHeaders = {};
+            if (!this.ruleSet.isStandard()) {
+                startHeaders.Rules = this.ruleSet.toString();
+            }
+            if (this.clock) {
+                startHeaders.TimeControl = describeTimeControl(this.clock.timeControl);
+            }
+            const start = this.history[0];
+            const startGrid = new HexGrid();
+            startGrid.loadCells(start.grid);
+            const startPosition = positionToString({ grid: startGrid, players: start.players, currentPlayer: start.currentPlayer });
+            if (startPosition !== new GameState({ storage: this.storage, ruleSet: this.ruleSet }).toPositionString()) {
+                startHeaders.Position = startPosition;
+            }
+            
+            // Ring captures are marked from the position before each move
+            const moves = this.getMoveHistory().map((move, index) => {
+                const grid = new HexGrid();
+                grid.loadCells(this.history[index].grid);
+                return {
+                    notation: moveToNotation(move, { grid }),
+                    comment: this.moveComments.get(index + 1) || null
+                };
+            });
+            
+            return serializeGameRecord({
+                headers: {
+                    Event: 'Casual game',
+                    Date: date,
+                    Black: 'Black',
+                    White: 'White',
+                    ...this.recordHeaders,
+                    ...headers,
+                    ...startHeaders,
+                    Result: resultToken(this.gameOver, this.winner)
+                },
+                moves
+            });
+        }
+
+        /**
+         * Import a game record and replay its moves from the starting position
+         * @param {string} text - Game record text (see Notation.js)
+         * @returns {boolean} True if the record was imported successfully
+         */
+        importRecord(text) {
+            try {
+                const record = parseGameRecord(text);
+                const ruleSet = record.headers.Rules ? RuleSet.parse(record.headers.Rules) : STANDARD_RULES;
+                
+                // Replay on a scratch game first so an illegal move leaves this game untouched
+                const replay = new GameState({ storage: this.storage, ruleSet });
+                if (record.headers.Position && !replay.loadPosition(record.headers.Position)) {
+                    throw new Error(`Invalid Position header: ${record.headers.Position}`);
+                }
+                record.moves.forEach(({ notation, move }, index) => {
+                    if (!isLegalMove(replay, move)) {
+                        throw new Error(`Illegal move ${index + 1}: ${notation}`);
+                    }
+                    replay.makeMove(move);
+                });
+                
+                // Records are replayed untimed
+                this.initializeGame(ruleSet, null);
+                if (record.headers.Position) {
+                    this.loadPosition(record.headers.Position);
+                }
+                record.moves.forEach(({ move }) => this.makeMove(move));
+                
+                // A result the moves do not decide, such as a resignation or a loss on time, is taken from the record
+                const winner = RESULTS[record.result];
+                if (!this.gameOver && winner !== undefined) {
+                    this.endGame(winner, winner ?
+                        `Game over! ${winner.charAt(0).toUpperCase() + winner.slice(1)} wins (${record.result}).` :
+                        `Game ended in a draw (${record.result}).`);
+                    const current = this.history[this.historyIndex];
+                    this.history[this.historyIndex] = this.createSnapshot(current.positionKey, current.move);
+                }
+                
+                // Keep the record information for the next export; imported games are untimed,
+                // so their records no longer have a time control
+                const { Result, Position, Rules, TimeControl, ...headers } = record.headers;
+                this.recordHeaders = headers;
+                record.moves.forEach(({ comment }, index) => {
+                    if (comment) {
+                        this.moveComments.set(index + 1, comment);
+                    }
+                });
+                
+                return true;
+            } catch (e) {
+                console.error('Failed to import game record:', e);
+                return false;
+            }
         }
     }
-}
 
-// Export the class for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { GameState };
-} 
\ No newline at end of file
+    return { GameState };
+});
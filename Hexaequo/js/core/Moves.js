@@ -0,0 +1,192 @@
+/**
+ * Moves.js
+ * Pure move generation for Hexaequo: every legal move of a position as a structured object,
+ * and a way to apply one to get the next position.
+ *
+ * Move objects:
+ *   { type: 'placeTile', to: Hex }
+ *   { type: 'placeDisc', to: Hex }
+ *   { type: 'placeRing', to: Hex }
+ *   { type: 'movePiece', from: Hex, path: [Hex, ...] }
+ * A disc step or a ring move has a single landing in its path; a disc jump chain lists every landing in order.
+ *
+ * Why a move is not legal, as returned by getMoveError():
+ *   GAME_OVER              The game has ended
+ *   INVALID_MOVE           Not a move object
+ *   INSUFFICIENT_RESERVES  No piece of that kind left to place (a ring also needs a captured disc)
+ *   NOT_YOUR_PIECE         No piece of the player to move on the starting hex
+ *   ILLEGAL_DESTINATION    The piece cannot go there
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(require('./HexGrid.js'));
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ Hex }) {
+    /**
+     * Get every legal move for the side to move.
+     * The state must be at the start of a turn; a half-played multi-jump is not taken into account.
+     * @param {GameState} state - The game state
+     * @returns {Array} Array of move objects
+     */
+    function getLegalMoves(state) {
+        if (state.gameOver) {
+            return [];
+        }
+
+        const color = state.currentPlayer;
+        const player = state.players[color];
+        const grid = state.grid;
+        const moves = [];
+
+        // Tile placements
+        if (player.tiles.placed < player.tiles.total) {
+            grid.getValidTilePlacements(color).forEach(to => {
+                moves.push({ type: 'placeTile', to });
+            });
+        }
+
+        // Disc and ring placements share the same target tiles
+        const pieceTargets = grid.getValidPiecePlacements(color);
+        if (player.discs.placed < player.discs.total) {
+            pieceTargets.forEach(to => {
+                moves.push({ type: 'placeDisc', to });
+            });
+        }
+        if (player.rings.placed < player.rings.total && player.discs.captured > 0) {
+            pieceTargets.forEach(to => {
+                moves.push({ type: 'placeRing', to });
+            });
+        }
+
+        // Piece movements
+        grid.getAllCells().forEach(([from, data]) => {
+            if (!data.piece || data.piece.color !== color) {
+                return;
+            }
+
+            // Disc steps, disc jump chains and ring moves
+            grid.getPieceMovePaths(from).forEach(path => {
+                moves.push({ type: 'movePiece', from, path });
+            });
+        });
+
+        return moves;
+    }
+
+    /**
+     * Apply a move and return the resulting state. The given state is left untouched.
+     * The move is not validated: use isLegalMove() for moves from untrusted sources.
+     * @param {GameState} state - The game state
+     * @param {Object} move - Move object as returned by getLegalMoves()
+     * @returns {GameState} New game state after the move
+     */
+    function applyMove(state, move) {
+        const next = state.clone();
+        next.makeMove(normalizeMove(move));
+        return next;
+    }
+
+    /**
+     * Check if a move is legal in the given state
+     * @param {GameState} state - The game state
+     * @param {Object} move - Move object, possibly with plain {q, r} coordinates
+     * @returns {boolean} True if the move is one of getLegalMoves(state)
+     */
+    function isLegalMove(state, move) {
+        return getLegalMoves(state).some(legalMove => movesEqual(legalMove, move));
+    }
+
+    /**
+     * Tell why a move is not legal in the given state
+     * @param {GameState} state - The game state
+     * @param {Object} move - Move object, possibly with plain {q, r} coordinates
+     * @returns {string|null} Error code (see the top of this file), null if the move is legal
+     */
+    function getMoveError(state, move) {
+        if (state.gameOver) {
+            return 'GAME_OVER';
+        }
+        if (isLegalMove(state, move)) {
+            return null;
+        }
+
+        const player = state.players[state.currentPlayer];
+        switch (move && move.type) {
+            case 'placeTile':
+                return player.tiles.placed >= player.tiles.total ? 'INSUFFICIENT_RESERVES' : 'ILLEGAL_DESTINATION';
+
+            case 'placeDisc':
+                return player.discs.placed >= player.discs.total ? 'INSUFFICIENT_RESERVES' : 'ILLEGAL_DESTINATION';
+
+            case 'placeRing':
+                return player.rings.placed >= player.rings.total || player.discs.captured <= 0
+                    ? 'INSUFFICIENT_RESERVES'
+                    : 'ILLEGAL_DESTINATION';
+
+            case 'movePiece': {
+                if (!move.from || !Array.isArray(move.path)) {
+                    return 'INVALID_MOVE';
+                }
+                const cell = state.grid.getCell(new Hex(move.from.q, move.from.r));
+                return cell && cell.piece && cell.piece.color === state.currentPlayer
+                    ? 'ILLEGAL_DESTINATION'
+                    : 'NOT_YOUR_PIECE';
+            }
+
+            default:
+                return 'INVALID_MOVE';
+        }
+    }
+
+    /**
+     * Check if two moves are the same
+     * @param {Object} a - First move
+     * @param {Object} b - Second move
+     * @returns {boolean} True if both moves describe the same action
+     */
+    function movesEqual(a, b) {
+        if (!a || !b || a.type !== b.type) {
+            return false;
+        }
+
+        if (a.type !== 'movePiece') {
+            return sameHex(a.to, b.to);
+        }
+
+        return sameHex(a.from, b.from) &&
+            Array.isArray(b.path) &&
+            a.path.length === b.path.length &&
+            a.path.every((hex, i) => sameHex(hex, b.path[i]));
+    }
+
+    /**
+     * Convert a move with plain {q, r} coordinates (e.g. parsed from JSON) into one with Hex instances
+     * @param {Object} move - Move object
+     * @returns {Object} Move object using Hex instances
+     */
+    function normalizeMove(move) {
+        const toHex = ({ q, r }) => new Hex(q, r);
+
+        if (move.type === 'movePiece') {
+            return { type: move.type, from: toHex(move.from), path: move.path.map(toHex) };
+        }
+        return { type: move.type, to: toHex(move.to) };
+    }
+
+    /**
+     * Compare two coordinates that may be Hex instances or plain {q, r} objects
+     * @param {Object} a - First coordinate
+     * @param {Object} b - Second coordinate
+     * @returns {boolean} True if both point to the same hex
+     */
+    function sameHex(a, b) {
+        return Boolean(a && b) && a.q === b.q && a.r === b.r;
+    }
+
+    return { getLegalMoves, applyMove, isLegalMove, getMoveError, movesEqual, normalizeMove };
+});
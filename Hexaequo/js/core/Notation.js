@@ -0,0 +1,391 @@
+/**
+ * Notation.js
+ * Text notation for Hexaequo moves and the game record format built on it.
+ *
+ * Move notation (coordinates are axial "q,r"):
+ *   T+1,-2          Place a tile on 1,-2
+ *   D@0,1           Place a disc on 0,1
+ *   R@2,0           Place a ring on 2,0
+ *   0,1>1,0         Move a piece without capturing (disc step, quiet ring move)
+ *   0,1x2,-1x4,-3   Disc jump chain: every landing is preceded by "x"
+ *   2,0x4,-2        Ring capturing the piece it lands on
+ *
+ * Game record format (inspired by PGN):
+ *   [Event "Club night"]
+ *   [Date "2024.05.17"]
+ *   [Black "Alice"]
+ *   [White "Bob"]
+ *   [Result "1-0"]
+ *
+ *   1. D@0,0 T+2,-1 2. 1,-1>1,0 {Threatens the white disc} 0,1x2,-1 1-0
+ *
+ * Results are "1-0" (Black wins), "0-1" (White wins), "1/2-1/2" (Ex Aequo) or "*" (unfinished).
+ * Comments in braces annotate the move they follow. A record starting from another position than
+ * the setup of its rules has a Position header holding the position string of its first position.
+ * Games played with other rules than the standard ones have a Rules header: the name of a rule set
+ * preset (e.g. "short"), or the rules as JSON (see RuleSet.js).
+ *
+ * Position string (canonical, similar to FEN), four space-separated fields:
+ *   1,-1bD/0,0b/1,0w/0,1wd b 2/9:1/6/0:0/3/0 2/9:1/6/0:0/3/0
+ *   1. Cells sorted by r then q, separated by "/": coordinates, tile color ("b" or "w") and an optional
+ *      piece: "D"/"R" for a black disc/ring, "d"/"r" for a white disc/ring
+ *   2. Side to move: "b" or "w"
+ *   3. Black counts: tiles placed/total : discs placed/total/captured : rings placed/total/captured
+ *   4. White counts, same layout
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(require('./HexGrid.js'));
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ Hex }) {
+    // Patterns for the different kinds of move
+    const COORD = '(-?\\d+),(-?\\d+)';
+    const TILE_PATTERN = new RegExp(`^T\\+${COORD}$`);
+    const PIECE_PATTERN = new RegExp(`^([DR])@${COORD}$`);
+    const MOVE_PATTERN = /^-?\d+,-?\d+(?:[x>]-?\d+,-?\d+)+$/;
+    const LANDING_PATTERN = /([x>])(-?\d+),(-?\d+)/g;
+
+    // Results and the game outcome they stand for
+    const RESULTS = {
+        '1-0': 'black',
+        '0-1': 'white',
+        '1/2-1/2': null,
+        '*': undefined
+    };
+
+    // Headers written first, in this order, when present
+    const HEADER_ORDER = ['Event', 'Site', 'Date', 'Black', 'White', 'Result', 'TimeControl', 'Rules', 'Position'];
+
+    // Position string patterns and piece letters
+    const CELL_PATTERN = /^(-?\d+),(-?\d+)([bw])([DRdr]?)$/;
+    const COUNTS_PATTERN = /^(\d+)\/(\d+):(\d+)\/(\d+)\/(\d+):(\d+)\/(\d+)\/(\d+)$/;
+    const PIECE_LETTERS = { disc: 'd', ring: 'r' };
+
+    /**
+     * Format a hex as "q,r"
+     * @param {Hex} hex - The hex
+     * @returns {string} Coordinates in notation form
+     */
+    function formatHex(hex) {
+        return `${hex.q},${hex.r}`;
+    }
+
+    /**
+     * Convert a move to its text notation
+     * @param {Object} move - Move object (see Moves.js)
+     * @param {GameState} [state] - Position before the move, used to mark ring captures with "x"
+     * @returns {string} Move notation
+     */
+    function moveToNotation(move, state) {
+        switch (move.type) {
+            case 'placeTile':
+                return `T+${formatHex(move.to)}`;
+
+            case 'placeDisc':
+                return `D@${formatHex(move.to)}`;
+
+            case 'placeRing':
+                return `R@${formatHex(move.to)}`;
+
+            case 'movePiece': {
+                const fromCell = state ? state.grid.getCell(new Hex(move.from.q, move.from.r)) : null;
+                const isRing = fromCell && fromCell.piece && fromCell.piece.type === 'ring';
+                let previous = move.from;
+
+                return formatHex(move.from) + move.path.map(landing => {
+                    let separator;
+                    if (isRing) {
+                        // Rings capture by landing on a piece
+                        const landingCell = state.grid.getCell(new Hex(landing.q, landing.r));
+                        separator = landingCell && landingCell.piece ? 'x' : '>';
+                    } else {
+                        // Discs jump whenever they travel further than one hex
+                        separator = new Hex(previous.q, previous.r).distance(landing) > 1 ? 'x' : '>';
+                    }
+                    previous = landing;
+                    return separator + formatHex(landing);
+                }).join('');
+            }
+
+            default:
+                throw new Error(`Unknown move type: ${move.type}`);
+        }
+    }
+
+    /**
+     * Parse a move from its text notation
+     * @param {string} text - Move notation
+     * @returns {Object} Move object (see Moves.js)
+     */
+    function parseMove(text) {
+        const notation = text.trim();
+
+        const tileMatch = notation.match(TILE_PATTERN);
+        if (tileMatch) {
+            return { type: 'placeTile', to: new Hex(Number(tileMatch[1]), Number(tileMatch[2])) };
+        }
+
+        const pieceMatch = notation.match(PIECE_PATTERN);
+        if (pieceMatch) {
+            return {
+                type: pieceMatch[1] === 'D' ? 'placeDisc' : 'placeRing',
+                to: new Hex(Number(pieceMatch[2]), Number(pieceMatch[3]))
+            };
+        }
+
+        if (MOVE_PATTERN.test(notation)) {
+            const from = Hex.fromHash(notation.match(/^-?\d+,-?\d+/)[0]);
+            const path = Array.from(notation.matchAll(LANDING_PATTERN))
+                .map(([, , q, r]) => new Hex(Number(q), Number(r)));
+            return { type: 'movePiece', from, path };
+        }
+
+        throw new Error(`Invalid move notation: "${text}"`);
+    }
+
+    /**
+     * Get the result token for a finished or ongoing game
+     * @param {boolean} gameOver - Whether the game is over
+     * @param {string|null} winner - Winner color or null for a draw
+     * @returns {string} Result token
+     */
+    function resultToken(gameOver, winner) {
+        if (!gameOver) {
+            return '*';
+        }
+        if (winner === 'black') {
+            return '1-0';
+        }
+        if (winner === 'white') {
+            return '0-1';
+        }
+        return '1/2-1/2';
+    }
+
+    /**
+     * Serialize a game record
+     * @param {Object} record - The game record
+     * @param {Object} record.headers - Header names and values (e.g. Black, White, Date, Result)
+     * @param {Array} record.moves - Moves in notation, as strings or { notation, comment } objects
+     * @returns {string} Game record text
+     */
+    function serializeGameRecord({ headers = {}, moves = [] }) {
+        const result = headers.Result || '*';
+        const names = [
+            ...HEADER_ORDER.filter(name => name in headers || name === 'Result'),
+            ...Object.keys(headers).filter(name => !HEADER_ORDER.includes(name))
+        ];
+
+        const headerLines = names.map(name => {
+            const value = name === 'Result' ? result : String(headers[name]);
+            return `[${name} "${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`;
+        });
+
+        // Black moves first, so each numbered turn holds a black move and a white move
+        const tokens = [];
+        moves.forEach((entry, index) => {
+            const { notation, comment } = typeof entry === 'string' ? { notation: entry } : entry;
+            if (index % 2 === 0) {
+                tokens.push(`${index / 2 + 1}.`);
+            }
+            tokens.push(notation);
+            if (comment) {
+                tokens.push(`{${comment.replace(/[{}]/g, '')}}`);
+            }
+        });
+        tokens.push(result);
+
+        // Wrap the move text to keep lines readable
+        const lines = [];
+        let line = '';
+        tokens.forEach(token => {
+            if (line && line.length + token.length + 1 > 80) {
+                lines.push(line);
+                line = token;
+            } else {
+                line = line ? `${line} ${token}` : token;
+            }
+        });
+        lines.push(line);
+
+        return `${headerLines.join('\n')}\n\n${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Parse a game record
+     * @param {string} text - Game record text
+     * @returns {Object} Record with headers, moves ({ notation, move, comment } objects) and result
+     */
+    function parseGameRecord(text) {
+        const headers = {};
+        const moves = [];
+        let result = '*';
+
+        // Headers
+        const headerPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm;
+        const body = text.replace(headerPattern, (_, name, value) => {
+            headers[name] = value.replace(/\\(.)/g, '$1');
+            return '';
+        });
+
+        // Move text: comments, move numbers, moves and the result
+        const tokenPattern = /\{([^}]*)\}|(\S+)/g;
+        let match;
+        while ((match = tokenPattern.exec(body)) !== null) {
+            const [, comment, token] = match;
+
+            if (comment !== undefined) {
+                if (moves.length === 0) {
+                    throw new Error('A comment must follow a move.');
+                }
+                const last = moves[moves.length - 1];
+                last.comment = last.comment ? `${last.comment} ${comment.trim()}` : comment.trim();
+            } else if (/^\d+\.$/.test(token)) {
+                continue;
+            } else if (token in RESULTS) {
+                result = token;
+            } else {
+                moves.push({ notation: token, move: parseMove(token), comment: null });
+            }
+        }
+
+        if (headers.Result && headers.Result !== result && result !== '*') {
+            throw new Error(`Result header "${headers.Result}" does not match the move text result "${result}".`);
+        }
+
+        return { headers, moves, result: headers.Result || result };
+    }
+
+    /**
+     * Write the cells field of a position string
+     * @param {Array} cells - [hex, cellData] pairs, in any order
+     * @returns {string} Cells sorted by r then q, separated by "/"
+     */
+    function formatCells(cells) {
+        return cells
+            .slice()
+            .sort(([a], [b]) => a.r - b.r || a.q - b.q)
+            .map(([hex, data]) => {
+                let token = `${formatHex(hex)}${data.color[0]}`;
+                if (data.piece) {
+                    const letter = PIECE_LETTERS[data.piece.type];
+                    token += data.piece.color === 'black' ? letter.toUpperCase() : letter;
+                }
+                return token;
+            })
+            .join('/');
+    }
+
+    /**
+     * Write the piece counts of a player for a position string
+     * @param {Object} player - Player data: tiles, discs and rings counts
+     * @returns {string} E.g. "2/9:1/6/0:0/3/0"
+     */
+    function formatCounts({ tiles, discs, rings }) {
+        return `${tiles.placed}/${tiles.total}:` +
+            `${discs.placed}/${discs.total}/${discs.captured}:` +
+            `${rings.placed}/${rings.total}/${rings.captured}`;
+    }
+
+    /**
+     * Build the canonical position string of a game state
+     * @param {GameState} state - The game state
+     * @returns {string} Position string
+     */
+    function positionToString(state) {
+        return [
+            formatCells(state.grid.getAllCells()),
+            state.currentPlayer[0],
+            formatCounts(state.players.black),
+            formatCounts(state.players.white)
+        ].join(' ');
+    }
+
+    /**
+     * Parse a position string. Only canonical strings are accepted, so a position has exactly
+     * one string: cells sorted by r then q and numbers without leading zeros.
+     * @param {string} text - Position string
+     * @returns {Object} Position with grid (array of [hash, data] pairs), players and currentPlayer
+     * @throws {Error} If the string is malformed or not canonical
+     */
+    function parsePosition(text) {
+        const fields = text.trim().split(/\s+/);
+        if (fields.length !== 4) {
+            throw new Error(`A position needs 4 fields, got ${fields.length}.`);
+        }
+        const [cellsField, sideField, blackField, whiteField] = fields;
+
+        const colors = { b: 'black', w: 'white' };
+        const grid = cellsField.split('/').map(token => {
+            const match = token.match(CELL_PATTERN);
+            if (!match) {
+                throw new Error(`Invalid cell "${token}".`);
+            }
+            const [, q, r, tileColor, pieceLetter] = match;
+            const data = { type: 'tile', color: colors[tileColor] };
+            if (pieceLetter) {
+                data.piece = {
+                    type: pieceLetter.toLowerCase() === 'd' ? 'disc' : 'ring',
+                    color: pieceLetter === pieceLetter.toUpperCase() ? 'black' : 'white'
+                };
+            }
+            return [`${Number(q)},${Number(r)}`, data];
+        });
+
+        if (new Set(grid.map(([hash]) => hash)).size !== grid.length) {
+            throw new Error('A cell appears more than once.');
+        }
+        const cells = formatCells(grid.map(([hash, data]) => [Hex.fromHash(hash), data]));
+        if (cells !== cellsField) {
+            throw new Error(`Cells must be written in order of r then q, as "${cells}".`);
+        }
+
+        if (!colors[sideField]) {
+            throw new Error(`Invalid side to move "${sideField}".`);
+        }
+
+        const parseCounts = field => {
+            const match = field.match(COUNTS_PATTERN);
+            if (!match) {
+                throw new Error(`Invalid piece counts "${field}".`);
+            }
+            const [tilesPlaced, tilesTotal, discsPlaced, discsTotal, discsCaptured,
+                ringsPlaced, ringsTotal, ringsCaptured] = match.slice(1).map(Number);
+            const counts = {
+                tiles: { total: tilesTotal, placed: tilesPlaced },
+                discs: { total: discsTotal, placed: discsPlaced, captured: discsCaptured },
+                rings: { total: ringsTotal, placed: ringsPlaced, captured: ringsCaptured }
+            };
+            if (formatCounts(counts) !== field) {
+                throw new Error(`Invalid piece counts "${field}": write numbers without leading zeros.`);
+            }
+            return counts;
+        };
+
+        return {
+            grid,
+            currentPlayer: colors[sideField],
+            players: {
+                black: parseCounts(blackField),
+                white: parseCounts(whiteField)
+            }
+        };
+    }
+
+    return {
+        formatHex,
+        moveToNotation,
+        parseMove,
+        resultToken,
+        serializeGameRecord,
+        parseGameRecord,
+        positionToString,
+        parsePosition,
+        RESULTS
+    };
+});
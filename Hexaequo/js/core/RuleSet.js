@@ -0,0 +1,378 @@
+/**
+ * RuleSet.js
+ * Rule variants of Hexaequo: the piece counts, the starting layout, which win conditions apply,
+ * how often a position must repeat to draw and what happens to a player without a legal move.
+ * A game keeps the rule set it was started with; saves and game records carry it along.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Win conditions a rule set can enable, by id
+     */
+    const WIN_CONDITIONS = {
+        discs: 'Capture all of the opponent\'s discs',
+        rings: 'Capture all of the opponent\'s rings',
+        board: 'Remove all of the opponent\'s pieces from the board'
+    };
+
+    /**
+     * Outcomes for a player who has no legal move on their turn
+     */
+    const NO_MOVE_OUTCOMES = {
+        draw: 'The game is drawn (Ex Aequo)',
+        loss: 'The player loses'
+    };
+
+    // Longest rule set name or label; labels come from other players in online games
+    const MAX_LABEL_LENGTH = 40;
+
+    // Names of the repetition counts allowed, as in "threefold repetition"
+    const REPETITION_NAMES = ['', '', 'twofold', 'threefold', 'fourfold', 'fivefold', 'sixfold',
+        'sevenfold', 'eightfold', 'ninefold', 'tenfold'];
+
+    /**
+     * Starting layouts to choose from. Tiles are listed in the order the grid is built.
+     */
+    const STARTING_LAYOUTS = {
+        standard: {
+            label: 'Standard (2 × 2 tiles)',
+            setup: [
+                { q: 0, r: 0, color: 'black' },
+                { q: 1, r: 0, color: 'white' },
+                { q: 0, r: 1, color: 'white', piece: 'disc' },
+                { q: 1, r: -1, color: 'black', piece: 'disc' }
+            ]
+        },
+        hexagon: {
+            label: 'Hexagon (6 tiles around an empty center)',
+            setup: [
+                { q: 1, r: 0, color: 'black', piece: 'disc' },
+                { q: 1, r: -1, color: 'white' },
+                { q: 0, r: -1, color: 'black' },
+                { q: -1, r: 0, color: 'white', piece: 'disc' },
+                { q: -1, r: 1, color: 'black' },
+                { q: 0, r: 1, color: 'white' }
+            ]
+        }
+    };
+
+    const STANDARD_SETUP = STARTING_LAYOUTS.standard.setup;
+
+    /**
+     * Predefined rule sets offered when starting a new game
+     */
+    const RULE_SETS = {
+        standard: {
+            label: 'Standard',
+            pieces: { tiles: 9, discs: 6, rings: 3 },
+            setup: STANDARD_SETUP,
+            winConditions: ['discs', 'rings', 'board'],
+            repetitions: 3,
+            noMoves: 'draw'
+        },
+        short: {
+            label: 'Short game',
+            pieces: { tiles: 7, discs: 4, rings: 2 },
+            setup: STANDARD_SETUP,
+            winConditions: ['discs', 'rings', 'board'],
+            repetitions: 3,
+            noMoves: 'draw'
+        },
+        attrition: {
+            label: 'Attrition (clear the board)',
+            pieces: { tiles: 9, discs: 6, rings: 3 },
+            setup: STANDARD_SETUP,
+            winConditions: ['board'],
+            repetitions: 3,
+            noMoves: 'draw'
+        }
+    };
+
+    class RuleSet {
+        /**
+         * Create a rule set. Fields that are left out take the standard values.
+         * @param {Object} [options] - Rule set fields
+         * @param {string} [options.name='custom'] - Preset name, or custom
+         * @param {string} [options.label] - Name shown to players
+         * @param {Object} [options.pieces] - Pieces per player: { tiles, discs, rings }
+         * @param {Array} [options.setup] - Starting tiles { q, r, color, piece }, piece being
+         *     'disc', 'ring' or left out for an empty tile
+         * @param {Array} [options.winConditions] - Ids of the win conditions that apply (see WIN_CONDITIONS)
+         * @param {number} [options.repetitions=3] - Occurrences of a position that draw the game, 0 for never
+         * @param {string} [options.noMoves='draw'] - Outcome for a player without a legal move: 'draw' or 'loss'
+         * @throws {Error} If the rule set is not playable
+         */
+        constructor(options = {}) {
+            const standard = RULE_SETS.standard;
+
+            this.name = options.name || 'custom';
+            this.label = options.label || (RULE_SETS[this.name] ? RULE_SETS[this.name].label : 'Custom');
+            this.pieces = { ...standard.pieces, ...options.pieces };
+            this.setup = (options.setup || standard.setup).map(({ q, r, color, piece }) =>
+                (piece ? { q, r, color, piece } : { q, r, color }));
+            this.winConditions = (options.winConditions || standard.winConditions).slice();
+            this.repetitions = options.repetitions !== undefined ? options.repetitions : standard.repetitions;
+            this.noMoves = options.noMoves || standard.noMoves;
+
+            this.validate();
+
+            // Games share their rule set with clones, snapshots and workers
+            Object.freeze(this.pieces);
+            this.setup.forEach(Object.freeze);
+            Object.freeze(this.setup);
+            Object.freeze(this.winConditions);
+            Object.freeze(this);
+        }
+
+        /**
+         * Check that a game can be played with these rules
+         * @throws {Error} Describing the first problem found
+         */
+        validate() {
+            ['name', 'label'].forEach(field => {
+                const value = this[field];
+                if (typeof value !== 'string' || value.length === 0 || value.length > MAX_LABEL_LENGTH) {
+                    throw new Error(`Rule set ${field} must be text of 1 to ${MAX_LABEL_LENGTH} characters`);
+                }
+            });
+
+            ['tiles', 'discs', 'rings'].forEach(type => {
+                const count = this.pieces[type];
+                if (!Number.isInteger(count) || count < 1 || count > 30) {
+                    throw new Error(`Number of ${type} must be a whole number from 1 to 30`);
+                }
+            });
+
+            const seen = new Set();
+            this.setup.forEach(({ q, r, color, piece }) => {
+                if (!Number.isInteger(q) || !Number.isInteger(r)) {
+                    throw new Error('Setup coordinates must be whole numbers');
+                }
+                if (color !== 'black' && color !== 'white') {
+                    throw new Error(`Invalid setup color: ${color}`);
+                }
+                if (piece !== undefined && piece !== 'disc' && piece !== 'ring') {
+                    throw new Error(`Invalid setup piece: ${piece}`);
+                }
+                if (seen.has(`${q},${r}`)) {
+                    throw new Error(`Setup places two tiles on ${q},${r}`);
+                }
+                seen.add(`${q},${r}`);
+            });
+
+            ['black', 'white'].forEach(color => {
+                const counts = this.getSetupCounts(color);
+                if (counts.discs + counts.rings === 0) {
+                    throw new Error(`Setup gives ${color} no piece`);
+                }
+                ['tiles', 'discs', 'rings'].forEach(type => {
+                    if (counts[type] > this.pieces[type]) {
+                        throw new Error(`Setup places more ${color} ${type} than a player has`);
+                    }
+                });
+            });
+
+            this.winConditions.forEach(id => {
+                if (!WIN_CONDITIONS[id]) {
+                    throw new Error(`Unknown win condition: ${id}`);
+                }
+            });
+            if (!Number.isInteger(this.repetitions) || this.repetitions === 1 || this.repetitions < 0 || this.repetitions > 10) {
+                throw new Error('Repetitions must be 0 (never draw) or a whole number from 2 to 10');
+            }
+            if (!NO_MOVE_OUTCOMES[this.noMoves]) {
+                throw new Error(`Unknown outcome without legal moves: ${this.noMoves}`);
+            }
+        }
+
+        /**
+         * Count what the starting layout places for one color
+         * @param {string} color - Player color
+         * @returns {Object} { tiles, discs, rings }
+         */
+        getSetupCounts(color) {
+            const counts = { tiles: 0, discs: 0, rings: 0 };
+            this.setup.forEach(cell => {
+                if (cell.color === color) {
+                    counts.tiles++;
+                    if (cell.piece) {
+                        counts[`${cell.piece}s`]++;
+                    }
+                }
+            });
+            return counts;
+        }
+
+        /**
+         * Create the piece counters of both players at the start of a game
+         * @returns {Object} Players object of a game state
+         */
+        createPlayers() {
+            const players = {};
+            ['black', 'white'].forEach(color => {
+                const placed = this.getSetupCounts(color);
+                players[color] = {
+                    tiles: { total: this.pieces.tiles, placed: placed.tiles },
+                    discs: { total: this.pieces.discs, placed: placed.discs, captured: 0 },
+                    rings: { total: this.pieces.rings, placed: placed.rings, captured: 0 }
+                };
+            });
+            return players;
+        }
+
+        /**
+         * Decide the game when a player has no legal move on their turn. This is the one place
+         * deciding it: the game state ends the game with this outcome, and the rule checks and
+         * the rules text follow the same policy.
+         * @param {string} color - Player without a legal move
+         * @returns {Object} { winner, message }, winner being null for a draw
+         */
+        getNoMovesOutcome(color) {
+            if (this.noMoves === 'loss') {
+                const winner = color === 'black' ? 'white' : 'black';
+                return {
+                    winner,
+                    message: `Game over! ${winner.charAt(0).toUpperCase() + winner.slice(1)} wins because ${color} has no valid moves.`
+                };
+            }
+            return {
+                winner: null,
+                message: `Game ended in a draw because ${color} has no valid moves (Ex Aequo).`
+            };
+        }
+
+        /**
+         * Check whether a win condition applies
+         * @param {string} id - Win condition id (see WIN_CONDITIONS)
+         * @returns {boolean} True if it ends the game
+         */
+        hasWinCondition(id) {
+            return this.winConditions.includes(id);
+        }
+
+        /**
+         * Name the repetition that draws, for messages
+         * @returns {string} E.g. threefold, or an empty string if repetition never draws
+         */
+        getRepetitionName() {
+            return REPETITION_NAMES[this.repetitions];
+        }
+
+        /**
+         * Find the starting layout of these rules
+         * @returns {string|null} Key of STARTING_LAYOUTS, or null for another layout
+         */
+        getLayoutName() {
+            const setup = JSON.stringify(this.setup);
+            return Object.keys(STARTING_LAYOUTS).find(name =>
+                JSON.stringify(STARTING_LAYOUTS[name].setup) === setup) || null;
+        }
+
+        /**
+         * Check whether these are the standard rules
+         * @returns {boolean} True if every rule matches the standard game
+         */
+        isStandard() {
+            return this.equals(RuleSet.standard());
+        }
+
+        /**
+         * Compare the rules, ignoring names and labels
+         * @param {RuleSet} other - Rule set to compare with
+         * @returns {boolean} True if both play the same game
+         */
+        equals(other) {
+            const rules = ({ pieces, setup, winConditions, repetitions, noMoves }) =>
+                JSON.stringify([pieces, setup, winConditions.slice().sort(), repetitions, noMoves]);
+            return rules(this) === rules(other);
+        }
+
+        /**
+         * Convert to plain data for saves and postMessage()
+         * @returns {Object} Data accepted by RuleSet.from()
+         */
+        toJSON() {
+            return {
+                name: this.name,
+                label: this.label,
+                pieces: { ...this.pieces },
+                setup: this.setup.map(cell => ({ ...cell })),
+                winConditions: this.winConditions.slice(),
+                repetitions: this.repetitions,
+                noMoves: this.noMoves
+            };
+        }
+
+        /**
+         * Format for the Rules header of a game record: the preset name when the rules are
+         * unchanged, otherwise the rules as JSON
+         * @returns {string} Header value for RuleSet.parse()
+         */
+        toString() {
+            const preset = RULE_SETS[this.name];
+            if (preset && this.equals(new RuleSet({ ...preset, name: this.name }))) {
+                return this.name;
+            }
+            return JSON.stringify(this.toJSON());
+        }
+
+        /**
+         * Read a Rules header written by toString()
+         * @param {string} text - Preset name or JSON rules
+         * @returns {RuleSet} The rule set
+         * @throws {Error} If the text names no preset or describes unplayable rules
+         */
+        static parse(text) {
+            const value = text.trim();
+            if (value.startsWith('{')) {
+                return new RuleSet(JSON.parse(value));
+            }
+            return RuleSet.preset(value);
+        }
+
+        /**
+         * Create a predefined rule set
+         * @param {string} name - Key of RULE_SETS
+         * @returns {RuleSet} The rule set
+         * @throws {Error} If there is no such preset
+         */
+        static preset(name) {
+            if (!Object.prototype.hasOwnProperty.call(RULE_SETS, name)) {
+                throw new Error(`Unknown rule set: ${name}`);
+            }
+            return new RuleSet({ ...RULE_SETS[name], name });
+        }
+
+        /**
+         * Create the standard rule set
+         * @returns {RuleSet} The rule set
+         */
+        static standard() {
+            return RuleSet.preset('standard');
+        }
+
+        /**
+         * Accept the forms a rule set is passed around in
+         * @param {RuleSet|Object|string|null} [value] - Rule set, its toJSON() data or a preset
+         *     name; anything empty means the standard rules
+         * @returns {RuleSet} The rule set
+         */
+        static from(value) {
+            if (value instanceof RuleSet) {
+                return value;
+            }
+            if (!value) {
+                return RuleSet.standard();
+            }
+            return typeof value === 'string' ? RuleSet.preset(value) : new RuleSet(value);
+        }
+    }
+
+    return { RuleSet, RULE_SETS, STARTING_LAYOUTS, WIN_CONDITIONS, NO_MOVE_OUTCOMES };
+});
@@ -0,0 +1,94 @@
+/**
+ * Storage.js
+ * Pluggable persistence for saved games. Any object implementing the Web Storage API
+ * (getItem, setItem, removeItem, key, length) can be passed to GameState.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        // Browser or worker: exports become globals
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * In-memory storage implementing the Web Storage API, used when localStorage is unavailable
+     */
+    class MemoryStorage {
+        /**
+         * Create a new in-memory storage
+         */
+        constructor() {
+            this.items = new Map();
+        }
+
+        /**
+         * Get the number of stored items
+         * @returns {number} Number of items
+         */
+        get length() {
+            return this.items.size;
+        }
+
+        /**
+         * Get the key at the specified index
+         * @param {number} index - Index of the key
+         * @returns {string|null} Key or null if out of range
+         */
+        key(index) {
+            const keys = Array.from(this.items.keys());
+            return index >= 0 && index < keys.length ? keys[index] : null;
+        }
+
+        /**
+         * Get the value stored under a key
+         * @param {string} key - Key to read
+         * @returns {string|null} Stored value or null if not found
+         */
+        getItem(key) {
+            return this.items.has(key) ? this.items.get(key) : null;
+        }
+
+        /**
+         * Store a value under a key
+         * @param {string} key - Key to write
+         * @param {string} value - Value to store (converted to a string)
+         */
+        setItem(key, value) {
+            this.items.set(key, String(value));
+        }
+
+        /**
+         * Remove the value stored under a key
+         * @param {string} key - Key to remove
+         */
+        removeItem(key) {
+            this.items.delete(key);
+        }
+
+        /**
+         * Remove all stored values
+         */
+        clear() {
+            this.items.clear();
+        }
+    }
+
+    /**
+     * Get the default storage for the current environment
+     * @returns {Storage|MemoryStorage} localStorage in browsers, otherwise a new MemoryStorage
+     */
+    function getDefaultStorage() {
+        try {
+            if (typeof localStorage !== 'undefined' && localStorage) {
+                return localStorage;
+            }
+        } catch (e) {
+            // Accessing localStorage throws when storage is disabled
+        }
+        return new MemoryStorage();
+    }
+
+    return { MemoryStorage, getDefaultStorage };
+});
@@ -0,0 +1,19 @@
+/**
+ * index.js
+ * Entry point of the headless Hexaequo rules engine for Node.
+ * The same files are loaded with <script> tags in the browser.
+ *
+ * Usage:
+ *   const { GameState, GameRules } = require('./js/core');
+ */
+
+module.exports = {
+    ...require('./HexGrid.js'),
+    ...require('./Storage.js'),
+    ...require('./RuleSet.js'),
+    ...require('./GameClock.js'),
+    ...require('./GameState.js'),
+    ...require('./GameRules.js'),
+    ...require('./Moves.js'),
+    ...require('./Notation.js')
+};
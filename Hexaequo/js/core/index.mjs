@@ -0,0 +1,48 @@
+/**
+ * index.mjs
+ * ES module entry point of the headless Hexaequo rules engine.
+ *
+ * Usage:
+ *   import { GameState, GameRules } from './js/core/index.mjs';
+ */
+
+import engine from './index.js';
+
+export const {
+    Hex,
+    HexGrid,
+    HEX_DIRECTIONS,
+    zobristKey,
+    combineHash,
+    MemoryStorage,
+    getDefaultStorage,
+    RuleSet,
+    RULE_SETS,
+    STARTING_LAYOUTS,
+    WIN_CONDITIONS,
+    NO_MOVE_OUTCOMES,
+    GameClock,
+    TIME_CONTROLS,
+    TIME_CONTROL_TYPES,
+    describeTimeControl,
+    formatClockTime,
+    GameState,
+    GameRules,
+    getLegalMoves,
+    applyMove,
+    isLegalMove,
+    getMoveError,
+    movesEqual,
+    normalizeMove,
+    formatHex,
+    moveToNotation,
+    parseMove,
+    resultToken,
+    serializeGameRecord,
+    parseGameRecord,
+    positionToString,
+    parsePosition,
+    RESULTS
+} = engine;
+
+export default engine;
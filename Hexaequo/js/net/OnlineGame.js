@@ -0,0 +1,297 @@
+/**
+ * OnlineGame.js
+ * Client side of online games (see multiplayer.js): opens or joins a room on the server, sends
+ * the moves of the local player and keeps a GameState in step with the authoritative state the
+ * server sends after every move. The server is reached through a transport, a WebSocket in
+ * the browser.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node: load dependencies with require
+        module.exports = factory(require('../core/Moves.js'), require('../core/Notation.js'));
+    } else {
+        // Browser or worker: dependencies are globals, exports become globals
+        Object.assign(root, factory(root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function (
+    { movesEqual },
+    { moveToNotation, parseMove }
+) {
+    class OnlineGame {
+        /**
+         * Create a client for the game server
+         * @param {Object} transport - Connection to the server: send(text) sends a message,
+         *     close() ends it; the client sets transport.onMessage and transport.onClose
+         */
+        constructor(transport) {
+            this.transport = transport;
+            this.transport.onMessage = (text) => this.handleMessage(text);
+            this.transport.onClose = () => this.handleClose();
+
+            // Join code of the room and color, known once the server seats the player; a
+            // spectator watches the game without a color
+            this.room = null;
+            this.color = null;
+            this.spectator = false;
+
+            // Session token of the seat, for taking it back with resume() after the
+            // connection was lost
+            this.session = null;
+
+            // Last state sent by the server (see GameRoom.getState() in multiplayer.js)
+            this.serverState = null;
+
+            // First history snapshot of the game state last set up from the server; a game
+            // state with another one was loaded or started since
+            this.startSnapshot = null;
+
+            // Move sent to the server and not confirmed yet
+            this.pendingMove = null;
+            this.closed = false;
+
+            // Callbacks: onState(state) after every state from the server, onLobby(rooms) with
+            // the rooms, onError(message, code) when the server refuses a message (code as in
+            // ERROR_CODES of multiplayer.js), onClose() when the connection ends
+            this.onState = null;
+            this.onLobby = null;
+            this.onError = null;
+            this.onClose = null;
+        }
+
+        /**
+         * Connect to the game server over a WebSocket
+         * @param {string} url - WebSocket URL, e.g. "ws://localhost:8080/play"
+         * @returns {Promise<OnlineGame>} Resolves once connected
+         */
+        static connect(url) {
+            return new Promise((resolve, reject) => {
+                const socket = new WebSocket(url);
+                const transport = {
+                    send: (text) => socket.send(text),
+                    close: () => socket.close()
+                };
+                socket.onmessage = (event) => transport.onMessage(String(event.data));
+                socket.onerror = () => reject(new Error(`Could not connect to the game server at ${url}`));
+                socket.onclose = () => {
+                    reject(new Error('Game server connection closed'));
+                    if (transport.onClose) {
+                        transport.onClose();
+                    }
+                };
+                socket.onopen = () => resolve(new OnlineGame(transport));
+            });
+        }
+
+        /**
+         * Open a room and take a seat in it
+         * @param {Object} [options] - Room options
+         * @param {string} [options.name] - Name shown in the lobby
+         * @param {RuleSet} [options.ruleSet] - Rules of the game; standard by default
+         * @param {Object|string|null} [options.timeControl] - Time control (see GameClock.js),
+         *     null for an untimed game
+         * @param {string} [options.color='random'] - 'black', 'white' or 'random'
+         * @param {string} [options.clockOnDisconnect='pause'] - What the clocks do while a
+         *     player is disconnected: 'pause' or 'run'
+         */
+        createRoom({ name, ruleSet, timeControl = null, color = 'random', clockOnDisconnect = 'pause' } = {}) {
+            this.send({
+                type: 'create',
+                name,
+                ruleSet: ruleSet ? ruleSet.toJSON() : undefined,
+                timeControl,
+                color,
+                clockOnDisconnect
+            });
+        }
+
+        /**
+         * Take the free seat of a room, or watch its game if both seats are taken
+         * @param {string} code - Join code of the room, e.g. "ABCD"
+         */
+        join(code) {
+            this.send({ type: 'join', room: code });
+        }
+
+        /**
+         * Take back a seat after the connection was lost, e.g. when the page was reloaded; the
+         * state sent back holds every move played
+         * @param {string} code - Join code of the room
+         * @param {string} session - Session token given with the seat
+         */
+        resume(code, session) {
+            this.send({ type: 'resume', room: code, session });
+        }
+
+        /**
+         * Ask for the rooms; onLobby() is called with them, and again whenever they change
+         */
+        requestLobby() {
+            this.send({ type: 'lobby' });
+        }
+
+        /**
+         * Check whether both players are in the room
+         * @returns {boolean} True once an opponent has joined
+         */
+        hasOpponent() {
+            return Boolean(this.serverState && this.serverState.players.black && this.serverState.players.white);
+        }
+
+        /**
+         * Check whether the clocks are paused while a player is disconnected
+         * @returns {boolean} True if the server holds the game until both players are back
+         */
+        isPaused() {
+            return Boolean(this.serverState && this.serverState.clock && this.serverState.clock.paused);
+        }
+
+        /**
+         * Check whether the local player may move
+         * @param {GameState} gameState - The local game state
+         * @returns {boolean} True if it is the local player's turn and no move awaits the server
+         */
+        canMove(gameState) {
+            return !this.closed && !this.spectator && this.hasOpponent() && !this.isPaused() &&
+                !this.pendingMove && !gameState.gameOver && gameState.currentPlayer === this.color;
+        }
+
+        /**
+         * Bring the local game in step with the server: send a move the local player just made,
+         * or go back to the state of the server if the local game went elsewhere
+         * @param {GameState} gameState - The local game state
+         */
+        sync(gameState) {
+            if (!this.serverState || this.pendingMove) {
+                return;
+            }
+
+            const serverMoves = this.serverState.moves.map(parseMove);
+            const localMoves = gameState.getMoveHistory();
+            const sameStart = gameState.history[0] === this.startSnapshot &&
+                localMoves.slice(0, serverMoves.length).every((move, index) => movesEqual(move, serverMoves[index]));
+
+            if (sameStart && localMoves.length === serverMoves.length + 1 &&
+                this.serverState.currentPlayer === this.color) {
+                this.pendingMove = localMoves[localMoves.length - 1];
+                this.send({ type: 'move', move: moveToNotation(this.pendingMove) });
+            } else if (!sameStart || localMoves.length !== serverMoves.length) {
+                this.applyState(gameState);
+            }
+        }
+
+        /**
+         * Set a game state to the last state sent by the server. Moves already on the local
+         * board are kept; otherwise the game is replayed from the start.
+         * @param {GameState} gameState - The local game state, changed in place
+         */
+        applyState(gameState) {
+            const state = this.serverState;
+            const serverMoves = state.moves.map(parseMove);
+            let localMoves = gameState.getMoveHistory();
+
+            const sameStart = gameState.history[0] === this.startSnapshot &&
+                localMoves.length <= serverMoves.length &&
+                localMoves.every((move, index) => movesEqual(move, serverMoves[index]));
+            if (!sameStart || gameState.historyIndex !== gameState.history.length - 1) {
+                gameState.initializeGame(state.ruleSet, state.timeControl);
+                this.startSnapshot = gameState.history[0];
+                localMoves = [];
+            }
+
+            // The server times the game: moves are replayed untimed, then its clocks are shown
+            gameState.clock = null;
+            serverMoves.slice(localMoves.length).forEach(move => gameState.makeMove(move));
+
+            // The server has the last word, e.g. on time or when a player left
+            gameState.currentPlayer = state.currentPlayer;
+            gameState.gameOver = state.gameOver;
+            gameState.winner = state.winner;
+            gameState.message = state.message;
+            gameState.restoreClock(state.clock);
+        }
+
+        /**
+         * Handle a message from the server
+         * @param {string} text - Message text
+         */
+        handleMessage(text) {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                console.warn('Ignoring invalid message from the game server:', text);
+                return;
+            }
+
+            switch (message.type) {
+                case 'joined':
+                    this.room = message.room;
+                    this.color = message.color;
+                    this.spectator = Boolean(message.spectator);
+                    this.session = message.session || null;
+                    break;
+
+                case 'state':
+                    this.serverState = message;
+                    this.pendingMove = null;
+                    if (this.onState) {
+                        this.onState(message);
+                    }
+                    break;
+
+                case 'lobby':
+                    if (this.onLobby) {
+                        this.onLobby(message.rooms);
+                    }
+                    break;
+
+                case 'error':
+                    if (this.onError) {
+                        this.onError(message.message, message.code);
+                    }
+                    break;
+
+                default:
+                    break;
+            }
+        }
+
+        /**
+         * Handle the end of the connection
+         */
+        handleClose() {
+            if (this.closed) {
+                return;
+            }
+            this.closed = true;
+            if (this.onClose) {
+                this.onClose();
+            }
+        }
+
+        /**
+         * Send a message to the server
+         * @param {Object} message - Message object
+         */
+        send(message) {
+            if (!this.closed) {
+                this.transport.send(JSON.stringify(message));
+            }
+        }
+
+        /**
+         * Leave the game for good and close the connection
+         */
+        close() {
+            if (this.closed) {
+                return;
+            }
+            this.send({ type: 'leave' });
+            this.closed = true;
+            this.transport.close();
+        }
+    }
+
+    return { OnlineGame };
+});
@@ -495,6 +495,7 @@ class Renderer {
         // Track active objects
         this.validMoveIndicators = []; // Array of valid move indicator objects
         this.selectedHexIndicator = null; // Indicator for selected hex
+        this.hintIndicators = []; // Indicators for the destination of a suggested move
         
         // Preview objects
         this.previewTile = null; // Preview tile for placement
@@ -757,6 +758,31 @@ class Renderer {
             1 // Initial pool size (only need one)
         );
         
+        // Hint destination indicators
+        this.hintIndicatorPool = new ObjectPool(
+            // Create function
+            () => {
+                const geometry = this.materialCache.getHexagonGeometry(this.hexSize * 0.9, 0.05);
+                const material = this.materialCache.getBasicMaterial({
+                    color: 0xffaa00,
+                    opacity: 0.8,
+                    wireframe: true
+                });
+                const indicator = new THREE.Mesh(geometry, material);
+                indicator.rotation.y = Math.PI / 6;
+                indicator.visible = false; // Start hidden
+                this.scene.add(indicator); // Now safe to add to scene
+                return indicator;
+            },
+            // Reset function
+            (indicator) => {
+                indicator.visible = false;
+                indicator.scale.set(1, 1, 1);
+                indicator.position.set(0, 0, 0);
+            },
+            3 // Initial pool size (one per landing of a jump chain)
+        );
+        
         // Placement hitboxes
         this.placementHitboxPool = new ObjectPool(
             // Create function
@@ -1001,6 +1027,11 @@ class Renderer {
         if (this.selectedHexIndicator) {
             this.selectedHexIndicator.visible = true;
         }
+        
+        // Always ensure hint indicators are visible
+        for (const indicator of this.hintIndicators) {
+            indicator.visible = true;
+        }
     }
 
     /**
@@ -1068,6 +1099,9 @@ class Renderer {
         // Clear selected hex indicator
         this.clearSelectedHexIndicator();
         
+        // Clear hint indicators
+        this.clearHintIndicators();
+        
         // Update the board
         this.updateBoard();
         
@@ -1477,6 +1511,39 @@ class Renderer {
         }
     }
 
+    /**
+     * Show indicators for the destination of a suggested move
+     * @param {Array} hexes - Destination hexes; every landing of a jump chain, in order
+     */
+    showHintIndicators(hexes) {
+        // Clear existing indicators
+        this.clearHintIndicators();
+        
+        hexes.forEach((hex, index) => {
+            const position = this.hexToPosition(hex);
+            
+            // Get an indicator from the pool; the final landing is drawn slightly larger
+            const indicator = this.hintIndicatorPool.get();
+            const scale = index === hexes.length - 1 ? 1 : 0.7;
+            indicator.scale.set(scale, 1, scale);
+            indicator.position.set(position.x, this.hexHeight + 0.1, position.z);
+            indicator.visible = true;
+            
+            this.hintIndicators.push(indicator);
+        });
+    }
+
+    /**
+     * Clear the hint indicators
+     */
+    clearHintIndicators() {
+        for (const indicator of this.hintIndicators) {
+            // Return the indicator to the pool
+            this.hintIndicatorPool.release(indicator);
+        }
+        this.hintIndicators = [];
+    }
+
     /**
      * Update the camera target to the center of the board
      */
@@ -23,6 +23,10 @@ class InputHandler {
         // Track keyboard input
         this.keyState = {};
         
+        // Game shortcuts, bound once so that disable() removes the listener enable() added
+        this.onGameShortcut = (e) => this.handleGameShortcuts(e);
+        this.enabled = false;
+        
         // Initialize input handlers
         this.init();
     }
@@ -201,6 +205,7 @@ class InputHandler {
                     this.gameState.selectedAction = null;
                     this.gameState.selectedHex = null;
                     this.gameState.validMoves = [];
+                    this.gameState.pathChoices = [];
                     this.renderer.clearSelectedHexIndicator();
                     this.ui.update();
                 } else {
@@ -251,6 +256,21 @@ class InputHandler {
      * @param {KeyboardEvent} event - The keyboard event
      */
     handleGameShortcuts(event) {
+        // Undo/redo stay available after the game is over to take back the last move
+        if (event.ctrlKey || event.metaKey) {
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.ui.onUndoClick();
+                return;
+            }
+            if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                this.ui.onRedoClick();
+                return;
+            }
+        }
+        
         // Only handle shortcuts if the game is not over
         if (this.gameState.gameOver) {
             return;
@@ -277,6 +297,14 @@ class InputHandler {
                 this.ui.onActionButtonClick('movePiece');
                 break;
                 
+            case 'h':
+            case 'H':
+                // Suggest a move
+                if (!event.ctrlKey && !event.metaKey) {
+                    this.ui.onHintClick();
+                }
+                break;
+                
             case 'n':
             case 'N':
                 // New game
@@ -310,16 +338,26 @@ class InputHandler {
      * Enable input handling
      */
     enable() {
+        if (this.enabled) {
+            return;
+        }
+        this.enabled = true;
+        
         // Add keyboard shortcut handler
-        window.addEventListener('keydown', (e) => this.handleGameShortcuts(e));
+        window.addEventListener('keydown', this.onGameShortcut);
     }
 
     /**
-     * Disable input handling
+     * Disable input handling, e.g. while watching an online game
      */
     disable() {
+        if (!this.enabled) {
+            return;
+        }
+        this.enabled = false;
+        
         // Remove keyboard shortcut handler
-        window.removeEventListener('keydown', this.handleGameShortcuts);
+        window.removeEventListener('keydown', this.onGameShortcut);
     }
 }
 
@@ -13,11 +13,74 @@ class UserInterface {
         this.gameState = gameState;
         this.renderer = renderer;
         
+        // Computer opponent, null when two humans play
+        this.computerPlayer = null;
+        this.computerMoveTimer = null;
+        this.computerMoveDelay = 400; // Milliseconds
+        
+        // Animation frame of the tile being dropped, null when no tile is dropping
+        this.tileAnimationFrame = null;
+        this.computerSearch = null; // Promise of the search running in the engine worker
+        this.hintSearch = null; // Promise of a hint search
+        this.hintOptions = { maxDepth: 8, timeLimit: 2000 }; // Engine options used for hints
+        
+        // Searches run in a worker so the board keeps animating while the computer thinks
+        this.engineHost = EngineHost.isSupported() ? new EngineHost() : null;
+        
+        // Engine process relayed by the server (node server.js --engine "command"), when playing one
+        this.externalEngine = null;
+        this.externalEngineOptions = { movetime: 1000 };
+        
+        // Online game played through the server (node server.js), null when playing locally
+        this.onlineGame = null;
+        this.onlineError = null; // Last message refused by the server, shown with the next state
+        
+        // A lost connection is reopened to take the seat back, while the server holds it
+        this.onlineReconnectTimer = null;
+        this.onlineReconnectOptions = { delay: 3000, attempts: 20 };
+        this.onlineSessionKey = 'hexaequo-online-session'; // Seat held by this tab, in sessionStorage
+        
+        // Keyboard input, switched off while watching an online game (see setInputHandler())
+        this.inputHandler = null;
+        
+        // Clocks of timed games are redrawn, and checked for running out, several times a second
+        this.clockTimer = null;
+        this.clockTickInterval = 100; // Milliseconds
+        
+        // Post-game analysis: while it is open the board only replays the finished game
+        this.analysisMode = false;
+        this.analysis = null; // Result of analyseGame()
+        this.analysisRun = 0; // Incremented to stop an analysis in progress
+        this.analysisEndIndex = -1; // History index of the final position
+        this.analysisOptions = { maxDepth: 4, timeLimit: 500 }; // Engine options per position
+        
         // UI elements
         this.elements = {
             // Game info
             currentPlayer: document.getElementById('current-player'),
             gameMessage: document.getElementById('game-message'),
+            ruleSetLabel: document.getElementById('rule-set-label'),
+            
+            // Game clocks
+            gameClocks: document.getElementById('game-clocks'),
+            blackClock: document.getElementById('black-clock'),
+            blackClockTime: document.getElementById('black-clock-time'),
+            whiteClock: document.getElementById('white-clock'),
+            whiteClockTime: document.getElementById('white-clock-time'),
+            clockControl: document.getElementById('clock-control'),
+            jumpPathChoices: document.getElementById('jump-path-choices'),
+            onlineRoom: document.getElementById('online-room'),
+            onlineRoomLabel: document.getElementById('online-room-label'),
+            onlineMoves: document.getElementById('online-moves'),
+            copyRoomLinkBtn: document.getElementById('copy-room-link-btn'),
+            analyseGameBtn: document.getElementById('analyse-game-btn'),
+            
+            // Game analysis
+            gameAnalysis: document.getElementById('game-analysis'),
+            analysisStatus: document.getElementById('analysis-status'),
+            analysisGraph: document.getElementById('analysis-graph'),
+            analysisMoves: document.getElementById('analysis-moves'),
+            closeAnalysisBtn: document.getElementById('close-analysis-btn'),
             
             // Piece counts
             blackTilesCount: document.getElementById('black-tiles-count'),
@@ -37,9 +100,13 @@ class UserInterface {
             placeDiscBtn: document.getElementById('place-disc-btn'),
             placeRingBtn: document.getElementById('place-ring-btn'),
             movePieceBtn: document.getElementById('move-piece-btn'),
+            hintBtn: document.getElementById('hint-btn'),
             
             // Game controls
             newGameBtn: document.getElementById('new-game-btn'),
+            lobbyBtn: document.getElementById('lobby-btn'),
+            undoBtn: document.getElementById('undo-btn'),
+            redoBtn: document.getElementById('redo-btn'),
             saveGameBtn: document.getElementById('save-game-btn'),
             loadGameBtn: document.getElementById('load-game-btn'),
             settingsBtn: document.getElementById('settings-btn'),
@@ -79,12 +146,25 @@ class UserInterface {
         this.elements.placeDiscBtn.addEventListener('click', () => this.onActionButtonClick('placeDisc'));
         this.elements.placeRingBtn.addEventListener('click', () => this.onActionButtonClick('placeRing'));
         this.elements.movePieceBtn.addEventListener('click', () => this.onActionButtonClick('movePiece'));
+        this.elements.hintBtn.addEventListener('click', () => this.onHintClick());
         
         // Set up game control event listeners
         this.elements.newGameBtn.addEventListener('click', () => this.onNewGameClick());
+        this.elements.lobbyBtn.addEventListener('click', () => this.onLobbyClick());
+        this.elements.undoBtn.addEventListener('click', () => this.onUndoClick());
+        this.elements.redoBtn.addEventListener('click', () => this.onRedoClick());
         this.elements.saveGameBtn.addEventListener('click', () => this.onSaveGameClick());
         this.elements.loadGameBtn.addEventListener('click', () => this.onLoadGameClick());
         this.elements.settingsBtn.addEventListener('click', () => this.onSettingsClick());
+        this.elements.copyRoomLinkBtn.addEventListener('click', () => this.onCopyRoomLinkClick());
+        
+        // Online games go through the server, so they need the page served over HTTP
+        this.elements.lobbyBtn.style.display = location.protocol.startsWith('http') ? '' : 'none';
+        
+        // Set up game analysis event listeners
+        this.elements.analyseGameBtn.addEventListener('click', () => this.onAnalyseGameClick());
+        this.elements.closeAnalysisBtn.addEventListener('click', () => this.closeAnalysis());
+        this.elements.analysisGraph.addEventListener('click', (e) => this.onAnalysisGraphClick(e));
         
         // Set up camera control event listeners
         this.elements.rotateLeftBtn.addEventListener('click', () => this.renderer.rotateLeft());
@@ -126,6 +206,9 @@ class UserInterface {
         // Load game rules into the modal
         this.loadRules();
         
+        // Run the clocks of timed games
+        this.clockTimer = setInterval(() => this.tickClock(), this.clockTickInterval);
+        
         // Update the UI with the initial game state
         this.update();
     }
@@ -141,14 +224,138 @@ class UserInterface {
         // Update game message
         this.elements.gameMessage.textContent = this.gameState.message;
         
+        // Name the rules of the game
+        this.elements.ruleSetLabel.textContent = `Rules: ${this.gameState.ruleSet.label}`;
+        
+        // Offer the jump paths to choose from, if any
+        this.updatePathChoices();
+        
+        // Name the room of an online game
+        this.updateOnlineRoom();
+        
+        // Update the clocks of timed games
+        this.updateClocks();
+        
         // Update piece counts
         this.updatePieceCounts();
         
         // Update action button states
         this.updateActionButtons();
         
+        // Update undo/redo button states; online games take no moves back
+        const isOnline = Boolean(this.onlineGame) && !this.analysisMode;
+        this.elements.undoBtn.disabled = isOnline || !this.gameState.canUndo();
+        this.elements.redoBtn.disabled = isOnline || !this.gameState.canRedo();
+        
+        // Offer an analysis once the game is over
+        this.elements.analyseGameBtn.style.display =
+            this.gameState.gameOver && !this.analysisMode ? '' : 'none';
+        
         // Update the renderer
         this.renderer.update();
+        
+        // Follow the position on the board in the analysis panel
+        if (this.analysisMode) {
+            this.updateAnalysisView();
+        }
+        
+        // Let the computer play if it is its turn
+        this.scheduleComputerMove();
+        
+        // Send the move just made in an online game to the server
+        if (isOnline) {
+            this.onlineGame.sync(this.gameState);
+        }
+        
+        // Spectators watch: the game shortcuts are off
+        if (this.inputHandler) {
+            if (this.isSpectating()) {
+                this.inputHandler.disable();
+            } else {
+                this.inputHandler.enable();
+            }
+        }
+    }
+
+    /**
+     * Set the input handler, switched off while watching an online game
+     * @param {InputHandler} inputHandler - The input handler
+     */
+    setInputHandler(inputHandler) {
+        this.inputHandler = inputHandler;
+    }
+
+    /**
+     * Show the time left on the clocks of a timed game, warning when a player is short of time
+     */
+    updateClocks() {
+        const clock = this.gameState.clock;
+        this.elements.gameClocks.style.display = clock ? '' : 'none';
+        if (!clock) {
+            return;
+        }
+        
+        ['black', 'white'].forEach(color => {
+            const element = this.elements[`${color}Clock`];
+            const remaining = clock.getRemaining(color);
+            this.elements[`${color}ClockTime`].textContent = formatClockTime(remaining);
+            element.classList.toggle('active', clock.running === color && !clock.paused);
+            element.classList.toggle('low-time', clock.isLowTime(color));
+            element.classList.toggle('flagged', remaining <= 0);
+        });
+        
+        const { label, type } = clock.timeControl;
+        this.elements.clockControl.textContent = `${label} (${TIME_CONTROL_TYPES[type]})`;
+    }
+
+    /**
+     * Advance the clocks: redraw them and end the game when the player to move runs out of time
+     */
+    tickClock() {
+        if (!this.gameState.isClockRunning()) {
+            return;
+        }
+        
+        // The server ends online games on time
+        if (!this.onlineGame && this.gameState.checkTime()) {
+            this.cancelComputerMove();
+            this.cancelTilePlacement();
+            this.update();
+        } else {
+            this.updateClocks();
+        }
+    }
+
+    /**
+     * List the jump paths to choose from when several end on the selected destination
+     */
+    updatePathChoices() {
+        const container = this.elements.jumpPathChoices;
+        const { pathChoices, selectedHex, currentPlayer } = this.gameState;
+        container.innerHTML = '';
+        container.style.display = pathChoices.length > 0 ? '' : 'none';
+        
+        pathChoices.forEach((path, index) => {
+            const move = { type: 'movePiece', from: selectedHex, path };
+            const captures = this.gameState.getJumpedPieces(selectedHex, path)
+                .filter(({ piece }) => piece.color !== currentPlayer).length;
+            
+            const button = document.createElement('button');
+            button.className = 'action-btn';
+            button.textContent = `${moveToNotation(move, this.gameState)}: ` +
+                (captures > 0 ? `captures ${captures}` : 'no capture');
+            
+            // Show the landings of the path on the board while pointing at it
+            button.addEventListener('mouseenter', () => this.renderer.showHintIndicators(path));
+            button.addEventListener('mouseleave', () => this.renderer.clearHintIndicators());
+            button.addEventListener('click', () => {
+                if (!this.isInputLocked() && this.gameState.choosePath(index)) {
+                    this.renderer.clearValidMoveIndicators();
+                    this.update();
+                }
+            });
+            container.appendChild(button);
+        });
     }
 
     /**
@@ -182,12 +389,14 @@ class UserInterface {
         this.elements.placeRingBtn.classList.remove('active');
         this.elements.movePieceBtn.classList.remove('active');
         
-        // Disable all buttons if game is over
-        if (this.gameState.gameOver) {
+        // Disable all buttons if game is over, the computer is thinking, a game is analysed or
+        // an online game is watched
+        if (this.gameState.gameOver || this.isInputLocked()) {
             this.elements.placeTileBtn.disabled = true;
             this.elements.placeDiscBtn.disabled = true;
             this.elements.placeRingBtn.disabled = true;
             this.elements.movePieceBtn.disabled = true;
+            this.elements.hintBtn.disabled = true;
             return;
         }
         
@@ -209,6 +418,9 @@ class UserInterface {
         // Always enabled as long as the player has pieces on the board
         this.elements.movePieceBtn.disabled = false;
         
+        // Hint button; engine hints would help one side of an online game
+        this.elements.hintBtn.disabled = Boolean(this.onlineGame);
+        
         // Highlight the selected action
         if (this.gameState.selectedAction) {
             switch (this.gameState.selectedAction) {
@@ -233,11 +445,17 @@ class UserInterface {
      * @param {string} action - The action to perform
      */
     onActionButtonClick(action) {
+        // Ignore input while the computer is playing or a game is analysed
+        if (this.isInputLocked()) {
+            return;
+        }
+        
         // If the button is already active, deselect it
         if (this.gameState.selectedAction === action) {
             this.gameState.selectedAction = null;
             this.gameState.selectedHex = null;
             this.gameState.validMoves = [];
+            this.gameState.pathChoices = [];
             this.renderer.clearValidMoveIndicators();
         } else {
             // Otherwise, select the action
@@ -259,6 +477,11 @@ class UserInterface {
      * @param {MouseEvent} event - The mouse event
      */
     onCanvasClick(event) {
+        // Ignore input while the computer is playing or a game is analysed
+        if (this.isInputLocked()) {
+            return;
+        }
+        
         // Get the hex that was clicked
         const hex = this.renderer.onMouseClick(event);
         
@@ -272,6 +495,7 @@ class UserInterface {
                     this.gameState.selectedAction = null;
                     this.gameState.selectedHex = null;
                     this.gameState.validMoves = [];
+                    this.gameState.pathChoices = [];
                     this.renderer.clearValidMoveIndicators();
                     this.update();
                     return;
@@ -343,6 +567,68 @@ class UserInterface {
         this.update();
     }
 
+    /**
+     * Handle hint button click: ask the engine for a move and show it on the board
+     */
+    onHintClick() {
+        if (this.gameState.gameOver || this.isInputLocked() || this.hintSearch || this.onlineGame) {
+            return;
+        }
+        
+        const positionKey = this.gameState.getPositionKey();
+        const showHint = (result) => {
+            this.hintSearch = null;
+            
+            // Ignore hints for a position that is no longer on the board
+            if (result && result.move && this.gameState.getPositionKey() === positionKey) {
+                this.showHint(result.move);
+            }
+        };
+        
+        this.elements.gameMessage.textContent = 'Looking for a good move...';
+        
+        if (this.engineHost) {
+            this.hintSearch = this.engineHost.search(this.gameState, this.hintOptions)
+                .then(showHint)
+                .catch(error => {
+                    // Fall back to searching on the main thread, as for computer moves
+                    console.warn('Engine worker unavailable, searching on the main thread:', error);
+                    this.engineHost = null;
+                    showHint(createEngine(this.hintOptions).search(this.gameState));
+                });
+        } else {
+            // Let the message show before the search blocks the page
+            this.hintSearch = new Promise(resolve => setTimeout(resolve, 50))
+                .then(() => showHint(createEngine(this.hintOptions).search(this.gameState)));
+        }
+    }
+
+    /**
+     * Highlight a suggested move on the board and explain it
+     * @param {Object} move - Move object
+     */
+    showHint(move) {
+        const notation = moveToNotation(move, this.gameState);
+        const reason = explainMove(this.gameState, move);
+        
+        // Start from a clean board: the hint replaces any selection in progress
+        this.cancelTilePlacement();
+        this.gameState.selectedAction = null;
+        this.gameState.selectedHex = null;
+        this.gameState.validMoves = [];
+        this.gameState.pathChoices = [];
+        this.update();
+        
+        if (move.type === 'movePiece') {
+            this.renderer.showSelectedHexIndicator(move.from);
+            this.renderer.showHintIndicators(move.path);
+        } else {
+            this.renderer.showHintIndicators([move.to]);
+        }
+        
+        this.elements.gameMessage.textContent = `Hint: ${notation} ${reason}.`;
+    }
+
     /**
      * Check if a tile can be placed at the given hex
      * @param {Hex} hex - The hex to check
@@ -373,7 +659,7 @@ class UserInterface {
      */
     confirmTilePlacement() {
         const hex = this.renderer.previewHex;
-        if (!hex) return;
+        if (!hex || this.tileAnimationFrame !== null) return;
         
         const previewTile = this.renderer.previewTile;
         const finalY = 0; // Final Y position at ground level
@@ -407,17 +693,16 @@ class UserInterface {
             previewTile.position.y = startY + (finalY - startY) * easeOutBounce(progress);
             
             if (progress < 1) {
-                requestAnimationFrame(animate);
+                this.tileAnimationFrame = requestAnimationFrame(animate);
             } else {
                 // Animation complete, update game state
+                this.tileAnimationFrame = null;
                 this.renderer.clearPreviewTile();
-                this.gameState.placeTile(hex);
-                this.gameState.saveToHistory();
-                this.gameState.checkWinConditions();
                 
-                // Switch player if game isn't over
-                if (!this.gameState.gameOver) {
-                    this.gameState.switchPlayer();
+                // The game may have changed while the tile was dropping
+                const move = { type: 'placeTile', to: hex };
+                if (!this.gameState.gameOver && isLegalMove(this.gameState, move)) {
+                    this.gameState.makeMove(move);
                 }
                 
                 // Update the UI
@@ -433,6 +718,11 @@ class UserInterface {
      * Cancel the tile placement
      */
     cancelTilePlacement() {
+        // A tile still dropping is not placed, e.g. when the game ends on time meanwhile
+        if (this.tileAnimationFrame !== null) {
+            cancelAnimationFrame(this.tileAnimationFrame);
+            this.tileAnimationFrame = null;
+        }
         this.renderer.clearPreviewTile();
     }
 
@@ -440,17 +730,7 @@ class UserInterface {
      * Handle new game button click
      */
     onNewGameClick() {
-        if (confirm('Start a new game? Current game progress will be lost.')) {
-            this.gameState.initializeGame();
-            this.update();
-        }
-    }
-
-    /**
-     * Handle save game button click
-     */
-    onSaveGameClick() {
-        // Create a modal for saving the game
+        // Create a modal for choosing the opponent
         const modal = document.createElement('div');
         modal.className = 'modal';
         modal.style.display = 'block';
@@ -466,63 +746,188 @@ class UserInterface {
         });
         
         const title = document.createElement('h2');
-        title.textContent = 'Save Game';
+        title.textContent = 'New Game';
         
         const form = document.createElement('div');
         form.className = 'settings-form';
         
-        // Create input for save name
-        const saveNameGroup = document.createElement('div');
-        saveNameGroup.className = 'setting-group';
-        
-        const saveNameLabel = document.createElement('label');
-        saveNameLabel.setAttribute('for', 'save-name');
-        saveNameLabel.textContent = 'Save Name:';
+        const warning = document.createElement('p');
+        warning.textContent = 'Current game progress will be lost.';
         
-        const saveNameInput = document.createElement('input');
-        saveNameInput.setAttribute('type', 'text');
-        saveNameInput.setAttribute('id', 'save-name');
-        saveNameInput.setAttribute('value', 'Game ' + new Date().toLocaleString());
+        // Create opponent selection
+        const opponents = [
+            { value: 'human', label: 'Two players' },
+            { value: 'computer', label: 'Computer' }
+        ];
         
-        saveNameGroup.appendChild(saveNameLabel);
-        saveNameGroup.appendChild(saveNameInput);
+        // External engines and online games go through the server, so they need the page served over HTTP
+        if (location.protocol.startsWith('http')) {
+            opponents.push({ value: 'external', label: 'External engine' });
+            opponents.push({ value: 'online', label: 'Play online' });
+        }
         
-        // Create save button
-        const saveButton = document.createElement('button');
-        saveButton.className = 'action-btn';
-        saveButton.textContent = 'Save';
-        saveButton.addEventListener('click', () => {
-            const saveName = saveNameInput.value.trim() || 'default';
-            if (this.gameState.saveGame(saveName)) {
-                alert('Game saved successfully!');
-                document.body.removeChild(modal);
-            } else {
-                alert('Failed to save game. Please try again.');
+        let currentOpponent = this.computerPlayer ? 'computer' : 'human';
+        if (this.externalEngine) {
+            currentOpponent = 'external';
+        } else if (this.onlineGame) {
+            currentOpponent = 'online';
+        }
+        const opponentGroup = this.createSelectGroup('new-game-opponent', 'Opponent:', opponents, currentOpponent);
+        
+        // Create difficulty selection
+        const difficultyGroup = this.createSelectGroup(
+            'new-game-difficulty',
+            'Difficulty:',
+            Object.keys(DIFFICULTY_LEVELS).map(value => ({ value, label: DIFFICULTY_LEVELS[value].label })),
+            this.computerPlayer ? this.computerPlayer.difficulty : 'medium'
+        );
+        
+        // Create colour selection for the human player
+        const colorGroup = this.createSelectGroup('new-game-color', 'Play as:', [
+            { value: 'black', label: 'Black (moves first)' },
+            { value: 'white', label: 'White' }
+        ], this.computerPlayer && this.computerPlayer.color === 'black' ? 'white' : 'black');
+        
+        // Computer options only apply when playing against the computer
+        const opponentSelect = opponentGroup.querySelector('select');
+        const updateComputerOptions = () => {
+            difficultyGroup.style.display = opponentSelect.value === 'computer' ? '' : 'none';
+            colorGroup.style.display = opponentSelect.value === 'computer' || opponentSelect.value === 'external' ? '' : 'none';
+        };
+        opponentSelect.addEventListener('change', updateComputerOptions);
+        
+        // Online games are hosted in a named room, with the host's colour chosen or drawn
+        const roomNameGroup = document.createElement('div');
+        roomNameGroup.className = 'setting-group';
+        const roomNameLabel = document.createElement('label');
+        roomNameLabel.setAttribute('for', 'new-game-room-name');
+        roomNameLabel.textContent = 'Room name:';
+        const roomNameInput = document.createElement('input');
+        roomNameInput.type = 'text';
+        roomNameInput.id = 'new-game-room-name';
+        roomNameInput.maxLength = 40;
+        roomNameInput.placeholder = 'Shown in the lobby';
+        roomNameGroup.appendChild(roomNameLabel);
+        roomNameGroup.appendChild(roomNameInput);
+        
+        const hostColorGroup = this.createSelectGroup('new-game-host-color', 'Play as:', [
+            { value: 'black', label: 'Black (moves first)' },
+            { value: 'white', label: 'White' },
+            { value: 'random', label: 'Random' }
+        ], 'random');
+        
+        const clockOnDisconnectGroup = this.createSelectGroup('new-game-clock-on-disconnect', 'If a player disconnects:', [
+            { value: 'pause', label: 'Pause the clocks' },
+            { value: 'run', label: 'Keep the clocks running' }
+        ], 'pause');
+        
+        const updateOnlineOptions = () => {
+            const isOnline = opponentSelect.value === 'online';
+            roomNameGroup.style.display = isOnline ? '' : 'none';
+            hostColorGroup.style.display = isOnline ? '' : 'none';
+            clockOnDisconnectGroup.style.display = isOnline ? '' : 'none';
+        };
+        opponentSelect.addEventListener('change', updateOnlineOptions);
+        updateComputerOptions();
+        updateOnlineOptions();
+        
+        // Create rule set selection, starting from the rules of the current game
+        const currentRules = this.gameState.ruleSet;
+        const ruleSetGroup = this.createSelectGroup(
+            'new-game-rules',
+            'Rules:',
+            [
+                ...Object.keys(RULE_SETS).map(value => ({ value, label: RULE_SETS[value].label })),
+                { value: 'custom', label: 'Custom' }
+            ],
+            RULE_SETS[currentRules.name] ? currentRules.name : 'custom'
+        );
+        
+        // The individual rules are only shown for custom rules
+        const customRules = this.createCustomRulesFields(currentRules);
+        const ruleSetSelect = ruleSetGroup.querySelector('select');
+        const updateCustomRules = () => {
+            customRules.element.style.display = ruleSetSelect.value === 'custom' ? '' : 'none';
+        };
+        ruleSetSelect.addEventListener('change', updateCustomRules);
+        updateCustomRules();
+        
+        // Create time control selection; custom time controls show their own inputs
+        const currentTimeControl = this.gameState.timeControl;
+        const currentPreset = Object.keys(TIME_CONTROLS).find(key =>
+            currentTimeControl && (currentTimeControl === key || TIME_CONTROLS[key].label === currentTimeControl.label));
+        const timeControlGroup = this.createSelectGroup(
+            'new-game-time-control',
+            'Clock:',
+            [
+                { value: 'none', label: 'Untimed' },
+                ...Object.keys(TIME_CONTROLS).map(value => ({ value, label: TIME_CONTROLS[value].label })),
+                { value: 'custom', label: 'Custom' }
+            ],
+            currentTimeControl ? currentPreset || 'custom' : 'none'
+        );
+        
+        const customTimeControl = this.createCustomTimeControlFields(
+            typeof currentTimeControl === 'object' && currentTimeControl ? currentTimeControl : TIME_CONTROLS['blitz-3-2']
+        );
+        const timeControlSelect = timeControlGroup.querySelector('select');
+        const updateCustomTimeControl = () => {
+            customTimeControl.element.style.display = timeControlSelect.value === 'custom' ? '' : 'none';
+        };
+        timeControlSelect.addEventListener('change', updateCustomTimeControl);
+        updateCustomTimeControl();
+        
+        // Create start button
+        const startButton = document.createElement('button');
+        startButton.className = 'action-btn';
+        startButton.textContent = 'Start Game';
+        startButton.addEventListener('click', () => {
+            let ruleSet;
+            try {
+                ruleSet = ruleSetSelect.value === 'custom' ? customRules.read() : RuleSet.preset(ruleSetSelect.value);
+            } catch (error) {
+                alert(`These rules cannot be played: ${error.message}`);
+                return;
             }
-        });
-        
-        // Create export button
-        const exportButton = document.createElement('button');
-        exportButton.className = 'action-btn';
-        exportButton.textContent = 'Export to File';
-        exportButton.addEventListener('click', () => {
-            const exportData = this.gameState.exportGame();
-            const blob = new Blob([exportData], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
             
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'hexaequo_' + new Date().toISOString().replace(/[:.]/g, '-') + '.json';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            let timeControl = null;
+            if (timeControlSelect.value === 'custom') {
+                try {
+                    timeControl = customTimeControl.read();
+                } catch (error) {
+                    alert(`This time control cannot be used: ${error.message}`);
+                    return;
+                }
+            } else if (timeControlSelect.value !== 'none') {
+                timeControl = TIME_CONTROLS[timeControlSelect.value];
+            }
+            
+            document.body.removeChild(modal);
+            const isOnline = opponentSelect.value === 'online';
+            this.startNewGame({
+                opponent: opponentSelect.value,
+                difficulty: difficultyGroup.querySelector('select').value,
+                humanColor: (isOnline ? hostColorGroup : colorGroup).querySelector('select').value,
+                ruleSet,
+                timeControl,
+                roomName: roomNameInput.value,
+                clockOnDisconnect: clockOnDisconnectGroup.querySelector('select').value
+            });
         });
         
         // Add elements to form
-        form.appendChild(saveNameGroup);
-        form.appendChild(saveButton);
-        form.appendChild(exportButton);
+        form.appendChild(warning);
+        form.appendChild(opponentGroup);
+        form.appendChild(difficultyGroup);
+        form.appendChild(colorGroup);
+        form.appendChild(roomNameGroup);
+        form.appendChild(hostColorGroup);
+        form.appendChild(clockOnDisconnectGroup);
+        form.appendChild(ruleSetGroup);
+        form.appendChild(customRules.element);
+        form.appendChild(timeControlGroup);
+        form.appendChild(customTimeControl.element);
+        form.appendChild(startButton);
         
         // Add elements to modal
         modalContent.appendChild(closeButton);
@@ -535,49 +940,1329 @@ class UserInterface {
     }
 
     /**
-     * Handle load game button click
+     * Create a labelled select element for a settings form
+     * @param {string} id - Id of the select element
+     * @param {string} labelText - Label text
+     * @param {Array} options - Array of { value, label } options
+     * @param {string} selected - Value selected initially
+     * @returns {HTMLElement} The setting group containing the label and the select
      */
-    onLoadGameClick() {
-        // Create a modal for loading the game
-        const modal = document.createElement('div');
-        modal.className = 'modal';
-        modal.style.display = 'block';
+    createSelectGroup(id, labelText, options, selected) {
+        const group = document.createElement('div');
+        group.className = 'setting-group';
+        
+        const label = document.createElement('label');
+        label.setAttribute('for', id);
+        label.textContent = labelText;
+        
+        const select = document.createElement('select');
+        select.setAttribute('id', id);
+        options.forEach(({ value, label: optionLabel }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = optionLabel;
+            select.appendChild(option);
+        });
+        select.value = selected;
         
-        const modalContent = document.createElement('div');
-        modalContent.className = 'modal-content';
+        group.appendChild(label);
+        group.appendChild(select);
+        return group;
+    }
+
+    /**
+     * Create the inputs for custom rules
+     * @param {RuleSet} ruleSet - Rules filled in initially
+     * @returns {Object} { element, read }: the inputs, and a function building a RuleSet from
+     *     them that throws if the rules cannot be played
+     */
+    createCustomRulesFields(ruleSet) {
+        const element = document.createElement('div');
+        element.className = 'settings-form custom-rules';
+        
+        // Numbers of pieces and repetitions
+        const createNumberInput = (id, labelText, value, min, max) => {
+            const group = document.createElement('div');
+            group.className = 'setting-group';
+            
+            const label = document.createElement('label');
+            label.setAttribute('for', id);
+            label.textContent = labelText;
+            
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = id;
+            input.min = min;
+            input.max = max;
+            input.value = value;
+            
+            group.appendChild(label);
+            group.appendChild(input);
+            element.appendChild(group);
+            return input;
+        };
+        const tiles = createNumberInput('custom-rules-tiles', 'Tiles per player:', ruleSet.pieces.tiles, 1, 30);
+        const discs = createNumberInput('custom-rules-discs', 'Discs per player:', ruleSet.pieces.discs, 1, 30);
+        const rings = createNumberInput('custom-rules-rings', 'Rings per player:', ruleSet.pieces.rings, 1, 30);
+        
+        // Starting layout
+        const layoutGroup = this.createSelectGroup(
+            'custom-rules-layout',
+            'Starting layout:',
+            Object.keys(STARTING_LAYOUTS).map(value => ({ value, label: STARTING_LAYOUTS[value].label })),
+            ruleSet.getLayoutName() || 'standard'
+        );
+        element.appendChild(layoutGroup);
+        
+        // Win conditions, each with its own checkbox
+        const winInputs = Object.keys(WIN_CONDITIONS).map(id => {
+            const group = document.createElement('div');
+            group.className = 'setting-group';
+            
+            const label = document.createElement('label');
+            label.setAttribute('for', `custom-rules-win-${id}`);
+            label.textContent = `Win: ${WIN_CONDITIONS[id]}`;
+            
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.id = `custom-rules-win-${id}`;
+            input.checked = ruleSet.hasWinCondition(id);
+            
+            group.appendChild(label);
+            group.appendChild(input);
+            element.appendChild(group);
+            return { id, input };
+        });
         
-        const closeButton = document.createElement('span');
-        closeButton.className = 'close-modal';
-        closeButton.innerHTML = '&times;';
-        closeButton.addEventListener('click', () => {
-            document.body.removeChild(modal);
+        const repetitions = createNumberInput('custom-rules-repetitions', 'Repetitions to draw (0 for never):', ruleSet.repetitions, 0, 10);
+        
+        // Outcome for a player without a legal move
+        const noMovesGroup = this.createSelectGroup(
+            'custom-rules-no-moves',
+            'No legal move:',
+            Object.keys(NO_MOVE_OUTCOMES).map(value => ({ value, label: NO_MOVE_OUTCOMES[value] })),
+            ruleSet.noMoves
+        );
+        element.appendChild(noMovesGroup);
+        
+        const read = () => new RuleSet({
+            pieces: {
+                tiles: Number(tiles.value),
+                discs: Number(discs.value),
+                rings: Number(rings.value)
+            },
+            setup: STARTING_LAYOUTS[layoutGroup.querySelector('select').value].setup,
+            winConditions: winInputs.filter(({ input }) => input.checked).map(({ id }) => id),
+            repetitions: Number(repetitions.value),
+            noMoves: noMovesGroup.querySelector('select').value
         });
         
-        const title = document.createElement('h2');
-        title.textContent = 'Load Game';
+        return { element, read };
+    }
+
+    /**
+     * Create the inputs for a custom time control
+     * @param {Object} timeControl - Time control filled in initially
+     * @returns {Object} { element, read }: the inputs, and a function returning the time
+     *     control they describe, which throws if it is invalid
+     */
+    createCustomTimeControlFields(timeControl) {
+        const element = document.createElement('div');
+        element.className = 'settings-form custom-rules';
+        
+        const typeGroup = this.createSelectGroup(
+            'custom-clock-type',
+            'Time control:',
+            Object.keys(TIME_CONTROL_TYPES).map(value => ({ value, label: TIME_CONTROL_TYPES[value] })),
+            timeControl.type
+        );
+        element.appendChild(typeGroup);
+        
+        const createNumberInput = (id, labelText, value, step) => {
+            const group = document.createElement('div');
+            group.className = 'setting-group';
+            
+            const label = document.createElement('label');
+            label.setAttribute('for', id);
+            label.textContent = labelText;
+            
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = id;
+            input.min = 0;
+            input.step = step;
+            input.value = value;
+            
+            group.appendChild(label);
+            group.appendChild(input);
+            element.appendChild(group);
+            return { group, input };
+        };
+        const minutes = createNumberInput('custom-clock-minutes', 'Minutes per player:', timeControl.initial / 60000, 0.5);
+        const bonus = createNumberInput('custom-clock-bonus', 'Seconds added per move:', (timeControl.increment || timeControl.delay || 0) / 1000, 1);
+        
+        // The bonus is an increment or a delay depending on the type, and sudden death has none
+        const typeSelect = typeGroup.querySelector('select');
+        const updateBonus = () => {
+            bonus.group.style.display = typeSelect.value === 'sudden-death' ? 'none' : '';
+            bonus.group.querySelector('label').textContent = typeSelect.value === 'bronstein' ?
+                'Delay per move (seconds):' : 'Increment per move (seconds):';
+        };
+        typeSelect.addEventListener('change', updateBonus);
+        updateBonus();
+        
+        const read = () => {
+            const bonusTime = Number(bonus.input.value) * 1000;
+            // Building the clock checks the time control
+            return new GameClock({
+                type: typeSelect.value,
+                initial: Number(minutes.input.value) * 60000,
+                increment: bonusTime,
+                delay: bonusTime
+            }).timeControl;
+        };
         
-        const form = document.createElement('div');
-        form.className = 'settings-form';
+        return { element, read };
+    }
+
+    /**
+     * Start a new game
+     * @param {Object} options - New game options
+     * @param {string} options.opponent - 'human', 'computer', 'external' or 'online'
+     * @param {string} [options.difficulty] - Computer difficulty, a key of DIFFICULTY_LEVELS
+     * @param {string} [options.humanColor] - Color played by the human against the computer, or
+     *     by the host of an online game, who may also choose 'random'
+     * @param {RuleSet} [options.ruleSet] - Rules of the new game; defaults to those of the current game
+     * @param {Object|null} [options.timeControl] - Time control (see GameClock.js), null for an
+     *     untimed game; defaults to that of the current game
+     * @param {string} [options.roomName] - Name of the room of an online game
+     * @param {string} [options.clockOnDisconnect] - What the clocks of an online game do while
+     *     a player is disconnected: 'pause' or 'run'
+     */
+    startNewGame({ opponent, difficulty, humanColor, ruleSet, timeControl, roomName, clockOnDisconnect }) {
+        // Connect to the external engine first; the game starts once it is ready
+        if (opponent === 'external' && (!this.externalEngine || this.externalEngine.closed)) {
+            this.connectExternalEngine()
+                .then(() => this.startNewGame({ opponent, difficulty, humanColor, ruleSet, timeControl }))
+                .catch(error => {
+                    console.warn('External engine unavailable:', error);
+                    alert('No external engine is available. Start the server with: node server.js --engine "<command>"');
+                });
+            return;
+        }
         
-        // Get save slots
-        const saveSlots = this.gameState.getSaveSlots();
+        if (opponent === 'online') {
+            this.startOnlineGame(game => game.createRoom({
+                name: roomName,
+                ruleSet,
+                timeControl,
+                color: humanColor,
+                clockOnDisconnect
+            }));
+            return;
+        }
         
-        if (saveSlots.length > 0) {
-            // Create list of save slots
-            const saveList = document.createElement('div');
-            saveList.className = 'save-list';
+        this.cancelComputerMove();
+        this.cancelTilePlacement();
+        this.closeAnalysis(false);
+        this.leaveOnlineGame();
+        
+        if (opponent !== 'external' && this.externalEngine) {
+            this.externalEngine.close();
+            this.externalEngine = null;
+        }
+        
+        const computerColor = humanColor === 'black' ? 'white' : 'black';
+        if (opponent === 'computer') {
+            this.computerPlayer = new AIPlayer(computerColor, difficulty);
+        } else if (opponent === 'external') {
+            this.computerPlayer = new AIPlayer(computerColor, 'medium', this.externalEngineOptions);
+            this.externalEngine.newGame();
+        } else {
+            this.computerPlayer = null;
+        }
+        
+        this.gameState.initializeGame(ruleSet, timeControl);
+        this.update();
+    }
+
+    /**
+     * Connect to the engine process relayed by the server
+     * @returns {Promise<ExternalEngine>} Resolves once the engine is ready
+     */
+    connectExternalEngine() {
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        this.elements.gameMessage.textContent = 'Connecting to the external engine...';
+        
+        return ExternalEngine.connect(`${protocol}//${location.host}/engine`).then(engine => {
+            this.externalEngine = engine;
+            return engine;
+        });
+    }
+
+    /**
+     * Join the online game of a room, taking back the seat this tab held in it if there is one,
+     * e.g. after the page was reloaded
+     * @param {string} code - Join code of the room, e.g. from a link to /?room=ABCD
+     */
+    joinOnlineGame(code) {
+        const saved = this.getOnlineSession();
+        if (saved && saved.room === code.replace(/\s/g, '').toUpperCase()) {
+            this.startOnlineGame(game => game.resume(saved.room, saved.session));
+        } else {
+            this.startOnlineGame(game => game.join(code));
+        }
+    }
+
+    /**
+     * Start an online game: connect to the server, then open or join a room, where the game
+     * starts once both players are there
+     * @param {Function} enterRoom - Called with the connected OnlineGame to open or join a room
+     */
+    startOnlineGame(enterRoom) {
+        this.cancelComputerMove();
+        this.cancelTilePlacement();
+        this.closeAnalysis(false);
+        this.leaveOnlineGame();
+        
+        if (this.externalEngine) {
+            this.externalEngine.close();
+            this.externalEngine = null;
+        }
+        this.computerPlayer = null;
+        
+        // The board waits for the state of the room
+        this.gameState.initializeGame(undefined, null);
+        this.gameState.message = 'Connecting to the game server...';
+        this.update();
+        
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        OnlineGame.connect(`${protocol}//${location.host}/play`).then(game => {
+            this.attachOnlineGame(game);
+            enterRoom(game);
+        }).catch(error => {
+            console.warn('Game server unavailable:', error);
+            this.gameState.message = 'Could not connect to the game server.';
+            this.update();
+            alert('No game server is available. Start the server with: node server.js');
+        });
+    }
+
+    /**
+     * Play through a connection to the game server
+     * @param {OnlineGame} game - Connected client
+     */
+    attachOnlineGame(game) {
+        this.onlineGame = game;
+        game.onState = () => this.onOnlineState();
+        game.onError = (message, code) => {
+            console.warn(`The game server refused a message (${code}):`, message);
+            this.onlineError = message;
             
-            saveSlots.forEach(slot => {
-                const saveItem = document.createElement('div');
-                saveItem.className = 'save-item';
-                
-                const saveName = document.createElement('div');
-                saveName.className = 'save-name';
-                saveName.textContent = slot.name;
-                
-                const saveDate = document.createElement('div');
-                saveDate.className = 'save-date';
-                saveDate.textContent = slot.date;
+            // Without a room, e.g. for a wrong join code or a seat no longer held, there is no
+            // game to go on with
+            if (!game.room) {
+                this.leaveOnlineGame();
+                this.gameState.message = message;
+                this.onlineError = null;
+                this.update();
+            }
+        };
+        game.onClose = () => this.onOnlineClose(game);
+    }
+
+    /**
+     * Handle the end of the connection to the game server: reconnect to a game in progress,
+     * whose seat the server holds for a while
+     * @param {OnlineGame} game - Client whose connection ended
+     */
+    onOnlineClose(game) {
+        if (this.onlineGame !== game) {
+            return;
+        }
+        
+        // The closed client stays in place while reconnecting, so no moves are made meanwhile
+        if (game.room && !this.gameState.gameOver) {
+            this.gameState.message = 'Connection to the game server lost. Reconnecting...';
+            this.update();
+            this.reconnectOnlineGame(game);
+            return;
+        }
+        
+        this.onlineGame = null;
+        this.setRoomInAddress(null);
+        this.gameState.message = 'Disconnected from the game server.';
+        this.update();
+    }
+
+    /**
+     * Connect to the game server again and go back to the room of a lost connection: players
+     * take their seat back with its session token, spectators join again
+     * @param {OnlineGame} lost - Client whose connection was lost
+     * @param {number} [attempt=1] - Number of this attempt
+     */
+    reconnectOnlineGame(lost, attempt = 1) {
+        const { delay, attempts } = this.onlineReconnectOptions;
+        this.onlineReconnectTimer = setTimeout(() => {
+            this.onlineReconnectTimer = null;
+            
+            const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+            OnlineGame.connect(`${protocol}//${location.host}/play`).then(game => {
+                // Another game was started meanwhile
+                if (this.onlineGame !== lost) {
+                    game.close();
+                    return;
+                }
+                this.attachOnlineGame(game);
+                if (lost.session) {
+                    game.resume(lost.room, lost.session);
+                } else {
+                    game.join(lost.room);
+                }
+            }).catch(error => {
+                if (this.onlineGame !== lost) {
+                    return;
+                }
+                if (attempt < attempts) {
+                    this.reconnectOnlineGame(lost, attempt + 1);
+                    return;
+                }
+                console.warn('Could not reconnect to the game server:', error);
+                this.onlineGame = null;
+                this.setRoomInAddress(null);
+                this.gameState.message = 'Could not reconnect to the game server.';
+                this.update();
+            });
+        }, delay);
+    }
+
+    /**
+     * Get the seat this tab holds in an online game, kept for the tab across reloads
+     * @returns {Object|null} { room, session }, null if none
+     */
+    getOnlineSession() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.onlineSessionKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember the seat this tab holds in an online game, or forget it
+     * @param {OnlineGame|null} game - Client seated in a room, null to forget the seat
+     */
+    setOnlineSession(game) {
+        try {
+            if (game && game.session) {
+                sessionStorage.setItem(this.onlineSessionKey, JSON.stringify({ room: game.room, session: game.session }));
+            } else {
+                sessionStorage.removeItem(this.onlineSessionKey);
+            }
+        } catch (error) {
+            console.warn('Could not store the online session:', error);
+        }
+    }
+
+    /**
+     * Show the state of the online game sent by the server
+     */
+    onOnlineState() {
+        const game = this.onlineGame;
+        this.cancelTilePlacement();
+        game.applyState(this.gameState);
+        
+        // Reloading the page or sharing its address leads to this room, and the seat taken
+        // back after a reload
+        this.setRoomInAddress(game.room);
+        if (game.session) {
+            this.setOnlineSession(game);
+        }
+        
+        if (game.spectator) {
+            this.gameState.message = `Watching: ${this.gameState.message}`;
+        } else {
+            const color = game.color.charAt(0).toUpperCase() + game.color.slice(1);
+            if (!game.hasOpponent() && !this.gameState.gameOver) {
+                this.gameState.message = `Waiting for an opponent: share the link to room ${game.room}. You play ${color}.`;
+            } else if (!this.gameState.gameOver) {
+                this.gameState.message += ` You play ${color}.`;
+            }
+        }
+        if (this.onlineError) {
+            this.gameState.message = `${this.onlineError} ${this.gameState.message}`;
+            this.onlineError = null;
+        }
+        this.update();
+    }
+
+    /**
+     * Leave the online game, if one is being played
+     */
+    leaveOnlineGame() {
+        clearTimeout(this.onlineReconnectTimer);
+        this.onlineReconnectTimer = null;
+        if (this.onlineGame) {
+            this.onlineGame.close();
+            this.onlineGame = null;
+            this.setRoomInAddress(null);
+            this.setOnlineSession(null);
+        }
+    }
+
+    /**
+     * Show the room of an online game, with its join code, the number of spectators and the
+     * moves played
+     */
+    updateOnlineRoom() {
+        const game = this.onlineGame;
+        const room = game && game.serverState ? game.serverState : null;
+        this.elements.onlineRoom.style.display = room ? '' : 'none';
+        this.elements.onlineMoves.style.display = room && room.moves.length > 0 ? '' : 'none';
+        if (!room) {
+            return;
+        }
+        
+        const watching = room.spectators > 0 ? `, ${room.spectators} watching` : '';
+        this.elements.onlineRoomLabel.textContent = `${room.name} (room ${room.room}${watching})`;
+        
+        // The list only grows during a game: add the new moves and follow the last one
+        const list = this.elements.onlineMoves;
+        if (list.children.length > room.moves.length) {
+            list.innerHTML = '';
+        }
+        room.moves.slice(list.children.length).forEach(notation => {
+            const ply = list.children.length + 1;
+            const item = document.createElement('li');
+            item.textContent = `${Math.ceil(ply / 2)}${ply % 2 === 1 ? '.' : '...'} ${notation}`;
+            list.appendChild(item);
+            list.scrollTop = list.scrollHeight;
+        });
+    }
+
+    /**
+     * Get the link that opens an online game
+     * @param {string} code - Join code of the room
+     * @returns {string} URL of the page with the room, e.g. "http://localhost:8080/?room=ABCD"
+     */
+    getRoomLink(code) {
+        return `${location.origin}${location.pathname}?room=${encodeURIComponent(code)}`;
+    }
+
+    /**
+     * Show the room of the online game in the address bar, or remove it
+     * @param {string|null} code - Join code of the room, null when not playing online
+     */
+    setRoomInAddress(code) {
+        const params = new URLSearchParams(location.search);
+        if (params.get('room') === code || (!code && !params.has('room'))) {
+            return;
+        }
+        if (code) {
+            params.set('room', code);
+        } else {
+            params.delete('room');
+        }
+        const query = params.toString();
+        history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}`);
+    }
+
+    /**
+     * Handle copy room link button click
+     */
+    onCopyRoomLinkClick() {
+        if (!this.onlineGame || !this.onlineGame.room) {
+            return;
+        }
+        const link = this.getRoomLink(this.onlineGame.room);
+        navigator.clipboard.writeText(link)
+            .then(() => alert('Link copied to the clipboard.'))
+            .catch(() => prompt('Copy this link:', link));
+    }
+
+    /**
+     * Handle lobby button click: list the rooms of the server, kept up to date while the lobby
+     * is open, and join or watch one by choosing it or typing its code
+     */
+    onLobbyClick() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.display = 'block';
+        
+        const modalContent = document.createElement('div');
+        modalContent.className = 'modal-content';
+        
+        // The lobby has its own connection, closed with the dialog
+        let lobby = null;
+        const closeLobby = () => {
+            if (lobby) {
+                lobby.close();
+                lobby = null;
+            }
+            if (modal.parentNode) {
+                document.body.removeChild(modal);
+            }
+        };
+        const joinRoom = (code) => {
+            closeLobby();
+            if (this.gameState.historyIndex === 0 || confirm('Go to this game? Current game progress will be lost.')) {
+                this.joinOnlineGame(code);
+            }
+        };
+        
+        const closeButton = document.createElement('span');
+        closeButton.className = 'close-modal';
+        closeButton.innerHTML = '&times;';
+        closeButton.addEventListener('click', closeLobby);
+        
+        const title = document.createElement('h2');
+        title.textContent = 'Online Lobby';
+        
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+        
+        // Join by code, e.g. one read out over a call
+        const codeGroup = document.createElement('div');
+        codeGroup.className = 'setting-group';
+        
+        const codeLabel = document.createElement('label');
+        codeLabel.setAttribute('for', 'lobby-room-code');
+        codeLabel.textContent = 'Join code:';
+        
+        const codeInput = document.createElement('input');
+        codeInput.type = 'text';
+        codeInput.id = 'lobby-room-code';
+        codeInput.maxLength = 4;
+        codeInput.placeholder = 'ABCD';
+        
+        const codeButton = document.createElement('button');
+        codeButton.className = 'action-btn';
+        codeButton.textContent = 'Join';
+        codeButton.addEventListener('click', () => {
+            const code = codeInput.value.trim();
+            if (code) {
+                joinRoom(code);
+            }
+        });
+        
+        codeGroup.appendChild(codeLabel);
+        codeGroup.appendChild(codeInput);
+        codeGroup.appendChild(codeButton);
+        
+        // Rooms waiting for a player, then games to watch
+        const roomList = document.createElement('div');
+        roomList.className = 'lobby-list';
+        roomList.textContent = 'Connecting to the game server...';
+        
+        const showRooms = (rooms) => {
+            roomList.innerHTML = '';
+            if (rooms.length === 0) {
+                roomList.textContent = 'No rooms. Host one with New Game and "Play online".';
+                return;
+            }
+            
+            rooms.forEach(room => {
+                const item = document.createElement('div');
+                item.className = 'lobby-room';
+                
+                const name = document.createElement('div');
+                name.className = 'lobby-room-name';
+                name.textContent = `${room.name} (${room.room})`;
+                
+                const details = document.createElement('div');
+                details.className = 'lobby-room-details';
+                let status;
+                if (room.color) {
+                    status = `You play ${room.color.charAt(0).toUpperCase() + room.color.slice(1)}.`;
+                } else {
+                    status = room.spectators > 0 ? `In play, ${room.spectators} watching.` : 'In play.';
+                }
+                details.textContent = `${room.rules}, ${room.timeControl || 'untimed'}. ${status}`;
+                
+                const joinButton = document.createElement('button');
+                joinButton.className = 'action-btn';
+                joinButton.textContent = room.color ? 'Join' : 'Watch';
+                joinButton.addEventListener('click', () => joinRoom(room.room));
+                
+                item.appendChild(name);
+                item.appendChild(details);
+                item.appendChild(joinButton);
+                roomList.appendChild(item);
+            });
+        };
+        
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        OnlineGame.connect(`${protocol}//${location.host}/play`).then(game => {
+            if (!modal.parentNode) {
+                game.close();
+                return;
+            }
+            lobby = game;
+            game.onLobby = showRooms;
+            game.onClose = () => {
+                roomList.textContent = 'Disconnected from the game server.';
+            };
+            game.requestLobby();
+        }).catch(error => {
+            console.warn('Game server unavailable:', error);
+            roomList.textContent = 'No game server is available. Start the server with: node server.js';
+        });
+        
+        // Add elements to form
+        form.appendChild(codeGroup);
+        form.appendChild(roomList);
+        
+        // Add elements to modal
+        modalContent.appendChild(closeButton);
+        modalContent.appendChild(title);
+        modalContent.appendChild(form);
+        modal.appendChild(modalContent);
+        
+        // Add modal to body
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Check if the local player is watching an online game rather than playing it
+     * @returns {boolean} True for a spectator of an online game
+     */
+    isSpectating() {
+        return Boolean(this.onlineGame) && this.onlineGame.spectator;
+    }
+
+    /**
+     * Check if the opponent of an online game is to move
+     * @returns {boolean} True if the local player of an online game cannot move now, always
+     *     the case for a spectator
+     */
+    isOnlineOpponentTurn() {
+        return Boolean(this.onlineGame) && !this.analysisMode && !this.onlineGame.canMove(this.gameState);
+    }
+
+    /**
+     * Check if the computer is to move
+     * @returns {boolean} True if input from the human player should be ignored
+     */
+    isComputerTurn() {
+        return Boolean(this.computerPlayer) && !this.analysisMode && this.computerPlayer.isToMove(this.gameState);
+    }
+
+    /**
+     * Check if moves from the human player are ignored
+     * @returns {boolean} True while the computer or the online opponent is to move or a
+     *     finished game is analysed
+     */
+    isInputLocked() {
+        return this.analysisMode || this.isComputerTurn() || this.isOnlineOpponentTurn();
+    }
+
+    /**
+     * Play the computer's move after a short delay, if it is its turn
+     */
+    scheduleComputerMove() {
+        if (!this.isComputerTurn() || this.computerMoveTimer || this.computerSearch) {
+            return;
+        }
+        
+        this.elements.gameMessage.textContent = 'Computer is thinking...';
+        
+        // The delay lets the board show the previous move before the computer replies
+        this.computerMoveTimer = setTimeout(() => {
+            this.computerMoveTimer = null;
+            if (!this.isComputerTurn()) {
+                return;
+            }
+            
+            if (this.externalEngine || this.engineHost) {
+                this.searchComputerMove();
+            } else {
+                this.playComputerMove(this.computerPlayer.chooseMove(this.gameState));
+            }
+        }, this.computerMoveDelay);
+    }
+
+    /**
+     * Search for the computer's move in the external engine or the engine worker
+     */
+    searchComputerMove() {
+        const positionKey = this.gameState.getPositionKey();
+        const host = this.externalEngine || this.engineHost;
+        const search = host.search(this.gameState, this.computerPlayer.options, {
+            onProgress: ({ depth }) => {
+                this.elements.gameMessage.textContent = `Computer is thinking... (depth ${depth})`;
+            }
+        });
+        this.computerSearch = search;
+        
+        search.then(result => {
+            // Ignore searches that were cancelled or replaced by a newer one
+            if (this.computerSearch !== search) {
+                return;
+            }
+            this.computerSearch = null;
+            if (!result || !this.isComputerTurn()) {
+                return;
+            }
+            
+            // A game may have been loaded meanwhile: search again for the new position
+            if (this.gameState.getPositionKey() === positionKey) {
+                this.playComputerMove(result.move);
+            } else {
+                this.scheduleComputerMove();
+            }
+        }).catch(error => {
+            if (this.computerSearch !== search) {
+                return;
+            }
+            this.computerSearch = null;
+            
+            if (host === this.externalEngine) {
+                // The engine process ended or played an illegal move: the built-in engine takes over
+                console.warn('External engine failed, the built-in engine plays instead:', error);
+                this.externalEngine.close();
+                this.externalEngine = null;
+            } else {
+                // Workers cannot start e.g. when the page is opened from the file system:
+                // fall back to searching on the main thread
+                console.warn('Engine worker unavailable, searching on the main thread:', error);
+                this.engineHost = null;
+            }
+            if (this.isComputerTurn()) {
+                this.playComputerMove(this.computerPlayer.chooseMove(this.gameState));
+            }
+        });
+    }
+
+    /**
+     * Play a move chosen by the computer
+     * @param {Object|null} move - Move object, or null if the computer has no legal move
+     */
+    playComputerMove(move) {
+        if (move) {
+            const notation = moveToNotation(move, this.gameState);
+            const player = this.externalEngine ? this.externalEngine.name : 'Computer';
+            this.gameState.makeMove(move);
+            if (!this.gameState.gameOver) {
+                this.gameState.message = `${player} played ${notation}. ${this.gameState.message}`;
+            }
+        }
+        this.update();
+    }
+
+    /**
+     * Cancel a pending computer move
+     */
+    cancelComputerMove() {
+        clearTimeout(this.computerMoveTimer);
+        this.computerMoveTimer = null;
+        
+        this.computerSearch = null;
+        if (this.engineHost) {
+            this.engineHost.cancel();
+        }
+        if (this.externalEngine) {
+            this.externalEngine.cancel();
+        }
+    }
+
+    /**
+     * Handle analyse game button click: evaluate every position of the finished game
+     */
+    onAnalyseGameClick() {
+        if (!this.gameState.gameOver || this.analysisMode) {
+            return;
+        }
+        
+        this.cancelComputerMove();
+        this.cancelTilePlacement();
+        
+        this.analysisMode = true;
+        this.analysis = null;
+        this.analysisEndIndex = this.gameState.historyIndex;
+        const run = ++this.analysisRun;
+        
+        this.elements.gameAnalysis.style.display = '';
+        this.elements.analysisMoves.innerHTML = '';
+        this.elements.analysisStatus.textContent = 'Analysing...';
+        this.update();
+        
+        analyseGame(this.gameState, {
+            search: (state) => this.searchAnalysisPosition(state),
+            onProgress: (done, total) => {
+                if (run === this.analysisRun) {
+                    this.elements.analysisStatus.textContent = `Analysing position ${done} of ${total}...`;
+                }
+            },
+            shouldStop: () => run !== this.analysisRun
+        }).then(analysis => {
+            // Ignore analyses that were closed in the meantime
+            if (!analysis || run !== this.analysisRun) {
+                return;
+            }
+            this.analysis = analysis;
+            this.elements.analysisStatus.textContent = this.summarizeAnalysis(analysis);
+            this.renderAnalysisMoves();
+            this.updateAnalysisView();
+        }).catch(error => {
+            if (run !== this.analysisRun) {
+                return;
+            }
+            console.error('Analysis error:', error);
+            this.elements.analysisStatus.textContent = 'Analysis failed.';
+        });
+    }
+
+    /**
+     * Search one position of the analysed game
+     * @param {GameState} state - The position
+     * @returns {Promise<Object|null>} Search result, null if the search was cancelled
+     */
+    searchAnalysisPosition(state) {
+        if (this.engineHost) {
+            return this.engineHost.search(state, this.analysisOptions).catch(error => {
+                // Fall back to searching on the main thread, as for computer moves
+                console.warn('Engine worker unavailable, searching on the main thread:', error);
+                this.engineHost = null;
+                return createEngine(this.analysisOptions).search(state);
+            });
+        }
+        
+        // Let the page repaint between positions
+        return new Promise(resolve => setTimeout(resolve, 0))
+            .then(() => createEngine(this.analysisOptions).search(state));
+    }
+
+    /**
+     * Summarize the mistakes of both players
+     * @param {Object} analysis - Result of analyseGame()
+     * @returns {string} Summary, e.g. "Black: 1 blunder, 2 mistakes. White: no mistakes."
+     */
+    summarizeAnalysis(analysis) {
+        return ['black', 'white'].map(color => {
+            const moves = analysis.moves.filter(move => move.color === color);
+            const count = (flag) => moves.filter(move => move.flags.includes(flag)).length;
+            const blunders = count('blunder');
+            const mistakes = count('mistake');
+            const parts = [];
+            if (blunders > 0) {
+                parts.push(`${blunders} blunder${blunders === 1 ? '' : 's'}`);
+            }
+            if (mistakes > 0) {
+                parts.push(`${mistakes} mistake${mistakes === 1 ? '' : 's'}`);
+            }
+            const name = color.charAt(0).toUpperCase() + color.slice(1);
+            return `${name}: ${parts.length > 0 ? parts.join(', ') : 'no mistakes'}.`;
+        }).join(' ');
+    }
+
+    /**
+     * Fill the analysis move list
+     */
+    renderAnalysisMoves() {
+        const list = this.elements.analysisMoves;
+        list.innerHTML = '';
+        
+        this.analysis.moves.forEach(move => {
+            const item = document.createElement('li');
+            item.dataset.ply = move.ply;
+            if (move.bestNotation) {
+                item.title = `Best: ${move.bestNotation}`;
+            }
+            
+            const label = document.createElement('span');
+            const moveNumber = Math.ceil(move.ply / 2);
+            label.textContent = `${moveNumber}${move.color === 'black' ? '.' : '...'} ${move.notation}`;
+            item.appendChild(label);
+            
+            move.flags.forEach(flag => {
+                const badge = document.createElement('span');
+                badge.className = `analysis-flag ${flag.replace(/ /g, '-')}`;
+                badge.textContent = flag;
+                item.appendChild(badge);
+            });
+            
+            if (move.loss > 0) {
+                const loss = document.createElement('span');
+                loss.textContent = `-${(move.loss / 100).toFixed(1)}`;
+                item.appendChild(loss);
+            }
+            
+            item.addEventListener('click', () => this.showAnalysisPly(move.ply));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the position after a move of the analysed game and highlight the move
+     * @param {number} ply - History index of the position
+     */
+    showAnalysisPly(ply) {
+        if (!this.analysisMode || ply < 0 || ply > this.analysisEndIndex) {
+            return;
+        }
+        
+        this.gameState.goTo(ply);
+        this.update();
+        
+        const snapshot = this.gameState.history[ply];
+        if (!snapshot.move) {
+            return;
+        }
+        
+        // Moves stored in the history are plain objects
+        const move = normalizeMove(snapshot.move);
+        if (move.type === 'movePiece') {
+            this.renderer.showSelectedHexIndicator(move.from);
+            this.renderer.showHintIndicators(move.path);
+        } else {
+            this.renderer.showHintIndicators([move.to]);
+        }
+        
+        const analysed = this.analysis && this.analysis.moves[ply - 1];
+        if (analysed) {
+            const name = analysed.color.charAt(0).toUpperCase() + analysed.color.slice(1);
+            let message = `${name} played ${analysed.notation}`;
+            if (analysed.flags.length > 0) {
+                message += ` (${analysed.flags.join(', ')})`;
+            }
+            if (analysed.loss > 0 && analysed.bestNotation) {
+                message += `; best was ${analysed.bestNotation}`;
+            }
+            this.elements.gameMessage.textContent = `${message}.`;
+        }
+    }
+
+    /**
+     * Highlight the current move in the analysis panel and redraw the graph
+     */
+    updateAnalysisView() {
+        const ply = this.gameState.historyIndex;
+        Array.from(this.elements.analysisMoves.children).forEach(item => {
+            const isCurrent = Number(item.dataset.ply) === ply;
+            item.classList.toggle('current', isCurrent);
+            if (isCurrent) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        
+        this.drawAnalysisGraph();
+    }
+
+    /**
+     * Draw the evaluation graph; positive values favour Black
+     */
+    drawAnalysisGraph() {
+        const canvas = this.elements.analysisGraph;
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const middle = height / 2;
+        
+        context.clearRect(0, 0, width, height);
+        
+        // Zero line
+        context.strokeStyle = '#888';
+        context.lineWidth = 1;
+        context.beginPath();
+        context.moveTo(0, middle);
+        context.lineTo(width, middle);
+        context.stroke();
+        
+        if (!this.analysis) {
+            return;
+        }
+        
+        const { evaluations, moves } = this.analysis;
+        const x = (ply) => evaluations.length > 1 ? ply * width / (evaluations.length - 1) : 0;
+        const y = (value) => middle - value / EVALUATION_LIMIT * (middle - 4);
+        
+        // Current position
+        context.strokeStyle = '#00cc66';
+        context.lineWidth = 2;
+        context.beginPath();
+        context.moveTo(x(this.gameState.historyIndex), 0);
+        context.lineTo(x(this.gameState.historyIndex), height);
+        context.stroke();
+        
+        // Evaluation
+        context.strokeStyle = '#4a90d9';
+        context.beginPath();
+        evaluations.forEach((value, ply) => {
+            if (ply === 0) {
+                context.moveTo(x(ply), y(value));
+            } else {
+                context.lineTo(x(ply), y(value));
+            }
+        });
+        context.stroke();
+        
+        // Flagged moves
+        moves.forEach(move => {
+            if (move.flags.length === 0) {
+                return;
+            }
+            if (move.flags.includes('blunder')) {
+                context.fillStyle = '#cc3300';
+            } else if (move.flags.includes('mistake')) {
+                context.fillStyle = '#ff9933';
+            } else {
+                context.fillStyle = '#ffcc00';
+            }
+            context.beginPath();
+            context.arc(x(move.ply), y(evaluations[move.ply]), 3, 0, Math.PI * 2);
+            context.fill();
+        });
+    }
+
+    /**
+     * Handle clicks on the evaluation graph: jump to the nearest move
+     * @param {MouseEvent} event - The mouse event
+     */
+    onAnalysisGraphClick(event) {
+        if (!this.analysis) {
+            return;
+        }
+        
+        const rect = this.elements.analysisGraph.getBoundingClientRect();
+        const ratio = (event.clientX - rect.left) / rect.width;
+        this.showAnalysisPly(Math.round(ratio * (this.analysis.evaluations.length - 1)));
+    }
+
+    /**
+     * Close the analysis panel
+     * @param {boolean} [restorePosition=true] - Return to the final position of the game; pass
+     *     false when another game replaces it
+     */
+    closeAnalysis(restorePosition = true) {
+        if (!this.analysisMode) {
+            return;
+        }
+        
+        // Stop an analysis that is still running
+        this.analysisRun++;
+        if (this.engineHost) {
+            this.engineHost.cancel();
+        }
+        
+        this.analysisMode = false;
+        this.analysis = null;
+        this.elements.gameAnalysis.style.display = 'none';
+        
+        if (restorePosition) {
+            this.gameState.goTo(this.analysisEndIndex);
+            this.update();
+        }
+    }
+
+    /**
+     * Handle undo button click
+     */
+    onUndoClick() {
+        // While analysing, step through the finished game
+        if (this.analysisMode) {
+            this.showAnalysisPly(this.gameState.historyIndex - 1);
+            return;
+        }
+        if (this.onlineGame) {
+            return;
+        }
+        
+        this.cancelTilePlacement();
+        this.cancelComputerMove();
+        if (this.gameState.undo()) {
+            // Against the computer, take back its reply as well as the player's move
+            while (this.isComputerTurn() && this.gameState.canUndo()) {
+                this.gameState.undo();
+            }
+            this.update();
+        }
+    }
+
+    /**
+     * Handle redo button click
+     */
+    onRedoClick() {
+        if (this.analysisMode) {
+            this.showAnalysisPly(this.gameState.historyIndex + 1);
+            return;
+        }
+        if (this.onlineGame) {
+            return;
+        }
+        
+        this.cancelTilePlacement();
+        this.cancelComputerMove();
+        if (this.gameState.redo()) {
+            // Against the computer, replay its reply as well
+            if (this.isComputerTurn() && this.gameState.canRedo()) {
+                this.gameState.redo();
+            }
+            this.update();
+        }
+    }
+
+    /**
+     * Handle save game button click
+     */
+    onSaveGameClick() {
+        // Create a modal for saving the game
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.display = 'block';
+        
+        const modalContent = document.createElement('div');
+        modalContent.className = 'modal-content';
+        
+        const closeButton = document.createElement('span');
+        closeButton.className = 'close-modal';
+        closeButton.innerHTML = '&times;';
+        closeButton.addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+        
+        const title = document.createElement('h2');
+        title.textContent = 'Save Game';
+        
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+        
+        // Create input for save name
+        const saveNameGroup = document.createElement('div');
+        saveNameGroup.className = 'setting-group';
+        
+        const saveNameLabel = document.createElement('label');
+        saveNameLabel.setAttribute('for', 'save-name');
+        saveNameLabel.textContent = 'Save Name:';
+        
+        const saveNameInput = document.createElement('input');
+        saveNameInput.setAttribute('type', 'text');
+        saveNameInput.setAttribute('id', 'save-name');
+        saveNameInput.setAttribute('value', 'Game ' + new Date().toLocaleString());
+        
+        saveNameGroup.appendChild(saveNameLabel);
+        saveNameGroup.appendChild(saveNameInput);
+        
+        // Create save button
+        const saveButton = document.createElement('button');
+        saveButton.className = 'action-btn';
+        saveButton.textContent = 'Save';
+        saveButton.addEventListener('click', () => {
+            const saveName = saveNameInput.value.trim() || 'default';
+            if (this.gameState.saveGame(saveName)) {
+                alert('Game saved successfully!');
+                document.body.removeChild(modal);
+            } else {
+                alert('Failed to save game. Please try again.');
+            }
+        });
+        
+        // Create export button
+        const exportButton = document.createElement('button');
+        exportButton.className = 'action-btn';
+        exportButton.textContent = 'Export to File';
+        exportButton.addEventListener('click', () => {
+            const exportData = this.gameState.exportGame();
+            const blob = new Blob([exportData], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'hexaequo_' + new Date().toISOString().replace(/[:.]/g, '-') + '.json';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        });
+        
+        // Create export record button
+        const exportRecordButton = document.createElement('button');
+        exportRecordButton.className = 'action-btn';
+        exportRecordButton.textContent = 'Export Game Record';
+        exportRecordButton.addEventListener('click', () => {
+            const recordData = this.gameState.exportRecord();
+            const blob = new Blob([recordData], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'hexaequo_' + new Date().toISOString().replace(/[:.]/g, '-') + '.hgn';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        });
+        
+        // Create copy position button
+        const copyPositionButton = document.createElement('button');
+        copyPositionButton.className = 'action-btn';
+        copyPositionButton.textContent = 'Copy Position';
+        copyPositionButton.addEventListener('click', () => {
+            const position = this.gameState.toPositionString();
+            navigator.clipboard.writeText(position)
+                .then(() => alert('Position copied to the clipboard.'))
+                .catch(() => prompt('Copy this position:', position));
+        });
+        
+        // Add elements to form
+        form.appendChild(saveNameGroup);
+        form.appendChild(saveButton);
+        form.appendChild(exportButton);
+        form.appendChild(exportRecordButton);
+        form.appendChild(copyPositionButton);
+        
+        // Add elements to modal
+        modalContent.appendChild(closeButton);
+        modalContent.appendChild(title);
+        modalContent.appendChild(form);
+        modal.appendChild(modalContent);
+        
+        // Add modal to body
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Handle load game button click
+     */
+    onLoadGameClick() {
+        // Create a modal for loading the game
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.display = 'block';
+        
+        const modalContent = document.createElement('div');
+        modalContent.className = 'modal-content';
+        
+        const closeButton = document.createElement('span');
+        closeButton.className = 'close-modal';
+        closeButton.innerHTML = '&times;';
+        closeButton.addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+        
+        const title = document.createElement('h2');
+        title.textContent = 'Load Game';
+        
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+        
+        // Get save slots
+        const saveSlots = this.gameState.getSaveSlots();
+        
+        if (saveSlots.length > 0) {
+            // Create list of save slots
+            const saveList = document.createElement('div');
+            saveList.className = 'save-list';
+            
+            saveSlots.forEach(slot => {
+                const saveItem = document.createElement('div');
+                saveItem.className = 'save-item';
+                
+                const saveName = document.createElement('div');
+                saveName.className = 'save-name';
+                saveName.textContent = slot.name;
+                
+                const saveDate = document.createElement('div');
+                saveDate.className = 'save-date';
+                saveDate.textContent = slot.date;
                 
                 const loadButton = document.createElement('button');
                 loadButton.className = 'action-btn';
@@ -587,6 +2272,8 @@ class UserInterface {
                         if (this.gameState.loadGame(slot.name)) {
                             alert('Game loaded successfully!');
                             document.body.removeChild(modal);
+                            this.closeAnalysis(false);
+                            this.leaveOnlineGame();
                             this.update();
                         } else {
                             alert('Failed to load game. Please try again.');
@@ -636,7 +2323,7 @@ class UserInterface {
         const importInput = document.createElement('input');
         importInput.setAttribute('type', 'file');
         importInput.setAttribute('id', 'import-file');
-        importInput.setAttribute('accept', '.json');
+        importInput.setAttribute('accept', '.json,.hgn');
         
         const importButton = document.createElement('button');
         importButton.className = 'action-btn';
@@ -651,10 +2338,16 @@ class UserInterface {
             const reader = new FileReader();
             reader.onload = (e) => {
                 try {
-                    const jsonString = e.target.result;
-                    if (this.gameState.importGame(jsonString)) {
+                    // Game records (.hgn) replay their moves, JSON exports restore the board directly
+                    const content = e.target.result;
+                    const imported = file.name.endsWith('.hgn') ?
+                        this.gameState.importRecord(content) :
+                        this.gameState.importGame(content);
+                    if (imported) {
                         alert('Game imported successfully!');
                         document.body.removeChild(modal);
+                        this.closeAnalysis(false);
+                        this.leaveOnlineGame();
                         this.update();
                     } else {
                         alert('Failed to import game. Invalid file format.');
@@ -673,6 +2366,45 @@ class UserInterface {
         
         form.appendChild(importContainer);
         
+        // Create load position input
+        const positionContainer = document.createElement('div');
+        positionContainer.className = 'import-container';
+        
+        const positionLabel = document.createElement('label');
+        positionLabel.setAttribute('for', 'position-input');
+        positionLabel.textContent = 'Load position:';
+        
+        const positionInput = document.createElement('input');
+        positionInput.setAttribute('type', 'text');
+        positionInput.setAttribute('id', 'position-input');
+        positionInput.setAttribute('placeholder', '1,-1bD/0,0b/1,0w/0,1wd b 2/9:1/6/0:0/3/0 2/9:1/6/0:0/3/0');
+        
+        const positionButton = document.createElement('button');
+        positionButton.className = 'action-btn';
+        positionButton.textContent = 'Load Position';
+        positionButton.addEventListener('click', () => {
+            const position = positionInput.value.trim();
+            if (!position) {
+                alert('Please paste a position to load.');
+                return;
+            }
+            
+            if (this.gameState.loadPosition(position)) {
+                document.body.removeChild(modal);
+                this.closeAnalysis(false);
+                this.leaveOnlineGame();
+                this.update();
+            } else {
+                alert('Failed to load position. Invalid position string.');
+            }
+        });
+        
+        positionContainer.appendChild(positionLabel);
+        positionContainer.appendChild(positionInput);
+        positionContainer.appendChild(positionButton);
+        
+        form.appendChild(positionContainer);
+        
         // Add elements to modal
         modalContent.appendChild(closeButton);
         modalContent.appendChild(title);
@@ -694,6 +2426,8 @@ class UserInterface {
      * Show the rules modal
      */
     showRulesModal() {
+        // The rules shown are those of the game in progress
+        this.loadRules();
         this.elements.rulesModal.style.display = 'block';
     }
 
@@ -706,11 +2440,11 @@ class UserInterface {
     }
 
     /**
-     * Load the game rules into the rules modal
+     * Load the rules of the current game into the rules modal
      */
     loadRules() {
         const rulesContent = document.querySelector('.rules-content');
-        rulesContent.innerHTML = GameRules.getRulesHTML();
+        rulesContent.innerHTML = GameRules.getRulesHTML(this.gameState.ruleSet);
     }
 
     /**
@@ -0,0 +1,788 @@
+/**
+ * multiplayer.js
+ * Online games for server.js. A host opens a named room, choosing the rules, the time control
+ * and their color; the room gets a short join code, shared as a link such as /?room=ABCD or
+ * found in the lobby. Clients joining a room whose seats are taken watch the game read-only.
+ * The server checks every move with the rules engine (js/core), runs the clocks, and sends
+ * the authoritative state of the game to the players and spectators after each move.
+ *
+ * Each player gets a session token with their seat. When a connection is lost the seat is
+ * held for a grace period, the clocks pausing or running as the room was set up, and the
+ * player takes it back with the token, e.g. after reloading the page; the state sent then
+ * holds every move played, for the client to replay. Leaving on purpose frees the seat.
+ *
+ * Messages are JSON objects with a type.
+ * Client to server:
+ *   { type: 'lobby' }               List the rooms, and keep the list up to date
+ *   { type: 'create', name, ruleSet, timeControl, color, clockOnDisconnect }
+ *                                   Open a room and take a seat in it; color is 'black',
+ *                                   'white' or 'random', timeControl null for an untimed game,
+ *                                   clockOnDisconnect 'pause' or 'run'
+ *   { type: 'join', room }          Take the free seat of the room with this join code, or
+ *                                   watch the game if there is none
+ *   { type: 'resume', room, session } Take back a seat after a lost connection
+ *   { type: 'move', move }          Play a move, in move notation (see Notation.js)
+ *   { type: 'leave' }               Leave the room for good
+ * Server to client:
+ *   { type: 'lobby', rooms }        Rooms, see GameRoom.getSummary()
+ *   { type: 'joined', room, color, spectator, session }
+ *                                   The join code of the room joined, the color played (null
+ *                                   for a spectator) and the session token of the seat
+ *   { type: 'state', ... }          State of the game, see GameRoom.getState()
+ *   { type: 'error', code, message } A message that could not be acted on, see ERROR_CODES
+ *
+ * Clients only ever send moves: the server plays them on its own game state with the rules
+ * engine and never takes a position or a game from a client.
+ */
+
+const crypto = require('crypto');
+const { GameClock, GameState, MemoryStorage, RuleSet, getMoveError, moveToNotation, parseMove } = require('./js/core');
+
+const COLORS = ['black', 'white'];
+
+// Join codes: letters that cannot be mistaken for digits or for each other
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 4;
+
+// Longest room name kept
+const MAX_NAME_LENGTH = 40;
+
+// What the clocks do while a player is disconnected
+const CLOCK_ON_DISCONNECT = ['pause', 'run'];
+
+// Codes of the error messages sent to clients
+const ERROR_CODES = [
+    // Messages
+    'INVALID_MESSAGE', // Not a JSON object of a known type
+    'INVALID_OPTION', // Unknown color, rules or time control for a new room
+    'ALREADY_IN_ROOM',
+    'NO_SUCH_ROOM',
+    'SEAT_NOT_HELD', // No seat to resume with this session token
+    'NOT_IN_ROOM',
+
+    // Moves
+    'SPECTATOR', // Spectators cannot move
+    'GAME_NOT_STARTED',
+    'OPPONENT_LEFT',
+    'OPPONENT_AWAY', // The clocks are paused until the opponent reconnects
+    'GAME_OVER',
+    'NOT_YOUR_TURN',
+    'INVALID_NOTATION',
+    'INVALID_MOVE',
+    'INSUFFICIENT_RESERVES',
+    'NOT_YOUR_PIECE',
+    'ILLEGAL_DESTINATION',
+
+    // Anything else
+    'SERVER_ERROR'
+];
+
+// Why an illegal move was refused, by error code of getMoveError() (see Moves.js)
+const MOVE_ERROR_REASONS = {
+    INVALID_MOVE: 'it is not a move',
+    INSUFFICIENT_RESERVES: 'no piece of that kind is left to place, and a ring needs a captured disc',
+    NOT_YOUR_PIECE: 'none of your pieces is there',
+    ILLEGAL_DESTINATION: 'the piece cannot go there'
+};
+
+/**
+ * Normalize a join code as typed or taken from a link
+ * @param {string} code - Join code
+ * @returns {string} Code in capitals without spaces
+ */
+function normalizeRoomCode(code) {
+    return String(code || '').replace(/\s/g, '').toUpperCase();
+}
+
+/**
+ * Create an error sent to a client with its code
+ * @param {string} code - Error code, one of ERROR_CODES
+ * @param {string} message - Message for the player
+ * @returns {Error} Error with a code property
+ */
+function roomError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Name a color as shown to players
+ * @param {string} color - 'black' or 'white'
+ * @returns {string} "Black" or "White"
+ */
+function colorName(color) {
+    return color.charAt(0).toUpperCase() + color.slice(1);
+}
+
+class GameRoom {
+    /**
+     * Create a room with an empty board; the game starts when both seats are taken
+     * @param {string} code - Join code
+     * @param {Object} [options] - Room options
+     * @param {string} [options.name] - Name shown in the lobby; the join code by default
+     * @param {RuleSet|Object|string} [options.ruleSet] - Rules of the game; standard by default
+     * @param {Object|string|null} [options.timeControl] - Time control (see GameClock.js);
+     *     untimed by default
+     * @param {string} [options.clockOnDisconnect='pause'] - What the clocks do while a player
+     *     is disconnected: 'pause' (no moves are played until they are back) or 'run'
+     * @param {Function} [options.now=Date.now] - Current time in milliseconds, for the clocks
+     */
+    constructor(code, options = {}) {
+        this.code = code;
+        this.name = String(options.name || '').trim().slice(0, MAX_NAME_LENGTH) || `Room ${code}`;
+        this.timeControl = options.timeControl || null;
+        this.clockOnDisconnect = options.clockOnDisconnect || 'pause';
+        this.state = new GameState({ storage: new MemoryStorage(), ruleSet: options.ruleSet, now: options.now });
+
+        // Connection of each player, null while the seat is free or its player disconnected
+        this.players = { black: null, white: null };
+
+        // Session token of each seat, null while the seat is free; a player who disconnected
+        // takes their seat back with it
+        this.sessions = { black: null, white: null };
+
+        // Timers freeing the seat of a player who disconnected and did not come back in time
+        this.graceTimers = { black: null, white: null };
+
+        // Connections watching the game
+        this.spectators = new Set();
+
+        // Moves played, in move notation
+        this.moves = [];
+
+        // The clocks run from the moment both players are there
+        this.started = false;
+
+        // Color of a player who left: the game cannot go on
+        this.abandoned = null;
+
+        // Timer ending the game when the player to move runs out of time
+        this.clockTimer = null;
+    }
+
+    /**
+     * Check whether a player can still join
+     * @returns {boolean} True if a seat is free in a game that has not started
+     */
+    isOpen() {
+        return !this.started && !this.abandoned && COLORS.some(color => !this.sessions[color]);
+    }
+
+    /**
+     * Check whether the room has nobody left
+     * @returns {boolean} True if both seats are free and nobody watches
+     */
+    isEmpty() {
+        return COLORS.every(color => !this.sessions[color]) && this.spectators.size === 0;
+    }
+
+    /**
+     * Check whether a player is disconnected and may still come back
+     * @param {string} color - Seat
+     * @returns {boolean} True if the seat is held for a player who is not connected
+     */
+    isAway(color) {
+        return Boolean(this.sessions[color]) && !this.players[color];
+    }
+
+    /**
+     * Seat a player
+     * @param {Object} client - Connection of the player
+     * @param {string} [color] - Seat wanted; the free seat by default
+     * @returns {string|null} Color given to the player, null if no seat is free
+     */
+    addPlayer(client, color = COLORS.find(seat => !this.sessions[seat])) {
+        if (!color || this.sessions[color]) {
+            return null;
+        }
+        this.players[color] = client;
+        this.sessions[color] = crypto.randomBytes(16).toString('hex');
+
+        // Both players are there: start the clocks
+        if (!this.started && COLORS.every(seat => this.sessions[seat])) {
+            this.started = true;
+            this.state.initializeGame(undefined, this.timeControl);
+            this.updateClock();
+        }
+        return color;
+    }
+
+    /**
+     * Give a player who disconnected their seat back
+     * @param {Object} client - New connection of the player
+     * @param {string} session - Session token given when the player took the seat
+     * @returns {Object|null} { color, previous } where previous is the connection replaced, if
+     *     the server had not noticed it was lost; null if the token holds no seat
+     */
+    resumePlayer(client, session) {
+        const color = COLORS.find(seat => this.sessions[seat] && this.sessions[seat] === String(session));
+        if (!color) {
+            return null;
+        }
+        const previous = this.players[color];
+        this.players[color] = client;
+        this.updateClock();
+        return { color, previous };
+    }
+
+    /**
+     * Keep the seat of a player whose connection was lost, for them to resume
+     * @param {Object} client - Connection of the player
+     * @returns {string|null} Color the player has, null if they were not seated here
+     */
+    dropPlayer(client) {
+        const color = this.getColor(client);
+        if (color) {
+            this.players[color] = null;
+            this.updateClock();
+        }
+        return color;
+    }
+
+    /**
+     * Let a client watch the game
+     * @param {Object} client - Connection of the spectator
+     */
+    addSpectator(client) {
+        this.spectators.add(client);
+    }
+
+    /**
+     * Free the seat of a player who left, or stop sending the game to a spectator
+     * @param {Object} client - Connection of the player or spectator
+     * @returns {string|null} Color the player had, null for a spectator
+     */
+    removePlayer(client) {
+        this.spectators.delete(client);
+        const color = this.getColor(client);
+        if (color) {
+            this.freeSeat(color);
+        }
+        return color;
+    }
+
+    /**
+     * Free a seat; a game in progress ends, won by forfeit by the player who stayed
+     * @param {string} color - Seat
+     */
+    freeSeat(color) {
+        this.players[color] = null;
+        this.sessions[color] = null;
+        if (this.started && !this.state.gameOver && !this.abandoned) {
+            this.abandoned = color;
+            if (this.state.clock) {
+                this.state.clock.stop();
+            }
+            const winner = COLORS.find(other => other !== color);
+            this.state.endGame(winner, `${colorName(color)} left the game. ${colorName(winner)} wins by forfeit.`);
+        }
+    }
+
+    /**
+     * Pause the clocks while a player is disconnected, if the room says so, and resume them
+     * once both players are back
+     */
+    updateClock() {
+        const { clock } = this.state;
+        if (!clock || this.clockOnDisconnect !== 'pause') {
+            return;
+        }
+        if (COLORS.some(color => this.isAway(color))) {
+            clock.pause();
+        } else {
+            clock.resume();
+        }
+    }
+
+    /**
+     * Get the color a client plays
+     * @param {Object} client - Connection
+     * @returns {string|null} Color, null if the client is not a player of the room
+     */
+    getColor(client) {
+        return COLORS.find(color => this.players[color] === client) || null;
+    }
+
+    /**
+     * Play a move sent by a player, after checking it against the rules
+     * @param {Object} client - Connection of the player
+     * @param {string} notation - Move in move notation
+     * @throws {Error} If the move cannot be played now, with the reason in its code
+     */
+    playMove(client, notation) {
+        const color = this.getColor(client);
+        if (!color) {
+            if (this.spectators.has(client)) {
+                throw roomError('SPECTATOR', 'Spectators cannot move.');
+            }
+            throw roomError('NOT_IN_ROOM', 'You are not playing in this room.');
+        }
+        if (this.abandoned) {
+            throw roomError('OPPONENT_LEFT', 'Your opponent left the game.');
+        }
+        if (!this.started) {
+            throw roomError('GAME_NOT_STARTED', 'Wait for an opponent to join.');
+        }
+        if (this.state.gameOver) {
+            throw roomError('GAME_OVER', 'The game is over.');
+        }
+        if (this.state.clock && this.state.clock.paused) {
+            throw roomError('OPPONENT_AWAY', 'Wait for your opponent to reconnect.');
+        }
+        if (this.state.currentPlayer !== color) {
+            throw roomError('NOT_YOUR_TURN', 'It is not your turn.');
+        }
+
+        if (typeof notation !== 'string') {
+            throw roomError('INVALID_NOTATION', 'Moves are sent in move notation.');
+        }
+        let move;
+        try {
+            move = parseMove(notation);
+        } catch (error) {
+            throw roomError('INVALID_NOTATION', error.message);
+        }
+        const code = getMoveError(this.state, move);
+        if (code) {
+            throw roomError(code, `${notation} is not a legal move: ${MOVE_ERROR_REASONS[code] || 'the game is over'}.`);
+        }
+
+        this.moves.push(moveToNotation(move, this.state));
+        this.state.makeMove(move);
+    }
+
+    /**
+     * Describe the room for the lobby
+     * @returns {Object} { room, name, rules, timeControl, color, spectators } where room is the
+     *     join code, rules and timeControl are labels (timeControl null when untimed), color is
+     *     the seat a player can still take, null if joining means watching, and spectators is
+     *     the number of clients watching
+     */
+    getSummary() {
+        return {
+            room: this.code,
+            name: this.name,
+            rules: this.state.ruleSet.label,
+            timeControl: this.timeControl ? new GameClock(this.timeControl).timeControl.label : null,
+            color: this.isOpen() ? COLORS.find(color => !this.sessions[color]) : null,
+            spectators: this.spectators.size
+        };
+    }
+
+    /**
+     * Get the state of the game as sent to the players
+     * @returns {Object} { type: 'state', room, name, ruleSet, timeControl, clockOnDisconnect,
+     *     clock, moves, position, currentPlayer, gameOver, winner, message, players, connected,
+     *     spectators } where players tells which seats are taken, connected which players are
+     *     connected, spectators counts the clients watching and clock holds the time left (see
+     *     GameClock.toJSON()), null when untimed
+     */
+    getState() {
+        const { ruleSet, clock, currentPlayer, gameOver, winner } = this.state;
+        return {
+            type: 'state',
+            room: this.code,
+            name: this.name,
+            ruleSet: ruleSet.toJSON(),
+            timeControl: this.timeControl,
+            clockOnDisconnect: this.clockOnDisconnect,
+            clock: clock ? clock.toJSON() : null,
+            moves: [...this.moves],
+            position: this.state.toPositionString(),
+            currentPlayer,
+            gameOver,
+            winner,
+            message: this.getMessage(),
+            players: { black: Boolean(this.sessions.black), white: Boolean(this.sessions.white) },
+            connected: { black: Boolean(this.players.black), white: Boolean(this.players.white) },
+            spectators: this.spectators.size
+        };
+    }
+
+    /**
+     * Get the message shown with the game, and who lost the connection if anyone did
+     * @returns {string} Message
+     */
+    getMessage() {
+        const away = COLORS.find(color => this.isAway(color));
+        if (!away || this.state.gameOver) {
+            return this.state.message;
+        }
+        const paused = this.state.clock && this.state.clock.paused ? ' The clocks are paused.' : '';
+        return `${this.state.message} ${colorName(away)} lost the connection: waiting for them to come back.${paused}`;
+    }
+
+    /**
+     * Send a message to every player and spectator in the room
+     * @param {Object} message - Message object
+     */
+    broadcast(message) {
+        const text = JSON.stringify(message);
+        COLORS.forEach(color => {
+            if (this.players[color]) {
+                this.players[color].send(text);
+            }
+        });
+        this.spectators.forEach(spectator => spectator.send(text));
+    }
+}
+
+class MultiplayerServer {
+    /**
+     * Create the server side of online games; rooms are kept in memory
+     * @param {Object} [options] - Server options
+     * @param {Object} [options.logger=console] - Where joins and departures are logged, with log()
+     * @param {Function} [options.now=Date.now] - Current time in milliseconds, for the clocks
+     * @param {number} [options.gracePeriod=60000] - Milliseconds a seat is held for a player
+     *     whose connection was lost
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || console;
+        this.now = options.now || Date.now;
+        this.gracePeriod = options.gracePeriod !== undefined ? options.gracePeriod : 60000;
+
+        // Rooms by join code
+        this.rooms = new Map();
+
+        // Room of each connected client
+        this.clientRooms = new Map();
+
+        // Clients looking at the lobby, sent the open rooms whenever they change
+        this.lobbyClients = new Set();
+    }
+
+    /**
+     * Take over a client connection
+     * @param {EventEmitter} client - Connection with send(text) emitting 'message' with the
+     *     text of each message and 'close', e.g. a WebSocketConnection
+     */
+    handleConnection(client) {
+        client.on('message', text => this.handleMessage(client, text));
+        client.on('close', () => this.drop(client));
+    }
+
+    /**
+     * Act on a message from a client; errors are sent back to it
+     * @param {Object} client - Connection
+     * @param {string} text - Message text
+     */
+    handleMessage(client, text) {
+        try {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                throw roomError('INVALID_MESSAGE', 'Messages must be JSON.');
+            }
+
+            switch (message && message.type) {
+                case 'lobby':
+                    this.lobbyClients.add(client);
+                    this.send(client, this.getLobby());
+                    break;
+
+                case 'create':
+                    this.create(client, message);
+                    break;
+
+                case 'join':
+                    this.join(client, message.room);
+                    break;
+
+                case 'resume':
+                    this.resume(client, message.room, message.session);
+                    break;
+
+                case 'move':
+                    this.move(client, message.move);
+                    break;
+
+                case 'leave':
+                    this.leave(client);
+                    break;
+
+                default:
+                    throw roomError('INVALID_MESSAGE', `Unknown message type: ${message && message.type}`);
+            }
+        } catch (error) {
+            if (!error.code) {
+                this.logger.log(`Error handling a message: ${error.stack}`);
+            }
+            this.send(client, { type: 'error', code: error.code || 'SERVER_ERROR', message: error.message });
+
+            // The client may have shown a move the server refused: send the position back
+            const room = this.clientRooms.get(client);
+            if (room) {
+                this.send(client, room.getState());
+            }
+        }
+    }
+
+    /**
+     * Open a room and seat its host
+     * @param {Object} client - Connection of the host
+     * @param {Object} options - Create message: { name, ruleSet, timeControl, color,
+     *     clockOnDisconnect }
+     */
+    create(client, { name, ruleSet, timeControl, color = 'random', clockOnDisconnect = 'pause' }) {
+        if (this.clientRooms.has(client)) {
+            throw roomError('ALREADY_IN_ROOM', 'You are already in a room.');
+        }
+        if (color !== 'random' && !COLORS.includes(color)) {
+            throw roomError('INVALID_OPTION', `Unknown color: ${color}`);
+        }
+        if (!CLOCK_ON_DISCONNECT.includes(clockOnDisconnect)) {
+            throw roomError('INVALID_OPTION', `Unknown clock setting: ${clockOnDisconnect}`);
+        }
+
+        // Reject unplayable rules and time controls before opening a room with them
+        let rules;
+        let control;
+        try {
+            rules = ruleSet ? RuleSet.from(ruleSet) : RuleSet.standard();
+            control = timeControl ? new GameClock(timeControl).timeControl : null;
+        } catch (error) {
+            throw roomError('INVALID_OPTION', error.message);
+        }
+
+        const room = new GameRoom(this.createRoomCode(), {
+            name,
+            ruleSet: rules,
+            timeControl: control,
+            clockOnDisconnect,
+            now: this.now
+        });
+        this.rooms.set(room.code, room);
+        this.seat(client, room, color === 'random' ? COLORS[crypto.randomInt(2)] : color);
+    }
+
+    /**
+     * Seat a client in the free seat of a room, or let it watch a game that has both players
+     * @param {Object} client - Connection
+     * @param {string} code - Join code of the room
+     */
+    join(client, code) {
+        if (this.clientRooms.has(client)) {
+            throw roomError('ALREADY_IN_ROOM', 'You are already in a room.');
+        }
+
+        const room = this.rooms.get(normalizeRoomCode(code));
+        if (!room) {
+            throw roomError('NO_SUCH_ROOM', `There is no room ${normalizeRoomCode(code)}.`);
+        }
+        this.seat(client, room, room.isOpen() ? undefined : null);
+    }
+
+    /**
+     * Seat a client and tell everyone concerned
+     * @param {Object} client - Connection
+     * @param {GameRoom} room - Room
+     * @param {string|null} [color] - Seat, null to watch; the free seat by default
+     */
+    seat(client, room, color) {
+        let seat = null;
+        if (color === null) {
+            room.addSpectator(client);
+        } else {
+            seat = room.addPlayer(client, color);
+        }
+        this.clientRooms.set(client, room);
+        this.lobbyClients.delete(client);
+        this.logger.log(`Room ${room.code}: ${seat || 'spectator'} joined`);
+
+        this.send(client, { type: 'joined', room: room.code, color: seat, spectator: !seat, session: seat ? room.sessions[seat] : null });
+        room.broadcast(room.getState());
+        this.watchClock(room);
+        this.updateLobby();
+    }
+
+    /**
+     * Give a player whose connection was lost their seat back
+     * @param {Object} client - New connection of the player
+     * @param {string} code - Join code of the room
+     * @param {string} session - Session token of the seat
+     */
+    resume(client, code, session) {
+        if (this.clientRooms.has(client)) {
+            throw roomError('ALREADY_IN_ROOM', 'You are already in a room.');
+        }
+
+        const room = this.rooms.get(normalizeRoomCode(code));
+        const seat = room ? room.resumePlayer(client, session) : null;
+        if (!seat) {
+            throw roomError('SEAT_NOT_HELD', `Your seat in room ${normalizeRoomCode(code)} is no longer held.`);
+        }
+        const { color, previous } = seat;
+
+        // The old connection, if still open, no longer plays
+        if (previous) {
+            this.clientRooms.delete(previous);
+        }
+        clearTimeout(room.graceTimers[color]);
+        room.graceTimers[color] = null;
+
+        this.clientRooms.set(client, room);
+        this.lobbyClients.delete(client);
+        this.logger.log(`Room ${room.code}: ${color} came back`);
+
+        this.send(client, { type: 'joined', room: room.code, color, spectator: false, session });
+        room.broadcast(room.getState());
+        this.watchClock(room);
+    }
+
+    /**
+     * Play a move for a client and send the new state to both players; refused moves are logged
+     * @param {Object} client - Connection
+     * @param {string} notation - Move in move notation
+     */
+    move(client, notation) {
+        const room = this.clientRooms.get(client);
+        if (!room) {
+            throw roomError('NOT_IN_ROOM', 'Join a room first.');
+        }
+
+        try {
+            room.playMove(client, notation);
+        } catch (error) {
+            const player = room.getColor(client) || 'spectator';
+            this.logger.log(`Room ${room.code}: refused ${JSON.stringify(String(notation).slice(0, 40))} from ${player}: ${error.code}`);
+            throw error;
+        }
+        room.broadcast(room.getState());
+        this.watchClock(room);
+    }
+
+    /**
+     * End the game of a room when the player to move runs out of time
+     * @param {GameRoom} room - Room
+     */
+    watchClock(room) {
+        clearTimeout(room.clockTimer);
+        room.clockTimer = null;
+        const { state } = room;
+        if (!state.isClockRunning() || state.clock.paused || state.gameOver) {
+            return;
+        }
+
+        const remaining = state.clock.getRemaining(state.currentPlayer);
+        room.clockTimer = setTimeout(() => {
+            room.clockTimer = null;
+            if (state.checkTime()) {
+                this.logger.log(`Room ${room.code}: ${state.message}`);
+                room.broadcast(room.getState());
+            } else {
+                this.watchClock(room);
+            }
+        }, Math.max(0, remaining) + 1);
+
+        // Pending clocks do not keep the process alive
+        room.clockTimer.unref();
+    }
+
+    /**
+     * Handle a lost connection: the seat of a player in a game that is not over is held for
+     * the grace period, for them to resume; anyone else leaves
+     * @param {Object} client - Connection
+     */
+    drop(client) {
+        const room = this.clientRooms.get(client);
+        const color = room ? room.getColor(client) : null;
+        if (!color || room.abandoned || room.state.gameOver || this.gracePeriod <= 0) {
+            this.leave(client);
+            return;
+        }
+
+        this.clientRooms.delete(client);
+        room.dropPlayer(client);
+        this.logger.log(`Room ${room.code}: ${color} lost the connection`);
+
+        room.graceTimers[color] = setTimeout(() => {
+            room.graceTimers[color] = null;
+            this.logger.log(`Room ${room.code}: ${color} did not come back`);
+            room.freeSeat(color);
+            this.updateRoom(room);
+        }, this.gracePeriod);
+
+        // Held seats do not keep the process alive
+        room.graceTimers[color].unref();
+
+        this.watchClock(room);
+        room.broadcast(room.getState());
+        this.updateLobby();
+    }
+
+    /**
+     * Remove a client that left; empty rooms are closed
+     * @param {Object} client - Connection
+     */
+    leave(client) {
+        this.lobbyClients.delete(client);
+        const room = this.clientRooms.get(client);
+        if (!room) {
+            return;
+        }
+
+        this.clientRooms.delete(client);
+        const color = room.removePlayer(client);
+        this.logger.log(`Room ${room.code}: ${color || 'spectator'} left`);
+        this.updateRoom(room);
+    }
+
+    /**
+     * Tell a room and the lobby that someone left, closing the room once it is empty
+     * @param {GameRoom} room - Room
+     */
+    updateRoom(room) {
+        if (room.isEmpty()) {
+            clearTimeout(room.clockTimer);
+            COLORS.forEach(color => clearTimeout(room.graceTimers[color]));
+            this.rooms.delete(room.code);
+        } else {
+            this.watchClock(room);
+            room.broadcast(room.getState());
+        }
+        this.updateLobby();
+    }
+
+    /**
+     * Pick a join code no room uses
+     * @returns {string} Join code
+     */
+    createRoomCode() {
+        let code;
+        do {
+            code = Array.from({ length: CODE_LENGTH }, () => CODE_LETTERS[crypto.randomInt(CODE_LETTERS.length)]).join('');
+        } while (this.rooms.has(code));
+        return code;
+    }
+
+    /**
+     * Get the lobby message: the rooms waiting for a player, then the games that can be watched
+     * @returns {Object} { type: 'lobby', rooms }
+     */
+    getLobby() {
+        const rooms = Array.from(this.rooms.values()).map(room => room.getSummary());
+        rooms.sort((a, b) => Number(!a.color) - Number(!b.color));
+        return { type: 'lobby', rooms };
+    }
+
+    /**
+     * Send the rooms to every client looking at the lobby
+     */
+    updateLobby() {
+        const lobby = this.getLobby();
+        this.lobbyClients.forEach(client => this.send(client, lobby));
+    }
+
+    /**
+     * Send a message to a client
+     * @param {Object} client - Connection
+     * @param {Object} message - Message object
+     */
+    send(client, message) {
+        client.send(JSON.stringify(message));
+    }
+}
+
+module.exports = { ERROR_CODES, GameRoom, MultiplayerServer, normalizeRoomCode };
@@ -1,9 +1,30 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { acceptWebSocket } = require('./websocket.js');
+const { MultiplayerServer } = require('./multiplayer.js');
 
 const PORT = 8080;
 
+// Files are served from the directory of the app, never from above it
+const ROOT = __dirname;
+
+// Engine process offered to the browser at /engine, e.g. node server.js --engine "python3 bot.py"
+const engineArgIndex = process.argv.indexOf('--engine');
+const ENGINE_COMMAND = engineArgIndex >= 0 ? process.argv[engineArgIndex + 1] : null;
+
+// Engine processes running at once; further engine connections are refused
+const MAX_ENGINE_PROCESSES = 2;
+let engineProcesses = 0;
+
+// An engine runs a command on this machine: only pages on this machine may start one
+const HOST = ENGINE_COMMAND ? '127.0.0.1' : undefined;
+
+// Rooms of online games, played over WebSockets at /play
+const multiplayer = new MultiplayerServer();
+
 const MIME_TYPES = {
     '.html': 'text/html',
     '.js': 'text/javascript',
@@ -22,8 +43,14 @@ const MIME_TYPES = {
 const server = http.createServer((req, res) => {
     console.log(`Request: ${req.url}`);
     
-    // Handle root URL
-    let filePath = req.url === '/' ? './index.html' : '.' + req.url;
+    // Handle root URL; query strings such as ?room=ABCD are read by the page itself
+    const urlPath = req.url.split('?')[0];
+    let filePath = path.resolve(ROOT, urlPath === '/' ? 'index.html' : '.' + urlPath);
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end('Forbidden');
+        return;
+    }
     
     // Get the file extension
     const extname = path.extname(filePath);
@@ -34,7 +61,7 @@ const server = http.createServer((req, res) => {
         if (error) {
             if (error.code === 'ENOENT') {
                 // File not found
-                fs.readFile('./404.html', (error, content) => {
+                fs.readFile(path.join(ROOT, '404.html'), (error, content) => {
                     res.writeHead(404, { 'Content-Type': 'text/html' });
                     res.end(content, 'utf-8');
                 });
@@ -51,7 +78,80 @@ const server = http.createServer((req, res) => {
     });
 });
 
-server.listen(PORT, () => {
+// Relay an engine process over a WebSocket: each message is a line of the engine protocol
+// (see js/ai/EngineProtocol.js). Every connection gets its own engine process.
+function relayEngine(connection) {
+    console.log(`Engine connection: starting ${ENGINE_COMMAND}`);
+    const engine = spawn(ENGINE_COMMAND, { shell: true, stdio: ['pipe', 'pipe', 'inherit'] });
+    engineProcesses++;
+    engine.on('close', () => {
+        engineProcesses--;
+    });
+    
+    readline.createInterface({ input: engine.stdout }).on('line', line => connection.send(line));
+    engine.stdin.on('error', () => {});
+    engine.on('exit', () => connection.close());
+    engine.on('error', (error) => {
+        console.error(`Engine error: ${error.message}`);
+        connection.close();
+    });
+    
+    connection.on('message', message => engine.stdin.write(`${message}\n`));
+    connection.on('close', () => {
+        engine.stdin.end();
+        // Engines that ignore the end of their input are stopped after a grace period
+        setTimeout(() => engine.kill(), 1000).unref();
+    });
+}
+
+// Check that a WebSocket comes from a page of this server. Browsers always send the Origin
+// of the page; other programs, which may leave it out, are not web pages run by the user.
+function isOwnOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) {
+        return true;
+    }
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (error) {
+        return false;
+    }
+}
+
+server.on('upgrade', (req, socket) => {
+    const isEngine = req.url === '/engine' && ENGINE_COMMAND;
+    if (!isEngine && req.url !== '/play') {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+    if (!isOwnOrigin(req)) {
+        console.warn(`Refused a WebSocket from ${req.headers.origin}`);
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+    }
+    if (isEngine && engineProcesses >= MAX_ENGINE_PROCESSES) {
+        console.warn('Refused an engine connection: too many engines running');
+        socket.end('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+        return;
+    }
+    
+    const connection = acceptWebSocket(req, socket);
+    if (!connection) {
+        return;
+    }
+    if (isEngine) {
+        relayEngine(connection);
+    } else {
+        multiplayer.handleConnection(connection);
+    }
+});
+
+server.listen(PORT, HOST, () => {
     console.log(`Server running at http://localhost:${PORT}/`);
     console.log(`To view the model test page, go to: http://localhost:${PORT}/test-models.html`);
+    console.log(`Online games are played over WebSockets at ws://localhost:${PORT}/play`);
+    if (ENGINE_COMMAND) {
+        console.log(`External engine available to the game: ${ENGINE_COMMAND}`);
+        console.log('With an engine, the server only accepts connections from this machine');
+    }
 }); 
\ No newline at end of file
@@ -1,12 +1,28 @@
-const CACHE_NAME = 'hexaequo-cache-v1';
+const CACHE_NAME = 'hexaequo-cache-v17';
 const ASSETS_TO_CACHE = [
     './',
     './index.html',
     './css/styles.css',
     './js/app.js',
     './js/core/HexGrid.js',
+    './js/core/Storage.js',
+    './js/core/RuleSet.js',
+    './js/core/GameClock.js',
     './js/core/GameState.js',
     './js/core/GameRules.js',
+    './js/core/Moves.js',
+    './js/core/Notation.js',
+    './js/ai/Evaluation.js',
+    './js/ai/AlphaBetaEngine.js',
+    './js/ai/MCTSEngine.js',
+    './js/ai/AIPlayer.js',
+    './js/ai/Hints.js',
+    './js/ai/GameAnalysis.js',
+    './js/ai/EngineHost.js',
+    './js/ai/EngineProtocol.js',
+    './js/ai/ExternalEngine.js',
+    './js/ai/engine-worker.js',
+    './js/net/OnlineGame.js',
     './js/rendering/Renderer.js',
     './js/rendering/ModelLoader.js',
     './js/ui/UserInterface.js',
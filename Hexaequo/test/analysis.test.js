@@ -0,0 +1,100 @@
+/**
+ * analysis.test.js
+ * Post-game analysis (see GameAnalysis.js): every position of a game is evaluated and the
+ * moves that throw away a win, miss a capture or leave a ring to be taken are flagged.
+ * Positions are written as position strings (see Notation.js) and moves in move notation.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { GameState, MemoryStorage, parseMove } = require('../js/core');
+const { analyseGame, getGamePositions, EVALUATION_LIMIT, WIN_SCORE } = require('../js/ai');
+
+// The disc on 0,0 can capture the last white disc by jumping to 2,0
+const LAST_DISC = '0,0bD/1,0wd/2,0b/-1,1wr b 2/9:2/6/5:0/3/0 2/9:6/1/0:1/3/0';
+
+// White to move; the black ring on 0,0 threatens the white ring on 2,-2, which can take it first
+const RING_THREAT = '2,-2wr/-1,0w/0,0bR/1,0b/2,0wd/-2,2bD/0,2w w 3/9:2/6/2:1/3/0 4/9:4/4/0:1/3/0';
+
+const ENGINE_OPTIONS = { maxDepth: 2 };
+
+/**
+ * Play moves from a position
+ * @param {string} position - Position string
+ * @param {...string} notations - Moves in move notation
+ * @returns {GameState} The game state
+ */
+function playFrom(position, ...notations) {
+    const state = new GameState({ storage: new MemoryStorage() });
+    assert.ok(state.loadPosition(position), `position should load: ${position}`);
+    notations.forEach(notation => assert.ok(state.makeMove(parseMove(notation)), notation));
+    return state;
+}
+
+describe('game analysis', () => {
+    test('every position of the game is rebuilt with the history leading to it', () => {
+        const state = playFrom(LAST_DISC, 'T+1,-1', 'T+0,-1', '0,0x2,0');
+        const positions = getGamePositions(state);
+        assert.equal(positions.length, 4);
+        const replay = state.clone();
+        positions.forEach((position, index) => {
+            replay.goTo(index);
+            assert.equal(position.historyIndex, index);
+            assert.equal(position.toPositionString(), replay.toPositionString());
+        });
+        assert.equal(positions[3].gameOver, true);
+    });
+
+    test('throwing away a win is a blunder that missed the capture', async () => {
+        const state = playFrom(LAST_DISC, 'D@2,0', 'T+0,-1');
+        const { evaluations, moves } = await analyseGame(state, { engineOptions: ENGINE_OPTIONS });
+
+        assert.equal(evaluations.length, 3);
+        assert.equal(evaluations[0], EVALUATION_LIMIT, 'black wins with the next move');
+        assert.ok(evaluations.every(value => Math.abs(value) <= EVALUATION_LIMIT));
+
+        const [blunder, reply] = moves;
+        assert.deepEqual([blunder.ply, blunder.color, blunder.notation], [1, 'black', 'D@2,0']);
+        assert.equal(blunder.bestNotation, '0,0x2,0');
+        assert.equal(blunder.before, EVALUATION_LIMIT);
+        assert.equal(blunder.loss, blunder.before - blunder.after);
+        assert.deepEqual(blunder.flags, ['blunder', 'missed capture']);
+        assert.equal(reply.color, 'white');
+    });
+
+    test('leaving a ring to be taken is flagged', async () => {
+        const state = playFrom(RING_THREAT, 'T+1,-1');
+        const { moves } = await analyseGame(state, { engineOptions: ENGINE_OPTIONS });
+        assert.equal(moves[0].bestNotation, '2,-2x0,0');
+        assert.ok(moves[0].flags.includes('allowed ring capture'), moves[0].flags.join(', '));
+    });
+
+    test('the winning move is not flagged and the finished position is not searched', async () => {
+        const state = playFrom(LAST_DISC, '0,0x2,0');
+        const searched = [];
+        const { evaluations, moves } = await analyseGame(state, {
+            search: async position => {
+                searched.push(position.historyIndex);
+                return { move: parseMove('0,0x2,0'), score: WIN_SCORE - 1 };
+            }
+        });
+        assert.deepEqual(searched, [0]);
+        assert.deepEqual(evaluations, [EVALUATION_LIMIT, EVALUATION_LIMIT]);
+        assert.deepEqual(moves[0].flags, []);
+        assert.equal(moves[0].loss, 0);
+    });
+
+    test('progress is reported per position and a stopped analysis resolves with null', async () => {
+        const state = playFrom(LAST_DISC, 'T+1,-1', 'T+0,-1');
+        const progress = [];
+        await analyseGame(state, {
+            engineOptions: { maxDepth: 1 },
+            onProgress: (done, total) => progress.push(`${done}/${total}`)
+        });
+        assert.deepEqual(progress, ['1/3', '2/3', '3/3']);
+
+        let polls = 0;
+        assert.equal(await analyseGame(state, { engineOptions: { maxDepth: 1 }, shouldStop: () => ++polls > 1 }), null);
+        assert.equal(polls, 2);
+    });
+});
@@ -0,0 +1,272 @@
+/**
+ * clock.test.js
+ * Game clocks: the three time controls, pausing, and timed games in GameState, losing on
+ * time included. Time is simulated with a settable now() function.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    GameClock,
+    GameState,
+    MemoryStorage,
+    TIME_CONTROLS,
+    formatClockTime,
+    parseMove
+} = require('../js/core');
+
+/**
+ * Create a simulated time source
+ * @returns {Object} { now, advance } where advance(ms) moves time forward
+ */
+function createTime() {
+    let time = 1000000;
+    return {
+        now: () => time,
+        advance: (ms) => {
+            time += ms;
+        }
+    };
+}
+
+/**
+ * Create a timed game
+ * @param {Object|string} timeControl - Time control
+ * @param {Object} time - Time source from createTime()
+ * @param {Object} [options] - More game state options
+ * @returns {GameState} The game state, with Black's clock running
+ */
+function timedGame(timeControl, time, options = {}) {
+    return new GameState({ storage: new MemoryStorage(), timeControl, now: time.now, ...options });
+}
+
+describe('time controls', () => {
+    test('sudden death only runs the clock down', () => {
+        const time = createTime();
+        const clock = new GameClock({ type: 'sudden-death', initial: 60000 }, { now: time.now });
+        clock.start('black');
+        time.advance(15000);
+        assert.equal(clock.getRemaining('black'), 45000);
+        assert.equal(clock.getRemaining('white'), 60000);
+
+        assert.equal(clock.completeTurn(), true);
+        assert.equal(clock.getRemaining('black'), 45000);
+        assert.equal(clock.running, null);
+    });
+
+    test('Fischer adds the increment after every move', () => {
+        const time = createTime();
+        const clock = new GameClock(TIME_CONTROLS['blitz-3-2'], { now: time.now });
+        clock.start('black');
+        time.advance(500);
+        clock.completeTurn();
+        assert.equal(clock.getRemaining('black'), 180000 - 500 + 2000);
+    });
+
+    test('Bronstein gives back the time used, up to the delay', () => {
+        const time = createTime();
+        const clock = new GameClock({ type: 'bronstein', initial: 60000, delay: 3000 }, { now: time.now });
+
+        clock.start('black');
+        time.advance(1000);
+        clock.completeTurn();
+        assert.equal(clock.getRemaining('black'), 60000, 'a quick move costs nothing');
+
+        clock.start('black');
+        time.advance(5000);
+        clock.completeTurn();
+        assert.equal(clock.getRemaining('black'), 58000, 'a slow move costs the time beyond the delay');
+    });
+
+    test('a paused clock does not run, and the delay counts the whole turn', () => {
+        const time = createTime();
+        const clock = new GameClock({ type: 'bronstein', initial: 60000, delay: 3000 }, { now: time.now });
+        clock.start('white');
+        time.advance(2000);
+        clock.pause();
+        time.advance(30000);
+        assert.equal(clock.getRemaining('white'), 58000);
+
+        clock.resume();
+        time.advance(2000);
+        clock.completeTurn();
+        assert.equal(clock.getRemaining('white'), 56000 + 3000);
+    });
+
+    test('a paused clock stays paused when rebuilt from its data', () => {
+        const time = createTime();
+        const clock = new GameClock(TIME_CONTROLS['blitz-3-2'], { now: time.now });
+        clock.start('white');
+        time.advance(5000);
+        clock.pause();
+
+        const copy = GameClock.fromJSON(clock.toJSON(), { now: time.now });
+        time.advance(10000);
+        assert.equal(copy.paused, true);
+        assert.equal(copy.getRemaining('white'), 175000);
+    });
+
+    test('a rebuilt clock still counts the time used before a pause toward the delay', () => {
+        const time = createTime();
+        const clock = new GameClock({ type: 'bronstein', initial: 60000, delay: 3000 }, { now: time.now });
+        clock.start('white');
+        time.advance(2000);
+        clock.pause();
+
+        const copy = GameClock.fromJSON(clock.toJSON(), { now: time.now });
+        time.advance(30000);
+        copy.resume();
+        time.advance(2000);
+        copy.completeTurn();
+        assert.equal(copy.getRemaining('white'), 56000 + 3000);
+    });
+
+    test('no time comes back to a player whose time ran out', () => {
+        const time = createTime();
+        const clock = new GameClock(TIME_CONTROLS['blitz-3-2'], { now: time.now });
+        clock.start('black');
+        time.advance(180000);
+        assert.equal(clock.isFlagged('black'), true);
+        assert.equal(clock.completeTurn(), false);
+        assert.equal(clock.getRemaining('black'), 0);
+    });
+
+    test('the warning starts at a tenth of the starting time, kept between 10 s and 60 s', () => {
+        const time = createTime();
+        const clock = new GameClock(TIME_CONTROLS['rapid-10-5'], { now: time.now });
+        clock.start('black');
+        time.advance(600000 - 60000);
+        assert.equal(clock.isLowTime('black'), false);
+        time.advance(1);
+        assert.equal(clock.isLowTime('black'), true);
+        assert.equal(clock.isLowTime('white'), false);
+    });
+
+    test('invalid time controls are rejected', () => {
+        assert.throws(() => new GameClock({ type: 'hourglass', initial: 60000 }), /Unknown time control/);
+        assert.throws(() => new GameClock({ type: 'fischer', initial: 0, increment: 1000 }), /starting time/);
+        assert.throws(() => new GameClock('blitz-1'), /Unknown time control/);
+    });
+
+    test('times are shown as minutes and seconds, with tenths at the end', () => {
+        assert.equal(formatClockTime(185000), '3:05');
+        assert.equal(formatClockTime(60000), '1:00');
+        assert.equal(formatClockTime(7340), '0:07.3');
+        assert.equal(formatClockTime(-500), '0:00.0');
+    });
+});
+
+describe('timed games', () => {
+    test('the clock passes to the player to move after each move', () => {
+        const time = createTime();
+        const state = timedGame('blitz-3-2', time);
+        assert.equal(state.clock.running, 'black');
+
+        time.advance(10000);
+        state.makeMove(parseMove('T+2,-1'));
+        assert.equal(state.clock.running, 'white');
+        assert.equal(state.clock.getRemaining('black'), 180000 - 10000 + 2000);
+
+        time.advance(4000);
+        assert.equal(state.clock.getRemaining('white'), 176000);
+    });
+
+    test('running out of time while thinking loses the game', () => {
+        const time = createTime();
+        const state = timedGame('blitz-5', time);
+        state.makeMove(parseMove('T+2,-1'));
+
+        time.advance(299999);
+        assert.equal(state.checkTime(), false);
+        time.advance(1);
+        assert.equal(state.checkTime(), true);
+
+        assert.equal(state.gameOver, true);
+        assert.equal(state.winner, 'black');
+        assert.match(state.message, /Black wins on time/);
+        assert.equal(state.isClockRunning(), false);
+        assert.equal(state.history[state.historyIndex].gameOver, true, 'the position records the loss');
+        assert.match(state.exportRecord(), /\[Result "1-0"\]/);
+    });
+
+    test('a move made after the time ran out loses on time', () => {
+        const time = createTime();
+        const state = timedGame({ type: 'sudden-death', initial: 5000 }, time);
+        time.advance(6000);
+        state.makeMove(parseMove('T+2,-1'));
+
+        assert.equal(state.gameOver, true);
+        assert.equal(state.winner, 'white');
+        assert.match(state.message, /White wins on time/);
+    });
+
+    test('the clocks stop when the game ends and moves are only taken back afterwards', () => {
+        const time = createTime();
+        const state = timedGame('blitz-3-2', time);
+        state.makeMove(parseMove('T+2,-1'));
+        assert.equal(state.canUndo(), false);
+        assert.equal(state.undo(), false);
+
+        time.advance(200000);
+        state.checkTime();
+        const remaining = state.clock.getRemaining('white');
+        time.advance(10000);
+        assert.equal(state.clock.getRemaining('white'), remaining);
+        assert.equal(state.undo(), true);
+    });
+
+    test('untimed games, clones and engine copies have no clock', () => {
+        const time = createTime();
+        assert.equal(new GameState({ storage: new MemoryStorage() }).clock, null);
+
+        const state = timedGame('blitz-3-2', time);
+        assert.equal(state.clone().clock, null);
+        assert.equal(GameState.deserialize(state.serialize()).clock, null);
+    });
+
+    test('saved games keep the time left and time the turn again from loading', () => {
+        const time = createTime();
+        const storage = new MemoryStorage();
+        const state = timedGame('blitz-3-2', time, { storage });
+        time.advance(20000);
+        state.makeMove(parseMove('T+2,-1'));
+        time.advance(5000);
+        state.saveGame('timed');
+
+        time.advance(60000);
+        const loaded = new GameState({ storage, now: time.now });
+        assert.ok(loaded.loadGame('timed'));
+        assert.equal(loaded.clock.running, 'white');
+        assert.equal(loaded.clock.getRemaining('black'), 162000);
+        assert.equal(loaded.clock.getRemaining('white'), 175000);
+
+        time.advance(1000);
+        assert.equal(loaded.clock.getRemaining('white'), 174000);
+        assert.equal(loaded.timeControl.type, 'fischer');
+    });
+
+    test('a new game keeps the time control unless told otherwise', () => {
+        const time = createTime();
+        const state = timedGame('blitz-5', time);
+        time.advance(1000);
+        state.initializeGame();
+        assert.equal(state.clock.getRemaining('black'), 300000);
+
+        state.initializeGame(undefined, null);
+        assert.equal(state.clock, null);
+    });
+
+    test('game records state the time control and are imported untimed', () => {
+        const time = createTime();
+        const state = timedGame('blitz-3-2', time);
+        state.makeMove(parseMove('T+2,-1'));
+        const record = state.exportRecord();
+        assert.match(record, /\[TimeControl "3 min \+ 2 s"\]/);
+
+        const imported = timedGame('blitz-5', time);
+        assert.ok(imported.importRecord(record));
+        assert.equal(imported.clock, null);
+        assert.equal(imported.toPositionString(), state.toPositionString());
+        assert.doesNotMatch(imported.exportRecord(), /TimeControl/);
+    });
+});
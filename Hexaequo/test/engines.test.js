@@ -0,0 +1,185 @@
+/**
+ * engines.test.js
+ * The search engines of the computer opponent: they take a win on the spot, see a loss
+ * coming and only play legal moves. Positions are written as position strings (see
+ * Notation.js) and moves in move notation. Monte Carlo searches are seeded, so a failure
+ * replays the same way.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    GameState,
+    MemoryStorage,
+    applyMove,
+    getLegalMoves,
+    isLegalMove,
+    moveToNotation
+} = require('../js/core');
+const { AIPlayer, AlphaBetaEngine, DIFFICULTY_LEVELS, MCTSEngine, WIN_SCORE, createEngine } = require('../js/ai');
+
+// The disc on 0,0 can capture the last white disc by jumping to 2,0
+const LAST_DISC = '0,0bD/1,0wd/2,0b/-1,1wr b 2/9:2/6/5:0/3/0 2/9:6/1/0:1/3/0';
+
+// White threatens to jump over the only black piece on the board, to -1,0
+const THREATENED = '-1,0b/0,0bD/1,0wd b 2/9:1/6/0:0/3/0 1/9:1/6/0:0/3/0';
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create a game state
+ * @param {string} [position] - Position string; the standard setup by default
+ * @returns {GameState} The game state
+ */
+function load(position) {
+    const state = new GameState({ storage: new MemoryStorage() });
+    if (position) {
+        assert.ok(state.loadPosition(position), `position should load: ${position}`);
+    }
+    return state;
+}
+
+/**
+ * Check whether the side to move can win with its next move
+ * @param {GameState} state - The game state
+ * @returns {boolean} True if one of the legal moves wins
+ */
+function canWinNow(state) {
+    const color = state.currentPlayer;
+    return getLegalMoves(state).some(move => applyMove(state, move).winner === color);
+}
+
+describe('alpha-beta engine', () => {
+    test('a winning capture is played at any depth, with a winning score', () => {
+        [1, 3].forEach(maxDepth => {
+            const state = load(LAST_DISC);
+            const result = new AlphaBetaEngine({ maxDepth }).search(state);
+            assert.equal(moveToNotation(result.move, state), '0,0x2,0');
+            assert.ok(result.score >= WIN_SCORE - maxDepth, `score ${result.score} at depth ${maxDepth}`);
+        });
+    });
+
+    test('a loss on the next move is avoided from depth 2', () => {
+        const state = load(THREATENED);
+        assert.equal(canWinNow(applyMove(state, getLegalMoves(state).find(move => move.type === 'placeTile'))), true,
+            'placing a tile leaves the black disc to be captured');
+
+        const { move } = new AlphaBetaEngine({ maxDepth: 2 }).search(state);
+        assert.ok(isLegalMove(state, move));
+        assert.equal(canWinNow(applyMove(state, move)), false, moveToNotation(move, state));
+    });
+
+    test('the search reports each depth and leaves the position untouched', () => {
+        const state = load();
+        const position = state.toPositionString();
+        const depths = [];
+        const result = new AlphaBetaEngine({ maxDepth: 3 }).search(state, {
+            onProgress: ({ depth }) => depths.push(depth)
+        });
+        assert.deepEqual(depths, [1, 2, 3]);
+        assert.equal(result.depth, 3);
+        assert.ok(result.nodes > 0);
+        assert.ok(isLegalMove(state, result.move));
+        assert.equal(state.toPositionString(), position);
+    });
+
+    test('a stopped search still answers with a legal move', () => {
+        const state = load();
+        const result = new AlphaBetaEngine({ maxDepth: 8 }).search(state, { shouldStop: () => true });
+        assert.ok(isLegalMove(state, result.move));
+        assert.ok(result.depth < 8);
+    });
+
+    test('there is no move to find once the game is over', () => {
+        const state = load(LAST_DISC);
+        state.makeMove(new AlphaBetaEngine({ maxDepth: 1 }).search(state).move);
+        assert.equal(state.gameOver, true);
+        assert.equal(new AlphaBetaEngine().search(state).move, null);
+    });
+});
+
+describe('Monte Carlo engine', () => {
+    test('the policy lists every legal root move once, reached by the search or not', () => {
+        const state = load();
+        const legal = getLegalMoves(state).map(move => moveToNotation(move, state)).sort();
+        [3, 200].forEach(playouts => {
+            const result = new MCTSEngine({ playouts, random: createRandom(9) }).search(state);
+            assert.equal(result.playouts, playouts);
+            assert.deepEqual(result.policy.map(({ move }) => moveToNotation(move, state)).sort(), legal);
+
+            const shares = result.policy.reduce((sum, { share }) => sum + share, 0);
+            assert.ok(Math.abs(shares - 1) < 1e-9, `shares add up to ${shares}`);
+            result.policy.filter(({ visits }) => visits === 0).forEach(entry => {
+                assert.deepEqual([entry.share, entry.score], [0, null]);
+            });
+        });
+    });
+
+    test('a winning capture is found and scored as a win', () => {
+        const state = load(LAST_DISC);
+        const result = new MCTSEngine({ playouts: 300, random: createRandom(10) }).search(state);
+        assert.equal(moveToNotation(result.move, state), '0,0x2,0');
+        assert.ok(result.score > 0.9, `score ${result.score}`);
+        assert.ok(isLegalMove(state, result.move));
+    });
+
+    test('there is no move to find once the game is over', () => {
+        const state = load(LAST_DISC);
+        state.makeMove(getLegalMoves(state).find(move => moveToNotation(move, state) === '0,0x2,0'));
+        assert.equal(state.gameOver, true);
+        const result = new MCTSEngine().search(state);
+        assert.equal(result.move, null);
+        assert.deepEqual(result.policy, []);
+    });
+
+    test('the engine option picks the Monte Carlo engine', () => {
+        assert.ok(createEngine({ engine: 'mcts', playouts: 10 }) instanceof MCTSEngine);
+        assert.ok(new AIPlayer('black', 'easy', { engine: 'mcts' }).engine instanceof MCTSEngine);
+    });
+});
+
+describe('computer player', () => {
+    test('each difficulty passes its search settings to the engine, not its label', () => {
+        Object.keys(DIFFICULTY_LEVELS).forEach(difficulty => {
+            const { label, ...settings } = DIFFICULTY_LEVELS[difficulty];
+            const player = new AIPlayer('black', difficulty);
+            assert.equal(typeof label, 'string');
+            assert.deepEqual(player.options, settings);
+            assert.equal(player.engine.maxDepth, settings.maxDepth);
+            assert.equal(player.engine.timeLimit, settings.timeLimit);
+        });
+    });
+
+    test('extra options override the difficulty settings', () => {
+        const player = new AIPlayer('white', 'hard', { maxDepth: 2 });
+        assert.equal(player.engine.maxDepth, 2);
+        assert.equal(player.options.randomness, DIFFICULTY_LEVELS.hard.randomness);
+    });
+
+    test('the computer moves only on its own turn and takes the win', () => {
+        const state = load(LAST_DISC);
+        assert.equal(new AIPlayer('white', 'easy').isToMove(state), false);
+        const player = new AIPlayer('black', 'medium', { randomness: 0 });
+        assert.equal(player.isToMove(state), true);
+        assert.equal(moveToNotation(player.chooseMove(state), state), '0,0x2,0');
+    });
+
+    test('unknown difficulties and engines are refused', () => {
+        assert.throws(() => new AIPlayer('black', 'impossible'), /Unknown difficulty: impossible/);
+        assert.throws(() => createEngine({ engine: 'oracle' }), /Unknown engine: oracle/);
+    });
+});
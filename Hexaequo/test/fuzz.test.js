@@ -0,0 +1,90 @@
+/**
+ * fuzz.test.js
+ * Random legal games through GameState must keep the invariants of tools/fuzz.js. The test
+ * run plays a few hundred games; set FUZZ_GAMES for more, or run the tool itself:
+ *
+ *   FUZZ_GAMES=5000 node --test test/
+ *   node tools/fuzz.js --games 5000 --seed 3
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Hex, GameState, MemoryStorage } = require('../js/core');
+const { checkInvariants, replay, shrink, playRandomGame, runFuzz } = require('../tools/fuzz.js');
+const { createRandom } = require('../tools/tournament.js');
+
+const GAMES = Number(process.env.FUZZ_GAMES) || 200;
+
+/**
+ * Create a game state with the invariants' starting counts
+ * @returns {Object} { state, initial }
+ */
+function start() {
+    const state = new GameState({ storage: new MemoryStorage() });
+    return { state, initial: JSON.parse(JSON.stringify(state.players)) };
+}
+
+describe('random games', () => {
+    test(`${GAMES} random games keep every invariant, played directly and through selections`, () => {
+        const { failure } = runFuzz({ games: GAMES, seed: 1 });
+        assert.equal(failure, null, failure && [
+            ...failure.failures.map(({ invariant, message }) => `${invariant}: ${message}`),
+            `node tools/fuzz.js --via ${failure.via} --replay "${failure.shrunk.join(' ')}"`
+        ].join('\n'));
+    });
+});
+
+describe('invariant checks', () => {
+    test('the starting position keeps every invariant', () => {
+        const { state, initial } = start();
+        assert.deepEqual(checkInvariants(state, initial), []);
+    });
+
+    test('a piece appearing on the board breaks the disc count', () => {
+        const { state, initial } = start();
+        state.grid.getCell(new Hex(0, 0)).piece = { type: 'disc', color: 'black' };
+        assert.deepEqual(checkInvariants(state, initial).map(failure => failure.invariant), ['disc-count']);
+    });
+
+    test('a piece on two cells is reported', () => {
+        const { state, initial } = start();
+        state.grid.getCell(new Hex(1, 0)).piece = state.grid.getCell(new Hex(0, 1)).piece;
+        assert.ok(checkInvariants(state, initial).some(failure => failure.invariant === 'cell'));
+    });
+
+    test('a game ended without a reason from the rules breaks the game-over check', () => {
+        const { state, initial } = start();
+        state.gameOver = true;
+        assert.deepEqual(checkInvariants(state, initial).map(failure => failure.invariant), ['game-over']);
+    });
+});
+
+describe('shrinking', () => {
+    // Stands in for a bug: fails as soon as Black has placed a ring
+    const ringPlaced = (state) => (state.players.black.rings.placed > 0 ?
+        [{ invariant: 'ring-placed', message: 'Black placed a ring' }] : []);
+
+    test('a failing game shrinks to a shorter game that fails the same way, without a removable move', () => {
+        const { moves } = playRandomGame(createRandom(7));
+        const original = replay(moves, { check: ringPlaced });
+        assert.equal(original.failures.length, 1);
+
+        const shrunk = shrink(moves, { check: ringPlaced });
+        assert.ok(shrunk.length < original.ply + 1, `${shrunk.length} moves left of ${original.ply + 1}`);
+
+        const result = replay(shrunk, { check: ringPlaced });
+        assert.equal(result.illegal, false);
+        assert.equal(result.ply, shrunk.length - 1, 'the last move fails');
+        assert.equal(result.failures[0].invariant, 'ring-placed');
+
+        shrunk.forEach((move, index) => {
+            const without = shrunk.slice(0, index).concat(shrunk.slice(index + 1));
+            assert.equal(replay(without, { check: ringPlaced }).failures.length, 0, `${move} is needed`);
+        });
+    });
+
+    test('a game that does not fail is returned unchanged', () => {
+        const { moves } = playRandomGame(createRandom(7), { maxPlies: 10 });
+        assert.deepEqual(shrink(moves), moves);
+    });
+});
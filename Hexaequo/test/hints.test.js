@@ -0,0 +1,83 @@
+/**
+ * hints.test.js
+ * The explanations given with hints (see Hints.js): wins, captures, threats, pieces saved from
+ * capture and quiet moves each get their own reason. Positions are written as position
+ * strings (see Notation.js) and moves in move notation.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { GameState, MemoryStorage, parseMove } = require('../js/core');
+const { explainMove, findBestCapture } = require('../js/ai');
+
+// A black ring at 0,0 can take the white ring on 2,-2 or the white disc on 2,0
+const RINGS = '2,-2wr/-1,0w/0,0bR/1,0b/2,0wd/-2,2bD/0,2w b 3/9:2/6/2:1/3/0 4/9:4/4/0:1/3/0';
+
+/**
+ * Create a game state
+ * @param {string} [position] - Position string; the standard setup by default
+ * @returns {GameState} The game state
+ */
+function load(position) {
+    const state = new GameState({ storage: new MemoryStorage() });
+    if (position) {
+        assert.ok(state.loadPosition(position), `position should load: ${position}`);
+    }
+    return state;
+}
+
+/**
+ * Explain a move given in move notation
+ * @param {GameState} state - The game state
+ * @param {string} notation - Move notation
+ * @returns {string} The explanation
+ */
+function explain(state, notation) {
+    return explainMove(state, parseMove(notation));
+}
+
+describe('move explanations', () => {
+    test('a move ending the game says so', () => {
+        const state = load('0,0bD/1,0wd/2,0b/-1,1wr b 2/9:2/6/5:0/3/0 2/9:6/1/0:1/3/0');
+        assert.equal(explain(state, '0,0x2,0'), 'wins the game');
+    });
+
+    test('captures name what they take, and what they threaten next', () => {
+        const state = load(RINGS);
+        assert.match(explain(state, '0,0x2,-2'), /^captures a ring/);
+        assert.equal(explain(state, '0,0x2,0'), 'captures a disc and threatens to capture a ring');
+    });
+
+    test('a move setting up a chain of jumps threatens a double jump', () => {
+        const state = load('-5,0bD/0,0b/1,0wd/2,0b/3,0wd/4,0b b 4/9:1/6/0:0/3/0 2/9:2/6/0:0/3/0');
+        assert.equal(explain(state, 'D@0,0'), 'threatens double jump');
+    });
+
+    test('moving a threatened piece away saves it', () => {
+        const state = load('-1,0b/0,0bD/1,0wd b 2/9:1/6/0:0/3/0 1/9:1/6/0:0/3/0');
+        assert.equal(explain(state, '0,0>-1,0'), 'saves a disc from capture');
+        assert.equal(explain(state, 'D@-1,0'), 'saves a disc from capture', 'the landing tile is taken');
+        assert.equal(explain(state, 'T+0,-1'), 'opens new space on the board');
+    });
+
+    test('quiet moves are described by their kind', () => {
+        const state = load();
+        assert.equal(explain(state, 'T+2,-1'), 'opens new space on the board');
+        assert.equal(explain(state, 'D@0,0'), 'brings a new disc into play');
+        assert.equal(explain(state, '1,-1>1,0'), 'improves the position of a disc');
+        assert.equal(explain(load(RINGS), 'R@1,0'), 'brings a new ring into play');
+    });
+});
+
+describe('capture threats', () => {
+    test('the best capture counts every opponent piece along a chain of jumps', () => {
+        const { grid } = load('0,0bD/1,0wd/2,0b/0,1w/1,1bD/2,1wd/0,2w/1,2wd/2,2b b 4/9:2/6/0:0/3/0 5/9:3/6/0:0/3/0');
+        assert.deepEqual(findBestCapture(grid, 'black'), { discs: 3, rings: 0, jumps: 3, value: 3 });
+        assert.deepEqual(findBestCapture(grid, 'white'), { discs: 1, rings: 0, jumps: 1, value: 1 });
+    });
+
+    test('rings are worth two discs, and no capture is worth nothing', () => {
+        assert.deepEqual(findBestCapture(load(RINGS).grid, 'black'), { discs: 0, rings: 1, jumps: 0, value: 2 });
+        assert.deepEqual(findBestCapture(load().grid, 'black'), { discs: 0, rings: 0, jumps: 0, value: 0 });
+    });
+});
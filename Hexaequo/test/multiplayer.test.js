@@ -0,0 +1,384 @@
+/**
+ * multiplayer.test.js
+ * Online games: named rooms of two players on the server, joined by code or from the lobby,
+ * spectators watching them, moves checked by the rules engine and clocks run by the server,
+ * clients keeping their board in step with the state the server sends, and players taking
+ * their seat back after losing the connection. Connections are in-memory pairs instead of
+ * WebSockets, and time is simulated.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { ERROR_CODES, MultiplayerServer } = require('../multiplayer.js');
+const { OnlineGame } = require('../js/net/OnlineGame.js');
+const { GameState, MemoryStorage, RuleSet, moveToNotation, parseMove } = require('../js/core');
+
+const QUIET = { log: () => {} };
+
+/**
+ * Connect a client to the server through an in-memory connection
+ * @param {MultiplayerServer} server - The server
+ * @returns {Object} { client, state, messages }: the OnlineGame, its local game state and
+ *     every message the server sent it
+ */
+function connect(server) {
+    const connection = new EventEmitter();
+    const transport = {
+        send: (text) => connection.emit('message', text),
+        close: () => connection.emit('close')
+    };
+    const messages = [];
+    connection.send = (text) => {
+        messages.push(JSON.parse(text));
+        transport.onMessage(text);
+    };
+    server.handleConnection(connection);
+
+    const client = new OnlineGame(transport);
+    const state = new GameState({ storage: new MemoryStorage() });
+    client.onState = () => client.applyState(state);
+    return { client, state, messages };
+}
+
+/**
+ * Lose a client's connection without leaving the room, as when the network drops
+ * @param {Object} player - Client as returned by connect()
+ */
+function disconnect(player) {
+    player.client.transport.close();
+    player.client.handleClose();
+}
+
+/**
+ * Create a server with simulated time
+ * @param {Object} [options] - More server options
+ * @returns {Object} { server, advance } where advance(ms) moves time forward
+ */
+function createServer(options = {}) {
+    let time = 1000000;
+    const server = new MultiplayerServer({ logger: QUIET, now: () => time, ...options });
+    return {
+        server,
+        advance: (ms) => {
+            time += ms;
+        }
+    };
+}
+
+/**
+ * Start a game between two connected clients, Black hosting it
+ * @param {Object} [options] - Room options, as for OnlineGame.createRoom()
+ * @param {Object} [serverOptions] - More server options
+ * @returns {Object} { server, advance, black, white } where black and white are as returned
+ *     by connect()
+ */
+function startGame(options = {}, serverOptions = {}) {
+    const { server, advance } = createServer(serverOptions);
+    const black = connect(server);
+    const white = connect(server);
+    black.client.createRoom({ color: 'black', ...options });
+    white.client.join(black.client.room);
+    return { server, advance, black, white };
+}
+
+/**
+ * Play a move on a client's board and let the client send it, as the interface does
+ * @param {Object} player - Player as returned by connect()
+ * @param {string} notation - Move notation
+ */
+function play(player, notation) {
+    player.state.makeMove(parseMove(notation));
+    player.client.sync(player.state);
+}
+
+describe('game rooms', () => {
+    test('the host takes the color chosen and the game starts when the guest joins', () => {
+        const { server } = createServer();
+        const host = connect(server);
+        host.client.createRoom({ name: 'Club night', color: 'white', ruleSet: RuleSet.preset('short') });
+        assert.match(host.client.room, /^[A-Z]{4}$/);
+        assert.equal(host.client.color, 'white');
+        assert.equal(host.client.hasOpponent(), false);
+
+        const guest = connect(server);
+        guest.client.join(host.client.room.toLowerCase());
+        assert.equal(guest.client.color, 'black');
+        assert.equal(guest.state.ruleSet.name, 'short');
+        assert.equal(guest.messages.at(-1).name, 'Club night');
+        assert.equal(guest.client.canMove(guest.state), true);
+        assert.equal(host.client.canMove(host.state), false);
+    });
+
+    test('unknown codes cannot be joined', () => {
+        const { server } = createServer();
+        const visitor = connect(server);
+        visitor.client.join('ZZZZ');
+        assert.match(visitor.messages.at(-1).message, /no room ZZZZ/);
+        assert.equal(visitor.client.room, null);
+    });
+
+    test('the lobby lists the rooms waiting for a player, then the games in play', () => {
+        const { server } = createServer();
+        const visitor = connect(server);
+        visitor.client.requestLobby();
+        assert.deepEqual(visitor.messages.at(-1), { type: 'lobby', rooms: [] });
+
+        const host = connect(server);
+        host.client.createRoom({ name: 'Blitz', color: 'black', timeControl: 'blitz-3-2' });
+        assert.deepEqual(visitor.messages.at(-1).rooms, [{
+            room: host.client.room,
+            name: 'Blitz',
+            rules: 'Standard',
+            timeControl: 'Blitz 3 min + 2 s',
+            color: 'white',
+            spectators: 0
+        }]);
+
+        const guest = connect(server);
+        guest.client.join(host.client.room);
+        const other = connect(server);
+        other.client.createRoom({ name: 'Open' });
+        assert.deepEqual(visitor.messages.at(-1).rooms.map(room => [room.name, room.color]), [
+            ['Open', other.client.color === 'black' ? 'white' : 'black'],
+            ['Blitz', null]
+        ]);
+    });
+
+    test('moves reach the opponent, whose board replays them', () => {
+        const { black, white } = startGame();
+        play(black, 'T+2,-1');
+        assert.equal(white.state.toPositionString(), black.state.toPositionString());
+        assert.equal(white.client.canMove(white.state), true);
+
+        play(white, '0,1>1,0');
+        assert.equal(black.state.toPositionString(), white.state.toPositionString());
+        assert.deepEqual(black.messages.at(-1).moves, ['T+2,-1', '0,1>1,0']);
+    });
+
+    test('the server refuses moves out of turn and illegal moves, with an error code', () => {
+        const { server, black, white } = startGame();
+        const room = server.rooms.get(black.client.room);
+
+        white.client.send({ type: 'move', move: 'T+2,-1' });
+        assert.equal(white.messages.at(-2).code, 'NOT_YOUR_TURN');
+        assert.match(white.messages.at(-2).message, /not your turn/);
+
+        black.client.send({ type: 'move', move: 'D@5,5' });
+        assert.equal(black.messages.at(-2).code, 'ILLEGAL_DESTINATION');
+        assert.match(black.messages.at(-2).message, /not a legal move/);
+
+        black.client.send({ type: 'move', move: 'nonsense' });
+        assert.equal(black.messages.at(-2).code, 'INVALID_NOTATION');
+        assert.match(black.messages.at(-2).message, /Invalid move notation/);
+        assert.equal(room.moves.length, 0);
+    });
+
+    test('a modified client cannot put pieces where it likes', () => {
+        const lines = [];
+        const { server, black } = startGame({}, { logger: { log: line => lines.push(line) } });
+        const room = server.rooms.get(black.client.room);
+        const start = room.state.toPositionString();
+
+        const attempts = [
+            [{ type: 'move', move: 'R@0,0' }, 'INSUFFICIENT_RESERVES'],
+            [{ type: 'move', move: '0,1>1,1' }, 'NOT_YOUR_PIECE'],
+            [{ type: 'move', move: '1,-1>3,-1' }, 'ILLEGAL_DESTINATION'],
+            [{ type: 'move', move: { type: 'placeDisc', to: { q: 5, r: 5 } } }, 'INVALID_NOTATION'],
+            [{ type: 'state', position: '0,0bd b 1/9:1/6/0:0/3/0 0/9:0/6/0:0/3/0' }, 'INVALID_MESSAGE']
+        ];
+        attempts.forEach(([message, code]) => {
+            black.client.send(message);
+            const error = black.messages.at(-2);
+            assert.equal(error.code, code, JSON.stringify(message));
+            assert.ok(ERROR_CODES.includes(error.code));
+        });
+
+        assert.equal(room.state.toPositionString(), start);
+        assert.equal(black.state.toPositionString(), start);
+        assert.match(lines.find(line => line.includes('refused')), /refused "R@0,0" from black: INSUFFICIENT_RESERVES/);
+        assert.equal(lines.filter(line => line.includes('refused')).length, 4);
+    });
+
+    test('a refused move is taken back on the board that showed it', () => {
+        const { black, white } = startGame();
+
+        // White plays on its own board out of turn: the server state replaces it
+        white.state.makeMove(parseMove('T+2,-1'));
+        white.client.send({ type: 'move', move: 'T+2,-1' });
+        assert.equal(white.state.getMoveHistory().length, 0);
+        assert.equal(white.state.currentPlayer, 'black');
+        assert.equal(black.state.getMoveHistory().length, 0);
+    });
+
+    test('a board that went elsewhere is replayed from the moves of the server', () => {
+        const { black, white } = startGame();
+        play(black, 'T+2,-1');
+
+        white.state.loadPosition('-5,0bD/0,0wd/1,0b/0,4w/1,4w/2,4w/3,4w/4,4w/5,4w/6,4w/7,4w b 2/9:1/6/5:0/3/0 9/9:6/1/0:0/3/0');
+        white.client.sync(white.state);
+        assert.equal(white.state.toPositionString(), black.state.toPositionString());
+    });
+
+    test('the server runs the clocks from the start of the game and decides losses on time', () => {
+        const { advance, black, white } = startGame({ timeControl: { type: 'sudden-death', initial: 60000 } });
+        assert.equal(white.state.clock.running, 'black');
+
+        advance(20000);
+        play(black, 'T+2,-1');
+        assert.equal(white.state.clock.getRemaining('black'), 40000);
+        assert.equal(white.state.clock.running, 'white');
+
+        advance(61000);
+        play(white, '0,1>1,0');
+        [black, white].forEach(({ state }) => {
+            assert.equal(state.gameOver, true);
+            assert.equal(state.winner, 'black');
+            assert.match(state.message, /Black wins on time/);
+        });
+    });
+
+    test('a player leaving ends the game for the other', () => {
+        const { server, black, white } = startGame();
+        play(black, 'T+2,-1');
+        white.client.close();
+
+        assert.equal(black.state.message, 'White left the game. Black wins by forfeit.');
+        assert.equal(black.client.canMove(black.state), false);
+
+        black.client.close();
+        assert.equal(server.rooms.size, 0);
+    });
+});
+
+describe('spectators', () => {
+    test('joining a room whose seats are taken watches the game as it is played', () => {
+        const { server, black, white } = startGame({ timeControl: 'blitz-3-2' });
+        play(black, 'T+2,-1');
+
+        const spectator = connect(server);
+        spectator.client.join(black.client.room);
+        assert.equal(spectator.client.spectator, true);
+        assert.equal(spectator.client.color, null);
+        assert.equal(spectator.state.toPositionString(), black.state.toPositionString());
+        assert.equal(spectator.state.clock.running, 'white');
+        assert.equal(black.messages.at(-1).spectators, 1);
+        assert.equal(white.messages.at(-1).spectators, 1);
+
+        play(white, '0,1>1,0');
+        assert.deepEqual(spectator.messages.at(-1).moves, ['T+2,-1', '0,1>1,0']);
+        assert.equal(spectator.state.toPositionString(), black.state.toPositionString());
+
+        spectator.client.close();
+        assert.equal(black.messages.at(-1).spectators, 0);
+    });
+
+    test('spectators cannot move', () => {
+        const { server, black } = startGame();
+        const spectator = connect(server);
+        spectator.client.join(black.client.room);
+        assert.equal(spectator.client.canMove(spectator.state), false);
+
+        // A move on the spectator's board is not sent, and goes back to the server's state
+        play(spectator, 'T+2,-1');
+        assert.equal(spectator.state.getMoveHistory().length, 0);
+
+        spectator.client.send({ type: 'move', move: 'T+2,-1' });
+        assert.match(spectator.messages.at(-2).message, /Spectators cannot move/);
+        assert.equal(server.rooms.get(black.client.room).moves.length, 0);
+    });
+
+    test('the room stays open to its spectators after the players leave', () => {
+        const { server, black, white } = startGame();
+        const spectator = connect(server);
+        spectator.client.join(black.client.room);
+
+        black.client.close();
+        assert.equal(spectator.state.message, 'Black left the game. White wins by forfeit.');
+        white.client.close();
+        assert.equal(server.rooms.size, 1);
+
+        spectator.client.close();
+        assert.equal(server.rooms.size, 0);
+    });
+});
+
+describe('reconnection', () => {
+    test('a player who lost the connection takes their seat back and the game is replayed', () => {
+        const { server, advance, black, white } = startGame({ timeControl: 'blitz-3-2' });
+        const room = black.client.room;
+        play(black, 'T+2,-1');
+        play(white, '0,1>1,0');
+
+        disconnect(black);
+        assert.match(white.state.message, /Black lost the connection/);
+        assert.equal(white.messages.at(-1).connected.black, false);
+
+        const back = connect(server);
+        back.client.resume(room, black.client.session);
+        assert.equal(back.client.color, 'black');
+        assert.equal(back.client.session, black.client.session);
+        assert.deepEqual(back.state.getMoveHistory().map(move => moveToNotation(move)), ['T+2,-1', '0,1>1,0']);
+        assert.equal(back.state.toPositionString(), white.state.toPositionString());
+        assert.equal(back.client.canMove(back.state), true);
+
+        advance(1000);
+        play(back, 'T+2,0');
+        assert.equal(server.rooms.get(room).moves.length, 3);
+        assert.equal(white.state.toPositionString(), back.state.toPositionString());
+    });
+
+    test('the clocks pause while a player is away, unless the room keeps them running', () => {
+        const paused = startGame({ timeControl: { type: 'sudden-death', initial: 60000 } });
+        disconnect(paused.white);
+        paused.advance(30000);
+        assert.equal(paused.black.state.clock.getRemaining('black'), 60000);
+        assert.equal(paused.black.client.canMove(paused.black.state), false);
+        paused.black.client.send({ type: 'move', move: 'T+2,-1' });
+        assert.match(paused.black.messages.at(-2).message, /Wait for your opponent to reconnect/);
+
+        const back = connect(paused.server);
+        back.client.resume(paused.black.client.room, paused.white.client.session);
+        paused.advance(1000);
+        assert.equal(back.state.clock.paused, false);
+        assert.equal(paused.black.state.clock.running, 'black');
+        assert.equal(paused.black.client.canMove(paused.black.state), true);
+
+        const running = startGame({ timeControl: { type: 'sudden-death', initial: 60000 }, clockOnDisconnect: 'run' });
+        disconnect(running.white);
+        running.advance(30000);
+        play(running.black, 'T+2,-1');
+        assert.equal(running.server.rooms.get(running.black.client.room).moves.length, 1);
+        assert.equal(running.black.messages.at(-1).clock.running, 'white');
+    });
+
+    test('a seat not taken back within the grace period is given up', async () => {
+        const { server, black, white } = startGame({}, { gracePeriod: 10 });
+        const room = black.client.room;
+        disconnect(white);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.equal(black.state.gameOver, true);
+        assert.equal(black.state.winner, 'black');
+        assert.equal(black.state.message, 'White left the game. Black wins by forfeit.');
+        assert.equal(server.rooms.get(room).state.winner, 'black');
+
+        const late = connect(server);
+        late.client.resume(room, white.client.session);
+        assert.match(late.messages.at(-1).message, /no longer held/);
+        assert.equal(late.client.room, null);
+    });
+
+    test('a session token only gives back its own seat', () => {
+        const { server, black, white } = startGame();
+        disconnect(white);
+        const intruder = connect(server);
+        intruder.client.resume(black.client.room, 'not-a-session');
+        assert.match(intruder.messages.at(-1).message, /no longer held/);
+
+        // Leaving on purpose gives the seat up at once
+        black.client.close();
+        const back = connect(server);
+        back.client.resume(black.client.room, black.client.session);
+        assert.match(back.messages.at(-1).message, /no longer held/);
+    });
+});
@@ -0,0 +1,313 @@
+/**
+ * notation.test.js
+ * Move notation, game records and position strings (see Notation.js): every kind of move is
+ * written and read back, games exported as records import to the same game, with their
+ * headers, comments and result, and every position of a game loads back from its position
+ * string. Random games are seeded, so a failure replays the same way.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    GameState,
+    MemoryStorage,
+    getLegalMoves,
+    isLegalMove,
+    movesEqual,
+    moveToNotation,
+    normalizeMove,
+    parseGameRecord,
+    parseMove,
+    parsePosition,
+    serializeGameRecord
+} = require('../js/core');
+
+const GAMES = 20;
+
+const START = '1,-1bD/0,0b/1,0w/0,1wd b 2/9:1/6/0:0/3/0 2/9:1/6/0:0/3/0';
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Play random legal games
+ * @param {number} count - Number of games
+ * @param {number} [maxPlies=120] - Moves after which a game is left unfinished
+ * @returns {Array} Game states, each at the end of its game
+ */
+function randomGames(count, maxPlies = 120) {
+    const random = createRandom(4);
+    return Array.from({ length: count }, () => {
+        const state = new GameState({ storage: new MemoryStorage() });
+        while (state.historyIndex < maxPlies && !state.gameOver) {
+            const moves = getLegalMoves(state);
+            if (moves.length === 0) {
+                break;
+            }
+            state.makeMove(moves[Math.floor(random() * moves.length)]);
+        }
+        return state;
+    });
+}
+
+/**
+ * Get the moves of a game in move notation
+ * @param {GameState} state - The game state
+ * @returns {Array} Notation of each move played
+ */
+function notations(state) {
+    const replay = new GameState({ storage: new MemoryStorage() });
+    return state.getMoveHistory().map(move => {
+        const notation = moveToNotation(move, replay);
+        replay.makeMove(move);
+        return notation;
+    });
+}
+
+describe('move notation', () => {
+    test('every kind of move is read and written back unchanged', () => {
+        ['T+1,-2', 'D@0,1', 'R@-2,0', '0,1>1,0', '0,1x2,-1x4,-3', '-1,2x1,0', '2,0>2,-1>3,-2'].forEach(notation => {
+            assert.equal(moveToNotation(parseMove(notation)), notation);
+        });
+    });
+
+    test('ring moves are marked "x" only where they capture', () => {
+        const state = new GameState({ storage: new MemoryStorage() });
+        assert.ok(state.loadPosition('0,0bR/1,0w/2,0wd/0,1b/0,2b b 3/9:0/6/0:1/3/0 2/9:2/6/0:0/3/0'));
+        assert.equal(moveToNotation(parseMove('0,0>2,0'), state), '0,0x2,0');
+        assert.equal(moveToNotation(parseMove('0,0x0,2'), state), '0,0>0,2');
+        const ringMoves = getLegalMoves(state)
+            .map(move => moveToNotation(move, state))
+            .filter(notation => notation.startsWith('0,0'));
+        assert.deepEqual(ringMoves.sort(), ['0,0>0,2', '0,0x2,0']);
+    });
+
+    test('the moves of random games are read back as the moves played', () => {
+        randomGames(GAMES).forEach(state => {
+            const replay = new GameState({ storage: new MemoryStorage() });
+            state.getMoveHistory().forEach(move => {
+                const parsed = parseMove(moveToNotation(move, replay));
+                assert.ok(movesEqual(parsed, normalizeMove(move)), moveToNotation(move, replay));
+                assert.ok(isLegalMove(replay, parsed));
+                replay.makeMove(parsed);
+            });
+            assert.equal(replay.toPositionString(), state.toPositionString());
+        });
+    });
+
+    test('text that is not a move is rejected', () => {
+        ['', 'T+1', 'D@a,b', 'X@0,0', '0,1', '0,1-1,0', 'T+1,2 extra'].forEach(text => {
+            assert.throws(() => parseMove(text), /Invalid move notation/, JSON.stringify(text));
+        });
+    });
+});
+
+describe('game records', () => {
+    test('records are written with numbered turns, comments and the result', () => {
+        const text = serializeGameRecord({
+            headers: { White: 'Bob', Black: 'Alice', Date: '2024.05.17', Event: 'Club night', Result: '1-0' },
+            moves: ['D@0,0', 'T+2,-1', { notation: '1,-1>1,0', comment: 'Threatens the white disc' }, '0,1x2,-1']
+        });
+        assert.equal(text, [
+            '[Event "Club night"]',
+            '[Date "2024.05.17"]',
+            '[Black "Alice"]',
+            '[White "Bob"]',
+            '[Result "1-0"]',
+            '',
+            '1. D@0,0 T+2,-1 2. 1,-1>1,0 {Threatens the white disc} 0,1x2,-1 1-0',
+            ''
+        ].join('\n'));
+    });
+
+    test('long games are wrapped and read back in full', () => {
+        const moves = Array.from({ length: 60 }, (_, index) => `T+${index},-${index}`);
+        const text = serializeGameRecord({ moves });
+        assert.ok(text.split('\n').every(line => line.length <= 80));
+        assert.deepEqual(parseGameRecord(text).moves.map(({ notation }) => notation), moves);
+    });
+
+    test('random games exported as records import to the same game', () => {
+        randomGames(GAMES).forEach(state => {
+            const record = state.exportRecord({ Event: 'Random game' });
+            const imported = new GameState({ storage: new MemoryStorage() });
+            assert.ok(imported.importRecord(record), record);
+
+            assert.deepEqual(notations(imported), notations(state));
+            assert.equal(imported.toPositionString(), state.toPositionString());
+            assert.equal(imported.gameOver, state.gameOver);
+            assert.equal(imported.winner, state.winner);
+            assert.equal(imported.exportRecord(), record);
+        });
+    });
+
+    test('headers and comments survive a round trip, quotes and backslashes included', () => {
+        const state = new GameState({ storage: new MemoryStorage() });
+        ['D@0,0', 'T+2,-1', '1,-1>1,0'].forEach(notation => state.makeMove(parseMove(notation)));
+        state.moveComments.set(1, 'Central disc');
+        state.moveComments.set(3, 'Takes {nothing} yet');
+
+        const record = state.exportRecord({ Event: 'The "final"', Site: 'C:\\club' });
+        const imported = new GameState({ storage: new MemoryStorage() });
+        assert.ok(imported.importRecord(record));
+        assert.equal(imported.recordHeaders.Event, 'The "final"');
+        assert.equal(imported.recordHeaders.Site, 'C:\\club');
+        assert.deepEqual([...imported.moveComments], [[1, 'Central disc'], [3, 'Takes nothing yet']]);
+        assert.equal(imported.exportRecord(), record);
+    });
+
+    test('the result comes from the header or the end of the move text', () => {
+        assert.equal(parseGameRecord('1. D@0,0 T+2,-1 0-1').result, '0-1');
+        assert.equal(parseGameRecord('[Result "1/2-1/2"]\n\n1. D@0,0 *').result, '1/2-1/2');
+        assert.throws(() => parseGameRecord('[Result "1-0"]\n\n1. D@0,0 0-1'), /does not match/);
+        assert.throws(() => parseGameRecord('{Opening} 1. D@0,0'), /comment must follow a move/);
+    });
+
+    test('a result the moves do not decide ends the imported game, which takes no more moves', () => {
+        const record = '[Result "0-1"]\n\n1. D@0,0 T+2,-1 0-1\n';
+        const state = new GameState({ storage: new MemoryStorage() });
+        assert.ok(state.importRecord(record));
+        assert.equal(state.gameOver, true);
+        assert.equal(state.winner, 'white');
+        assert.match(state.exportRecord(), /\[Result "0-1"\][\s\S]*T\+2,-1 0-1/);
+
+        const position = state.toPositionString();
+        assert.equal(state.makeMove(parseMove('1,-1>1,0')), false);
+        assert.equal(state.toPositionString(), position);
+        assert.equal(state.historyIndex, 2);
+
+        assert.ok(state.importRecord('1. D@0,0 T+2,-1 1/2-1/2'));
+        assert.equal(state.gameOver, true);
+        assert.equal(state.winner, null);
+    });
+
+    test('a record with an illegal move is refused and leaves the game as it was', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const state = new GameState({ storage: new MemoryStorage() });
+        state.makeMove(parseMove('D@0,0'));
+        const position = state.toPositionString();
+
+        assert.equal(state.importRecord('1. D@0,0 T+2,-1 2. T+9,9 *'), false);
+        assert.equal(state.toPositionString(), position);
+        assert.equal(state.historyIndex, 1);
+    });
+});
+
+describe('position strings', () => {
+    test('the starting position is written as documented', () => {
+        assert.equal(new GameState({ storage: new MemoryStorage() }).toPositionString(), START);
+    });
+
+    test('every position of random games loads back to the same string and the same moves', () => {
+        randomGames(GAMES).forEach(state => {
+            for (let index = 0; index <= state.historyIndex; index++) {
+                const original = state.clone();
+                while (original.historyIndex > index) {
+                    original.undo();
+                }
+                const position = original.toPositionString();
+
+                const loaded = new GameState({ storage: new MemoryStorage() });
+                assert.ok(loaded.loadPosition(position), position);
+                assert.equal(loaded.toPositionString(), position);
+
+                // A position string does not say whether the game has ended
+                if (original.gameOver) {
+                    continue;
+                }
+                assert.deepEqual(
+                    getLegalMoves(loaded).map(move => moveToNotation(move, loaded)).sort(),
+                    getLegalMoves(original).map(move => moveToNotation(move, original)).sort(),
+                    position
+                );
+            }
+        });
+    });
+
+    test('a position has one string: cells out of order and padded numbers are refused', () => {
+        assert.throws(() => parsePosition('0,1wd/1,0w/1,-1bD/0,0b w 2/9:1/6/0:0/3/0 2/9:1/6/0:0/3/0'),
+            /order of r then q, as "1,-1bD\/0,0b\/1,0w\/0,1wd"/);
+        assert.throws(() => parsePosition('1,-01bD/0,0b/1,0w/0,1wd b 2/9:1/6/0:0/3/0 2/9:1/6/0:0/3/0'), /order of r then q/);
+        assert.throws(() => parsePosition('1,-1bD/0,0b/1,0w/0,1wd b 2/09:1/6/0:0/3/0 2/9:1/6/0:0/3/0'), /leading zeros/);
+        assert.equal(parsePosition(START.replace(' b ', ' w ')).currentPlayer, 'white');
+    });
+
+    test('positions whose piece counts do not add up are refused', (t) => {
+        t.mock.method(console, 'error', () => {});
+        [
+            // Nine tiles placed, two on the board
+            ['1,-1bD/0,0b/1,0w/0,1wd b 9/9:1/6/0:0/3/0 2/9:1/6/0:0/3/0', /black has 2 tiles on the board, the counts give 9/],
+            // A captured white disc still on the board
+            ['1,-1bD/0,0b/1,0w/0,1wd b 2/9:1/6/1:0/3/0 2/9:1/5/0:0/3/0', /white has 1 discs on the board, the counts give 0/],
+            // Seven discs in all
+            ['1,-1bD/0,0b/1,0w/0,1wd b 2/9:1/7/0:0/3/0 2/9:1/6/0:0/3/0', /black has 7 discs and lost 0, the rules give 6/],
+            // More tiles than the rules give
+            ['1,-1bD/0,0b/1,0w/0,1wd b 2/10:1/6/0:0/3/0 2/9:1/6/0:0/3/0', /the rules give 9/]
+        ].forEach(([text, error]) => {
+            const state = new GameState({ storage: new MemoryStorage() });
+            assert.throws(() => state.checkPosition(text), error, text);
+            assert.equal(state.loadPosition(text), false, text);
+            assert.equal(state.toPositionString(), START);
+        });
+    });
+
+    test('a decided position ends the game as it loads', () => {
+        const state = new GameState({ storage: new MemoryStorage() });
+
+        // Black has just captured the last white disc on the board
+        assert.ok(state.loadPosition('0,0w/1,0b/2,0bD w 2/9:1/6/1:0/3/0 1/9:1/5/0:0/3/0'));
+        assert.equal(state.gameOver, true);
+        assert.equal(state.winner, 'black');
+        assert.match(state.message, /removing all white pieces/);
+        assert.deepEqual(getLegalMoves(state), []);
+
+        // White to move has no legal move
+        assert.ok(state.loadPosition('-5,0bD/0,0wd/1,0bD/0,4w/1,4w/2,4w/3,4w/4,4w/5,4w/6,4w/7,4w w 2/9:2/6/5:0/3/0 9/9:6/1/0:0/3/0'));
+        assert.equal(state.gameOver, true);
+        assert.equal(state.winner, null);
+        assert.match(state.message, /white has no valid moves/);
+    });
+
+    test('a loaded position starts a new history', () => {
+        const state = new GameState({ storage: new MemoryStorage() });
+        ['D@0,0', 'T+2,-1'].forEach(notation => state.makeMove(parseMove(notation)));
+        assert.ok(state.loadPosition('-5,0bD/0,0wd/1,0b/0,4w/1,4w/2,4w/3,4w/4,4w/5,4w/6,4w/7,4w b 2/9:1/6/5:0/3/0 9/9:6/1/0:0/3/0'));
+        assert.equal(state.historyIndex, 0);
+        assert.equal(state.canUndo(), false);
+        assert.equal(state.gameOver, false);
+        assert.deepEqual(state.players.white.discs, { total: 1, placed: 6, captured: 0 });
+    });
+
+    test('malformed position strings are refused and leave the game as it was', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const state = new GameState({ storage: new MemoryStorage() });
+        state.makeMove(parseMove('D@0,0'));
+        const position = state.toPositionString();
+
+        [
+            ['0,0b b 1/9:0/6/0:0/3/0', /needs 4 fields/],
+            ['0,0x b 1/9:0/6/0:0/3/0 0/9:0/6/0:0/3/0', /Invalid cell "0,0x"/],
+            ['0,0b/0,0w b 1/9:0/6/0:0/3/0 1/9:0/6/0:0/3/0', /more than once/],
+            ['0,0b x 1/9:0/6/0:0/3/0 0/9:0/6/0:0/3/0', /Invalid side to move/],
+            ['0,0b b 1/9:0/6/0 0/9:0/6/0:0/3/0', /Invalid piece counts/]
+        ].forEach(([text, error]) => {
+            assert.throws(() => parsePosition(text), error);
+            assert.equal(state.loadPosition(text), false, text);
+            assert.equal(state.toPositionString(), position);
+            assert.equal(state.historyIndex, 1);
+        });
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * protocol.test.js
+ * The text engine protocol (see EngineProtocol.js): commands are read and written back, and
+ * the engine process of tools/engine.js answers a session of commands fed to its standard
+ * input, both directly and through an ExternalEngine client.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { GameState, MemoryStorage, isLegalMove, parseMove } = require('../js/core');
+const {
+    formatGoCommand,
+    formatInfo,
+    formatPositionCommand,
+    parseCommand,
+    parseGoCommand,
+    parseInfo,
+    parseOption,
+    parsePositionCommand
+} = require('../js/ai');
+const { spawnEngine } = require('../tools/external-engine.js');
+
+const ENGINE = path.join(__dirname, '..', 'tools', 'engine.js');
+
+// The disc on 0,0 can capture the last white disc by jumping to 2,0
+const LAST_DISC = '0,0bD/1,0wd/2,0b/-1,1wr b 2/9:2/6/5:0/3/0 2/9:6/1/0:1/3/0';
+
+/**
+ * Run the engine process on a session of commands; the engine quits when its input ends
+ * @param {...string} commands - Command lines
+ * @returns {Array} Lines the engine wrote
+ */
+function runEngine(...commands) {
+    const { stdout, status } = spawnSync(process.execPath, [ENGINE], {
+        input: `${commands.join('\n')}\n`,
+        encoding: 'utf8',
+        timeout: 60000
+    });
+    assert.equal(status, 0, 'the engine exits once its input ends');
+    return stdout.split('\n').filter(Boolean);
+}
+
+/**
+ * Get the move of the bestmove line of an engine session
+ * @param {Array} lines - Lines the engine wrote
+ * @returns {string} The word after "bestmove"
+ */
+function bestMove(lines) {
+    const answers = lines.filter(line => line.startsWith('bestmove '));
+    assert.equal(answers.length, 1, lines.join('\n'));
+    return answers[0].split(' ')[1];
+}
+
+describe('protocol commands', () => {
+    test('command lines are split into a name and words', () => {
+        assert.deepEqual(parseCommand('  position  startpos moves D@0,0 '),
+            { name: 'position', args: ['startpos', 'moves', 'D@0,0'] });
+        assert.deepEqual(parseCommand(''), { name: '', args: [] });
+    });
+
+    test('position commands give the game they describe', () => {
+        const state = new GameState({ storage: new MemoryStorage() });
+        ['D@0,0', 'T+2,-1'].forEach(notation => state.makeMove(parseMove(notation)));
+        const command = formatPositionCommand(state);
+        assert.equal(command, 'position startpos moves D@0,0 T+2,-1');
+        assert.equal(parsePositionCommand(parseCommand(command).args).toPositionString(), state.toPositionString());
+
+        const loaded = new GameState({ storage: new MemoryStorage() });
+        assert.ok(loaded.loadPosition(LAST_DISC));
+        assert.equal(formatPositionCommand(loaded), `position pos ${LAST_DISC}`);
+    });
+
+    test('invalid positions and moves are refused with the reason', () => {
+        [
+            ['pos 0,0x b 1/9:0/6/0:0/3/0 0/9:0/6/0:0/3/0', /Invalid position: Invalid cell "0,0x"/],
+            ['pos 1,-1bD/0,0b/1,0w/0,1wd b 9/9:1/6/0:0/3/0 2/9:1/6/0:0/3/0', /Invalid position: black has 2 tiles/],
+            ['startpos moves D@0,0 D@0,0', /D@0,0/],
+            ['midgame', /Expected "startpos" or "pos"/]
+        ].forEach(([args, error]) => {
+            assert.throws(() => parsePositionCommand(args.split(' ')), error, args);
+        });
+    });
+
+    test('go commands, info lines and option declarations are read back', () => {
+        assert.equal(formatGoCommand({ movetime: 499.6 }), 'go movetime 500');
+        assert.equal(formatGoCommand({ depth: 3 }), 'go depth 3');
+        assert.equal(formatGoCommand(), 'go infinite');
+        assert.deepEqual(parseGoCommand(['movetime', '500', 'depth', '3']), { movetime: 500, depth: 3 });
+        assert.deepEqual(parseGoCommand(['infinite']), { infinite: true });
+
+        const state = new GameState({ storage: new MemoryStorage() });
+        const line = formatInfo({ move: parseMove('D@0,0'), score: 12.4, depth: 2, nodes: 90, time: 3 }, state);
+        assert.equal(line, 'info depth 2 score 12 nodes 90 time 3 pv D@0,0');
+        const info = parseInfo(parseCommand(line).args);
+        assert.deepEqual([info.depth, info.score, info.nodes, info.time], [2, 12, 90, 3]);
+        assert.equal(info.move.type, 'placeDisc');
+
+        assert.deepEqual(parseOption('name engine type combo default alphabeta var alphabeta var mcts'.split(' ')),
+            { name: 'engine', type: 'combo', default: 'alphabeta', vars: ['alphabeta', 'mcts'] });
+    });
+});
+
+describe('engine process', () => {
+    test('the handshake lists the options and ends with hexaequook', () => {
+        const lines = runEngine('hexaequo', 'isready', 'quit');
+        assert.match(lines[0], /^id name /);
+        assert.ok(lines.some(line => line.startsWith('option name maxDepth type spin')));
+        assert.deepEqual(lines.slice(-2), ['hexaequook', 'readyok']);
+    });
+
+    test('go depth 1 answers a legal move of the position', () => {
+        const position = 'position startpos moves D@0,0 T+2,-1';
+        const lines = runEngine('hexaequo', position, 'go depth 1');
+        assert.ok(lines.some(line => /^info depth 1 .* pv /.test(line)), lines.join('\n'));
+
+        const state = parsePositionCommand(parseCommand(position).args);
+        assert.ok(isLegalMove(state, parseMove(bestMove(lines))));
+    });
+
+    test('the winning move is found in a loaded position', () => {
+        assert.equal(bestMove(runEngine(`position pos ${LAST_DISC}`, 'go depth 2')), '0,0x2,0');
+    });
+
+    test('a rejected position is answered with bestmove none, not the previous position', () => {
+        const lines = runEngine(
+            'position startpos',
+            'position pos 1,-1bD/0,0b/1,0w/0,1wd b 9/9:1/6/0:0/3/0 2/9:1/6/0:0/3/0',
+            'go depth 1'
+        );
+        assert.match(lines[0], /^info string Invalid position: black has 2 tiles on the board/);
+        assert.equal(bestMove(lines), 'none');
+    });
+
+    test('a finished game is answered with bestmove none', () => {
+        assert.equal(bestMove(runEngine(`position pos ${LAST_DISC} moves 0,0x2,0`, 'go depth 1')), 'none');
+    });
+
+    test('an ExternalEngine client plays through the engine process', async () => {
+        const engine = await spawnEngine(`"${process.execPath}" "${ENGINE}"`);
+        try {
+            const state = new GameState({ storage: new MemoryStorage() });
+            assert.ok(state.loadPosition(LAST_DISC));
+            const { move } = await engine.search(state, { depth: 2 });
+            assert.ok(isLegalMove(state, move));
+            assert.equal(move.type, 'movePiece');
+        } finally {
+            engine.close();
+        }
+    });
+});
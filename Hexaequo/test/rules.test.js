@@ -0,0 +1,457 @@
+/**
+ * rules.test.js
+ * Conformance tests for the rules listed in GameRules.getRulesHTML(), run against the
+ * headless rules engine:
+ *
+ *   node --test test/
+ *
+ * Positions are written as position strings (see Notation.js) and moves in move notation.
+ * Each test name states the expected outcome.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    Hex,
+    GameState,
+    GameRules,
+    MemoryStorage,
+    getLegalMoves,
+    getMoveError,
+    isLegalMove,
+    moveToNotation,
+    parseMove
+} = require('../js/core');
+
+const START = '1,-1bD/0,0b/1,0w/0,1wd b 2/9:1/6/0:0/3/0 2/9:1/6/0:0/3/0';
+
+/**
+ * Create a game state at a position
+ * @param {string} [position] - Position string; the standard setup by default
+ * @returns {GameState} The game state
+ */
+function load(position) {
+    const state = new GameState({ storage: new MemoryStorage() });
+    if (position) {
+        assert.ok(state.loadPosition(position), `position should load: ${position}`);
+    }
+    return state;
+}
+
+/**
+ * Play moves, checking that each one is legal
+ * @param {GameState} state - The game state, changed in place
+ * @param {...string} notations - Moves in move notation
+ * @returns {GameState} The game state
+ */
+function play(state, ...notations) {
+    notations.forEach(notation => {
+        const move = parseMove(notation);
+        assert.ok(isLegalMove(state, move), `${notation} should be legal`);
+        state.makeMove(move);
+    });
+    return state;
+}
+
+/**
+ * Get the legal moves of a position in notation
+ * @param {GameState} state - The game state
+ * @param {string} [type] - Only moves of this type
+ * @returns {Array} Sorted move notations
+ */
+function legalMoves(state, type) {
+    return getLegalMoves(state)
+        .filter(move => !type || move.type === type)
+        .map(move => moveToNotation(move, state))
+        .sort();
+}
+
+/**
+ * Get the legal destinations of the piece on a hex
+ * @param {GameState} state - The game state
+ * @param {string} from - Hex as "q,r"
+ * @returns {Array} Sorted final landings as "q,r"
+ */
+function destinations(state, from) {
+    const moves = getLegalMoves(state).filter(move => move.type === 'movePiece' && move.from.hash() === from);
+    return [...new Set(moves.map(move => move.path[move.path.length - 1].hash()))].sort();
+}
+
+/**
+ * Get the piece on a hex
+ * @param {GameState} state - The game state
+ * @param {string} at - Hex as "q,r"
+ * @returns {Object|null} The piece, or null for an empty tile
+ */
+function pieceAt(state, at) {
+    return state.grid.getCell(Hex.fromHash(at)).piece;
+}
+
+const hex = (q, r) => new Hex(q, r);
+
+describe('setup', () => {
+    test('the game starts with two tiles and one disc per colour, black to move', () => {
+        const state = load();
+        assert.equal(state.toPositionString(), START);
+        assert.equal(state.currentPlayer, 'black');
+        assert.equal(state.gameOver, false);
+    });
+
+    test('each player has 9 tiles, 6 discs and 3 rings', () => {
+        const { black, white } = load().players;
+        [black, white].forEach(player => {
+            assert.equal(player.tiles.total, 9);
+            assert.equal(player.discs.total, 6);
+            assert.equal(player.rings.total, 3);
+        });
+    });
+
+    test('the turn passes to the opponent after a move', () => {
+        const state = play(load(), 'T+0,-1');
+        assert.equal(state.currentPlayer, 'white');
+    });
+});
+
+describe('placing a tile', () => {
+    test('a tile touching two existing tiles is accepted', () => {
+        const state = load();
+        assert.equal(GameRules.isValidTilePlacement(state.grid, hex(0, -1)), true);
+        assert.deepEqual(legalMoves(state, 'placeTile'), ['T+-1,1', 'T+0,-1', 'T+1,1', 'T+2,-1']);
+    });
+
+    test('a tile touching only one existing tile is rejected', () => {
+        const state = load();
+        assert.equal(GameRules.isValidTilePlacement(state.grid, hex(-1, 0)), false);
+        assert.equal(isLegalMove(state, parseMove('T+-1,0')), false);
+    });
+
+    test('a tile on an existing tile is rejected', () => {
+        const state = load();
+        assert.equal(GameRules.isValidTilePlacement(state.grid, hex(0, 0)), false);
+    });
+
+    test('a placed tile has the colour of the player who placed it', () => {
+        const state = play(load(), 'T+0,-1', 'T+2,-1');
+        assert.equal(state.grid.getCell(hex(0, -1)).color, 'black');
+        assert.equal(state.grid.getCell(hex(2, -1)).color, 'white');
+    });
+
+    test('no tile can be placed once all 9 are on the board', () => {
+        const state = load('0,-1b/1,-1b/-1,0w/0,0bD/1,0wd/2,0b/-1,1b/0,1b/1,1b/-1,2b/0,2b b 9/9:1/6/0:0/3/0 2/9:1/6/0:0/3/0');
+        assert.deepEqual(legalMoves(state, 'placeTile'), []);
+        state.selectAction('placeTile');
+        assert.equal(state.selectedAction, null);
+        assert.equal(state.message, 'No more tiles available to place.');
+    });
+});
+
+describe('placing a piece', () => {
+    test('a disc is accepted on an empty tile of the player\'s colour', () => {
+        const state = load();
+        const { isValid } = GameRules.isValidPiecePlacement(state.grid, hex(0, 0), 'black', 'disc', state.players.black);
+        assert.equal(isValid, true);
+        assert.deepEqual(legalMoves(state, 'placeDisc'), ['D@0,0']);
+    });
+
+    test('a disc on a tile of the opponent\'s colour is rejected', () => {
+        const state = load();
+        const result = GameRules.isValidPiecePlacement(state.grid, hex(1, 0), 'black', 'disc', state.players.black);
+        assert.deepEqual(result, { isValid: false, message: 'Must place on a tile of your color.' });
+        assert.equal(isLegalMove(state, parseMove('D@1,0')), false);
+    });
+
+    test('a disc on an occupied tile is rejected', () => {
+        const state = load();
+        const result = GameRules.isValidPiecePlacement(state.grid, hex(1, -1), 'black', 'disc', state.players.black);
+        assert.deepEqual(result, { isValid: false, message: 'Tile already has a piece on it.' });
+    });
+
+    test('no disc can be placed once all discs are placed', () => {
+        const state = load('0,-1bD/1,-1bD/-1,0w/0,0bD/1,0wd/2,0bD/-1,1b/0,1bD/1,1bD/-1,2b/0,2b b 9/9:6/6/0:0/3/0 2/9:1/6/0:0/3/0');
+        assert.deepEqual(legalMoves(state, 'placeDisc'), []);
+    });
+
+    test('a ring is rejected without a captured disc', () => {
+        const state = load();
+        const result = GameRules.isValidPiecePlacement(state.grid, hex(0, 0), 'black', 'ring', state.players.black);
+        assert.deepEqual(result, { isValid: false, message: 'You need captured discs to place a ring.' });
+        assert.deepEqual(legalMoves(state, 'placeRing'), []);
+    });
+
+    test('a ring costs a captured disc, which returns to the opponent', () => {
+        const state = load('1,-1bD/0,0b/1,0w/0,1wd b 2/9:1/6/1:0/3/0 2/9:2/5/0:0/3/0');
+        assert.deepEqual(legalMoves(state, 'placeRing'), ['R@0,0']);
+
+        play(state, 'R@0,0');
+        assert.deepEqual(state.grid.getCell(hex(0, 0)).piece, { type: 'ring', color: 'black' });
+        assert.equal(state.players.black.rings.placed, 1);
+        assert.equal(state.players.black.discs.captured, 0);
+        assert.equal(state.players.white.discs.total, 6);
+    });
+
+    test('a ring on a tile of the opponent\'s colour is rejected', () => {
+        const state = load('1,-1bD/0,0b/1,0w/0,1wd b 2/9:1/6/1:0/3/0 2/9:2/5/0:0/3/0');
+        assert.equal(isLegalMove(state, parseMove('R@1,0')), false);
+    });
+});
+
+describe('disc movement', () => {
+    test('a disc steps to any adjacent empty tile, of either colour', () => {
+        const state = load();
+        assert.deepEqual(destinations(state, '1,-1'), ['0,0', '1,0']);
+        assert.equal(GameRules.isValidPieceMovement(state.grid, hex(1, -1), hex(1, 0)).isValid, true);
+    });
+
+    test('a disc cannot move to a tile that is not adjacent without jumping', () => {
+        const state = load('0,0bD/1,0b/2,0b/5,5wd b 3/9:1/6/0:0/3/0 1/9:1/6/0:0/3/0');
+        assert.deepEqual(destinations(state, '0,0'), ['1,0']);
+        assert.equal(GameRules.isValidPieceMovement(state.grid, hex(0, 0), hex(2, 0)).isValid, false);
+    });
+
+    test('jumping over an opponent\'s piece captures it', () => {
+        const state = load('0,0bD/1,0wd/2,0b/5,5wd b 2/9:1/6/0:0/3/0 2/9:2/6/0:0/3/0');
+        play(state, '0,0x2,0');
+        assert.equal(state.grid.getCell(hex(1, 0)).piece, null);
+        assert.deepEqual(state.grid.getCell(hex(2, 0)).piece, { type: 'disc', color: 'black' });
+        assert.equal(state.players.black.discs.captured, 1);
+        assert.equal(state.players.white.discs.total, 5);
+    });
+
+    test('jumping over a friendly piece captures nothing', () => {
+        const state = load('0,0bD/1,0bD/2,0b/5,5wd b 3/9:2/6/0:0/3/0 1/9:1/6/0:0/3/0');
+        play(state, '0,0x2,0');
+        assert.deepEqual(state.grid.getCell(hex(1, 0)).piece, { type: 'disc', color: 'black' });
+        assert.equal(state.players.black.discs.captured, 0);
+    });
+
+    test('a jump needs an empty tile right behind the piece', () => {
+        // Nothing behind 1,0; the tile behind 0,1 is occupied
+        const state = load('0,0bD/1,0wd/0,1wd/0,2wd/5,5w b 1/9:1/6/0:0/3/0 4/9:3/6/0:0/3/0');
+        assert.deepEqual(destinations(state, '0,0'), []);
+    });
+
+    test('jumps chain, turning at any landing, and the disc may stop after any jump', () => {
+        const state = load('0,0bD/1,0wd/2,0b/0,1w/1,1bD/2,1wd/0,2w/1,2wd/2,2b b 4/9:2/6/0:0/3/0 5/9:3/6/0:0/3/0');
+        const chains = legalMoves(state, 'movePiece').filter(notation => notation.startsWith('0,0x'));
+        assert.deepEqual(chains, [
+            '0,0x2,0',
+            '0,0x2,0x0,2',
+            '0,0x2,0x0,2x2,2',
+            '0,0x2,0x2,2',
+            '0,0x2,0x2,2x0,2'
+        ]);
+    });
+
+    test('a chain captures exactly the opponent pieces jumped along its path', () => {
+        const position = '0,0bD/1,0wd/2,0b/0,1w/1,1bD/2,1wd/0,2w/1,2wd/2,2b b 4/9:2/6/0:0/3/0 5/9:3/6/0:0/3/0';
+
+        // Over 1,0 then the friendly disc on 1,1: one capture
+        const short = play(load(position), '0,0x2,0x0,2');
+        assert.equal(pieceAt(short, '1,0'), null);
+        assert.deepEqual(pieceAt(short, '2,1'), { type: 'disc', color: 'white' });
+        assert.deepEqual(pieceAt(short, '1,2'), { type: 'disc', color: 'white' });
+        assert.equal(short.players.black.discs.captured, 1);
+
+        // Around the corner over 1,0, 2,1 and 1,2: three captures to the same landing
+        const long = play(load(position), '0,0x2,0x2,2x0,2');
+        ['1,0', '2,1', '1,2'].forEach(jumped => assert.equal(pieceAt(long, jumped), null));
+        assert.deepEqual(pieceAt(long, '1,1'), { type: 'disc', color: 'black' });
+        assert.equal(long.players.black.discs.captured, 3);
+    });
+
+    test('the player chooses between chains ending on the same tile', () => {
+        const state = load('0,0bD/1,0wd/2,0b/0,1w/1,1bD/2,1wd/0,2w/1,2wd/2,2b b 4/9:2/6/0:0/3/0 5/9:3/6/0:0/3/0');
+        state.selectAction('movePiece');
+        state.selectHex(hex(0, 0));
+        state.selectHex(hex(0, 2));
+        assert.equal(state.pathChoices.length, 2);
+        assert.equal(state.currentPlayer, 'black', 'the move waits for the choice');
+
+        state.choosePath(state.pathChoices.findIndex(path => path.length === 3));
+        assert.equal(state.players.black.discs.captured, 3);
+    });
+});
+
+describe('ring movement', () => {
+    const RINGS = '2,-2wr/-1,0w/0,0bR/1,0b/2,0wd/-2,2bD/0,2w b 3/9:2/6/2:1/3/0 4/9:4/4/0:1/3/0';
+
+    test('a ring moves exactly two tiles away, to an empty tile or an opponent\'s piece', () => {
+        const state = load(RINGS);
+        assert.deepEqual(destinations(state, '0,0'), ['0,2', '2,-2', '2,0']);
+    });
+
+    test('a ring move of one tile is rejected', () => {
+        const state = load(RINGS);
+        const result = GameRules.isValidPieceMovement(state.grid, hex(0, 0), hex(1, 0));
+        assert.deepEqual(result, { isValid: false, message: 'Rings must move exactly two tiles away.' });
+    });
+
+    test('a ring captures the disc it lands on', () => {
+        const state = play(load(RINGS), '0,0x2,0');
+        assert.deepEqual(state.grid.getCell(hex(2, 0)).piece, { type: 'ring', color: 'black' });
+        assert.equal(state.players.black.discs.captured, 3);
+        assert.equal(state.players.white.discs.total, 3);
+    });
+
+    test('a ring captures the ring it lands on', () => {
+        const state = play(load(RINGS), '0,0x2,-2');
+        assert.equal(state.players.black.rings.captured, 1);
+        assert.equal(state.players.white.rings.total, 2);
+    });
+});
+
+describe('landing on a friendly piece', () => {
+    test('a ring cannot land on a friendly piece', () => {
+        const state = load('2,-2wr/-1,0w/0,0bR/1,0b/2,0wd/-2,2bD/0,2w b 3/9:2/6/2:1/3/0 4/9:4/4/0:1/3/0');
+        assert.equal(destinations(state, '0,0').includes('-2,2'), false);
+        assert.equal(GameRules.isValidPieceMovement(state.grid, hex(0, 0), hex(-2, 2)).isValid, false);
+    });
+
+    test('a disc cannot step onto a friendly piece', () => {
+        const state = load('-1,0w/0,0bD/1,0bD/5,5wd b 2/9:2/6/0:0/3/0 2/9:1/6/0:0/3/0');
+        assert.equal(destinations(state, '0,0').includes('1,0'), false);
+        assert.equal(GameRules.isValidPieceMovement(state.grid, hex(0, 0), hex(1, 0)).isValid, false);
+    });
+
+    test('a disc cannot end a jump on a friendly piece', () => {
+        const state = load('0,0bD/1,0wd/2,0bD/5,5w b 2/9:2/6/0:0/3/0 2/9:1/6/0:0/3/0');
+        assert.deepEqual(destinations(state, '0,0'), []);
+        assert.deepEqual(destinations(state, '2,0'), []);
+    });
+});
+
+describe('winning', () => {
+    test('capturing the last opponent disc wins', () => {
+        const state = play(load('0,0bD/1,0wd/2,0b/-1,1wr b 2/9:2/6/5:0/3/0 2/9:6/1/0:1/3/0'), '0,0x2,0');
+        assert.deepEqual(
+            GameRules.checkWinCondition(state),
+            { hasWon: true, winner: 'black', message: 'Black wins by capturing all white discs!' }
+        );
+        assert.equal(state.gameOver, true);
+        assert.equal(state.winner, 'black');
+        assert.match(state.message, /capturing all white discs/);
+    });
+
+    test('capturing the last opponent ring wins', () => {
+        const state = play(load('0,0bR/2,0wr/-1,1wd b 1/9:3/6/0:1/3/2 2/9:2/6/0:3/1/0'), '0,0x2,0');
+        assert.deepEqual(
+            GameRules.checkWinCondition(state),
+            { hasWon: true, winner: 'black', message: 'Black wins by capturing all white rings!' }
+        );
+        assert.equal(state.gameOver, true);
+        assert.equal(state.winner, 'black');
+        assert.match(state.message, /capturing all white rings/);
+    });
+
+    test('removing every opponent piece from the board wins, even with pieces in reserve', () => {
+        const state = play(load('0,0bD/1,0wd/2,0b b 2/9:1/6/0:0/3/0 1/9:1/6/0:0/3/0'), '0,0x2,0');
+        assert.equal(state.players.white.discs.total, 5);
+        assert.deepEqual(
+            GameRules.checkWinCondition(state),
+            { hasWon: true, winner: 'black', message: 'Black wins by removing all white pieces from the board!' }
+        );
+        assert.equal(state.gameOver, true);
+        assert.equal(state.winner, 'black');
+    });
+
+    test('the game goes on while both players keep discs, rings and pieces on the board', () => {
+        const state = play(load(), 'D@0,0');
+        assert.equal(GameRules.checkWinCondition(state).hasWon, false);
+        assert.equal(state.gameOver, false);
+    });
+
+    test('no move can be played once the game is over', () => {
+        const state = play(load('0,0bD/1,0wd/2,0b b 2/9:1/6/0:0/3/0 1/9:1/6/0:0/3/0'), '0,0x2,0');
+        assert.deepEqual(getLegalMoves(state), []);
+    });
+});
+
+describe('draws (Ex Aequo)', () => {
+    // White's only disc is stuck next to the disc Black places, with nothing left to place;
+    // White's other tiles and Black's disc are out of its reach
+    const STALEMATE = '-5,0bD/0,0wd/1,0b/0,4w/1,4w/2,4w/3,4w/4,4w/5,4w/6,4w/7,4w b 2/9:1/6/5:0/3/0 9/9:6/1/0:0/3/0';
+
+    test('a player without a legal move on their turn is a draw by the rules', () => {
+        const state = play(load(STALEMATE), 'D@1,0');
+        assert.deepEqual(legalMoves(state), []);
+        assert.equal(GameRules.checkDrawCondition(state).isDraw, true);
+    });
+
+    test('a player without a legal move ends the game as a draw', () => {
+        const state = play(load(STALEMATE), 'D@1,0');
+        assert.equal(state.gameOver, true);
+        assert.equal(state.winner, null);
+        assert.equal(GameRules.checkWinCondition(state).hasWon, false);
+        assert.match(state.message, /draw because white has no valid moves/);
+        assert.match(state.exportRecord(), /\[Result "1\/2-1\/2"\]/);
+    });
+
+    test('a position repeated three times is a draw', () => {
+        const state = load();
+        const cycle = ['1,-1>0,0', '0,1>1,0', '0,0>1,-1', '1,0>0,1'];
+
+        play(state, ...cycle);
+        assert.equal(state.gameOver, false, 'the start position has occurred twice');
+        play(state, ...cycle.slice(0, 3));
+        assert.equal(state.gameOver, false);
+        play(state, cycle[3]);
+
+        assert.equal(state.gameOver, true, 'the start position has occurred three times');
+        assert.equal(state.winner, null);
+        assert.equal(GameRules.checkDrawCondition(state).isDraw, true);
+        assert.match(state.message, /threefold repetition/);
+    });
+
+    test('undoing the repeating move takes it back from the repetition count', () => {
+        const state = load();
+        const cycle = ['1,-1>0,0', '0,1>1,0', '0,0>1,-1', '1,0>0,1'];
+        play(state, ...cycle, ...cycle);
+        assert.equal(state.gameOver, true);
+
+        state.undo();
+        assert.equal(state.gameOver, false);
+        assert.equal(GameRules.checkDrawCondition(state).isDraw, false);
+    });
+});
+
+describe('refused moves', () => {
+    /**
+     * Get the error code of a move
+     * @param {GameState} state - The game state
+     * @param {string} notation - Move notation
+     * @returns {string|null} Error code, null for a legal move
+     */
+    function errorOf(state, notation) {
+        return getMoveError(state, parseMove(notation));
+    }
+
+    test('a legal move has no error', () => {
+        assert.equal(errorOf(load(), 'T+2,-1'), null);
+        assert.equal(errorOf(load(), '1,-1>0,0'), null);
+    });
+
+    test('placing a piece of a kind that has run out is refused for lack of reserves', () => {
+        const state = load('0,-1bD/1,-1bD/-1,0w/0,0bD/1,0wd/2,0bD/-1,1b/0,1bD/1,1bD/-1,2b/0,2b b 9/9:6/6/0:0/3/0 2/9:1/6/0:0/3/0');
+        assert.equal(errorOf(state, 'T+2,-1'), 'INSUFFICIENT_RESERVES');
+        assert.equal(errorOf(state, 'D@-1,1'), 'INSUFFICIENT_RESERVES');
+        assert.equal(errorOf(load(), 'R@0,0'), 'INSUFFICIENT_RESERVES', 'a ring needs a captured disc');
+    });
+
+    test('moving from a hex without a piece of the player to move is refused', () => {
+        assert.equal(errorOf(load(), '0,1>1,1'), 'NOT_YOUR_PIECE');
+        assert.equal(errorOf(load(), '5,5>5,6'), 'NOT_YOUR_PIECE');
+    });
+
+    test('a place the piece cannot go is refused as an illegal destination', () => {
+        assert.equal(errorOf(load(), 'D@1,0'), 'ILLEGAL_DESTINATION');
+        assert.equal(errorOf(load(), '1,-1>2,-1'), 'ILLEGAL_DESTINATION');
+        assert.equal(errorOf(load(), 'T+5,5'), 'ILLEGAL_DESTINATION');
+    });
+
+    test('no move is legal once the game is over, and only moves are moves', () => {
+        const state = load();
+        state.gameOver = true;
+        assert.equal(errorOf(state, 'T+2,-1'), 'GAME_OVER');
+        assert.equal(getMoveError(load(), { type: 'teleport' }), 'INVALID_MOVE');
+    });
+});
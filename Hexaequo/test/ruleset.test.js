@@ -0,0 +1,219 @@
+/**
+ * ruleset.test.js
+ * Rule variants: games started with a rule set follow its piece counts, layout, win
+ * conditions, repetition count and no-move outcome, and keep it through saves and records.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    GameState,
+    GameRules,
+    MemoryStorage,
+    RuleSet,
+    STARTING_LAYOUTS,
+    isLegalMove,
+    parseMove
+} = require('../js/core');
+const { formatPositionCommand, parsePositionCommand } = require('../js/ai');
+
+// The disc on 0,0 can capture the last white disc by jumping to 2,0; White keeps a ring
+const LAST_DISC = '0,0bD/1,0wd/2,0b/-1,1wr b 2/9:2/6/5:0/3/0 2/9:6/1/0:1/3/0';
+
+// White's only disc is stuck next to the disc Black places, with nothing left to place;
+// White's other tiles and Black's disc are out of its reach
+const STALEMATE = '-5,0bD/0,0wd/1,0b/0,4w/1,4w/2,4w/3,4w/4,4w/5,4w/6,4w/7,4w b 2/9:1/6/5:0/3/0 9/9:6/1/0:0/3/0';
+
+// Moves bringing the standard setup back to its start position
+const CYCLE = ['1,-1>0,0', '0,1>1,0', '0,0>1,-1', '1,0>0,1'];
+
+/**
+ * Create a game state with a rule set, optionally at a position
+ * @param {RuleSet|Object|string} ruleSet - Rule set, as accepted by RuleSet.from()
+ * @param {string} [position] - Position string; the setup of the rules by default
+ * @returns {GameState} The game state
+ */
+function load(ruleSet, position) {
+    const state = new GameState({ storage: new MemoryStorage(), ruleSet });
+    if (position) {
+        assert.ok(state.loadPosition(position), `position should load: ${position}`);
+    }
+    return state;
+}
+
+/**
+ * Play moves, checking that each one is legal
+ * @param {GameState} state - The game state, changed in place
+ * @param {...string} notations - Moves in move notation
+ * @returns {GameState} The game state
+ */
+function play(state, ...notations) {
+    notations.forEach(notation => {
+        const move = parseMove(notation);
+        assert.ok(isLegalMove(state, move), `${notation} should be legal`);
+        state.makeMove(move);
+    });
+    return state;
+}
+
+describe('rule set definitions', () => {
+    test('games use the standard rules unless told otherwise', () => {
+        const state = load();
+        assert.equal(state.ruleSet.name, 'standard');
+        assert.equal(state.ruleSet.isStandard(), true);
+        assert.equal(state.toPositionString(), '1,-1bD/0,0b/1,0w/0,1wd b 2/9:1/6/0:0/3/0 2/9:1/6/0:0/3/0');
+    });
+
+    test('the piece counts of a rule set are the totals of both players', () => {
+        const state = load('short');
+        assert.equal(state.toPositionString(), '1,-1bD/0,0b/1,0w/0,1wd b 2/7:1/4/0:0/2/0 2/7:1/4/0:0/2/0');
+    });
+
+    test('the starting layout is placed and counted as placed', () => {
+        const state = load({ setup: STARTING_LAYOUTS.hexagon.setup });
+        assert.equal(state.toPositionString(),
+            '0,-1b/1,-1w/-1,0wd/1,0bD/-1,1b/0,1w b 3/9:1/6/0:0/3/0 3/9:1/6/0:0/3/0');
+    });
+
+    test('rules that cannot be played are rejected', () => {
+        assert.throws(() => new RuleSet({ pieces: { tiles: 1 } }), /more black tiles/);
+        assert.throws(() => new RuleSet({ pieces: { discs: 0 } }), /discs/);
+        assert.throws(() => new RuleSet({ setup: [{ q: 0, r: 0, color: 'black', piece: 'disc' }] }), /white no piece/);
+        assert.throws(() => new RuleSet({ winConditions: ['tiles'] }), /Unknown win condition/);
+        assert.throws(() => new RuleSet({ repetitions: 1 }), /Repetitions/);
+        assert.throws(() => new RuleSet({ noMoves: 'pass' }), /Unknown outcome/);
+        assert.throws(() => RuleSet.preset('blitz'), /Unknown rule set/);
+    });
+
+    test('names and labels must be short text, and labels are shown as text', () => {
+        assert.throws(() => new RuleSet({ label: 'x'.repeat(41) }), /label must be text of 1 to 40/);
+        assert.throws(() => new RuleSet({ label: { toString: () => 'Custom' } }), /label must be text/);
+        assert.throws(() => RuleSet.from({ name: 42 }), /name must be text/);
+
+        const html = GameRules.getRulesHTML(new RuleSet({ label: '<img src=x onerror=alert(1)>', noMoves: 'loss' }));
+        assert.equal(html.includes('<img'), false);
+        assert.match(html, /&#60;img src=x onerror=alert\(1\)&#62;/);
+    });
+});
+
+describe('rules chosen by the rule set', () => {
+    test('capturing the last disc wins only when that win condition applies', () => {
+        const standard = play(load('standard', LAST_DISC), '0,0x2,0');
+        assert.equal(standard.winner, 'black');
+
+        const state = play(load('attrition', LAST_DISC), '0,0x2,0');
+        assert.equal(state.gameOver, false, 'White still has a ring on the board');
+        assert.equal(GameRules.checkWinCondition(state).hasWon, false);
+    });
+
+    test('the repetition count of the rule set draws the game', () => {
+        const twofold = play(load({ repetitions: 2 }), ...CYCLE);
+        assert.equal(twofold.gameOver, true);
+        assert.match(twofold.message, /twofold repetition/);
+        assert.equal(GameRules.checkDrawCondition(twofold).isDraw, true);
+
+        const never = play(load({ repetitions: 0 }), ...CYCLE, ...CYCLE, ...CYCLE);
+        assert.equal(never.gameOver, false);
+        assert.equal(GameRules.checkDrawCondition(never).isDraw, false);
+    });
+
+    test('a player without a legal move loses or draws as the rule set says', () => {
+        const loss = play(load({ noMoves: 'loss' }, STALEMATE), 'D@1,0');
+        assert.equal(loss.gameOver, true);
+        assert.equal(loss.winner, 'black');
+        assert.deepEqual(GameRules.checkWinCondition(loss), { hasWon: true, winner: 'black', message: loss.message });
+        assert.equal(GameRules.checkDrawCondition(loss).isDraw, false);
+
+        const draw = play(load({ noMoves: 'draw' }, STALEMATE), 'D@1,0');
+        assert.equal(draw.gameOver, true);
+        assert.equal(draw.winner, null);
+        assert.equal(GameRules.checkWinCondition(draw).hasWon, false);
+        assert.deepEqual(GameRules.checkDrawCondition(draw), { isDraw: true, message: draw.message });
+    });
+
+    test('the rules text states the no-move outcome of the rule set', () => {
+        assert.match(GameRules.getRulesHTML(), /cannot make a move on their turn, the game ends in a draw/);
+        assert.match(GameRules.getRulesHTML(new RuleSet({ noMoves: 'loss' })), /cannot make a move on their turn, that player loses/);
+    });
+
+    test('a new game keeps the rules unless others are given', () => {
+        const state = load('short');
+        state.initializeGame();
+        assert.equal(state.ruleSet.name, 'short');
+        state.initializeGame('standard');
+        assert.equal(state.ruleSet.name, 'standard');
+    });
+});
+
+describe('storing the rule set', () => {
+    const custom = { pieces: { tiles: 8, discs: 5, rings: 2 }, winConditions: ['discs', 'board'], noMoves: 'loss' };
+
+    test('copies of a game keep its rules', () => {
+        const state = play(load(custom), 'T+2,-1');
+        assert.ok(state.clone().ruleSet.equals(state.ruleSet));
+        assert.ok(GameState.deserialize(JSON.parse(JSON.stringify(state.serialize()))).ruleSet.equals(state.ruleSet));
+    });
+
+    test('saved games are loaded with their rules', () => {
+        const storage = new MemoryStorage();
+        const state = play(new GameState({ storage, ruleSet: custom }), 'T+2,-1');
+        state.saveGame('variant');
+
+        const loaded = new GameState({ storage });
+        assert.ok(loaded.loadGame('variant'));
+        assert.ok(loaded.ruleSet.equals(state.ruleSet));
+        assert.equal(loaded.toPositionString(), state.toPositionString());
+
+        const imported = new GameState({ storage });
+        assert.ok(imported.importGame(state.exportGame()));
+        assert.ok(imported.ruleSet.equals(state.ruleSet));
+    });
+
+    test('saves without rules are standard games', () => {
+        const storage = new MemoryStorage();
+        const state = new GameState({ storage });
+        const data = JSON.parse(state.exportGame());
+        delete data.ruleSet;
+
+        const imported = new GameState({ storage, ruleSet: 'short' });
+        assert.ok(imported.importGame(JSON.stringify(data)));
+        assert.equal(imported.ruleSet.isStandard(), true);
+    });
+
+    test('game records name a preset and spell out custom rules', () => {
+        const preset = play(load('short'), 'T+2,-1');
+        const presetRecord = preset.exportRecord();
+        assert.match(presetRecord, /\[Rules "short"\]/);
+        assert.doesNotMatch(presetRecord, /\[Position /);
+
+        const variant = play(load(custom), 'T+2,-1');
+        [presetRecord, variant.exportRecord()].forEach((record, index) => {
+            const original = index === 0 ? preset : variant;
+            const imported = load();
+            assert.ok(imported.importRecord(record));
+            assert.ok(imported.ruleSet.equals(original.ruleSet));
+            assert.equal(imported.toPositionString(), original.toPositionString());
+        });
+
+        assert.doesNotMatch(load().exportRecord(), /\[Rules /);
+    });
+
+    test('engines are sent the rules with each position', () => {
+        const preset = play(load('short'), 'T+2,-1');
+        const variant = play(load({ ...custom, label: 'House rules' }), 'T+2,-1');
+        const standard = play(load(), 'T+2,-1');
+
+        const presetCommand = formatPositionCommand(preset);
+        assert.equal(presetCommand, 'position rules short startpos moves T+2,-1');
+        const variantCommand = formatPositionCommand(variant);
+        assert.match(variantCommand, /^position rules \{\S+\} startpos moves T\+2,-1$/);
+        assert.equal(formatPositionCommand(standard), 'position startpos moves T+2,-1');
+
+        [[presetCommand, preset], [variantCommand, variant]].forEach(([command, original]) => {
+            const parsed = parsePositionCommand(command.split(' ').slice(1));
+            assert.ok(parsed.ruleSet.equals(original.ruleSet));
+            assert.equal(parsed.toPositionString(), original.toPositionString());
+        });
+        assert.throws(() => parsePositionCommand(['rules', 'blitz', 'startpos']), /Invalid rules/);
+    });
+});
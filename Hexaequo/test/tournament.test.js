@@ -0,0 +1,138 @@
+/**
+ * tournament.test.js
+ * The self-play tournament runner (tools/tournament.js): Elo differences from match scores,
+ * standings and crosstables from game results, pairings, engine specifications and short
+ * tournaments between weak engines. Tournaments are seeded, so they replay the same way.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    computeCrosstable,
+    computeStandings,
+    createSchedule,
+    eloDifference,
+    formatTables,
+    parseEngineSpec,
+    playGame,
+    runTournament
+} = require('../tools/tournament.js');
+
+/**
+ * Build game results: each entry is [black, white, winner], winner null for a draw
+ * @param {Array} entries - Game entries
+ * @returns {Array} Game results as runTournament() lists them
+ */
+function games(entries) {
+    return entries.map(([black, white, winner]) => ({ black, white, winner, reason: '', plies: 0 }));
+}
+
+describe('Elo differences', () => {
+    test('an even score is no difference and the scale is symmetric', () => {
+        // The formula gives -0, which assert.equal() tells apart from 0
+        assert.ok(eloDifference(0.5) === 0);
+        [0.1, 0.25, 0.6, 0.9].forEach(score => {
+            assert.ok(Math.abs(eloDifference(score) + eloDifference(1 - score)) < 1e-9, String(score));
+        });
+    });
+
+    test('a 3 to 1 score is about 191 points, 10 to 1 is 400', () => {
+        assert.equal(Math.round(eloDifference(0.75)), 191);
+        assert.equal(Math.round(eloDifference(10 / 11)), 400);
+        assert.ok(eloDifference(0.6) < eloDifference(0.75));
+    });
+
+    test('winning or losing every game is an unbounded difference', () => {
+        assert.equal(eloDifference(1), Infinity);
+        assert.equal(eloDifference(0), -Infinity);
+    });
+});
+
+describe('standings and crosstable', () => {
+    // Engine 0 beats engine 1 twice and draws with engine 2; engines 1 and 2 split their games
+    const RESULTS = games([[0, 1, 0], [1, 0, 0], [0, 2, null], [2, 0, null], [1, 2, 1], [2, 1, 2]]);
+
+    test('standings count the games of each engine against the field', () => {
+        const [first, second, third] = computeStandings(3, RESULTS);
+        assert.deepEqual([first.wins, first.draws, first.losses, first.games], [2, 2, 0, 4]);
+        assert.equal(first.score, 0.75);
+        assert.equal(first.elo, eloDifference(0.75));
+        assert.ok(first.margin > 0);
+
+        assert.deepEqual([second.wins, second.draws, second.losses], [1, 0, 3]);
+        assert.equal(second.score, 0.25);
+        assert.deepEqual([third.wins, third.draws, third.losses], [1, 2, 1]);
+        assert.ok(third.elo === 0);
+    });
+
+    test('the crosstable has each pairing from both sides', () => {
+        const table = computeCrosstable(3, RESULTS);
+        assert.equal(table[0][0], null);
+        assert.deepEqual([table[0][1].wins, table[0][1].draws, table[0][1].losses], [2, 0, 0]);
+        assert.deepEqual([table[1][0].wins, table[1][0].draws, table[1][0].losses], [0, 0, 2]);
+        assert.deepEqual([table[0][2].draws, table[2][0].draws], [2, 2]);
+        assert.equal(table[1][2].score, 0.5);
+    });
+
+    test('engines without games score even, and the tables are printed by score', () => {
+        const [idle] = computeStandings(2, []);
+        assert.deepEqual([idle.games, idle.score], [0, 0.5]);
+        assert.ok(idle.elo === 0);
+
+        const text = formatTables({
+            engines: ['weak', 'strong', 'mid'],
+            standings: computeStandings(3, games([[1, 0, 1], [0, 1, 1], [2, 0, 2], [1, 2, null]])),
+            crosstable: computeCrosstable(3, games([[1, 0, 1], [0, 1, 1], [2, 0, 2], [1, 2, null]]))
+        });
+        const names = text.split('\n').slice(1, 4).map(line => line.split(/\s+/)[0]);
+        assert.deepEqual(names, ['strong', 'mid', 'weak']);
+        assert.match(text, /weak\s+3\s+0\s+0\s+3\s+0\.0%\s+-inf/);
+    });
+});
+
+describe('tournaments', () => {
+    test('round robins pair every engine with every other, gauntlets only with the first', () => {
+        assert.deepEqual(createSchedule(3, 'round-robin'), [[0, 1], [0, 2], [1, 2]]);
+        assert.deepEqual(createSchedule(3, 'gauntlet'), [[0, 1], [0, 2]]);
+        assert.throws(() => createSchedule(3, 'swiss'), /Unknown format: swiss/);
+    });
+
+    test('engine specifications read options and use difficulty levels as presets', () => {
+        assert.deepEqual(parseEngineSpec('ab4:maxDepth=4,timeLimit=1000'),
+            { name: 'ab4', options: { maxDepth: 4, timeLimit: 1000 } });
+        assert.deepEqual(parseEngineSpec('fast:preset=easy,timeLimit=100'),
+            { name: 'fast', options: { maxDepth: 1, timeLimit: 100, randomness: 150 } });
+        assert.throws(() => parseEngineSpec('ab:maxDepth'), /Invalid engine option "maxDepth"/);
+        assert.throws(() => parseEngineSpec('x:preset=godlike'), /Unknown preset: godlike/);
+    });
+
+    test('an engine without a move forfeits the game', async () => {
+        const mover = { search: async () => ({ move: null }), close: () => {} };
+        const result = await playGame(mover, mover);
+        assert.equal(result.winner, 'white');
+        assert.match(result.reason, /black forfeits: no move/);
+        assert.equal(result.plies, 0);
+    });
+
+    test('each opening is played twice with the colours swapped', async () => {
+        const engines = [parseEngineSpec('a:maxDepth=1'), parseEngineSpec('b:maxDepth=1')];
+        const played = [];
+        const tournament = await runTournament(engines, {
+            games: 4,
+            maxPlies: 20,
+            seed: 12,
+            onGame: (game, done, total) => played.push(`${done}/${total}`)
+        });
+
+        assert.deepEqual(played, ['1/4', '2/4', '3/4', '4/4']);
+        assert.deepEqual(tournament.engines, ['a', 'b']);
+        assert.deepEqual(tournament.games.map(({ black, white }) => [black, white]), [[0, 1], [1, 0], [0, 1], [1, 0]]);
+        tournament.games.forEach(game => assert.ok(game.plies <= 20));
+
+        const [a, b] = tournament.standings;
+        assert.equal(a.games, 4);
+        assert.equal(a.wins, b.losses);
+        assert.equal(a.score + b.score, 1);
+        await assert.rejects(() => runTournament(engines.slice(0, 1)), /at least two engines/);
+    });
+});
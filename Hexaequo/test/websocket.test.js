@@ -0,0 +1,296 @@
+/**
+ * websocket.test.js
+ * The WebSocket server side of server.js: the opening handshake, masked client frames,
+ * messages split over frames and reads, the message size limit, frames breaking the
+ * protocol and the closing handshake. Sockets are in-memory stand-ins recording what the
+ * server writes.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { acceptWebSocket, WebSocketConnection } = require('../websocket.js');
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+/**
+ * Create a socket recording the data written to it
+ * @returns {EventEmitter} Socket with written (buffers written) and ended (whether end()
+ *     was called)
+ */
+function createSocket() {
+    const socket = new EventEmitter();
+    socket.written = [];
+    socket.ended = false;
+    socket.write = (data) => socket.written.push(Buffer.from(data));
+    socket.end = (data) => {
+        if (data) {
+            socket.write(data);
+        }
+        socket.ended = true;
+    };
+    socket.destroy = () => {};
+    return socket;
+}
+
+/**
+ * Open a connection on an in-memory socket
+ * @returns {Object} { connection, socket, messages } where messages lists the text messages
+ *     received
+ */
+function open() {
+    const socket = createSocket();
+    const connection = new WebSocketConnection(socket);
+    const messages = [];
+    connection.on('message', (message) => messages.push(message));
+    return { connection, socket, messages };
+}
+
+/**
+ * Build a frame as a client sends it
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer|string} payload - Payload, before masking
+ * @param {Object} [options] - { fin = true, masked = true }
+ * @returns {Buffer} The frame
+ */
+function clientFrame(opcode, payload, { fin = true, masked = true } = {}) {
+    const data = Buffer.from(payload);
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    if (!masked) {
+        return Buffer.concat([header, data]);
+    }
+
+    header[1] |= 0x80;
+    const mask = Buffer.from([0x37, 0xFA, 0x21, 0x3D]);
+    const body = Buffer.from(data);
+    for (let i = 0; i < body.length; i++) {
+        body[i] ^= mask[i % 4];
+    }
+    return Buffer.concat([header, mask, body]);
+}
+
+/**
+ * Read the frames the server wrote
+ * @param {EventEmitter} socket - Socket from createSocket()
+ * @returns {Array} { fin, opcode, payload } of each frame
+ */
+function serverFrames(socket) {
+    let buffer = Buffer.concat(socket.written);
+    const frames = [];
+    while (buffer.length > 0) {
+        assert.equal(buffer[1] & 0x80, 0, 'servers do not mask their frames');
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+        if (length === 126) {
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        }
+        frames.push({ fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0F, payload: buffer.subarray(offset, offset + length) });
+        buffer = buffer.subarray(offset + length);
+    }
+    return frames;
+}
+
+/**
+ * Get the status code of the close frame the server sent
+ * @param {EventEmitter} socket - Socket from createSocket()
+ * @returns {number|null} Close code, null if the server sent no close frame
+ */
+function closeCode(socket) {
+    const frame = serverFrames(socket).find(({ opcode }) => opcode === OPCODES.close);
+    return frame ? frame.payload.readUInt16BE(0) : null;
+}
+
+describe('opening handshake', () => {
+    test('the accept key is derived from the client key', () => {
+        const socket = createSocket();
+        const req = { headers: { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' } };
+        assert.ok(acceptWebSocket(req, socket) instanceof WebSocketConnection);
+
+        const response = Buffer.concat(socket.written).toString();
+        assert.match(response, /^HTTP\/1\.1 101 Switching Protocols\r\n/);
+        assert.match(response, /\r\nSec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=\r\n\r\n$/);
+    });
+
+    test('requests without a WebSocket key are refused', () => {
+        const socket = createSocket();
+        assert.equal(acceptWebSocket({ headers: { upgrade: 'websocket' } }, socket), null);
+        assert.match(Buffer.concat(socket.written).toString(), /^HTTP\/1\.1 400 /);
+        assert.equal(socket.ended, true);
+    });
+});
+
+describe('framing and masking', () => {
+    test('masked text frames are unmasked into messages', () => {
+        const { socket, messages } = open();
+        socket.emit('data', clientFrame(OPCODES.text, '{"type":"list"}'));
+        socket.emit('data', clientFrame(OPCODES.text, 'é♦'));
+        assert.deepEqual(messages, ['{"type":"list"}', 'é♦']);
+    });
+
+    test('frames arriving over several reads and several frames in one read are all read', () => {
+        const { socket, messages } = open();
+        const long = 'x'.repeat(300);
+        const data = Buffer.concat([clientFrame(OPCODES.text, long), clientFrame(OPCODES.text, 'short')]);
+        [1, 3, 9, 200].reduce((start, end) => {
+            socket.emit('data', data.subarray(start, end));
+            return end;
+        }, 0);
+        assert.deepEqual(messages, []);
+        socket.emit('data', data.subarray(200));
+        assert.deepEqual(messages, [long, 'short']);
+    });
+
+    test('unmasked client frames close the connection with 1002', () => {
+        const { connection, socket, messages } = open();
+        socket.emit('data', clientFrame(OPCODES.text, 'hello', { masked: false }));
+        assert.deepEqual(messages, []);
+        assert.equal(closeCode(socket), 1002);
+        assert.equal(connection.closed, true);
+    });
+
+    test('messages sent by the server are single unmasked text frames', () => {
+        const { connection, socket } = open();
+        const long = 'y'.repeat(1000);
+        connection.send('hi');
+        connection.send(long);
+        assert.deepEqual(serverFrames(socket).map(({ fin, opcode, payload }) => [fin, opcode, payload.toString()]),
+            [[true, OPCODES.text, 'hi'], [true, OPCODES.text, long]]);
+    });
+});
+
+describe('fragmented messages', () => {
+    test('continuation frames are joined into one message', () => {
+        const { socket, messages } = open();
+        socket.emit('data', clientFrame(OPCODES.text, 'Hel', { fin: false }));
+        socket.emit('data', clientFrame(OPCODES.continuation, 'lo, ', { fin: false }));
+        assert.deepEqual(messages, []);
+        socket.emit('data', clientFrame(OPCODES.continuation, 'world'));
+        assert.deepEqual(messages, ['Hello, world']);
+    });
+
+    test('pings between fragments are answered without breaking the message', () => {
+        const { socket, messages } = open();
+        socket.emit('data', clientFrame(OPCODES.text, 'a', { fin: false }));
+        socket.emit('data', clientFrame(OPCODES.ping, 'beat'));
+        socket.emit('data', clientFrame(OPCODES.continuation, 'b'));
+        assert.deepEqual(messages, ['ab']);
+        assert.deepEqual(serverFrames(socket).map(({ opcode, payload }) => [opcode, payload.toString()]),
+            [[OPCODES.pong, 'beat']]);
+    });
+
+    test('a new message before the fragmented one is complete closes with 1002', () => {
+        const { socket, messages } = open();
+        socket.emit('data', clientFrame(OPCODES.text, 'first', { fin: false }));
+        socket.emit('data', clientFrame(OPCODES.text, 'second'));
+        assert.deepEqual(messages, []);
+        assert.equal(closeCode(socket), 1002);
+    });
+
+    test('a continuation frame without a fragmented message closes with 1002', () => {
+        const { socket, messages } = open();
+        socket.emit('data', clientFrame(OPCODES.continuation, 'stray'));
+        assert.deepEqual(messages, []);
+        assert.equal(closeCode(socket), 1002);
+    });
+});
+
+describe('control frames', () => {
+    test('fragmented control frames close with 1002', () => {
+        const { socket } = open();
+        socket.emit('data', clientFrame(OPCODES.ping, 'beat', { fin: false }));
+        assert.equal(closeCode(socket), 1002);
+        assert.equal(serverFrames(socket).some(({ opcode }) => opcode === OPCODES.pong), false);
+    });
+
+    test('control frames over 125 bytes close with 1002', () => {
+        const { socket } = open();
+        socket.emit('data', clientFrame(OPCODES.ping, 'p'.repeat(126)));
+        assert.equal(closeCode(socket), 1002);
+    });
+
+    test('pings of 125 bytes are answered with the same payload', () => {
+        const { socket } = open();
+        socket.emit('data', clientFrame(OPCODES.ping, 'p'.repeat(125)));
+        assert.deepEqual(serverFrames(socket).map(({ opcode, payload }) => [opcode, payload.length]),
+            [[OPCODES.pong, 125]]);
+    });
+});
+
+describe('message size limit', () => {
+    test('a frame announcing more than 1 MB closes with 1002 before it arrives', () => {
+        const { socket, messages } = open();
+        const header = Buffer.alloc(10);
+        header[0] = 0x80 | OPCODES.text;
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(BigInt(1024 * 1024 + 1), 2);
+        socket.emit('data', header);
+        assert.deepEqual(messages, []);
+        assert.equal(closeCode(socket), 1002);
+    });
+
+    test('a message of exactly 1 MB is accepted', () => {
+        const { socket, messages } = open();
+        socket.emit('data', clientFrame(OPCODES.text, 'm'.repeat(1024 * 1024)));
+        assert.equal(messages.length, 1);
+        assert.equal(messages[0].length, 1024 * 1024);
+    });
+
+    test('fragments adding up to more than 1 MB close with 1009', () => {
+        const { socket, messages } = open();
+        const half = 'h'.repeat(512 * 1024 + 1);
+        socket.emit('data', clientFrame(OPCODES.text, half, { fin: false }));
+        socket.emit('data', clientFrame(OPCODES.continuation, half));
+        assert.deepEqual(messages, []);
+        assert.equal(closeCode(socket), 1009);
+    });
+});
+
+describe('closing handshake', () => {
+    test('a close frame is answered with a close frame and ends the socket', () => {
+        const { connection, socket } = open();
+        let closed = 0;
+        connection.on('close', () => closed++);
+        socket.emit('data', clientFrame(OPCODES.close, Buffer.from([0x03, 0xE8])));
+        assert.equal(closeCode(socket), 1000);
+        assert.equal(socket.ended, true);
+        assert.equal(connection.closed, true);
+        assert.equal(closed, 1);
+    });
+
+    test('nothing is read or sent once the connection is closed', () => {
+        const { connection, socket, messages } = open();
+        let closed = 0;
+        connection.on('close', () => closed++);
+        socket.emit('data', Buffer.concat([clientFrame(OPCODES.close, ''), clientFrame(OPCODES.text, 'late')]));
+        connection.send('ignored');
+        connection.close();
+        socket.emit('close');
+
+        assert.deepEqual(messages, []);
+        assert.equal(serverFrames(socket).length, 1);
+        assert.equal(closed, 1);
+    });
+
+    test('the socket closing closes the connection once', () => {
+        const { connection, socket } = open();
+        let closed = 0;
+        connection.on('close', () => closed++);
+        socket.emit('close');
+        socket.emit('close');
+        assert.equal(closed, 1);
+        assert.equal(connection.closed, true);
+    });
+});
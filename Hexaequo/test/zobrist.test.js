@@ -0,0 +1,151 @@
+/**
+ * zobrist.test.js
+ * Position keys (GameState.getZobristHash()): the hash the grid keeps up to date cell by cell
+ * must always equal the hash computed from scratch, after moves, copies made by applyMove(),
+ * undo and redo. Random games are seeded, so a failure replays the same way.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    GameState,
+    MemoryStorage,
+    applyMove,
+    combineHash,
+    getLegalMoves,
+    moveToNotation,
+    parseMove
+} = require('../js/core');
+
+const GAMES = 20;
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hash the cells of a grid from scratch, without the keys it keeps for each cell
+ * @param {HexGrid} grid - The grid
+ * @returns {number} 53-bit hash, comparable with grid.getHash()
+ */
+function recomputeGridHash(grid) {
+    let low = 0;
+    let high = 0;
+    grid.getAllCells().forEach(([hex, data]) => {
+        const [keyLow, keyHigh] = grid.getCellKey(hex, data);
+        low ^= keyLow;
+        high ^= keyHigh;
+    });
+    return combineHash(low, high);
+}
+
+/**
+ * Hash a position from scratch, by loading its position string on a new game
+ * @param {GameState} state - The game state
+ * @returns {number} 53-bit hash, comparable with state.getZobristHash()
+ */
+function recomputeHash(state) {
+    const fresh = new GameState({ storage: new MemoryStorage() });
+    assert.ok(fresh.loadPosition(state.toPositionString()));
+    return fresh.getZobristHash();
+}
+
+/**
+ * Check the incremental hashes of a game state against a full recompute
+ * @param {GameState} state - The game state
+ * @param {string} context - Shown when the check fails
+ */
+function assertHashes(state, context) {
+    assert.equal(state.grid.getHash(), recomputeGridHash(state.grid), `grid hash after ${context}`);
+    assert.equal(state.getZobristHash(), recomputeHash(state), `position hash after ${context}`);
+}
+
+/**
+ * Play a random legal game, checking the hashes after every move
+ * @param {Function} random - Random number generator
+ * @param {number} [maxPlies=120] - Moves after which the game is left unfinished
+ * @returns {GameState} The game state at the end of the game
+ */
+function playChecked(random, maxPlies = 120) {
+    const state = new GameState({ storage: new MemoryStorage() });
+    assertHashes(state, 'the start');
+    while (state.historyIndex < maxPlies && !state.gameOver) {
+        const moves = getLegalMoves(state);
+        if (moves.length === 0) {
+            break;
+        }
+        const move = moves[Math.floor(random() * moves.length)];
+        const notation = moveToNotation(move, state);
+        state.makeMove(move);
+        assertHashes(state, `${state.historyIndex}. ${notation}`);
+    }
+    return state;
+}
+
+describe('incremental Zobrist hashes', () => {
+    test('the hashes match a full recompute after every move of random games', () => {
+        const random = createRandom(6);
+        for (let game = 0; game < GAMES; game++) {
+            playChecked(random);
+        }
+    });
+
+    test('copies made by applyMove() match a full recompute and leave the original untouched', () => {
+        const random = createRandom(7);
+        const state = playChecked(random, 30);
+        const hash = state.getZobristHash();
+        getLegalMoves(state).forEach(move => {
+            const next = applyMove(state, move);
+            assertHashes(next, moveToNotation(move, state));
+            assert.equal(state.getZobristHash(), hash);
+        });
+        assertHashes(state, 'the copies');
+    });
+
+    test('undo and redo bring back the hash of each position', () => {
+        const random = createRandom(8);
+        for (let game = 0; game < GAMES; game++) {
+            const state = playChecked(random);
+            const hashes = [];
+            for (let index = state.historyIndex; index >= 0; index--) {
+                hashes[index] = state.getZobristHash();
+                if (index > 0) {
+                    assert.ok(state.undo());
+                    assertHashes(state, `undoing to ${index - 1}`);
+                }
+            }
+            assert.equal(state.getZobristHash(), hashes[0]);
+
+            while (state.canRedo()) {
+                state.redo();
+                assertHashes(state, `redoing to ${state.historyIndex}`);
+                assert.equal(state.getZobristHash(), hashes[state.historyIndex]);
+            }
+            assert.equal(state.historyIndex, hashes.length - 1);
+        }
+    });
+
+    test('the same position reached again has the same hash; the side to move changes it', () => {
+        const state = new GameState({ storage: new MemoryStorage() });
+        const start = state.getZobristHash();
+        ['1,-1>0,0', '0,1>1,0', '0,0>1,-1', '1,0>0,1'].forEach(notation => state.makeMove(parseMove(notation)));
+        assert.equal(state.getZobristHash(), start);
+
+        const whiteToMove = new GameState({ storage: new MemoryStorage() });
+        assert.ok(whiteToMove.loadPosition(state.toPositionString().replace(' b ', ' w ')));
+        assert.notEqual(whiteToMove.getZobristHash(), start);
+        assert.equal(whiteToMove.grid.getHash(), state.grid.getHash());
+    });
+});
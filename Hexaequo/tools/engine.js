@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * engine.js
+ * The built-in engines as an engine process speaking the protocol of
+ * js/ai/EngineProtocol.js over standard input and output. It is the reference for
+ * engines written in other languages and can be driven like them:
+ *
+ *   node tools/engine.js
+ *   hexaequo
+ *   position startpos moves D@0,0
+ *   go movetime 500
+ *
+ * Searches run in a worker thread, so "stop" is answered while the engine thinks.
+ */
+
+const readline = require('readline');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { GameState, MemoryStorage, getLegalMoves, moveToNotation } = require('../js/core');
+const { createEngine, parseCommand, parsePositionCommand, parseGoCommand, formatInfo } = require('../js/ai');
+
+// Options declared to clients; names are createEngine() options
+const OPTIONS = [
+    { name: 'engine', type: 'combo', default: 'alphabeta', vars: ['alphabeta', 'mcts'] },
+    { name: 'maxDepth', type: 'spin', default: 8, min: 1, max: 64 },
+    { name: 'randomness', type: 'spin', default: 0, min: 0, max: 1000 },
+    { name: 'playouts', type: 'spin', default: 100000, min: 1, max: 10000000 },
+    { name: 'exploration', type: 'string', default: String(Math.SQRT2) }
+];
+
+// Depth used by "go infinite"; the search ends with "stop"
+const INFINITE_DEPTH = 64;
+
+/**
+ * Run searches on request of the main thread. The stop flag is shared memory, so the
+ * search can poll it without returning to the event loop.
+ */
+function runWorker() {
+    const stopFlag = new Int32Array(workerData.stopBuffer);
+    parentPort.on('message', ({ state, options }) => {
+        const gameState = GameState.deserialize(state, { storage: new MemoryStorage() });
+        const result = createEngine(options).search(gameState, {
+            onProgress: (progress) => parentPort.postMessage({ type: 'info', progress }),
+            shouldStop: () => Atomics.load(stopFlag, 0) === 1
+        });
+        parentPort.postMessage({ type: 'bestmove', result });
+    });
+}
+
+/**
+ * Handle the protocol on standard input and output
+ */
+function runEngine() {
+    const stopBuffer = new SharedArrayBuffer(4);
+    const stopFlag = new Int32Array(stopBuffer);
+    const worker = new Worker(__filename, { workerData: { stopBuffer } });
+    const output = (line) => process.stdout.write(`${line}\n`);
+
+    const settings = {};
+    OPTIONS.forEach(option => {
+        settings[option.name] = option.type === 'spin' ? option.default : String(option.default);
+    });
+
+    let state = new GameState({ storage: new MemoryStorage() });
+    let searching = null; // Position being searched
+    let readyWaiting = false; // "isready" received during a search
+    let quitting = false; // Input ended during a search
+    let queuedGo = null; // Arguments of a "go" received before the last search ended
+
+    const finishSearch = (move) => {
+        output(`bestmove ${move ? moveToNotation(move, searching) : 'none'}`);
+        searching = null;
+        if (readyWaiting) {
+            readyWaiting = false;
+            output('readyok');
+        }
+        if (quitting) {
+            commands.quit();
+        }
+        if (queuedGo) {
+            const args = queuedGo;
+            queuedGo = null;
+            commands.go(args);
+        }
+    };
+
+    worker.on('message', ({ type, progress, result }) => {
+        if (type === 'info') {
+            output(formatInfo(progress, searching));
+        } else {
+            finishSearch(result.move);
+        }
+    });
+
+    const commands = {
+        hexaequo: () => {
+            output('id name Hexaequo built-in engine');
+            output('id author Hexaequo contributors');
+            OPTIONS.forEach(option => {
+                const words = ['option', 'name', option.name, 'type', option.type, 'default', option.default];
+                if (option.type === 'spin') {
+                    words.push('min', option.min, 'max', option.max);
+                }
+                (option.vars || []).forEach(value => words.push('var', value));
+                output(words.join(' '));
+            });
+            output('hexaequook');
+        },
+
+        isready: () => {
+            // Answered once the current search has written its bestmove
+            if (searching) {
+                readyWaiting = true;
+            } else {
+                output('readyok');
+            }
+        },
+
+        setoption: (args) => {
+            const valueIndex = args.indexOf('value');
+            const name = args.slice(1, valueIndex < 0 ? undefined : valueIndex).join(' ');
+            const option = OPTIONS.find(candidate => candidate.name === name);
+            if (option && valueIndex >= 0) {
+                const value = args.slice(valueIndex + 1).join(' ');
+                settings[name] = option.type === 'spin' ? Number(value) : value;
+            }
+        },
+
+        newgame: () => {
+            state = new GameState({ storage: new MemoryStorage() });
+        },
+
+        position: (args) => {
+            try {
+                state = parsePositionCommand(args);
+            } catch (error) {
+                // Searching the previous position instead would answer the wrong game
+                state = null;
+                output(`info string ${error.message}`);
+            }
+        },
+
+        go: (args) => {
+            // A stopped search may still be writing its bestmove
+            if (searching) {
+                queuedGo = args;
+                return;
+            }
+
+            // Finished and rejected positions are answered without searching
+            searching = state;
+            if (!state || state.gameOver || getLegalMoves(state).length === 0) {
+                finishSearch(null);
+                return;
+            }
+
+            const limits = parseGoCommand(args);
+            const options = {
+                engine: settings.engine,
+                maxDepth: limits.depth || (limits.movetime ? settings.maxDepth : INFINITE_DEPTH),
+                randomness: settings.randomness,
+                playouts: limits.infinite ? Infinity : settings.playouts,
+                exploration: Number(settings.exploration),
+                timeLimit: limits.movetime || Infinity
+            };
+            Atomics.store(stopFlag, 0, 0);
+            worker.postMessage({ state: state.serialize(), options });
+        },
+
+        stop: () => {
+            queuedGo = null;
+            Atomics.store(stopFlag, 0, 1);
+        },
+
+        quit: () => {
+            Atomics.store(stopFlag, 0, 1);
+            worker.terminate();
+            process.exit(0);
+        }
+    };
+
+    readline.createInterface({ input: process.stdin }).on('line', (line) => {
+        const { name, args } = parseCommand(line);
+        if (commands[name]) {
+            commands[name](args);
+        }
+    }).on('close', () => {
+        // Piped input ends before the last search does
+        if (searching) {
+            quitting = true;
+        } else {
+            commands.quit();
+        }
+    });
+}
+
+if (isMainThread) {
+    runEngine();
+} else {
+    runWorker();
+}
@@ -0,0 +1,56 @@
+/**
+ * external-engine.js
+ * Starts engine processes speaking the protocol of js/ai/EngineProtocol.js and connects
+ * ExternalEngine clients to their standard input and output.
+ *
+ * Usage:
+ *   const { spawnEngine } = require('./tools/external-engine.js');
+ *   const engine = await spawnEngine('python3 my_bot.py');
+ *   const { move } = await engine.search(gameState, { movetime: 1000 });
+ *   engine.close();
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { ExternalEngine } = require('../js/ai');
+
+/**
+ * Start an engine process
+ * @param {string} command - Shell command starting the engine, e.g. "./bot --hash 64"
+ * @param {Object} [options] - Process options
+ * @param {string} [options.cwd] - Working directory of the engine
+ * @param {Function} [options.onStderr] - Called with each line the engine writes to standard
+ *     error; by default they are forwarded to this process's standard error
+ * @returns {Promise<ExternalEngine>} Resolves once the engine has answered the handshake
+ */
+function spawnEngine(command, options = {}) {
+    const child = spawn(command, { cwd: options.cwd, shell: true, stdio: ['pipe', 'pipe', 'pipe'] });
+    const onStderr = options.onStderr || (line => process.stderr.write(`${line}\n`));
+
+    const transport = {
+        send: (line) => {
+            if (child.stdin.writable) {
+                child.stdin.write(`${line}\n`);
+            }
+        },
+        close: () => {
+            child.stdin.end();
+            // Engines that ignore "quit" are stopped after a grace period
+            setTimeout(() => child.kill(), 1000).unref();
+        }
+    };
+
+    readline.createInterface({ input: child.stdout }).on('line', line => transport.onLine(line));
+    readline.createInterface({ input: child.stderr }).on('line', onStderr);
+    child.stdin.on('error', () => {});
+    child.on('exit', () => transport.onClose());
+
+    const engine = new ExternalEngine(transport);
+    child.on('error', error => {
+        onStderr(`Could not start engine "${command}": ${error.message}`);
+        transport.onClose();
+    });
+    return engine.init();
+}
+
+module.exports = { spawnEngine };
@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+/**
+ * fuzz.js
+ * Plays random legal games through GameState and checks invariants after every move. A game
+ * breaking one is shrunk to a minimal list of moves reproducing the failure.
+ *
+ * Usage:
+ *   node tools/fuzz.js --games 5000 --seed 3
+ *   node tools/fuzz.js --replay "D@0,0 T+2,-1 0,0>0,-1" --via select
+ *
+ * Options:
+ *   --games N            Number of random games; default 1000
+ *   --seed N             Seed of the first game, the others follow; default 1
+ *   --max-plies N        Games are cut off after this many moves; default 200
+ *   --replay MOVES       Check a single game given as moves separated by spaces instead
+ *   --via ROUTE          How replayed moves are played: direct (GameState.makeMove) or select
+ *                        (selectAction/selectHex/choosePath, as the board does); random games
+ *                        alternate between both; default direct
+ *
+ * Invariants checked after every move:
+ *   - discs and rings of each colour on the board match placed minus captured by the opponent
+ *   - discs and rings are conserved: those a player still has plus those captured from them
+ *     equal the starting number
+ *   - tiles on the board match tiles placed and never exceed the player's tiles
+ *   - every cell is a tile holding at most one piece, and no piece is on two cells
+ *   - gameOver is set exactly when GameRules.checkWinCondition or checkDrawCondition says so,
+ *     with the winner they name
+ */
+
+const { parseArgs } = require('util');
+const { GameState, GameRules, MemoryStorage, getLegalMoves, isLegalMove, movesEqual, moveToNotation, parseMove } = require('../js/core');
+const { createRandom } = require('./tournament.js');
+
+const DEFAULTS = {
+    games: 1000,
+    seed: 1,
+    maxPlies: 200
+};
+
+/**
+ * Count the tiles and pieces of each colour on the board
+ * @param {GameState} state - The game state
+ * @returns {Object} { black: { tiles, discs, rings }, white: {...} }
+ */
+function countBoard(state) {
+    const counts = {
+        black: { tiles: 0, discs: 0, rings: 0 },
+        white: { tiles: 0, discs: 0, rings: 0 }
+    };
+    state.grid.getAllCells().forEach(([, data]) => {
+        counts[data.color].tiles++;
+        if (data.piece) {
+            counts[data.piece.color][data.piece.type === 'disc' ? 'discs' : 'rings']++;
+        }
+    });
+    return counts;
+}
+
+/**
+ * Check the invariants of a position
+ * @param {GameState} state - The game state, after a complete move
+ * @param {Object} initial - Players of the starting position, for the conserved totals
+ * @returns {Array} One { invariant, message } per invariant broken; empty if all hold
+ */
+function checkInvariants(state, initial) {
+    const failures = [];
+    const fail = (invariant, message) => failures.push({ invariant, message });
+    const board = countBoard(state);
+
+    ['black', 'white'].forEach(color => {
+        const opponent = color === 'black' ? 'white' : 'black';
+        const player = state.players[color];
+        const captor = state.players[opponent];
+
+        // Each ring the opponent placed returned one of the captured discs to this player's reserve
+        const discsLost = captor.discs.captured + captor.rings.placed;
+        if (board[color].discs !== player.discs.placed - discsLost) {
+            fail('disc-count', `${color} has ${board[color].discs} discs on the board, ` +
+                `expected ${player.discs.placed} placed - ${discsLost} captured`);
+        }
+        if (board[color].rings !== player.rings.placed - captor.rings.captured) {
+            fail('ring-count', `${color} has ${board[color].rings} rings on the board, ` +
+                `expected ${player.rings.placed} placed - ${captor.rings.captured} captured`);
+        }
+
+        if (player.discs.total + captor.discs.captured !== initial[color].discs.total) {
+            fail('disc-total', `${color} has ${player.discs.total} discs and lost ${captor.discs.captured}, ` +
+                `expected ${initial[color].discs.total} in all`);
+        }
+        if (player.rings.total + captor.rings.captured !== initial[color].rings.total) {
+            fail('ring-total', `${color} has ${player.rings.total} rings and lost ${captor.rings.captured}, ` +
+                `expected ${initial[color].rings.total} in all`);
+        }
+
+        if (board[color].tiles !== player.tiles.placed || player.tiles.placed > player.tiles.total ||
+            player.tiles.total > initial[color].tiles.total) {
+            fail('tile-count', `${color} has ${board[color].tiles} tiles on the board, ` +
+                `${player.tiles.placed} placed of ${player.tiles.total}`);
+        }
+    });
+
+    const pieces = new Set();
+    state.grid.getAllCells().forEach(([hex, data]) => {
+        if (data.type !== 'tile' || !['black', 'white'].includes(data.color)) {
+            fail('cell', `${hex.hash()} is not a tile`);
+        }
+        if (!data.piece) {
+            return;
+        }
+        if (Array.isArray(data.piece) || !['disc', 'ring'].includes(data.piece.type) ||
+            !['black', 'white'].includes(data.piece.color)) {
+            fail('cell', `${hex.hash()} holds ${JSON.stringify(data.piece)}`);
+        }
+        if (pieces.has(data.piece)) {
+            fail('cell', `the piece on ${hex.hash()} is also on another cell`);
+        }
+        pieces.add(data.piece);
+    });
+
+    const win = GameRules.checkWinCondition(state);
+    const draw = GameRules.checkDrawCondition(state);
+    if (state.gameOver !== (win.hasWon || draw.isDraw)) {
+        fail('game-over', `gameOver is ${state.gameOver}, but the rules say ` +
+            `"${win.hasWon ? win.message : draw.message}"`);
+    } else if (win.hasWon && state.winner !== win.winner) {
+        fail('game-over', `the winner is ${state.winner}, but the rules say "${win.message}"`);
+    }
+
+    return failures;
+}
+
+/**
+ * Play a move through the same calls as the board: select the action, the piece, the
+ * destination and, if several jump paths end there, the path
+ * @param {GameState} state - The game state, changed in place
+ * @param {Object} move - A legal move
+ */
+function selectMove(state, move) {
+    state.selectAction(move.type);
+    if (move.type !== 'movePiece') {
+        state.selectHex(move.to);
+        return;
+    }
+
+    state.selectHex(move.from);
+    state.selectHex(move.path[move.path.length - 1]);
+    if (state.pathChoices.length > 0) {
+        const index = state.pathChoices.findIndex(path => movesEqual(move, { type: 'movePiece', from: move.from, path }));
+        state.choosePath(index);
+    }
+}
+
+/**
+ * Replay moves from the start of a game and check the invariants after each
+ * @param {Array} notations - Moves in move notation
+ * @param {Object} [options] - Replay options
+ * @param {string} [options.via='direct'] - 'direct' or 'select', see selectMove()
+ * @param {Function} [options.check] - Invariant check, checkInvariants() by default
+ * @param {boolean} [options.skipIllegal=false] - Leave out illegal moves instead of stopping
+ * @returns {Object} { failures, ply, illegal, played }: the failures at the first move breaking
+ *     an invariant and its index, or the index of the first illegal move; failures is empty if
+ *     the game is fine. played lists the moves played up to there.
+ */
+function replay(notations, options = {}) {
+    const check = options.check || checkInvariants;
+    const state = new GameState({ storage: new MemoryStorage() });
+    const initial = JSON.parse(JSON.stringify(state.players));
+    const played = [];
+
+    for (let ply = 0; ply < notations.length; ply++) {
+        const move = parseMove(notations[ply]);
+        if (!isLegalMove(state, move)) {
+            if (options.skipIllegal) {
+                continue;
+            }
+            return { failures: [], ply, illegal: true, played };
+        }
+        played.push(notations[ply]);
+
+        const historyIndex = state.historyIndex;
+        if (options.via === 'select') {
+            selectMove(state, move);
+        } else {
+            state.makeMove(move);
+        }
+
+        const failures = state.historyIndex === historyIndex + 1 && movesEqual(move, state.getMoveHistory().pop()) ?
+            check(state, initial) :
+            [{ invariant: 'move', message: `${notations[ply]} was not recorded as played` }];
+        if (failures.length > 0) {
+            return { failures, ply, illegal: false, played };
+        }
+    }
+    return { failures: [], ply: notations.length, illegal: false, played };
+}
+
+/**
+ * Shrink a failing game to a shorter list of moves breaking the same invariant. Runs of moves
+ * are removed, halving the run length down to single moves; moves that become illegal once
+ * others are gone are left out too. A shorter game that still fails replaces the current one,
+ * so the result fails with every move legal, and no single move can be dropped.
+ * @param {Array} notations - Moves of the failing game
+ * @param {Object} [options] - Options of replay()
+ * @returns {Array} The shrunk list of moves
+ */
+function shrink(notations, options = {}) {
+    const first = replay(notations, options);
+    if (first.failures.length === 0) {
+        return notations;
+    }
+
+    // The moves left once a candidate is replayed up to the same failure, or null
+    const invariant = first.failures[0].invariant;
+    const reduce = (candidate) => {
+        const result = replay(candidate, { ...options, skipIllegal: true });
+        return result.failures.some(failure => failure.invariant === invariant) ? result.played : null;
+    };
+
+    let moves = first.played;
+    let size = Math.max(1, Math.floor(moves.length / 2));
+    while (size >= 1) {
+        let removed = false;
+        for (let start = 0; start + size <= moves.length;) {
+            const reduced = reduce(moves.slice(0, start).concat(moves.slice(start + size)));
+            if (reduced && reduced.length < moves.length) {
+                moves = reduced;
+                removed = true;
+            } else {
+                start++;
+            }
+        }
+        if (!removed) {
+            size = Math.floor(size / 2);
+        }
+    }
+    return moves;
+}
+
+/**
+ * Play a random legal game, checking the invariants after every move
+ * @param {Function} random - Random number generator
+ * @param {Object} [options] - Game options
+ * @param {number} [options.maxPlies=200] - Number of moves after which the game is cut off
+ * @param {string} [options.via='direct'] - 'direct' or 'select', see selectMove()
+ * @returns {Object} { moves, failures, ply } with the moves played in notation, and the
+ *     failures and index of the move breaking an invariant, if any
+ */
+function playRandomGame(random, options = {}) {
+    const maxPlies = options.maxPlies || DEFAULTS.maxPlies;
+    const notations = [];
+
+    // Generate the game first, then check it the same way it would be replayed
+    const state = new GameState({ storage: new MemoryStorage() });
+    while (notations.length < maxPlies && !state.gameOver) {
+        const moves = getLegalMoves(state);
+        if (moves.length === 0) {
+            break;
+        }
+        const move = moves[Math.floor(random() * moves.length)];
+        notations.push(moveToNotation(move, state));
+        state.makeMove(move);
+    }
+
+    const result = replay(notations, { via: options.via });
+    return { moves: notations, failures: result.failures, ply: result.ply };
+}
+
+/**
+ * Play random games until one fails or all are done
+ * @param {Object} [options] - Run options
+ * @param {number} [options.games=1000] - Number of games
+ * @param {number} [options.seed=1] - Seed of the first game; game i uses seed + i
+ * @param {number} [options.maxPlies=200] - Moves after which a game is cut off
+ * @returns {Object} { games, plies, failure } where failure is null or
+ *     { seed, via, moves, failures, shrunk }
+ */
+function runFuzz(options = {}) {
+    const { games, seed, maxPlies } = { ...DEFAULTS, ...options };
+    let plies = 0;
+
+    for (let i = 0; i < games; i++) {
+        // Every other game goes through the selection calls of the board
+        const via = i % 2 === 0 ? 'direct' : 'select';
+        const game = playRandomGame(createRandom(seed + i), { maxPlies, via });
+        plies += game.moves.length;
+
+        if (game.failures.length > 0) {
+            const shrunk = shrink(game.moves, { via });
+            return {
+                games: i + 1,
+                plies,
+                failure: { seed: seed + i, via, moves: game.moves, failures: game.failures, shrunk }
+            };
+        }
+    }
+
+    return { games, plies, failure: null };
+}
+
+/**
+ * Run the tool
+ * @param {Array} argv - Command line arguments
+ * @returns {number} Exit status
+ */
+function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            games: { type: 'string', default: String(DEFAULTS.games) },
+            seed: { type: 'string', default: String(DEFAULTS.seed) },
+            'max-plies': { type: 'string', default: String(DEFAULTS.maxPlies) },
+            replay: { type: 'string' },
+            via: { type: 'string', default: 'direct' }
+        }
+    });
+
+    if (values.replay !== undefined) {
+        const notations = values.replay.split(/\s+/).filter(Boolean);
+        const result = replay(notations, { via: values.via });
+        if (result.illegal) {
+            console.log(`Move ${result.ply + 1} (${notations[result.ply]}) is illegal.`);
+            return 1;
+        }
+        if (result.failures.length === 0) {
+            console.log(`All invariants hold over ${notations.length} moves.`);
+            return 0;
+        }
+        console.log(`After move ${result.ply + 1} (${notations[result.ply]}):`);
+        result.failures.forEach(({ invariant, message }) => console.log(`  ${invariant}: ${message}`));
+        return 1;
+    }
+
+    const start = Date.now();
+    const { games, plies, failure } = runFuzz({
+        games: Number(values.games),
+        seed: Number(values.seed),
+        maxPlies: Number(values['max-plies'])
+    });
+
+    if (!failure) {
+        console.log(`All invariants hold in ${games} games (${plies} moves, ${Date.now() - start} ms).`);
+        return 0;
+    }
+
+    console.log(`Game ${games} (seed ${failure.seed}, played via ${failure.via}) broke an invariant:`);
+    failure.failures.forEach(({ invariant, message }) => console.log(`  ${invariant}: ${message}`));
+    console.log(`Shrunk from ${failure.moves.length} to ${failure.shrunk.length} moves:`);
+    console.log(`  node tools/fuzz.js --via ${failure.via} --replay "${failure.shrunk.join(' ')}"`);
+    return 1;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    countBoard,
+    checkInvariants,
+    selectMove,
+    replay,
+    shrink,
+    playRandomGame,
+    runFuzz
+};
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+/**
+ * perft.js
+ * Move generation counts: the number of move sequences of a given length from a position,
+ * checked against reference counts so changes to the rules code show up as changed numbers.
+ *
+ * Usage:
+ *   node tools/perft.js --depth 3
+ *   node tools/perft.js --position "0,0bD/1,0wd/... b 4/9:2/6/0:0/3/0 5/9:3/6/0:0/3/0" --depth 2 --divide
+ *   node tools/perft.js --suite
+ *
+ * Options:
+ *   --position TEXT      Position string (see GameState.toPositionString), or startpos;
+ *                        default startpos
+ *   --moves LIST         Moves played from the position first, separated by spaces
+ *   --depth N            Number of moves to count sequences of; default 1
+ *   --divide             Print the count below each move of the position
+ *   --verify             Also check at every position that the interactive move generation
+ *                        used when playing (HexGrid.getValidDiscMoves, getValidRingMoves)
+ *                        offers the same destinations as getLegalMoves
+ *   --suite [FILE]       Check the reference positions of FILE, default tools/perft-suite.json,
+ *                        and exit with status 1 on a mismatch
+ *   --max-depth N        Skip suite counts deeper than N
+ *
+ * A finished game has no moves, so its position counts as a leaf only at depth 0.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { GameState, MemoryStorage, getLegalMoves, applyMove, isLegalMove, moveToNotation, parseMove } = require('../js/core');
+
+const SUITE_FILE = path.join(__dirname, 'perft-suite.json');
+
+/**
+ * Build the game state for a position string and the moves played from it
+ * @param {string} [position='startpos'] - Position string, or startpos
+ * @param {Array} [moves] - Move notations played from the position
+ * @returns {GameState} The game state
+ * @throws {Error} If the position or one of the moves is invalid
+ */
+function loadPosition(position = 'startpos', moves = []) {
+    let state = new GameState({ storage: new MemoryStorage() });
+    if (position !== 'startpos' && !state.loadPosition(position)) {
+        throw new Error(`Invalid position: ${position}`);
+    }
+    moves.forEach(notation => {
+        const move = parseMove(notation);
+        if (!isLegalMove(state, move)) {
+            throw new Error(`Illegal move: ${notation}`);
+        }
+        state = applyMove(state, move);
+    });
+    return state;
+}
+
+/**
+ * Compare the destinations offered when playing with those of getLegalMoves
+ * @param {GameState} state - The game state, at the start of a turn
+ * @returns {Array} One { from, missing, extra } per piece whose destinations differ, with the
+ *     destinations (hex hashes) only getLegalMoves finds and only the interactive generation offers
+ */
+function findMoveMismatches(state) {
+    if (state.gameOver) {
+        return [];
+    }
+
+    // Destinations of getLegalMoves, grouped by the moving piece
+    const expected = new Map();
+    getLegalMoves(state).forEach(move => {
+        if (move.type !== 'movePiece') {
+            return;
+        }
+        const from = move.from.hash();
+        if (!expected.has(from)) {
+            expected.set(from, new Set());
+        }
+        expected.get(from).add(move.path[move.path.length - 1].hash());
+    });
+
+    const mismatches = [];
+    state.grid.getAllCells().forEach(([from, data]) => {
+        if (!data.piece || data.piece.color !== state.currentPlayer) {
+            return;
+        }
+
+        const offered = new Set((data.piece.type === 'disc'
+            ? state.grid.getValidDiscMoves(from)
+            : state.grid.getValidRingMoves(from)).map(hex => hex.hash()));
+        const legal = expected.get(from.hash()) || new Set();
+
+        const missing = [...legal].filter(hash => !offered.has(hash));
+        const extra = [...offered].filter(hash => !legal.has(hash));
+        if (missing.length > 0 || extra.length > 0) {
+            mismatches.push({ from: from.hash(), missing, extra });
+        }
+    });
+    return mismatches;
+}
+
+/**
+ * Count the move sequences of a given length
+ * @param {GameState} state - The game state, at the start of a turn
+ * @param {number} depth - Sequence length
+ * @param {Object} [options] - Counting options
+ * @param {Function} [options.onMismatch] - Checks every position with findMoveMismatches and is
+ *     called with (state, mismatches) where they differ
+ * @returns {number} Number of sequences
+ */
+function perft(state, depth, options = {}) {
+    if (depth === 0) {
+        return 1;
+    }
+
+    if (options.onMismatch) {
+        const mismatches = findMoveMismatches(state);
+        if (mismatches.length > 0) {
+            options.onMismatch(state, mismatches);
+        }
+    }
+
+    const moves = getLegalMoves(state);
+    // The last level only needs the number of moves, unless its positions are verified
+    if (depth === 1 && !options.onMismatch) {
+        return moves.length;
+    }
+
+    return moves.reduce((total, move) => total + perft(applyMove(state, move), depth - 1, options), 0);
+}
+
+/**
+ * Count the move sequences of a given length below each move of the position
+ * @param {GameState} state - The game state, at the start of a turn
+ * @param {number} depth - Sequence length, including the first move
+ * @param {Object} [options] - Options of perft()
+ * @returns {Array} One { move, notation, nodes } per legal move, sorted by notation
+ */
+function divide(state, depth, options = {}) {
+    if (depth < 1) {
+        return [];
+    }
+
+    return getLegalMoves(state).map(move => ({
+        move,
+        notation: moveToNotation(move, state),
+        nodes: perft(applyMove(state, move), depth - 1, options)
+    })).sort((a, b) => a.notation.localeCompare(b.notation));
+}
+
+/**
+ * Check the reference positions
+ * @param {Array} suite - Entries { name, position, moves, counts }, counts[i] being the
+ *     expected count at depth i + 1
+ * @param {Object} [options] - Check options
+ * @param {number} [options.maxDepth=Infinity] - Skip deeper counts
+ * @param {Function} [options.onResult] - Called with each result as it is known
+ * @returns {Array} One { name, depth, expected, actual, time } per count checked
+ */
+function runSuite(suite, options = {}) {
+    const maxDepth = options.maxDepth || Infinity;
+    const results = [];
+
+    suite.forEach(entry => {
+        const state = loadPosition(entry.position, entry.moves);
+        entry.counts.forEach((expected, index) => {
+            const depth = index + 1;
+            if (depth > maxDepth) {
+                return;
+            }
+
+            const start = Date.now();
+            const actual = perft(state, depth);
+            const result = { name: entry.name, depth, expected, actual, time: Date.now() - start };
+            results.push(result);
+            if (options.onResult) {
+                options.onResult(result);
+            }
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Run the tool
+ * @param {Array} argv - Command line arguments
+ * @returns {number} Exit status
+ */
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            position: { type: 'string', default: 'startpos' },
+            moves: { type: 'string', default: '' },
+            depth: { type: 'string', default: '1' },
+            divide: { type: 'boolean', default: false },
+            verify: { type: 'boolean', default: false },
+            suite: { type: 'boolean', default: false },
+            'max-depth': { type: 'string' }
+        }
+    });
+
+    if (values.suite) {
+        const file = positionals[0] || SUITE_FILE;
+        const suite = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const results = runSuite(suite, {
+            maxDepth: values['max-depth'] ? Number(values['max-depth']) : Infinity,
+            onResult: ({ name, depth, expected, actual, time }) => {
+                const status = actual === expected ? 'ok' : `FAIL (expected ${expected})`;
+                console.log(`${name} depth ${depth}: ${actual} ${status} ${time} ms`);
+            }
+        });
+
+        const failed = results.filter(result => result.actual !== result.expected).length;
+        console.log(failed === 0 ? `All ${results.length} counts match.` : `${failed} of ${results.length} counts differ.`);
+        return failed === 0 ? 0 : 1;
+    }
+
+    const state = loadPosition(values.position, values.moves.split(/\s+/).filter(Boolean));
+    const depth = Number(values.depth);
+    let mismatchCount = 0;
+    const options = {};
+    if (values.verify) {
+        options.onMismatch = (position, mismatches) => {
+            mismatchCount += mismatches.length;
+            mismatches.forEach(({ from, missing, extra }) => {
+                console.log(`Mismatch in ${position.toPositionString()} for ${from}: ` +
+                    `missing [${missing.join(' ')}], extra [${extra.join(' ')}]`);
+            });
+        };
+    }
+
+    const start = Date.now();
+    let nodes;
+    if (values.divide) {
+        const entries = divide(state, depth, options);
+        entries.forEach(entry => console.log(`${entry.notation}: ${entry.nodes}`));
+        nodes = entries.reduce((total, entry) => total + entry.nodes, 0);
+        console.log(`Moves: ${entries.length}`);
+    } else {
+        nodes = perft(state, depth, options);
+    }
+    console.log(`Nodes: ${nodes}`);
+    console.log(`Time: ${Date.now() - start} ms`);
+
+    if (values.verify) {
+        console.log(mismatchCount === 0 ? 'Move generation consistent.' : `${mismatchCount} mismatches.`);
+        return mismatchCount === 0 ? 0 : 1;
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    loadPosition,
+    findMoveMismatches,
+    perft,
+    divide,
+    runSuite
+};
@@ -0,0 +1,477 @@
+#!/usr/bin/env node
+/**
+ * tournament.js
+ * Self-play tournaments between engine configurations over the headless rules engine,
+ * for measuring evaluation and search changes.
+ *
+ * Usage:
+ *   node tools/tournament.js --engine medium --engine ab4:maxDepth=4,timeLimit=1000 \
+ *       --engine mcts:engine=mcts,playouts=800 --games 20 --seed 7
+ *
+ * Options:
+ *   --engine SPEC        Engine configuration, repeated for each participant. SPEC is
+ *                        NAME[:key=value,...]; a NAME or preset=NAME matching a difficulty
+ *                        level (easy, medium, hard) starts from that level's settings, the
+ *                        other keys are engine options (engine, maxDepth, timeLimit, ...).
+ *                        command=CMD plays an external engine process (see
+ *                        js/ai/EngineProtocol.js) with movetime=MS per move; its other
+ *                        keys are sent to it with setoption
+ *   --format FORMAT      round-robin (every pair plays) or gauntlet (the first engine plays
+ *                        each of the others); default round-robin
+ *   --games N            Games per pairing, rounded up to an even number so each opening is
+ *                        played with both colour assignments; default 10
+ *   --seed N             Seed for the openings and the engines' random choices; default 1
+ *   --opening-plies N    Random legal moves played before the engines take over; default 4
+ *   --max-plies N        Games reaching this many moves are drawn; default 200
+ *   --rules RULES        Rules of the games, a preset name (standard, short, attrition) or
+ *                        rules as JSON (see RuleSet.js); default standard. External engines
+ *                        are sent them with each position
+ *   --json               Print the results as JSON instead of tables
+ *
+ * Under the standard rules threefold repetition and a player without legal moves end the
+ * game in a draw.
+ */
+
+const { parseArgs } = require('util');
+const { GameState, MemoryStorage, RuleSet, getLegalMoves, isLegalMove } = require('../js/core');
+const { createEngine, DIFFICULTY_LEVELS } = require('../js/ai');
+const { spawnEngine } = require('./external-engine.js');
+
+// Time per move of external engines without a movetime option
+const DEFAULT_MOVETIME = 1000;
+
+const DEFAULTS = {
+    format: 'round-robin',
+    games: 10,
+    seed: 1,
+    openingPlies: 4,
+    maxPlies: 200,
+    ruleSet: 'standard'
+};
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Parse an engine specification such as "ab4:maxDepth=4,timeLimit=1000"
+ * @param {string} spec - NAME[:key=value,...]
+ * @returns {Object} { name, options } where options are passed to createEngine()
+ */
+function parseEngineSpec(spec) {
+    const [name, settings = ''] = spec.split(/:(.*)/s);
+    if (!name) {
+        throw new Error(`Invalid engine specification: ${spec}`);
+    }
+
+    const options = {};
+    settings.split(',').filter(Boolean).forEach(setting => {
+        const [key, value] = setting.split('=');
+        if (!key || value === undefined) {
+            throw new Error(`Invalid engine option "${setting}" in ${spec}`);
+        }
+        options[key.trim()] = /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value.trim();
+    });
+
+    // Difficulty levels serve as presets
+    const preset = options.preset || (DIFFICULTY_LEVELS[name] ? name : null);
+    delete options.preset;
+    if (preset) {
+        if (!DIFFICULTY_LEVELS[preset]) {
+            throw new Error(`Unknown preset: ${preset}`);
+        }
+        const { label, ...presetOptions } = DIFFICULTY_LEVELS[preset];
+        return { name, options: { ...presetOptions, ...options } };
+    }
+    return { name, options };
+}
+
+/**
+ * Create the player searching for one engine configuration during a game
+ * @param {Object} engine - Engine configuration { name, options }
+ * @param {Function} random - Random number generator for the engine's choices
+ * @returns {Promise<Object>} Player with search(state) returning a Promise of { move }, and close()
+ */
+async function createPlayer(engine, random) {
+    const { command, movetime, ...options } = engine.options;
+    if (command) {
+        // External engines start afresh for every game
+        const external = await spawnEngine(String(command));
+        Object.keys(options).forEach(name => external.setOption(name, options[name]));
+        external.newGame();
+        return {
+            search: (state) => external.search(state, { movetime: movetime || DEFAULT_MOVETIME }),
+            close: () => external.close()
+        };
+    }
+
+    const searcher = createEngine({ ...engine.options, random });
+    return {
+        search: async (state) => searcher.search(state),
+        close: () => {}
+    };
+}
+
+/**
+ * List the pairings of a tournament
+ * @param {number} engineCount - Number of engines
+ * @param {string} format - 'round-robin' or 'gauntlet'
+ * @returns {Array} Array of [engineIndex, engineIndex] pairs
+ */
+function createSchedule(engineCount, format) {
+    const pairings = [];
+    if (format === 'gauntlet') {
+        for (let i = 1; i < engineCount; i++) {
+            pairings.push([0, i]);
+        }
+    } else if (format === 'round-robin') {
+        for (let i = 0; i < engineCount; i++) {
+            for (let j = i + 1; j < engineCount; j++) {
+                pairings.push([i, j]);
+            }
+        }
+    } else {
+        throw new Error(`Unknown format: ${format}`);
+    }
+    return pairings;
+}
+
+/**
+ * Create random openings. Every pairing plays the same openings, so engines are compared
+ * on equal terms.
+ * @param {number} count - Number of openings
+ * @param {number} plies - Moves per opening
+ * @param {Function} random - Random number generator
+ * @param {RuleSet|Object|string} [ruleSet] - Rules of the games; standard by default
+ * @returns {Array} Array of move lists
+ */
+function createOpenings(count, plies, random, ruleSet = DEFAULTS.ruleSet) {
+    const openings = [];
+    while (openings.length < count) {
+        const state = new GameState({ storage: new MemoryStorage(), ruleSet });
+        const moves = [];
+        while (moves.length < plies && !state.gameOver) {
+            const legalMoves = getLegalMoves(state);
+            const move = legalMoves[Math.floor(random() * legalMoves.length)];
+            state.makeMove(move);
+            moves.push(move);
+        }
+
+        // Openings must leave a game to play
+        if (!state.gameOver) {
+            openings.push(moves);
+        }
+    }
+    return openings;
+}
+
+/**
+ * Get the result of a game
+ * @param {GameState} state - The game state
+ * @returns {Object|null} { winner, reason } with winner 'black', 'white' or null for a draw;
+ *     null while the game goes on
+ */
+function getGameResult(state) {
+    return state.gameOver ? { winner: state.winner, reason: state.message } : null;
+}
+
+/**
+ * Play one game
+ * @param {Object} black - Player for black, see createPlayer()
+ * @param {Object} white - Player for white
+ * @param {Object} [options] - Game options
+ * @param {Array} [options.opening] - Moves played before the engines take over
+ * @param {number} [options.maxPlies=200] - The game is drawn after this many moves
+ * @param {RuleSet|Object|string} [options.ruleSet] - Rules of the game; standard by default
+ * @returns {Promise<Object>} { winner, reason, plies }
+ */
+async function playGame(black, white, { opening = [], maxPlies = DEFAULTS.maxPlies, ruleSet = DEFAULTS.ruleSet } = {}) {
+    const state = new GameState({ storage: new MemoryStorage(), ruleSet });
+    const players = { black, white };
+    opening.forEach(move => state.makeMove(move));
+
+    let result = getGameResult(state);
+    while (!result) {
+        if (state.historyIndex >= maxPlies) {
+            result = { winner: null, reason: `Game drawn after ${maxPlies} moves.` };
+            break;
+        }
+
+        // An engine that fails to produce a legal move forfeits
+        let move = null;
+        let failure = 'no move';
+        try {
+            ({ move } = await players[state.currentPlayer].search(state));
+            failure = move ? 'illegal move' : failure;
+        } catch (error) {
+            failure = error.message;
+        }
+        if (!move || !isLegalMove(state, move)) {
+            const loser = state.currentPlayer;
+            result = { winner: loser === 'black' ? 'white' : 'black', reason: `${loser} forfeits: ${failure}.` };
+            break;
+        }
+        state.makeMove(move);
+        result = getGameResult(state);
+    }
+
+    return { ...result, plies: state.historyIndex };
+}
+
+/**
+ * Run a tournament
+ * @param {Array} engines - Engine configurations { name, options }
+ * @param {Object} [options] - Tournament options, see DEFAULTS
+ * @param {Function} [options.onGame] - Called with each finished game
+ * @returns {Promise<Object>} { engines, games, standings, crosstable }
+ */
+async function runTournament(engines, options = {}) {
+    const { format, games, seed, openingPlies, maxPlies, ruleSet, onGame } = { ...DEFAULTS, ...options };
+    if (engines.length < 2) {
+        throw new Error('A tournament needs at least two engines.');
+    }
+
+    const random = createRandom(seed);
+    const pairings = createSchedule(engines.length, format);
+    const openings = createOpenings(Math.ceil(games / 2), openingPlies, random, ruleSet);
+
+    const results = [];
+    for (const [first, second] of pairings) {
+        for (const opening of openings) {
+            // Each opening is played twice, with the colours swapped
+            for (const [blackIndex, whiteIndex] of [[first, second], [second, first]]) {
+                const black = await createPlayer(engines[blackIndex], createRandom(random() * 2 ** 32));
+                const white = await createPlayer(engines[whiteIndex], createRandom(random() * 2 ** 32));
+                try {
+                    const game = await playGame(black, white, { opening, maxPlies, ruleSet });
+                    const result = {
+                        black: blackIndex,
+                        white: whiteIndex,
+                        winner: game.winner === null ? null : (game.winner === 'black' ? blackIndex : whiteIndex),
+                        reason: game.reason,
+                        plies: game.plies
+                    };
+                    results.push(result);
+                    if (onGame) {
+                        onGame(result, results.length, pairings.length * openings.length * 2);
+                    }
+                } finally {
+                    black.close();
+                    white.close();
+                }
+            }
+        }
+    }
+
+    return {
+        engines: engines.map(engine => engine.name),
+        games: results,
+        standings: computeStandings(engines.length, results),
+        crosstable: computeCrosstable(engines.length, results)
+    };
+}
+
+/**
+ * Count wins, draws and losses of each engine and estimate its Elo against the field
+ * @param {number} engineCount - Number of engines
+ * @param {Array} games - Game results of runTournament()
+ * @returns {Array} Per engine { wins, draws, losses, games, score, elo, margin }
+ */
+function computeStandings(engineCount, games) {
+    return Array.from({ length: engineCount }, (_, index) => {
+        const played = games.filter(game => game.black === index || game.white === index);
+        const wins = played.filter(game => game.winner === index).length;
+        const draws = played.filter(game => game.winner === null).length;
+        return summarize(wins, draws, played.length - wins - draws);
+    });
+}
+
+/**
+ * Count wins, draws and losses of each engine against each other engine
+ * @param {number} engineCount - Number of engines
+ * @param {Array} games - Game results of runTournament()
+ * @returns {Array} crosstable[i][j] is the summary of engine i against engine j, null if
+ *     they did not play
+ */
+function computeCrosstable(engineCount, games) {
+    return Array.from({ length: engineCount }, (_, i) => Array.from({ length: engineCount }, (_, j) => {
+        const played = games.filter(game =>
+            (game.black === i && game.white === j) || (game.black === j && game.white === i));
+        if (i === j || played.length === 0) {
+            return null;
+        }
+        const wins = played.filter(game => game.winner === i).length;
+        const draws = played.filter(game => game.winner === null).length;
+        return summarize(wins, draws, played.length - wins - draws);
+    }));
+}
+
+/**
+ * Summarize a match score with an Elo difference estimate
+ * @param {number} wins - Games won
+ * @param {number} draws - Games drawn
+ * @param {number} losses - Games lost
+ * @returns {Object} { wins, draws, losses, games, score, elo, margin } where score is the
+ *     fraction of points won and margin the 95% confidence half-width of elo
+ */
+function summarize(wins, draws, losses) {
+    const games = wins + draws + losses;
+    const score = games > 0 ? (wins + draws / 2) / games : 0.5;
+
+    // Standard error of the mean game score
+    const variance = games > 0 ?
+        (wins * (1 - score) ** 2 + draws * (0.5 - score) ** 2 + losses * score ** 2) / games :
+        0;
+    const error = Math.sqrt(variance / Math.max(games, 1));
+    const margin = (eloDifference(score + 1.96 * error) - eloDifference(score - 1.96 * error)) / 2;
+
+    return { wins, draws, losses, games, score, elo: eloDifference(score), margin };
+}
+
+/**
+ * Convert a score fraction into an Elo rating difference
+ * @param {number} score - Fraction of points won
+ * @returns {number} Elo difference; ±Infinity for a score of 1 or 0
+ */
+function eloDifference(score) {
+    if (score >= 1) {
+        return Infinity;
+    }
+    if (score <= 0) {
+        return -Infinity;
+    }
+    return -400 * Math.log10(1 / score - 1);
+}
+
+/**
+ * Format an Elo difference for the tables
+ * @param {Object} summary - Output of summarize()
+ * @returns {string} E.g. "+35 ± 60"
+ */
+function formatElo({ elo, margin }) {
+    if (!Number.isFinite(elo)) {
+        return elo > 0 ? '+inf' : '-inf';
+    }
+    const sign = elo >= 0 ? '+' : '';
+    return Number.isFinite(margin) ?
+        `${sign}${Math.round(elo)} ± ${Math.round(margin)}` :
+        `${sign}${Math.round(elo)}`;
+}
+
+/**
+ * Format the standings and the crosstable as text
+ * @param {Object} tournament - Output of runTournament()
+ * @returns {string} Text tables
+ */
+function formatTables({ engines, standings, crosstable }) {
+    const width = Math.max(6, ...engines.map(name => name.length));
+    const pad = (text, size) => String(text).padStart(size);
+    const lines = [];
+
+    lines.push(`${'Engine'.padEnd(width)}  Games     W     D     L  Score  Elo`);
+    standings
+        .map((summary, index) => ({ summary, index }))
+        .sort((a, b) => b.summary.score - a.summary.score)
+        .forEach(({ summary, index }) => {
+            lines.push([
+                engines[index].padEnd(width),
+                pad(summary.games, 5),
+                pad(summary.wins, 5),
+                pad(summary.draws, 5),
+                pad(summary.losses, 5),
+                pad(`${(summary.score * 100).toFixed(1)}%`, 6),
+                ` ${formatElo(summary)}`
+            ].join(' '));
+        });
+
+    lines.push('');
+    lines.push(`${'W/D/L'.padEnd(width)}  ${engines.map(name => pad(name, 11)).join(' ')}`);
+    crosstable.forEach((row, i) => {
+        const cells = row.map(cell => pad(cell ? `${cell.wins}/${cell.draws}/${cell.losses}` : '-', 11));
+        lines.push(`${engines[i].padEnd(width)}  ${cells.join(' ')}`);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Command line entry point
+ * @param {Array} argv - Command line arguments
+ */
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            engine: { type: 'string', multiple: true },
+            format: { type: 'string', default: DEFAULTS.format },
+            games: { type: 'string', default: String(DEFAULTS.games) },
+            seed: { type: 'string', default: String(DEFAULTS.seed) },
+            'opening-plies': { type: 'string', default: String(DEFAULTS.openingPlies) },
+            'max-plies': { type: 'string', default: String(DEFAULTS.maxPlies) },
+            rules: { type: 'string', default: DEFAULTS.ruleSet },
+            json: { type: 'boolean', default: false }
+        }
+    });
+
+    const engines = (values.engine || []).map(parseEngineSpec);
+    const names = new Set(engines.map(engine => engine.name));
+    if (names.size !== engines.length) {
+        throw new Error('Engine names must be unique.');
+    }
+
+    const tournament = await runTournament(engines, {
+        format: values.format,
+        games: Number(values.games),
+        seed: Number(values.seed),
+        openingPlies: Number(values['opening-plies']),
+        maxPlies: Number(values['max-plies']),
+        ruleSet: RuleSet.parse(values.rules),
+        onGame: (game, done, total) => {
+            const result = game.winner === null ? 'draw' : `${engines[game.winner].name} wins`;
+            process.stderr.write(
+                `[${done}/${total}] ${engines[game.black].name} - ${engines[game.white].name}: ` +
+                `${result} in ${game.plies} moves (${game.reason})\n`
+            );
+        }
+    });
+
+    if (values.json) {
+        console.log(JSON.stringify(tournament, null, 2));
+    } else {
+        console.log(formatTables(tournament));
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    createRandom,
+    parseEngineSpec,
+    createPlayer,
+    createSchedule,
+    createOpenings,
+    getGameResult,
+    playGame,
+    runTournament,
+    computeStandings,
+    computeCrosstable,
+    eloDifference,
+    formatTables
+};
@@ -0,0 +1,232 @@
+/**
+ * websocket.js
+ * Minimal WebSocket server side (RFC 6455) for server.js: text messages only, no extensions.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Fixed GUID of the opening handshake
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Larger messages close the connection
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+// Largest payload of a control frame (close, ping, pong)
+const MAX_CONTROL_PAYLOAD = 125;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+class WebSocketConnection extends EventEmitter {
+    /**
+     * Wrap an upgraded socket. Emits 'message' with the text of each message and 'close'.
+     * @param {net.Socket} socket - The socket, after the handshake
+     */
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.on('data', (data) => this.onData(data));
+        socket.on('close', () => this.onClose());
+        socket.on('error', () => socket.destroy());
+    }
+
+    /**
+     * Send a text message
+     * @param {string} text - Message text
+     */
+    send(text) {
+        if (!this.closed) {
+            this.socket.write(this.createFrame(OPCODES.text, Buffer.from(text, 'utf8')));
+        }
+    }
+
+    /**
+     * Close the connection
+     * @param {number} [code=1000] - Close status code
+     */
+    close(code = 1000) {
+        if (this.closed) {
+            return;
+        }
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.socket.end(this.createFrame(OPCODES.close, payload));
+        this.onClose();
+    }
+
+    /**
+     * Build an unmasked frame, as servers send them
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Frame payload
+     * @returns {Buffer} The frame
+     */
+    createFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        return Buffer.concat([header, payload]);
+    }
+
+    /**
+     * Read the frames received so far
+     * @param {Buffer} data - Received data
+     */
+    onData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) {
+                    return;
+                }
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) {
+                    return;
+                }
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Clients must mask their frames
+            if (!masked || length > MAX_MESSAGE_SIZE) {
+                this.close(1002);
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) {
+                return;
+            }
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.onFrame(fin, opcode, payload);
+            if (this.closed) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Handle a complete frame; frames breaking the protocol close the connection with 1002
+     * @param {boolean} fin - Whether this is the last frame of a message
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Unmasked payload
+     */
+    onFrame(fin, opcode, payload) {
+        // Control frames cannot be fragmented and carry at most 125 bytes
+        const control = (opcode & 0x08) !== 0;
+        if (control && (!fin || payload.length > MAX_CONTROL_PAYLOAD)) {
+            this.close(1002);
+            return;
+        }
+
+        // A fragmented message goes on with continuation frames only, and only those
+        const inMessage = this.fragments.length > 0;
+        if (opcode === OPCODES.continuation ? !inMessage : (!control && inMessage)) {
+            this.close(1002);
+            return;
+        }
+
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation: {
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((total, fragment) => total + fragment.length, 0);
+                if (size > MAX_MESSAGE_SIZE) {
+                    this.close(1009);
+                } else if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', message);
+                }
+                break;
+            }
+
+            case OPCODES.ping:
+                this.socket.write(this.createFrame(OPCODES.pong, payload));
+                break;
+
+            case OPCODES.close:
+                this.close();
+                break;
+
+            default:
+                // Pongs and unknown control frames are ignored
+                break;
+        }
+    }
+
+    /**
+     * Handle the end of the connection
+     */
+    onClose() {
+        if (!this.closed) {
+            this.closed = true;
+            this.emit('close');
+        }
+    }
+}
+
+/**
+ * Complete the opening handshake of an HTTP upgrade request
+ * @param {http.IncomingMessage} req - The upgrade request
+ * @param {net.Socket} socket - The request's socket
+ * @returns {WebSocketConnection|null} The connection, or null if the request is not a
+ *     WebSocket handshake (the socket is then closed)
+ */
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };